@@ -4,3 +4,4 @@
  */
 
 export { AnswerRetriever } from './retriever.js';
+export { SingleFlight } from './single-flight.js';
@@ -4,14 +4,29 @@
  * Returns cached answers instantly, calls API on cache miss
  */
 
-import { generateHash } from '../caching/hash-utils.js';
+import { generateQuestionKey, canonicalizeQuestion, canonicalizeOption } from '../caching/hash-utils.js';
+import { SIMILARITY_CONFIG, buildSimilarityBands, shingleQuestion, jaccardSimilarity } from '../caching/similarity.js';
+import { SingleFlight } from './single-flight.js';
+import { JOURNAL_SOURCES } from '../api/request-journal.js';
+import { USAGE_FEATURES } from '../api/usage-tracker.js';
+import { normalizeOptions, OPTION_LETTERS } from '../api/structured-response.js';
 
 /**
  * AnswerRetriever manages cache-first answer retrieval
- * Tracks statistics: hit rate, miss rate, response times
+ * Tracks statistics: hit rate, miss rate, response times.
+ * Questions are looked up by a key built from their canonical text and
+ * options, so a question seen again with different spacing, numbering or
+ * option order is a hit; the chosen option is mapped to the new order.
+ * On a miss, a cached question worded almost the same (above the
+ * similarity threshold) is returned as source 'cache-similar' for the user
+ * to confirm or reject; confirming caches it under the new question.
+ * Concurrent misses for the same question share one API call, since the
+ * cache is only written once that call completes. Cache hits are written
+ * to the request journal, if one is given; the request queue journals the
+ * rest
  */
 export class AnswerRetriever {
-  constructor(cache, apiClient) {
+  constructor(cache, apiClient, options = {}) {
     if (!cache) {
       throw new Error('Cache instance is required');
     }
@@ -21,8 +36,15 @@ export class AnswerRetriever {
 
     this.cache = cache;
     this.apiClient = apiClient;
+    this.inFlight = new SingleFlight();
+    this.journal = options.journal || null;
+    // 0 or null turns near-duplicate lookup off
+    this.similarityThreshold = options.similarityThreshold === undefined
+      ? SIMILARITY_CONFIG.threshold
+      : options.similarityThreshold;
     this.stats = {
       hits: 0,
+      similarHits: 0,
       misses: 0,
       totalTime: 0
     };
@@ -30,23 +52,31 @@ export class AnswerRetriever {
 
   /**
    * Retrieves an answer using cache-first strategy
-   * 1. Generates question hash
+   * 1. Generates question key (canonical question, options and images)
    * 2. Checks cache first
    * 3. Returns cached answer on hit (<5ms)
-   * 4. Calls API on cache miss
-   * 5. Stores API response in cache
-   * 6. Updates statistics
+   * 4. Returns the answer of a near-duplicate question, flagged for confirmation
+   * 5. Calls API on cache miss (or joins the call already running for it)
+   * 6. Stores API response in cache
+   * 7. Updates statistics
    * 
    * @param {string} question - The quiz question
    * @param {string} context - Optional context for the question
-   * @returns {Promise<Object>} Result with answer, confidence, source, elapsed time
+   * @param {Object} questionData - Optional extracted question data (options)
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.similar - Whether near-duplicates may answer (default true)
+   * @returns {Promise<Object>} Result with answer, chosen option, confidence, source, elapsed time
+   *                            (plus similarity, matchedQuestion and matchKey for 'cache-similar')
    */
-  async getAnswer(question, context = null) {
+  async getAnswer(question, context = null, questionData = {}, { similar = true } = {}) {
     const startTime = performance.now();
 
     try {
-      // Generate hash for question
-      const hash = await generateHash(question);
+      // Generate key for question (image questions also hash their image data)
+      const hash = await generateQuestionKey(question, {
+        options: questionData?.options || [],
+        images: questionData?.images || []
+      });
 
       // Check cache first
       const cached = await this.cache.get(hash);
@@ -55,30 +85,70 @@ export class AnswerRetriever {
         const elapsed = performance.now() - startTime;
         this.stats.totalTime += elapsed;
 
+        this.journal?.record({
+          status: 'completed',
+          source: JOURNAL_SOURCES.CACHE,
+          feature: USAGE_FEATURES.ANSWER,
+          host: questionData?.host ?? null,
+          provider: cached.answeredBy?.provider ?? null,
+          model: cached.answeredBy?.model ?? null,
+          latency: elapsed,
+          statusCode: null,
+          question
+        });
+
         return {
           answer: cached.answer,
           confidence: cached.confidence,
+          ...matchCachedOption(cached, questionData?.options),
+          rationale: cached.rationale,
+          answeredBy: cached.answeredBy,
+          ...pickVotes(cached),
           source: 'cache',
           elapsed: Math.round(elapsed * 100) / 100
         };
       }
 
-      // Cache miss - call API
-      this.stats.misses++;
-      const apiResult = await this.apiClient.getAnswer(question, context);
+      // Near-duplicate of a cached question - the user confirms or rejects it
+      const match = similar ? await this.findSimilar(hash, question, questionData) : null;
+      if (match) {
+        this.stats.similarHits++;
+        const elapsed = performance.now() - startTime;
+        this.stats.totalTime += elapsed;
 
-      // Store in cache
-      await this.cache.set(hash, {
-        questionHash: hash,
-        question,
-        answer: apiResult.answer,
-        confidence: apiResult.confidence,
-        timestamp: Date.now(),
-        platform: typeof window !== 'undefined' ? window.location.hostname : 'unknown',
-        quizType: 'unknown',
-        hitCount: 0,
-        lastAccessed: Date.now()
-      });
+        this.journal?.record({
+          status: 'completed',
+          source: JOURNAL_SOURCES.CACHE_SIMILAR,
+          feature: USAGE_FEATURES.ANSWER,
+          host: questionData?.host ?? null,
+          provider: match.entry.answeredBy?.provider ?? null,
+          model: match.entry.answeredBy?.model ?? null,
+          latency: elapsed,
+          statusCode: null,
+          question
+        });
+
+        return {
+          answer: match.entry.answer,
+          confidence: match.entry.confidence,
+          ...match.option,
+          rationale: match.entry.rationale,
+          answeredBy: match.entry.answeredBy,
+          source: 'cache-similar',
+          similarity: Math.round(match.similarity * 100) / 100,
+          matchedQuestion: match.entry.question,
+          matchKey: match.entry.questionHash,
+          elapsed: Math.round(elapsed * 100) / 100
+        };
+      }
+
+      // Cache miss - call API, sharing the call with identical requests in flight
+      this.stats.misses++;
+      const apiResult = await this.inFlight.run(
+        hash,
+        (signal) => this.fetchAndCache(hash, question, context, questionData, signal),
+        questionData?.signal
+      );
 
       const elapsed = performance.now() - startTime;
       this.stats.totalTime += elapsed;
@@ -86,6 +156,11 @@ export class AnswerRetriever {
       return {
         answer: apiResult.answer,
         confidence: apiResult.confidence,
+        optionIndex: apiResult.optionIndex,
+        optionLetter: apiResult.optionLetter,
+        rationale: apiResult.rationale,
+        answeredBy: apiResult.answeredBy,
+        ...pickVotes(apiResult),
         source: 'api',
         elapsed: Math.round(elapsed * 100) / 100
       };
@@ -100,21 +175,177 @@ export class AnswerRetriever {
     }
   }
 
+  /**
+   * Calls the API and stores the response in the cache
+   * When the caller can cancel, the API call gets the shared signal, which
+   * aborts only once every request waiting on it has cancelled
+   *
+   * @param {string} hash - Question hash (cache key)
+   * @param {string} question - The quiz question
+   * @param {string} context - Optional context for the question
+   * @param {Object} questionData - Optional extracted question data (options)
+   * @param {AbortSignal} signal - Shared signal for the call
+   * @returns {Promise<Object>} API response
+   */
+  async fetchAndCache(hash, question, context, questionData, signal) {
+    const requestData = questionData?.signal ? { ...questionData, signal } : questionData;
+    const apiResult = await this.apiClient.getAnswer(question, context, requestData);
+
+    await this.storeAnswer(hash, question, questionData, apiResult);
+
+    return apiResult;
+  }
+
+  /**
+   * Stores an answer in the cache
+   * Image questions are not indexed for near-duplicate lookup, since their
+   * text alone ("What is shown?") says little about the question
+   *
+   * @param {string} hash - Question hash (cache key)
+   * @param {string} question - The quiz question
+   * @param {Object} questionData - Optional extracted question data (options)
+   * @param {Object} result - Answer, chosen option, confidence, rationale and answeredBy
+   * @returns {Promise<void>}
+   */
+  async storeAnswer(hash, question, questionData, result) {
+    await this.cache.set(hash, {
+      questionHash: hash,
+      question, // Original text, for display
+      normalizedQuestion: canonicalizeQuestion(question),
+      options: normalizeOptions(questionData?.options),
+      similarityBands: questionData?.images?.length ? [] : buildSimilarityBands(question),
+      answer: result.answer,
+      confidence: result.confidence,
+      optionIndex: result.optionIndex,
+      optionLetter: result.optionLetter,
+      rationale: result.rationale,
+      answeredBy: result.answeredBy,
+      ...pickVotes(result),
+      timestamp: Date.now(),
+      platform: questionData?.host || (typeof window !== 'undefined' ? window.location.hostname : 'unknown'),
+      quizType: 'unknown',
+      hitCount: 0,
+      lastAccessed: Date.now()
+    });
+  }
+
+  /**
+   * Finds the most similar cached question above the threshold
+   * Candidates come from the cache's LSH band index and are scored by exact
+   * shingle similarity. A candidate whose chosen option is not among the
+   * options shown now, or that the user rejected for this question, is skipped
+   *
+   * @param {string} hash - Question hash (cache key)
+   * @param {string} question - The quiz question
+   * @param {Object} questionData - Optional extracted question data (options)
+   * @returns {Promise<Object|null>} Matched entry, similarity and remapped option, or null
+   */
+  async findSimilar(hash, question, questionData) {
+    if (!this.similarityThreshold || typeof this.cache.findByBands !== 'function' || questionData?.images?.length) {
+      return null;
+    }
+
+    const bands = buildSimilarityBands(question);
+    if (bands.length === 0) {
+      return null;
+    }
+
+    const candidates = await this.cache.findByBands(bands, SIMILARITY_CONFIG.maxCandidates);
+    const shingles = shingleQuestion(question);
+    let best = null;
+
+    candidates.forEach(entry => {
+      if (entry.questionHash === hash || entry.rejectedMatches?.includes(hash)) {
+        return;
+      }
+
+      const similarity = jaccardSimilarity(shingles, shingleQuestion(entry.question));
+      if (similarity < this.similarityThreshold || similarity <= (best?.similarity ?? 0)) {
+        return;
+      }
+
+      const option = matchSimilarOption(entry, questionData?.options);
+      if (option) {
+        best = { entry, similarity, option };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Accepts a near-duplicate match: its answer is cached under this
+   * question, so the question is an exact hit from now on
+   *
+   * @param {string} question - The quiz question
+   * @param {string} matchKey - Key of the matched question (matchKey of the result)
+   * @param {Object} questionData - Optional extracted question data (options)
+   * @returns {Promise<void>}
+   */
+  async confirmSimilar(question, matchKey, questionData = {}) {
+    const matched = await this.cache.get(matchKey);
+    if (!matched) {
+      throw new Error('Matched question is no longer cached');
+    }
+
+    const option = matchSimilarOption(matched, questionData?.options);
+    if (!option) {
+      throw new Error('Matched answer is not among the options');
+    }
+
+    const hash = await generateQuestionKey(question, {
+      options: questionData?.options || [],
+      images: questionData?.images || []
+    });
+
+    await this.storeAnswer(hash, question, questionData, { ...matched, ...option });
+  }
+
+  /**
+   * Rejects a near-duplicate match and answers the question from the API
+   * The matched question is never offered for this question again
+   *
+   * @param {string} question - The quiz question
+   * @param {string} matchKey - Key of the matched question (matchKey of the result)
+   * @param {string} context - Optional context for the question
+   * @param {Object} questionData - Optional extracted question data (options)
+   * @returns {Promise<Object>} Result of getAnswer, from the API
+   */
+  async rejectSimilar(question, matchKey, context = null, questionData = {}) {
+    const hash = await generateQuestionKey(question, {
+      options: questionData?.options || [],
+      images: questionData?.images || []
+    });
+
+    const matched = await this.cache.get(matchKey);
+    if (matched && !matched.rejectedMatches?.includes(hash)) {
+      await this.cache.set(matchKey, {
+        ...matched,
+        rejectedMatches: [...(matched.rejectedMatches || []), hash]
+      });
+    }
+
+    return this.getAnswer(question, context, questionData, { similar: false });
+  }
+
   /**
    * Gets cache statistics
-   * Calculates hit rate, miss rate, and average response time
+   * Calculates hit rate, miss rate, and average response time, with the
+   * lookups each cache tier served when the cache reports them
    * 
    * @returns {Object} Statistics object
    */
   getStats() {
-    const total = this.stats.hits + this.stats.misses;
+    const total = this.stats.hits + this.stats.similarHits + this.stats.misses;
     return {
       hits: this.stats.hits,
+      similarHits: this.stats.similarHits,
       misses: this.stats.misses,
       total,
       hitRate: total > 0 ? (this.stats.hits / total * 100).toFixed(2) + '%' : '0%',
       missRate: total > 0 ? (this.stats.misses / total * 100).toFixed(2) + '%' : '0%',
-      avgTime: total > 0 ? (this.stats.totalTime / total).toFixed(2) + 'ms' : '0ms'
+      avgTime: total > 0 ? (this.stats.totalTime / total).toFixed(2) + 'ms' : '0ms',
+      tiers: typeof this.cache.getTierStats === 'function' ? this.cache.getTierStats() : null
     };
   }
 
@@ -124,6 +355,58 @@ export class AnswerRetriever {
    * @returns {void}
    */
   resetStats() {
-    this.stats = { hits: 0, misses: 0, totalTime: 0 };
+    this.stats = { hits: 0, similarHits: 0, misses: 0, totalTime: 0 };
+  }
+}
+
+/**
+ * Picks the self-consistency vote of an answer, when it was voted on
+ *
+ * @param {Object} result - API result or cached answer
+ * @returns {Object} votes and sampleCount, or nothing for single-call answers
+ */
+function pickVotes(result) {
+  return result.votes ? { votes: result.votes, sampleCount: result.sampleCount } : {};
+}
+
+/**
+ * Finds the cached answer's option among the options shown now
+ * The same question can list its options in another order
+ *
+ * @param {Object} cached - Cached answer with the options it was answered with
+ * @param {Array<string|Object>} options - Options shown now
+ * @returns {Object} optionIndex and optionLetter for the current order
+ */
+function matchCachedOption(cached, options) {
+  const stored = { optionIndex: cached.optionIndex, optionLetter: cached.optionLetter };
+  const chosen = cached.options?.[cached.optionIndex];
+  const current = normalizeOptions(options);
+
+  if (chosen === undefined || current.length === 0) {
+    return stored;
+  }
+
+  const index = current.findIndex(option => canonicalizeOption(option) === canonicalizeOption(chosen));
+  return index === -1 ? stored : { optionIndex: index, optionLetter: OPTION_LETTERS[index] };
+}
+
+/**
+ * Finds a near-duplicate's answer among the options shown now
+ * Unlike an exact hit, the options can differ, so a match whose answer is
+ * not one of them is no match at all
+ *
+ * @param {Object} cached - Cached answer of the similar question
+ * @param {Array<string|Object>} options - Options shown now
+ * @returns {Object|null} optionIndex and optionLetter for the current options, or null
+ */
+function matchSimilarOption(cached, options) {
+  const current = normalizeOptions(options);
+
+  if (current.length === 0) {
+    return { optionIndex: cached.optionIndex, optionLetter: cached.optionLetter };
   }
+
+  const chosen = canonicalizeOption(cached.options?.[cached.optionIndex] ?? cached.answer ?? '');
+  const index = current.findIndex(option => canonicalizeOption(option) === chosen);
+  return index === -1 ? null : { optionIndex: index, optionLetter: OPTION_LETTERS[index] };
 }
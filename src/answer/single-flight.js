@@ -0,0 +1,118 @@
+/**
+ * Single-Flight Request Sharing
+ * Lets concurrent identical requests share one in-flight call
+ */
+
+import { CancelledError } from '../api/errors.js';
+
+/**
+ * SingleFlight runs at most one call per key at a time
+ * Callers that ask for a key while its call is running join that call
+ * instead of starting another. The shared call is only aborted once every
+ * caller waiting on it has cancelled
+ */
+export class SingleFlight {
+  constructor() {
+    this.flights = new Map(); // key -> { promise, controller, waiters }
+    this.stats = { started: 0, shared: 0 };
+  }
+
+  /**
+   * Runs a call for a key, or joins the one already running
+   *
+   * @param {string} key - Identifies identical requests (e.g. question hash)
+   * @param {Function} fn - Starts the call; receives the shared AbortSignal
+   * @param {AbortSignal} [signal] - Cancels this caller's wait
+   * @returns {Promise<*>} Result of the shared call
+   * @throws {CancelledError} When this caller's signal is aborted
+   */
+  async run(key, fn, signal = null) {
+    if (signal?.aborted) {
+      throw new CancelledError();
+    }
+
+    let flight = this.flights.get(key);
+
+    // A call everyone gave up on is not worth joining
+    if (flight && !flight.controller.signal.aborted) {
+      this.stats.shared++;
+    } else {
+      flight = this.start(key, fn);
+    }
+
+    flight.waiters++;
+    return this.wait(flight, signal);
+  }
+
+  /**
+   * Starts the call for a key
+   *
+   * @param {string} key - Request key
+   * @param {Function} fn - Starts the call
+   * @returns {Object} Flight record
+   */
+  start(key, fn) {
+    const controller = new AbortController();
+    const flight = { controller, waiters: 0, promise: null };
+
+    flight.promise = Promise.resolve()
+      .then(() => fn(controller.signal))
+      .finally(() => {
+        if (this.flights.get(key) === flight) {
+          this.flights.delete(key);
+        }
+      });
+
+    this.flights.set(key, flight);
+    this.stats.started++;
+    return flight;
+  }
+
+  /**
+   * Waits for a flight on behalf of one caller
+   *
+   * @param {Object} flight - Flight record
+   * @param {AbortSignal|null} signal - Cancels this caller's wait
+   * @returns {Promise<*>} Result of the shared call
+   */
+  wait(flight, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        flight.waiters--;
+        if (flight.waiters === 0) {
+          flight.controller.abort();
+        }
+        reject(new CancelledError());
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      flight.promise.then(resolve, reject).finally(() => {
+        signal?.removeEventListener('abort', onAbort);
+      });
+    });
+  }
+
+  /**
+   * Checks whether a call for a key is running
+   *
+   * @param {string} key - Request key
+   * @returns {boolean} True while the call is in flight
+   */
+  has(key) {
+    return this.flights.has(key);
+  }
+
+  /**
+   * Gets single-flight statistics
+   *
+   * @returns {Object} Calls in flight, calls started and requests that joined one
+   */
+  getStats() {
+    return {
+      inFlight: this.flights.size,
+      started: this.stats.started,
+      shared: this.stats.shared
+    };
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Circuit Breaker for LLM Providers
+ * Stops sending requests to a provider that keeps failing, then probes it
+ * again after a cooldown
+ */
+
+import { APIError, TimeoutError, CancelledError } from './errors.js';
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',       // Requests flow normally
+  OPEN: 'open',           // Requests fail fast until the cooldown ends
+  HALF_OPEN: 'half-open'  // One probe request decides whether to close again
+};
+
+export const CIRCUIT_CONFIG = {
+  failureThreshold: 3, // Consecutive outage failures that open the circuit
+  cooldown: 30000      // How long the circuit stays open before a probe
+};
+
+/**
+ * Checks whether an error means the provider itself is unavailable
+ * Timeouts, network errors and 5xx responses count; rejected requests
+ * (4xx) and quota responses (429) show the server is up
+ *
+ * @param {Error} error - Error from a provider call
+ * @returns {boolean} True if the error counts towards opening the circuit
+ */
+export function isOutageError(error) {
+  if (error instanceof TimeoutError) {
+    return true;
+  }
+
+  return error instanceof APIError && (error.status === 0 || error.status >= 500);
+}
+
+/**
+ * CircuitBreaker tracks consecutive failures of one provider
+ * After failureThreshold outage failures the circuit opens and requests are
+ * refused without calling the provider. Once the cooldown ends a single
+ * probe is let through: success closes the circuit, failure reopens it
+ */
+export class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold ?? CIRCUIT_CONFIG.failureThreshold;
+    this.cooldown = options.cooldown ?? CIRCUIT_CONFIG.cooldown;
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Checks whether a request may be sent
+   * When the cooldown has ended, the open circuit half-opens and this call
+   * takes the single probe slot
+   *
+   * @returns {Object} Result with allowed flag and reason/retryAfter if refused
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return { allowed: true };
+    }
+
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      const retryAfter = this.openedAt + this.cooldown - Date.now();
+
+      if (retryAfter > 0) {
+        return {
+          allowed: false,
+          reason: `Provider unavailable after ${this.consecutiveFailures} consecutive failures ` +
+            `(${this.lastError}); retrying in ${Math.ceil(retryAfter / 1000)}s`,
+          retryAfter
+        };
+      }
+
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      this.probeInFlight = false;
+    }
+
+    if (this.probeInFlight) {
+      return {
+        allowed: false,
+        reason: 'Provider unavailable; waiting for a probe request to finish',
+        retryAfter: null
+      };
+    }
+
+    this.probeInFlight = true;
+    return { allowed: true };
+  }
+
+  /**
+   * Records a completed request
+   *
+   * @returns {void}
+   */
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      console.log('✅ Provider recovered; circuit closed');
+    }
+
+    this.reset();
+  }
+
+  /**
+   * Records a failed request
+   * Errors that show the provider is reachable count as a success; a
+   * cancelled request only frees the probe slot
+   *
+   * @param {Error} error - Error from the provider call
+   * @returns {void}
+   */
+  recordFailure(error) {
+    if (error instanceof CancelledError) {
+      this.probeInFlight = false;
+      return;
+    }
+
+    if (!isOutageError(error)) {
+      this.recordSuccess();
+      return;
+    }
+
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+    this.probeInFlight = false;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== CIRCUIT_STATES.OPEN) {
+        console.warn(`⚠️ Provider failing (${error.message}); circuit open for ${this.cooldown / 1000}s`);
+      }
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Gets the circuit state for display
+   *
+   * @returns {Object} State, failure count, last error and time until the next probe
+   */
+  getStats() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError,
+      retryAfter: this.state === CIRCUIT_STATES.OPEN
+        ? Math.max(0, this.openedAt + this.cooldown - Date.now())
+        : null
+    };
+  }
+
+  /**
+   * Closes the circuit and clears the failure count
+   *
+   * @returns {void}
+   */
+  reset() {
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Confidence Estimator
+ * Combines answer quality signals into a calibrated 0-100 confidence score
+ */
+
+/**
+ * Relative weight of each signal
+ * Weights of missing signals are redistributed over the available ones
+ */
+export const CONFIDENCE_WEIGHTS = {
+  selfReported: 0.35,
+  agreement: 0.3,
+  logprob: 0.25,
+  optionMatch: 0.1
+};
+
+export const CONFIDENCE_CALIBRATION = {
+  selfReportShrink: 0.8,    // Models overstate confidence; pull self-reports toward 50%
+  noOptionMatchScore: 0.3,  // Answer matches none of the extracted options
+  multiOptionMatchScore: 0.2, // Answer is ambiguous between several options
+  defaultConfidence: 50     // No signals available
+};
+
+/**
+ * @typedef {Object} ConfidenceSignals
+ * @property {number|null} [selfReported] - Model's own confidence (0-100)
+ * @property {number|null} [agreement] - Fraction of samples agreeing with the answer (0-1)
+ * @property {number} [sampleCount] - Number of samples the agreement is based on
+ * @property {number|null} [avgLogprob] - Mean token log-probability of the answer
+ * @property {number|null} [optionMatches] - Number of extracted options the answer matches
+ */
+
+/**
+ * Normalizes text for option comparison
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string} Lower-cased text without punctuation or extra whitespace
+ */
+function normalizeText(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Counts how many extracted options an answer matches
+ * An option matches when the answer equals it or contains it as whole words
+ *
+ * @param {string} answer - The answer text
+ * @param {Array<string>} options - Option texts
+ * @param {number} optionIndex - Index of the option the model chose (-1 if none)
+ * @returns {number|null} Match count, or null when there are no options
+ */
+export function countOptionMatches(answer, options = [], optionIndex = -1) {
+  if (!Array.isArray(options) || options.length === 0) {
+    return null;
+  }
+
+  const normalizedAnswer = normalizeText(answer || '');
+  const paddedAnswer = ` ${normalizedAnswer} `;
+
+  const matches = options.filter(option => {
+    const normalizedOption = normalizeText(option);
+    if (!normalizedOption) {
+      return false;
+    }
+    return normalizedOption === normalizedAnswer || paddedAnswer.includes(` ${normalizedOption} `);
+  }).length;
+
+  // A valid option index is an unambiguous match even if the texts differ
+  if (matches === 0 && Number.isInteger(optionIndex) && optionIndex >= 0 && optionIndex < options.length) {
+    return 1;
+  }
+
+  return matches;
+}
+
+/**
+ * Converts a mean token log-probability to a 0-1 score
+ *
+ * @param {number} avgLogprob - Mean log-probability (<= 0)
+ * @returns {number} Geometric mean token probability
+ */
+export function logprobToScore(avgLogprob) {
+  return Math.min(1, Math.exp(Math.min(0, avgLogprob)));
+}
+
+/**
+ * Maps each available signal to a 0-1 score
+ *
+ * @param {ConfidenceSignals} signals - Raw signals
+ * @returns {Object} Scores keyed by signal name (missing signals omitted)
+ */
+export function scoreSignals(signals = {}) {
+  const scores = {};
+
+  if (typeof signals.selfReported === 'number' && !Number.isNaN(signals.selfReported)) {
+    const reported = Math.min(100, Math.max(0, signals.selfReported)) / 100;
+    scores.selfReported = 0.5 + (reported - 0.5) * CONFIDENCE_CALIBRATION.selfReportShrink;
+  }
+
+  if (typeof signals.agreement === 'number' && (signals.sampleCount || 0) > 1) {
+    scores.agreement = Math.min(1, Math.max(0, signals.agreement));
+  }
+
+  if (typeof signals.avgLogprob === 'number' && !Number.isNaN(signals.avgLogprob)) {
+    scores.logprob = logprobToScore(signals.avgLogprob);
+  }
+
+  if (typeof signals.optionMatches === 'number') {
+    if (signals.optionMatches === 1) {
+      scores.optionMatch = 1;
+    } else if (signals.optionMatches === 0) {
+      scores.optionMatch = CONFIDENCE_CALIBRATION.noOptionMatchScore;
+    } else {
+      scores.optionMatch = CONFIDENCE_CALIBRATION.multiOptionMatchScore;
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Estimates a calibrated confidence score from available signals
+ *
+ * @param {ConfidenceSignals} signals - Raw signals
+ * @returns {Object} Result with confidence (0-100 integer) and per-signal scores
+ */
+export function estimateConfidence(signals = {}) {
+  const scores = scoreSignals(signals);
+  const names = Object.keys(scores);
+
+  if (names.length === 0) {
+    return {
+      confidence: CONFIDENCE_CALIBRATION.defaultConfidence,
+      scores
+    };
+  }
+
+  const totalWeight = names.reduce((sum, name) => sum + CONFIDENCE_WEIGHTS[name], 0);
+  const combined = names.reduce((sum, name) => sum + scores[name] * CONFIDENCE_WEIGHTS[name], 0) / totalWeight;
+
+  return {
+    confidence: Math.round(Math.min(1, Math.max(0, combined)) * 100),
+    scores
+  };
+}
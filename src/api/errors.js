@@ -4,11 +4,12 @@
  */
 
 export class APIError extends Error {
-  constructor(message, status, details) {
+  constructor(message, status, details, retryAfter = null) {
     super(message);
     this.name = 'APIError';
     this.status = status;
     this.details = details;
+    this.retryAfter = retryAfter; // Server-requested wait in ms, if any
   }
 }
 
@@ -20,9 +21,90 @@ export class TimeoutError extends Error {
 }
 
 export class ParseError extends Error {
-  constructor(message, originalError) {
+  constructor(message, originalError, rawText = null) {
     super(message);
     this.name = 'ParseError';
     this.originalError = originalError;
+    this.rawText = rawText;
   }
 }
+
+export class RateLimitError extends Error {
+  constructor(message, retryAfter = null) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(message, retryAfter = null) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.retryAfter = retryAfter; // Time until the provider is probed again, in ms
+  }
+}
+
+export class CancelledError extends Error {
+  constructor(message = 'Request cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * Reads how long the server asked us to wait before retrying
+ * Gemini sends a google.rpc.RetryInfo detail in the error body (e.g.
+ * "retryDelay": "37s"); other servers send a Retry-After header in seconds
+ * or as an HTTP date
+ *
+ * @param {string|null} retryAfterHeader - Retry-After header value
+ * @param {string} details - Error response body
+ * @returns {number|null} Wait in milliseconds, or null if the server gave none
+ */
+export function parseRetryAfter(retryAfterHeader, details) {
+  try {
+    const body = JSON.parse(details);
+    const retryInfo = (body?.error?.details || []).find(detail => {
+      return String(detail?.['@type'] || '').endsWith('google.rpc.RetryInfo');
+    });
+    const seconds = parseFloat(retryInfo?.retryDelay);
+
+    if (Number.isFinite(seconds)) {
+      return Math.round(seconds * 1000);
+    }
+  } catch (error) {
+    // Not a JSON error body
+  }
+
+  if (retryAfterHeader) {
+    const seconds = Number(retryAfterHeader);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(retryAfterHeader);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Builds an APIError from a failed fetch response
+ *
+ * @param {Response} response - Non-ok fetch response
+ * @returns {Promise<APIError>} Error with status, body and retryAfter
+ */
+export async function createAPIError(response) {
+  const details = await response.text();
+
+  return new APIError(
+    `API Error: ${response.status}`,
+    response.status,
+    details,
+    parseRetryAfter(response.headers?.get?.('retry-after') ?? null, details)
+  );
+}
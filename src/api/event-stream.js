@@ -0,0 +1,85 @@
+/**
+ * Event Stream Reader
+ * Parses server-sent event (SSE) responses from streaming endpoints
+ */
+
+const DONE_SENTINEL = '[DONE]'; // OpenAI-style end-of-stream marker
+const EVENT_BOUNDARY = /\r?\n\r?\n/;
+
+/**
+ * Extracts the data payload of a single SSE event
+ * Multiple data lines are joined with newlines; comments and other fields are ignored
+ *
+ * @param {string} rawEvent - Event text without the trailing blank line
+ * @returns {string|null} Data payload, or null if the event has none
+ */
+export function parseEventData(rawEvent) {
+  const lines = rawEvent
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).replace(/^ /, ''));
+
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+/**
+ * Reads JSON chunks from a streaming fetch response
+ * Servers that ignore the stream request and answer with a single JSON
+ * document are handled by yielding that document once
+ *
+ * @param {Response} response - fetch response
+ * @returns {AsyncGenerator<Object>} Parsed JSON chunks
+ */
+export async function* readEventStream(response) {
+  const contentType = response.headers?.get?.('content-type') || '';
+
+  if (!contentType.includes('text/event-stream') || !response.body?.getReader) {
+    yield await response.json();
+    return;
+  }
+
+  const reader = response.body.getReader();
+  let decoder = null;
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+
+      if (done) {
+        break;
+      }
+
+      if (typeof value === 'string') {
+        buffer += value;
+      } else {
+        decoder = decoder || new TextDecoder();
+        buffer += decoder.decode(value, { stream: true });
+      }
+
+      let boundary = EVENT_BOUNDARY.exec(buffer);
+      while (boundary) {
+        const rawEvent = buffer.slice(0, boundary.index);
+        buffer = buffer.slice(boundary.index + boundary[0].length);
+
+        const data = parseEventData(rawEvent);
+        if (data === DONE_SENTINEL) {
+          return;
+        }
+        if (data) {
+          yield JSON.parse(data);
+        }
+
+        boundary = EVENT_BOUNDARY.exec(buffer);
+      }
+    }
+
+    // Final event may not be followed by a blank line
+    const data = parseEventData(buffer.trim());
+    if (data && data !== DONE_SENTINEL) {
+      yield JSON.parse(data);
+    }
+  } finally {
+    reader.releaseLock?.();
+  }
+}
@@ -3,76 +3,108 @@
  * Handles communication with Google's Gemini API for answer generation
  */
 
-import { APIError, TimeoutError, ParseError } from './errors.js';
+import { TimeoutError, CancelledError, createAPIError } from './errors.js';
+import { LLMProvider, PROVIDER_CAPABILITIES } from './provider.js';
+import { ANSWER_SCHEMA, BATCH_ANSWER_SCHEMA } from './structured-response.js';
+import { isAuthFailure } from './key-pool.js';
 
 export const GEMINI_CONFIG = {
+  apiBase: 'https://generativelanguage.googleapis.com/v1beta/models', // Overridden with options.apiBase (e.g. testing/mock-gemini-server.js)
   endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
+  model: 'gemini-2.5-flash',
   timeout: 5000,
   maxRetries: 2,
-  retryDelays: [1000, 2000]
+  retryDelays: [1000, 2000],
+  streamIdleTimeout: 15000,
+  logprobs: false // Not every Gemini model accepts responseLogprobs
 };
 
 /**
  * GeminiClient manages API communication with Gemini 1.5 Flash
+ * Implements the LLMProvider contract for the generateContent endpoint
  */
-export class GeminiClient {
-  constructor(apiKey) {
-    if (!apiKey) {
+export class GeminiClient extends LLMProvider {
+  constructor(apiKey, options = {}) {
+    if (!apiKey && !options.keyPool) {
       throw new Error('API key is required');
     }
-    this.apiKey = apiKey;
-    this.endpoint = GEMINI_CONFIG.endpoint;
-    this.timeout = GEMINI_CONFIG.timeout;
-    this.maxRetries = GEMINI_CONFIG.maxRetries;
+
+    super({
+      name: 'gemini',
+      model: options.model || GEMINI_CONFIG.model,
+      timeout: options.timeout ?? GEMINI_CONFIG.timeout,
+      maxRetries: options.maxRetries ?? GEMINI_CONFIG.maxRetries,
+      retryDelays: options.retryDelays || GEMINI_CONFIG.retryDelays,
+      streamIdleTimeout: options.streamIdleTimeout ?? GEMINI_CONFIG.streamIdleTimeout,
+      promptTemplates: options.promptTemplates
+    });
+
+    this.apiKey = apiKey || null;
+    this.keyPool = options.keyPool || null; // ApiKeyPool rotating several keys
+    // Other models (e.g. fallback flash-lite) and other servers get their own generateContent endpoint
+    this.endpoint = options.endpoint || (options.model || options.apiBase
+      ? `${(options.apiBase || GEMINI_CONFIG.apiBase).replace(/\/+$/, '')}/${options.model || GEMINI_CONFIG.model}:generateContent`
+      : GEMINI_CONFIG.endpoint);
+    this.requestLogprobs = options.logprobs ?? GEMINI_CONFIG.logprobs;
+    this.capabilities = {
+      [PROVIDER_CAPABILITIES.STRUCTURED_OUTPUT]: true,
+      [PROVIDER_CAPABILITIES.STREAMING]: true,
+      [PROVIDER_CAPABILITIES.MULTIMODAL]: true,
+      [PROVIDER_CAPABILITIES.LOGPROBS]: this.requestLogprobs
+    };
   }
 
   /**
-   * Gets an answer from Gemini for a quiz question
-   * Implements retry logic with exponential backoff
-   * 
-   * @param {string} question - The quiz question
-   * @param {string} context - Optional context for the question
-   * @returns {Promise<Object>} AIResponse with answer, confidence, explanation, error
+   * Builds the generateContent request body
+   * Structured calls request a JSON response matching ANSWER_SCHEMA
+   * (BATCH_ANSWER_SCHEMA for batched questions)
+   *
+   * @param {string} prompt - The prompt to send
+   * @param {Object} callOptions - Per-call options
+   * @returns {Object} Request body
    */
-  async getAnswer(question, context = null) {
-    if (!question || typeof question !== 'string') {
-      throw new Error('Question must be a non-empty string');
-    }
+  buildRequestBody(prompt, callOptions = {}) {
+    const parts = [{
+      text: prompt
+    }];
 
-    const prompt = this.buildPrompt(question, context);
-
-    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
-      try {
-        const response = await this.callAPI(prompt);
-        return this.parseResponse(response);
-      } catch (error) {
-        if (attempt === this.maxRetries) {
-          throw error;
+    (callOptions.images || []).forEach(image => {
+      parts.push({
+        inlineData: {
+          mimeType: image.mimeType,
+          data: image.data
         }
+      });
+    });
 
-        // Retry with exponential backoff
-        const delay = GEMINI_CONFIG.retryDelays[attempt];
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+    const body = {
+      contents: [{
+        parts
+      }]
+    };
+
+    if (callOptions.structured) {
+      body.generationConfig = {
+        responseMimeType: 'application/json',
+        responseSchema: toGeminiSchema(callOptions.batch ? BATCH_ANSWER_SCHEMA : ANSWER_SCHEMA)
+      };
     }
-  }
 
-  /**
-   * Builds the prompt for the API call
-   * 
-   * @param {string} question - The quiz question
-   * @param {string} context - Optional context
-   * @returns {string} Formatted prompt
-   */
-  buildPrompt(question, context) {
-    let prompt = `Answer this quiz question concisely:\n\n${question}`;
+    if (this.requestLogprobs) {
+      body.generationConfig = {
+        ...body.generationConfig,
+        responseLogprobs: true
+      };
+    }
 
-    if (context) {
-      prompt += `\n\nContext: ${context}`;
+    if (typeof callOptions.temperature === 'number') {
+      body.generationConfig = {
+        ...body.generationConfig,
+        temperature: callOptions.temperature
+      };
     }
 
-    prompt += '\n\nProvide only the answer, no explanation.';
-    return prompt;
+    return body;
   }
 
   /**
@@ -80,73 +112,199 @@ export class GeminiClient {
    * Implements timeout handling
    * 
    * @param {string} prompt - The prompt to send
+   * @param {Object} callOptions - Per-call options (signal cancels the request)
    * @returns {Promise<Object>} API response
    */
-  async callAPI(prompt) {
+  async callAPI(prompt, callOptions = {}) {
+    if (callOptions.signal?.aborted) {
+      throw new CancelledError();
+    }
+
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const cancel = () => controller.abort();
+    callOptions.signal?.addEventListener('abort', cancel);
 
     try {
-      const response = await fetch(`${this.endpoint}?key=${this.apiKey}`, {
+      const response = await this.fetchWithKey(key => `${this.endpoint}?key=${key}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }]
-        }),
+        body: JSON.stringify(this.buildRequestBody(prompt, callOptions)),
         signal: controller.signal
       });
 
       clearTimeout(timeoutId);
 
       if (!response.ok) {
-        const details = await response.text();
-        throw new APIError(
-          `API Error: ${response.status}`,
-          response.status,
-          details
-        );
+        throw await createAPIError(response);
       }
 
       return await response.json();
     } catch (error) {
       clearTimeout(timeoutId);
 
+      if (callOptions.signal?.aborted) {
+        throw new CancelledError();
+      }
+
       if (error.name === 'AbortError') {
-        throw new TimeoutError('API request timeout (5s)');
+        throw new TimeoutError(`API request timeout (${this.timeout / 1000}s)`);
       }
 
       throw error;
+    } finally {
+      callOptions.signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Gets the API key for the next request
+   *
+   * @returns {string} API key (the pool's selected key when rotating)
+   */
+  getApiKey() {
+    return this.keyPool ? this.keyPool.getKey() : this.apiKey;
+  }
+
+  /**
+   * Sends a request with the current API key
+   * With a key pool, a key refused with 401/403 is skipped and the request
+   * is repeated with the next key; the refusal is returned once none are left
+   *
+   * @param {Function} buildUrl - Builds the request URL for a key
+   * @param {Object} init - fetch options
+   * @returns {Promise<Response>} fetch response
+   */
+  async fetchWithKey(buildUrl, init) {
+    let key = this.getApiKey();
+
+    while (true) {
+      const response = await fetch(buildUrl(key), init);
+
+      if (!this.keyPool || !isAuthFailure(response.status)) {
+        return response;
+      }
+
+      const nextKey = this.keyPool.reportAuthFailure(key, response.status);
+      if (!nextKey) {
+        return response;
+      }
+      key = nextKey;
+    }
+  }
+
+  /**
+   * Gets the streamGenerateContent endpoint matching the configured model endpoint
+   *
+   * @returns {string} Streaming endpoint URL
+   */
+  getStreamEndpoint() {
+    return this.endpoint.replace(/:generateContent$/, ':streamGenerateContent');
+  }
+
+  /**
+   * Opens a streamGenerateContent request
+   * alt=sse makes Gemini send each chunk as a server-sent event
+   *
+   * @param {string} prompt - The prompt to send
+   * @param {Object} callOptions - Per-call options
+   * @param {AbortSignal} signal - Aborts the request
+   * @returns {Promise<Response>} Streaming response
+   */
+  async openStream(prompt, callOptions = {}, signal) {
+    const response = await this.fetchWithKey(key => `${this.getStreamEndpoint()}?alt=sse&key=${key}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(this.buildRequestBody(prompt, callOptions)),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await createAPIError(response);
     }
+
+    return response;
   }
 
   /**
-   * Parses the API response
+   * Extracts the generated text from the API response
    * 
    * @param {Object} response - The API response
-   * @returns {Object} Parsed AIResponse
+   * @returns {string|undefined} Generated text
    */
-  parseResponse(response) {
-    try {
-      const content = response.candidates?.[0]?.content?.parts?.[0]?.text;
+  extractText(response) {
+    return response.candidates?.[0]?.content?.parts?.[0]?.text;
+  }
 
-      if (!content) {
-        throw new Error('Invalid API response format');
-      }
+  /**
+   * Extracts the candidate's mean token log-probability
+   * Only present when responseLogprobs was requested
+   *
+   * @param {Object} response - The API response
+   * @returns {number|null} Mean log-probability
+   */
+  extractLogprob(response) {
+    const avgLogprobs = response.candidates?.[0]?.avgLogprobs;
+    return typeof avgLogprobs === 'number' ? avgLogprobs : null;
+  }
 
-      return {
-        answer: content.trim(),
-        confidence: 85,
-        explanation: null,
-        error: null
-      };
-    } catch (error) {
-      throw new ParseError('Failed to parse API response', error);
+  /**
+   * Extracts token counts from usageMetadata
+   * Streamed responses repeat the running totals, so the last chunk wins
+   *
+   * @param {Object} response - The API response or stream chunk
+   * @returns {Object|null} Token usage ({ promptTokens, outputTokens, totalTokens })
+   */
+  extractUsage(response) {
+    const metadata = response.usageMetadata;
+
+    if (!metadata) {
+      return null;
     }
+
+    const promptTokens = metadata.promptTokenCount || 0;
+    const outputTokens = (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0);
+
+    return {
+      promptTokens,
+      outputTokens,
+      totalTokens: metadata.totalTokenCount ?? promptTokens + outputTokens
+    };
+  }
+}
+
+/**
+ * Converts a JSON schema to Gemini's OpenAPI schema subset
+ * Gemini expects upper-case type names and rejects unknown keywords
+ *
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Gemini response schema
+ */
+function toGeminiSchema(schema) {
+  const converted = { type: schema.type.toUpperCase() };
+
+  if (schema.description) {
+    converted.description = schema.description;
   }
+
+  if (schema.properties) {
+    converted.properties = {};
+    Object.entries(schema.properties).forEach(([key, value]) => {
+      converted.properties[key] = toGeminiSchema(value);
+    });
+  }
+
+  if (schema.items) {
+    converted.items = toGeminiSchema(schema.items);
+  }
+
+  if (schema.required) {
+    converted.required = [...schema.required];
+  }
+
+  return converted;
 }
@@ -3,5 +3,18 @@
  * Central export point for API modules
  */
 
+export { LLMProvider, PROVIDER_CAPABILITIES, PROVIDER_DEFAULTS, PROMPT_LEAD_INS } from './provider.js';
 export { GeminiClient, GEMINI_CONFIG } from './gemini-client.js';
-export { APIError, TimeoutError, ParseError } from './errors.js';
+export { OpenAICompatibleClient, OPENAI_COMPATIBLE_CONFIG } from './openai-compatible-client.js';
+export { registerProvider, createProvider, getRegisteredProviders, DEFAULT_PROVIDER } from './provider-registry.js';
+export { ANSWER_SCHEMA, BATCH_ANSWER_SCHEMA, parseStructuredAnswer, parseBatchAnswers, parseJsonPayload, repairJSON, validateStructuredAnswer, extractPartialAnswer } from './structured-response.js';
+export { readEventStream } from './event-stream.js';
+export { PromptTemplateRegistry, DEFAULT_PROMPT_TEMPLATES, EXPLANATION_TEMPLATE, TEMPLATE_VARIABLES, renderTemplate } from './prompt-templates.js';
+export { estimateConfidence, countOptionMatches, CONFIDENCE_WEIGHTS } from './confidence-estimator.js';
+export { SelfConsistencyVoter, SELF_CONSISTENCY_CONFIG } from './self-consistency.js';
+export { UsageTracker, USAGE_FEATURES, MODEL_PRICING, estimateCost, sumUsage } from './usage-tracker.js';
+export { ApiKeyPool, KEY_STATUS, maskApiKey } from './key-pool.js';
+export { createModelChain, parseModelChainEntry, formatModelChainEntry } from './model-chain.js';
+export { RequestJournal, JOURNAL_CONFIG, JOURNAL_SOURCES, JOURNAL_FIELDS, createJournalEntry, matchesJournalFilter, formatJournalCSV, exportJournal } from './request-journal.js';
+export { CircuitBreaker, CIRCUIT_STATES, CIRCUIT_CONFIG, isOutageError } from './circuit-breaker.js';
+export { APIError, TimeoutError, ParseError, RateLimitError, CircuitOpenError, CancelledError, parseRetryAfter, createAPIError } from './errors.js';
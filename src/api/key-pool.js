@@ -0,0 +1,287 @@
+/**
+ * API Key Pool
+ * Rotates requests across several API keys, each with its own quota
+ */
+
+import { RateLimiter } from './rate-limiter.js';
+import { fnv1a } from '../caching/hash-utils.js';
+
+export const KEY_STATUS = {
+  ACTIVE: 'active',
+  REJECTED: 'rejected' // The API answered 401/403 for this key
+};
+
+const AUTH_FAILURE_STATUSES = [401, 403];
+
+/**
+ * Masks an API key for display, keeping the last four characters
+ *
+ * @param {string} key - API key
+ * @returns {string} Masked key (e.g. "…x1Yz")
+ */
+export function maskApiKey(key) {
+  return `…${String(key).slice(-4)}`;
+}
+
+/**
+ * Derives a stable, non-reversible identifier for a key (FNV-1a hash)
+ * Used to name per-key state in storage without storing the key again
+ *
+ * @param {string} key - API key
+ * @returns {string} Hex fingerprint
+ */
+export function fingerprintApiKey(key) {
+  return fnv1a(key).toString(16).padStart(8, '0');
+}
+
+/**
+ * Checks whether an HTTP status means the key itself was refused
+ *
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for 401 and 403
+ */
+export function isAuthFailure(status) {
+  return AUTH_FAILURE_STATUSES.includes(status);
+}
+
+/**
+ * ApiKeyPool distributes requests across API keys round-robin
+ * Each key has its own per-minute and per-day counters. The pool exposes
+ * the RateLimiter interface, so RequestQueue and SelfConsistencyVoter use
+ * it in place of a single limiter: waitForSlot() picks the key for the next
+ * request and recordRequest() charges it to that key
+ */
+export class ApiKeyPool {
+  constructor(keys = [], options = {}) {
+    const uniqueKeys = [...new Set(keys.filter(Boolean))];
+
+    if (uniqueKeys.length === 0) {
+      throw new Error('At least one API key is required');
+    }
+
+    const createRateLimiter = options.createRateLimiter || (() => new RateLimiter());
+
+    this.entries = uniqueKeys.map(key => ({
+      key,
+      id: maskApiKey(key),
+      rateLimiter: createRateLimiter(key),
+      status: KEY_STATUS.ACTIVE,
+      lastError: null
+    }));
+    this.cursor = 0;
+    this.current = this.entries[0];
+  }
+
+  /**
+   * Restores every key's persisted quota state
+   *
+   * @returns {Promise<void>}
+   */
+  async load() {
+    await Promise.all(this.entries.map(entry => entry.rateLimiter.load?.()));
+  }
+
+  /**
+   * Gets the keys that have not been rejected
+   *
+   * @returns {Array<Object>} Active key entries
+   */
+  getActiveEntries() {
+    return this.entries.filter(entry => entry.status === KEY_STATUS.ACTIVE);
+  }
+
+  /**
+   * Checks whether any active key has quota left
+   * When none does, reports the key that frees up soonest
+   *
+   * @returns {Promise<Object>} Result with allowed flag and reason/retryAfter if denied
+   */
+  async checkLimit() {
+    const active = this.getActiveEntries();
+
+    if (active.length === 0) {
+      return {
+        allowed: false,
+        reason: 'All API keys were rejected (401/403)',
+        retryAfter: null
+      };
+    }
+
+    let soonest = null;
+    for (const entry of active) {
+      const result = await entry.rateLimiter.checkLimit();
+      if (result.allowed) {
+        return result;
+      }
+      if (!soonest || result.retryAfter < soonest.retryAfter) {
+        soonest = result;
+      }
+    }
+
+    return {
+      ...soonest,
+      reason: `${soonest.reason} on all ${active.length} API keys`
+    };
+  }
+
+  /**
+   * Picks the next active key with quota left, round-robin
+   * Falls back to the current key when every key is exhausted
+   *
+   * @returns {Promise<Object>} Selected key entry
+   */
+  async selectNext() {
+    for (let offset = 0; offset < this.entries.length; offset++) {
+      const index = (this.cursor + offset) % this.entries.length;
+      const entry = this.entries[index];
+
+      if (entry.status !== KEY_STATUS.ACTIVE) {
+        continue;
+      }
+
+      const result = await entry.rateLimiter.checkLimit();
+      if (result.allowed) {
+        this.cursor = (index + 1) % this.entries.length;
+        this.current = entry;
+        return entry;
+      }
+    }
+
+    return this.current;
+  }
+
+  /**
+   * Selects the key for the next request and waits for its slot
+   *
+   * @returns {Promise<void>}
+   */
+  async waitForSlot() {
+    const entry = await this.selectNext();
+    await entry.rateLimiter.waitForSlot();
+  }
+
+  /**
+   * Records a request against the selected key
+   *
+   * @returns {Promise<void>}
+   */
+  async recordRequest() {
+    await this.current.rateLimiter.recordRequest();
+  }
+
+  /**
+   * Records a throttling response against the selected key
+   *
+   * @param {number|null} retryAfter - Server-requested wait in ms
+   * @returns {number} Pause duration in ms
+   */
+  reportThrottle(retryAfter = null) {
+    return this.current.rateLimiter.reportThrottle(retryAfter);
+  }
+
+  /**
+   * Records a successful request against the selected key
+   *
+   * @returns {void}
+   */
+  reportSuccess() {
+    this.current.rateLimiter.reportSuccess();
+  }
+
+  /**
+   * Gets the key selected for the current request
+   *
+   * @returns {string} API key
+   */
+  getKey() {
+    return this.current.key;
+  }
+
+  /**
+   * Marks a key as rejected after a 401/403 and switches to another key
+   *
+   * @param {string} key - The rejected key
+   * @param {number} status - HTTP status returned for the key
+   * @returns {string|null} Key to retry with, or null if none are left
+   */
+  reportAuthFailure(key, status) {
+    const entry = this.entries.find(candidate => candidate.key === key);
+
+    if (entry && entry.status === KEY_STATUS.ACTIVE) {
+      entry.status = KEY_STATUS.REJECTED;
+      entry.lastError = `HTTP ${status}`;
+      console.warn(`⚠️ API key ${entry.id} was rejected (HTTP ${status}); skipping it`);
+    }
+
+    const next = this.getActiveEntries()[0];
+    if (!next) {
+      return null;
+    }
+
+    this.current = next;
+    return next.key;
+  }
+
+  /**
+   * Gets combined quota across active keys
+   * Shaped like RateLimiter.getStats() so callers can budget requests
+   *
+   * @returns {Object} Statistics object with per-key breakdown in keys
+   */
+  getStats() {
+    const keys = this.getKeyStats();
+    const active = keys.filter(key => key.status === KEY_STATUS.ACTIVE);
+    const sum = (field) => active.reduce((total, key) => total + key[field], 0);
+
+    return {
+      requestsThisMinute: sum('requestsThisMinute'),
+      perMinuteLimit: sum('perMinuteLimit'),
+      minuteRemaining: sum('minuteRemaining'),
+      dailyCount: sum('dailyCount'),
+      perDayLimit: sum('perDayLimit'),
+      dailyRemaining: sum('dailyRemaining'),
+      dailyResetTime: Math.min(...keys.map(key => key.dailyResetTime)),
+      keys
+    };
+  }
+
+  /**
+   * Gets the quota of the key selected for the current request
+   * Requests issued together, like self-consistency samples, all go out on
+   * this key, so they must fit its quota rather than the pool's
+   *
+   * @returns {Object} The selected key's RateLimiter statistics
+   */
+  getCurrentStats() {
+    return this.current.rateLimiter.getStats();
+  }
+
+  /**
+   * Gets each key's status and remaining quota
+   *
+   * @returns {Array<Object>} Per-key statistics (keys are masked)
+   */
+  getKeyStats() {
+    return this.entries.map(entry => ({
+      id: entry.id,
+      status: entry.status,
+      lastError: entry.lastError,
+      ...entry.rateLimiter.getStats()
+    }));
+  }
+
+  /**
+   * Resets every key's counters and clears rejections
+   *
+   * @returns {void}
+   */
+  reset() {
+    this.entries.forEach(entry => {
+      entry.rateLimiter.reset();
+      entry.status = KEY_STATUS.ACTIVE;
+      entry.lastError = null;
+    });
+    this.cursor = 0;
+    this.current = this.entries[0];
+  }
+}
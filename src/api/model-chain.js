@@ -0,0 +1,113 @@
+/**
+ * Model Fallback Chain
+ * Ordered provider/model pairs that RequestQueue falls through when
+ * a model is rate limited, over quota or failing
+ */
+
+import { createProvider } from './provider-registry.js';
+import { RateLimiter } from './rate-limiter.js';
+import { ApiKeyPool, fingerprintApiKey } from './key-pool.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { GEMINI_CONFIG } from './gemini-client.js';
+
+/**
+ * Provider types whose requests count against a hosted quota
+ * Local servers are not rate limited
+ */
+const RATE_LIMITED_PROVIDERS = ['gemini'];
+
+/**
+ * @typedef {Object} ModelChainEntry
+ * @property {Object} apiClient - LLM provider (or wrapper) with getAnswer()
+ * @property {RateLimiter|ApiKeyPool|null} rateLimiter - Quota tracker, or null for unlimited
+ * @property {CircuitBreaker} circuitBreaker - Stops calling the model while it is down
+ */
+
+/**
+ * Parses a fallback entry written as "type:model" or "type:model@baseUrl"
+ * e.g. "gemini:gemini-2.5-flash-lite" or "openai-compatible:llama3.1@http://localhost:11434/v1"
+ *
+ * @param {string} text - Entry text
+ * @returns {Object} Provider config with type, model and optional baseUrl
+ */
+export function parseModelChainEntry(text) {
+  const match = /^\s*([\w-]+)\s*:\s*([^@\s]+)(?:@(\S+))?\s*$/.exec(text || '');
+  if (!match) {
+    throw new Error(`Invalid fallback entry "${text}" (expected type:model or type:model@baseUrl)`);
+  }
+
+  const config = { type: match[1], model: match[2] };
+  if (match[3]) {
+    config.baseUrl = match[3];
+  }
+
+  return config;
+}
+
+/**
+ * Formats a fallback provider config as "type:model[@baseUrl]"
+ *
+ * @param {Object} config - Provider config
+ * @returns {string} Entry text
+ */
+export function formatModelChainEntry(config) {
+  return `${config.type}:${config.model}${config.baseUrl ? `@${config.baseUrl}` : ''}`;
+}
+
+/**
+ * Creates the model chain for RequestQueue from provider settings
+ * Fallback Gemini entries reuse the primary Gemini API key. With several
+ * keys, each Gemini model gets its own ApiKeyPool, since quotas are tracked
+ * per key and per model. Limiters persist their state under a key derived
+ * from the model (and API key); call load() on them to restore it
+ *
+ * @param {Object} primaryConfig - Primary provider config (createProvider format)
+ * @param {Array<Object>} fallbackConfigs - Fallback provider configs, in order
+ * @param {Object} shared - Settings shared by every entry
+ * @param {string} [shared.geminiApiKey] - Gemini API key
+ * @param {Array<string>} [shared.geminiApiKeys] - Gemini API keys to rotate through
+ * @param {string} [shared.geminiApiBase] - Gemini API base URL (defaults to Google's)
+ * @param {Object} [shared.promptTemplates] - PromptTemplateRegistry
+ * @returns {Array<ModelChainEntry>} Chain entries, primary first
+ */
+export function createModelChain(primaryConfig, fallbackConfigs = [], shared = {}) {
+  return [primaryConfig, ...fallbackConfigs].map((config) => {
+    const entryConfig = {
+      ...config,
+      promptTemplates: shared.promptTemplates
+    };
+
+    if (entryConfig.type === 'gemini' && !entryConfig.apiBase && shared.geminiApiBase) {
+      entryConfig.apiBase = shared.geminiApiBase;
+    }
+
+    const storagePrefix = `rateLimiter:${entryConfig.type}:${entryConfig.model || GEMINI_CONFIG.model}`;
+
+    if (entryConfig.type === 'gemini' && !entryConfig.apiKey) {
+      const keys = shared.geminiApiKeys?.length ? shared.geminiApiKeys : [shared.geminiApiKey];
+
+      if (new Set(keys.filter(Boolean)).size > 1) {
+        const keyPool = new ApiKeyPool(keys, {
+          createRateLimiter: key => new RateLimiter({ storageKey: `${storagePrefix}:${fingerprintApiKey(key)}` })
+        });
+        return {
+          apiClient: createProvider({ ...entryConfig, keyPool }),
+          rateLimiter: keyPool,
+          circuitBreaker: new CircuitBreaker()
+        };
+      }
+
+      entryConfig.apiKey = keys[0];
+    }
+
+    const storageKey = entryConfig.apiKey ? `${storagePrefix}:${fingerprintApiKey(entryConfig.apiKey)}` : storagePrefix;
+
+    return {
+      apiClient: createProvider(entryConfig),
+      rateLimiter: RATE_LIMITED_PROVIDERS.includes(entryConfig.type)
+        ? new RateLimiter({ storageKey })
+        : null,
+      circuitBreaker: new CircuitBreaker()
+    };
+  });
+}
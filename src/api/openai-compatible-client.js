@@ -0,0 +1,263 @@
+/**
+ * OpenAI-Compatible API Client
+ * Talks to any server implementing /v1/chat/completions
+ * (Ollama, llama.cpp server, vLLM, LM Studio, OpenAI itself)
+ */
+
+import { TimeoutError, CancelledError, createAPIError } from './errors.js';
+import { LLMProvider, PROVIDER_CAPABILITIES } from './provider.js';
+import { ANSWER_SCHEMA, BATCH_ANSWER_SCHEMA } from './structured-response.js';
+
+export const OPENAI_COMPATIBLE_CONFIG = {
+  baseUrl: 'http://localhost:11434/v1',
+  model: 'llama3.1',
+  timeout: 30000, // local models on CPU are much slower than the cloud
+  maxRetries: 2,
+  retryDelays: [1000, 2000],
+  streamIdleTimeout: 60000, // Local models may pause long before the first token
+  temperature: 0.2,
+  logprobs: false,
+  vision: false // Most local models are text-only
+};
+
+/**
+ * OpenAICompatibleClient implements the LLMProvider contract
+ * for the OpenAI-style chat completions protocol
+ */
+export class OpenAICompatibleClient extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      name: 'openai-compatible',
+      model: options.model || OPENAI_COMPATIBLE_CONFIG.model,
+      timeout: options.timeout ?? OPENAI_COMPATIBLE_CONFIG.timeout,
+      maxRetries: options.maxRetries ?? OPENAI_COMPATIBLE_CONFIG.maxRetries,
+      retryDelays: options.retryDelays || OPENAI_COMPATIBLE_CONFIG.retryDelays,
+      streamIdleTimeout: options.streamIdleTimeout ?? OPENAI_COMPATIBLE_CONFIG.streamIdleTimeout,
+      promptTemplates: options.promptTemplates
+    });
+
+    this.baseUrl = (options.baseUrl || OPENAI_COMPATIBLE_CONFIG.baseUrl).replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null; // Local servers usually need no key
+    this.temperature = options.temperature ?? OPENAI_COMPATIBLE_CONFIG.temperature;
+    this.requestLogprobs = options.logprobs ?? OPENAI_COMPATIBLE_CONFIG.logprobs;
+    this.capabilities = {
+      [PROVIDER_CAPABILITIES.STRUCTURED_OUTPUT]: true,
+      [PROVIDER_CAPABILITIES.STREAMING]: true,
+      [PROVIDER_CAPABILITIES.MULTIMODAL]: options.vision ?? OPENAI_COMPATIBLE_CONFIG.vision,
+      [PROVIDER_CAPABILITIES.LOGPROBS]: this.requestLogprobs
+    };
+  }
+
+  /**
+   * Gets the chat completions endpoint URL
+   *
+   * @returns {string} Endpoint URL
+   */
+  getEndpoint() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  /**
+   * Builds request headers
+   * Adds a bearer token only when an API key is configured
+   *
+   * @returns {Object} Headers object
+   */
+  buildHeaders() {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Builds the chat completions request body
+   * Structured calls request a JSON response matching ANSWER_SCHEMA
+   * (BATCH_ANSWER_SCHEMA for batched questions)
+   *
+   * @param {string} prompt - The prompt to send
+   * @param {Object} callOptions - Per-call options
+   * @returns {Object} Request body
+   */
+  buildRequestBody(prompt, callOptions = {}) {
+    const images = callOptions.images || [];
+    const content = images.length === 0 ? prompt : [
+      { type: 'text', text: prompt },
+      ...images.map(image => ({
+        type: 'image_url',
+        image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+      }))
+    ];
+
+    const body = {
+      model: this.model,
+      messages: [{
+        role: 'user',
+        content
+      }],
+      temperature: callOptions.temperature ?? this.temperature,
+      stream: false
+    };
+
+    if (this.requestLogprobs) {
+      body.logprobs = true;
+    }
+
+    if (callOptions.structured) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: callOptions.batch ? 'quiz_answers' : 'quiz_answer',
+          schema: callOptions.batch ? BATCH_ANSWER_SCHEMA : ANSWER_SCHEMA
+        }
+      };
+    }
+
+    return body;
+  }
+
+  /**
+   * Makes the chat completions call
+   * Implements timeout handling
+   *
+   * @param {string} prompt - The prompt to send
+   * @param {Object} callOptions - Per-call options (signal cancels the request)
+   * @returns {Promise<Object>} API response
+   */
+  async callAPI(prompt, callOptions = {}) {
+    if (callOptions.signal?.aborted) {
+      throw new CancelledError();
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const cancel = () => controller.abort();
+    callOptions.signal?.addEventListener('abort', cancel);
+
+    try {
+      const response = await fetch(this.getEndpoint(), {
+        method: 'POST',
+        headers: this.buildHeaders(),
+        body: JSON.stringify(this.buildRequestBody(prompt, callOptions)),
+        signal: controller.signal
+      });
+
+      clearTimeout(timeoutId);
+
+      if (!response.ok) {
+        throw await createAPIError(response);
+      }
+
+      return await response.json();
+    } catch (error) {
+      clearTimeout(timeoutId);
+
+      if (callOptions.signal?.aborted) {
+        throw new CancelledError();
+      }
+
+      if (error.name === 'AbortError') {
+        throw new TimeoutError(`API request timeout (${this.timeout / 1000}s)`);
+      }
+
+      throw this.mapError(error);
+    } finally {
+      callOptions.signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Opens a streaming chat completions request
+   *
+   * @param {string} prompt - The prompt to send
+   * @param {Object} callOptions - Per-call options
+   * @param {AbortSignal} signal - Aborts the request
+   * @returns {Promise<Response>} Streaming response
+   */
+  async openStream(prompt, callOptions = {}, signal) {
+    const response = await fetch(this.getEndpoint(), {
+      method: 'POST',
+      headers: this.buildHeaders(),
+      body: JSON.stringify({
+        ...this.buildRequestBody(prompt, callOptions),
+        stream: true,
+        stream_options: { include_usage: true } // Final chunk reports token usage
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await createAPIError(response);
+    }
+
+    return response;
+  }
+
+  /**
+   * Extracts the text delta from a streamed chat completions chunk
+   * Falls back to the full message when the server sent a non-streamed response
+   *
+   * @param {Object} chunk - Parsed stream chunk
+   * @returns {string|undefined} Text delta
+   */
+  extractStreamText(chunk) {
+    return chunk.choices?.[0]?.delta?.content ?? this.extractText(chunk);
+  }
+
+  /**
+   * Extracts the generated text from the chat completions response
+   *
+   * @param {Object} response - The API response
+   * @returns {string|undefined} Generated text
+   */
+  extractText(response) {
+    return response.choices?.[0]?.message?.content;
+  }
+
+  /**
+   * Computes the mean token log-probability of the completion
+   * Only present when logprobs was requested and the server supports it
+   *
+   * @param {Object} response - The API response
+   * @returns {number|null} Mean log-probability
+   */
+  extractLogprob(response) {
+    const tokens = response.choices?.[0]?.logprobs?.content;
+
+    if (!Array.isArray(tokens) || tokens.length === 0) {
+      return null;
+    }
+
+    const total = tokens.reduce((sum, token) => sum + (token.logprob || 0), 0);
+    return total / tokens.length;
+  }
+
+  /**
+   * Extracts token counts from the usage block
+   * Local servers may omit it
+   *
+   * @param {Object} response - The API response or stream chunk
+   * @returns {Object|null} Token usage ({ promptTokens, outputTokens, totalTokens })
+   */
+  extractUsage(response) {
+    const usage = response.usage;
+
+    if (!usage) {
+      return null;
+    }
+
+    const promptTokens = usage.prompt_tokens || 0;
+    const outputTokens = usage.completion_tokens || 0;
+
+    return {
+      promptTokens,
+      outputTokens,
+      totalTokens: usage.total_tokens ?? promptTokens + outputTokens
+    };
+  }
+}
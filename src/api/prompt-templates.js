@@ -0,0 +1,208 @@
+/**
+ * Prompt Templates
+ * Per-quiz-type prompt templates with user overrides
+ */
+
+import { QUIZ_TYPES } from '../detection/types.js';
+
+/**
+ * Template for explanation prompts (not a quiz type)
+ */
+export const EXPLANATION_TEMPLATE = 'explanation';
+
+/**
+ * Variables available to templates
+ * {{name}} inserts a value; {{#name}}...{{/name}} renders only when the value is non-empty
+ */
+export const TEMPLATE_VARIABLES = {
+  question: 'The question text',
+  options: 'Lettered option list ("A. ...")',
+  context: 'Surrounding page context',
+  language: 'Language of the quiz page',
+  leadIn: 'Opening instruction (varies between self-consistency samples)',
+  answer: 'The answer being explained (explanation template only)'
+};
+
+const LANGUAGE_SECTION = '{{#language}}\n\nThe quiz is written in {{language}}; answer in the same language.{{/language}}';
+const BODY = '{{leadIn}}\n\n{{question}}' +
+  '{{#options}}\n\nOptions:\n{{options}}{{/options}}' +
+  '{{#context}}\n\nContext: {{context}}{{/context}}';
+
+export const DEFAULT_PROMPT_TEMPLATES = {
+  [QUIZ_TYPES.MCQ]: `${BODY}\n\nExactly one option is correct.${LANGUAGE_SECTION}`,
+  [QUIZ_TYPES.TRUE_FALSE]: `${BODY}\n\nDecide whether the statement is true or false.${LANGUAGE_SECTION}`,
+  [QUIZ_TYPES.FILL_BLANK]: `${BODY}\n\nGive only the word or phrase that fills the blank.${LANGUAGE_SECTION}`,
+  [QUIZ_TYPES.SHORT_ANSWER]: `${BODY}\n\nAnswer in one or two short sentences.${LANGUAGE_SECTION}`,
+  [QUIZ_TYPES.MULTIPLE_SELECT]: `${BODY}\n\nMore than one option may be correct. ` +
+    'List every correct option in the answer and give the first of them as the chosen option.' +
+    LANGUAGE_SECTION,
+  [EXPLANATION_TEMPLATE]: 'Provide a brief explanation for this quiz answer:\n\n' +
+    `Question: {{question}}\nAnswer: {{answer}}${LANGUAGE_SECTION}`
+};
+
+/**
+ * Sample values used to preview templates
+ */
+export const PREVIEW_VARIABLES = {
+  question: 'What is the capital of France?',
+  options: 'A. London\nB. Paris\nC. Berlin\nD. Madrid',
+  context: 'Chapter 3: European geography',
+  language: '',
+  leadIn: 'Answer this quiz question:',
+  answer: 'Paris'
+};
+
+/**
+ * Renders a template with the given variables
+ * Unknown variables render as empty strings
+ *
+ * @param {string} template - Template text
+ * @param {Object} variables - Variable values keyed by name
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, variables = {}) {
+  const valueOf = (name) => {
+    const value = variables[name];
+    return value === null || value === undefined ? '' : String(value);
+  };
+
+  return template
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, section) => {
+      return valueOf(name).trim() ? section : '';
+    })
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => valueOf(name));
+}
+
+/**
+ * Checks a user template for mistakes
+ *
+ * @param {string} template - Template text
+ * @returns {Array<string>} Validation error messages (empty if valid)
+ */
+export function validateTemplate(template) {
+  const errors = [];
+
+  if (typeof template !== 'string' || template.trim().length === 0) {
+    return ['template must be a non-empty string'];
+  }
+
+  if (!template.includes('{{question}}')) {
+    errors.push('template must include {{question}}');
+  }
+
+  const names = template.match(/\{\{[#/]?(\w+)\}\}/g) || [];
+  names
+    .map(tag => tag.replace(/[{}#/]/g, ''))
+    .filter((name, index, all) => all.indexOf(name) === index)
+    .filter(name => !(name in TEMPLATE_VARIABLES))
+    .forEach(name => errors.push(`unknown variable {{${name}}}`));
+
+  const opened = (template.match(/\{\{#\w+\}\}/g) || []).length;
+  const closed = (template.match(/\{\{\/\w+\}\}/g) || []).length;
+  if (opened !== closed) {
+    errors.push('every {{#section}} must be closed with {{/section}}');
+  }
+
+  return errors;
+}
+
+/**
+ * PromptTemplateRegistry resolves the template for a quiz type
+ * User overrides take precedence over the built-in defaults
+ */
+export class PromptTemplateRegistry {
+  constructor(overrides = {}) {
+    this.overrides = {};
+
+    Object.entries(overrides || {}).forEach(([type, template]) => {
+      try {
+        this.setOverride(type, template);
+      } catch (error) {
+        console.warn(`Ignoring invalid prompt template for ${type}:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Gets the template for a quiz type
+   * Unknown types fall back to the MCQ template
+   *
+   * @param {string} type - A QUIZ_TYPES value or EXPLANATION_TEMPLATE
+   * @returns {string} Template text
+   */
+  get(type) {
+    const resolved = type in DEFAULT_PROMPT_TEMPLATES ? type : QUIZ_TYPES.MCQ;
+    return this.overrides[resolved] || DEFAULT_PROMPT_TEMPLATES[resolved];
+  }
+
+  /**
+   * Renders the template for a quiz type
+   *
+   * @param {string} type - A QUIZ_TYPES value or EXPLANATION_TEMPLATE
+   * @param {Object} variables - Variable values (see TEMPLATE_VARIABLES)
+   * @returns {string} Rendered prompt
+   */
+  render(type, variables = {}) {
+    return renderTemplate(this.get(type), variables);
+  }
+
+  /**
+   * Renders a template with sample values for debugging
+   *
+   * @param {string} type - A QUIZ_TYPES value or EXPLANATION_TEMPLATE
+   * @param {Object} variables - Values overriding PREVIEW_VARIABLES
+   * @param {string} template - Unsaved template to preview instead of the stored one
+   * @returns {string} Rendered prompt
+   */
+  preview(type, variables = {}, template = null) {
+    return renderTemplate(template || this.get(type), { ...PREVIEW_VARIABLES, ...variables });
+  }
+
+  /**
+   * Sets a user template for a quiz type
+   *
+   * @param {string} type - A QUIZ_TYPES value or EXPLANATION_TEMPLATE
+   * @param {string} template - Template text
+   * @returns {void}
+   */
+  setOverride(type, template) {
+    if (!(type in DEFAULT_PROMPT_TEMPLATES)) {
+      throw new Error(`Unknown template type: ${type}`);
+    }
+
+    const errors = validateTemplate(template);
+    if (errors.length > 0) {
+      throw new Error(`Invalid template: ${errors.join('; ')}`);
+    }
+
+    this.overrides[type] = template;
+  }
+
+  /**
+   * Removes the user template for a quiz type
+   *
+   * @param {string} type - A QUIZ_TYPES value or EXPLANATION_TEMPLATE
+   * @returns {void}
+   */
+  clearOverride(type) {
+    delete this.overrides[type];
+  }
+
+  /**
+   * Gets the user templates, for persisting to settings
+   *
+   * @returns {Object} Templates keyed by type
+   */
+  getOverrides() {
+    return { ...this.overrides };
+  }
+
+  /**
+   * Gets the template types that can be configured
+   *
+   * @returns {Array<string>} Template types
+   */
+  getTypes() {
+    return Object.keys(DEFAULT_PROMPT_TEMPLATES);
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Provider Registry
+ * Maps provider type names to factories so backends can be chosen from settings
+ */
+
+import { GeminiClient } from './gemini-client.js';
+import { OpenAICompatibleClient } from './openai-compatible-client.js';
+
+export const DEFAULT_PROVIDER = 'gemini';
+
+const providers = new Map();
+
+/**
+ * Registers a provider factory
+ *
+ * @param {string} type - Provider type name (e.g. 'gemini')
+ * @param {Function} factory - Function taking a config object and returning an LLMProvider
+ * @returns {void}
+ */
+export function registerProvider(type, factory) {
+  if (!type || typeof type !== 'string') {
+    throw new Error('Provider type must be a non-empty string');
+  }
+
+  if (typeof factory !== 'function') {
+    throw new Error('Provider factory must be a function');
+  }
+
+  providers.set(type, factory);
+}
+
+/**
+ * Creates a provider instance from a config object
+ *
+ * @param {Object} config - Provider configuration
+ * @param {string} config.type - Registered provider type (defaults to 'gemini')
+ * @returns {LLMProvider} Provider instance
+ */
+export function createProvider(config = {}) {
+  const type = config.type || DEFAULT_PROVIDER;
+  const factory = providers.get(type);
+
+  if (!factory) {
+    throw new Error(`Unknown provider type: ${type}`);
+  }
+
+  return factory(config);
+}
+
+/**
+ * Gets the names of all registered provider types
+ *
+ * @returns {Array<string>} Provider type names
+ */
+export function getRegisteredProviders() {
+  return Array.from(providers.keys());
+}
+
+registerProvider('gemini', (config) => new GeminiClient(config.apiKey, config));
+registerProvider('openai-compatible', (config) => new OpenAICompatibleClient(config));
@@ -0,0 +1,721 @@
+/**
+ * LLM Provider Base Class
+ * Common contract shared by every answer-generation backend
+ */
+
+import { APIError, TimeoutError, ParseError, CancelledError } from './errors.js';
+import { normalizeOptions, formatOptions, parseStructuredAnswer, parseBatchAnswers, extractPartialAnswer } from './structured-response.js';
+import { estimateConfidence, countOptionMatches } from './confidence-estimator.js';
+import { readEventStream } from './event-stream.js';
+import { PromptTemplateRegistry, EXPLANATION_TEMPLATE } from './prompt-templates.js';
+
+export const PROVIDER_DEFAULTS = {
+  timeout: 5000,
+  maxRetries: 2,
+  retryDelays: [1000, 2000],
+  streamIdleTimeout: 15000 // Max gap between streamed chunks, not total duration
+};
+
+/**
+ * Capability flags a provider can advertise
+ * Callers check these before using optional features
+ */
+export const PROVIDER_CAPABILITIES = {
+  STRUCTURED_OUTPUT: 'structuredOutput',
+  STREAMING: 'streaming',
+  MULTIMODAL: 'multimodal',
+  LOGPROBS: 'logprobs'
+};
+
+/**
+ * Alternative prompt openings used to vary phrasing between samples
+ */
+export const PROMPT_LEAD_INS = [
+  'Answer this quiz question:',
+  'Read the following question carefully and choose the best answer:',
+  'You are an expert tutor. Work out the correct answer to this question:',
+  'Consider each option in turn, then answer this quiz question:'
+];
+
+/**
+ * @typedef {Object} AIResponse
+ * @property {string} answer - The answer text
+ * @property {number} confidence - Confidence level (0-100)
+ * @property {number} [optionIndex] - Zero-based index of the chosen option (-1 if none)
+ * @property {string} [optionLetter] - Letter of the chosen option ('' if none)
+ * @property {string|null} [rationale] - Short reason given by the model
+ * @property {Object} [confidenceSignals] - Raw signals the confidence was estimated from
+ * @property {TokenUsage} [usage] - Token usage, when the backend reports it
+ * @property {string|null} explanation - Explanation text, if requested
+ * @property {string|null} error - Error message, if any
+ */
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} promptTokens - Tokens in the prompt (including images)
+ * @property {number} outputTokens - Tokens generated
+ * @property {number} totalTokens - Total tokens billed for the call
+ */
+
+/**
+ * @typedef {Object} QuestionData
+ * @property {Array<string|Object>} [options] - Extracted options (strings or OptionElements)
+ * @property {Array<Object>} [images] - Inline image parts ({ mimeType, data }) from the question
+ * @property {string} [quizType] - QUIZ_TYPES value selecting the prompt template
+ * @property {string} [language] - Language of the quiz page (e.g. 'fr')
+ * @property {string} [host] - Hostname of the quiz page (usage accounting only)
+ * @property {AbortSignal} [signal] - Cancels the request
+ * @property {Object} [sampling] - Sampling overrides for repeated answers
+ * @property {number} [sampling.temperature] - Generation temperature
+ * @property {number} [sampling.variant] - Index into PROMPT_LEAD_INS
+ */
+
+/**
+ * @typedef {Object} BatchItem
+ * @property {string} question - The quiz question
+ * @property {string} [context] - Optional context for the question
+ * @property {QuestionData} [questionData] - Extracted question data (images are not sent)
+ */
+
+/**
+ * @typedef {Object} StreamEvent
+ * @property {string} text - Displayable text received so far
+ * @property {boolean} done - True for the final event
+ * @property {AIResponse|null} result - Parsed response (final event only)
+ */
+
+/**
+ * LLMProvider implements the retry loop, response parsing and error mapping
+ * Subclasses implement callAPI() and extractText() for their backend
+ */
+export class LLMProvider {
+  constructor(config = {}) {
+    this.name = config.name || 'provider';
+    this.model = config.model || null;
+    this.timeout = config.timeout ?? PROVIDER_DEFAULTS.timeout;
+    this.maxRetries = config.maxRetries ?? PROVIDER_DEFAULTS.maxRetries;
+    this.retryDelays = config.retryDelays || PROVIDER_DEFAULTS.retryDelays;
+    this.streamIdleTimeout = config.streamIdleTimeout ?? PROVIDER_DEFAULTS.streamIdleTimeout;
+    this.promptTemplates = config.promptTemplates || new PromptTemplateRegistry();
+    this.capabilities = {};
+  }
+
+  /**
+   * Gets an answer for a quiz question
+   * Sends the extracted options and asks for a structured JSON answer
+   *
+   * @param {string} question - The quiz question
+   * @param {string} context - Optional context for the question
+   * @param {QuestionData} questionData - Optional extracted question data
+   * @returns {Promise<AIResponse>} AIResponse with answer, chosen option, confidence, rationale
+   */
+  async getAnswer(question, context = null, questionData = {}) {
+    const { prompt, callOptions } = this.buildAnswerRequest(question, context, questionData);
+    return this.execute(prompt, callOptions);
+  }
+
+  /**
+   * Answers several quiz questions with one call
+   * The response is split back into one AIResponse per question; questions
+   * the model did not answer validly come back as null
+   *
+   * @param {Array<BatchItem>} items - Questions to answer
+   * @param {Object} requestOptions - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Cancels the request
+   * @returns {Promise<Object>} { answers: Array<AIResponse|null>, usage } for the whole batch
+   */
+  async getAnswers(items, requestOptions = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('At least one question is required');
+    }
+
+    const optionsPerQuestion = items.map(item => normalizeOptions(item.questionData?.options));
+    const prompt = this.buildBatchPrompt(items, optionsPerQuestion);
+    const callOptions = { structured: true, batch: true, optionsPerQuestion };
+
+    if (requestOptions.signal) {
+      callOptions.signal = requestOptions.signal;
+    }
+
+    return this.execute(prompt, callOptions);
+  }
+
+  /**
+   * Streams an answer for a quiz question
+   * Events carry the answer text received so far; the final event
+   * carries the parsed AIResponse
+   *
+   * @param {string} question - The quiz question
+   * @param {string} context - Optional context for the question
+   * @param {QuestionData} questionData - Optional extracted question data
+   * @param {Object} streamOptions - Stream options
+   * @param {AbortSignal} [streamOptions.signal] - Cancels the stream
+   * @returns {AsyncGenerator<StreamEvent>} Stream events
+   */
+  async *streamAnswer(question, context = null, questionData = {}, streamOptions = {}) {
+    const { prompt, callOptions } = this.buildAnswerRequest(question, context, questionData);
+    yield* this.streamResponse(prompt, callOptions, streamOptions.signal);
+  }
+
+  /**
+   * Builds the prompt and call options for an answer request
+   *
+   * @param {string} question - The quiz question
+   * @param {string} context - Optional context for the question
+   * @param {QuestionData} questionData - Optional extracted question data
+   * @returns {Object} Prompt and callOptions
+   */
+  buildAnswerRequest(question, context = null, questionData = {}) {
+    if (!question || typeof question !== 'string') {
+      throw new Error('Question must be a non-empty string');
+    }
+
+    const options = normalizeOptions(questionData?.options);
+    const sampling = questionData?.sampling || {};
+    const images = Array.isArray(questionData?.images) ? questionData.images : [];
+    let prompt = this.buildPrompt(question, context, options, sampling.variant, {
+      quizType: questionData?.quizType,
+      language: questionData?.language
+    });
+    const callOptions = { structured: true, options };
+
+    if (questionData?.signal) {
+      callOptions.signal = questionData.signal;
+    }
+
+    if (typeof sampling.temperature === 'number') {
+      callOptions.temperature = sampling.temperature;
+    }
+
+    if (images.length > 0) {
+      if (this.supports(PROVIDER_CAPABILITIES.MULTIMODAL)) {
+        callOptions.images = images;
+        prompt += `\n\nThe question includes ${images.length} attached image(s); use them to answer.`;
+      } else {
+        prompt += `\n\nThe question refers to ${images.length} image(s) that cannot be shown; answer from the text alone.`;
+      }
+    }
+
+    return { prompt, callOptions };
+  }
+
+  /**
+   * Gets an explanation for a question-answer pair
+   *
+   * @param {string} question - The quiz question
+   * @param {string} answer - The answer to explain
+   * @param {Object} requestOptions - Request options
+   * @param {AbortSignal} [requestOptions.signal] - Cancels the request
+   * @param {string} [requestOptions.language] - Language of the quiz page
+   * @returns {Promise<AIResponse>} AIResponse with explanation populated
+   */
+  async getExplanation(question, answer, requestOptions = {}) {
+    validateExplanationInput(question, answer);
+
+    const prompt = this.buildExplanationPrompt(question, answer, requestOptions.language);
+    const result = await this.execute(prompt, requestOptions.signal ? { signal: requestOptions.signal } : {});
+
+    return {
+      ...result,
+      answer,
+      explanation: result.answer
+    };
+  }
+
+  /**
+   * Streams an explanation for a question-answer pair
+   * Events carry the explanation text received so far
+   *
+   * @param {string} question - The quiz question
+   * @param {string} answer - The answer to explain
+   * @param {Object} streamOptions - Stream options
+   * @param {AbortSignal} [streamOptions.signal] - Cancels the stream
+   * @param {string} [streamOptions.language] - Language of the quiz page
+   * @returns {AsyncGenerator<StreamEvent>} Stream events
+   */
+  async *streamExplanation(question, answer, streamOptions = {}) {
+    validateExplanationInput(question, answer);
+
+    const prompt = this.buildExplanationPrompt(question, answer, streamOptions.language);
+
+    for await (const event of this.streamResponse(prompt, {}, streamOptions.signal)) {
+      if (!event.done) {
+        yield event;
+        continue;
+      }
+
+      yield {
+        ...event,
+        result: {
+          ...event.result,
+          answer,
+          explanation: event.result.answer
+        }
+      };
+    }
+  }
+
+  /**
+   * Streams a prompt and parses the completed response
+   * Providers without streaming support yield the full response as one event
+   *
+   * @param {string} prompt - The prompt to send
+   * @param {Object} callOptions - Per-call options (see execute)
+   * @param {AbortSignal} [signal] - Cancels the stream
+   * @returns {AsyncGenerator<StreamEvent>} Stream events
+   */
+  async *streamResponse(prompt, callOptions = {}, signal = null) {
+    if (!this.supports(PROVIDER_CAPABILITIES.STREAMING)) {
+      const result = await this.execute(prompt, callOptions);
+      yield { text: result.answer, done: true, result };
+      return;
+    }
+
+    let content = '';
+    let usage = null;
+
+    try {
+      for await (const chunk of this.streamChunks(prompt, callOptions, signal)) {
+        // Usage usually arrives with the last chunk, sometimes without text
+        usage = this.extractUsage(chunk) || usage;
+
+        const delta = this.extractStreamText(chunk);
+        if (!delta) {
+          continue;
+        }
+
+        content += delta;
+        yield {
+          text: callOptions.structured ? extractPartialAnswer(content) : content,
+          done: false,
+          result: null
+        };
+      }
+    } catch (error) {
+      // User cancellation is not an API failure
+      if (signal?.aborted) {
+        throw error;
+      }
+      throw this.mapError(error);
+    }
+
+    if (!content) {
+      throw new ParseError('Failed to parse API response', new Error('Empty stream'));
+    }
+
+    const result = withUsage(this.parseText(content, callOptions, null), usage);
+    yield { text: result.answer, done: true, result };
+  }
+
+  /**
+   * Streams the parsed chunks of a prompt's response as they arrive
+   * The idle timeout restarts on every chunk, so long responses are not
+   * cut off as long as the server keeps sending
+   *
+   * @param {string} prompt - The prompt to send
+   * @param {Object} callOptions - Per-call options (see execute)
+   * @param {AbortSignal} [signal] - Cancels the stream
+   * @returns {AsyncGenerator<Object>} Parsed stream chunks
+   */
+  async *streamChunks(prompt, callOptions = {}, signal = null) {
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    let timeoutId = null;
+    let timedOut = false;
+
+    const restartIdleTimer = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, this.streamIdleTimeout);
+    };
+
+    if (signal?.aborted) {
+      controller.abort();
+    } else {
+      signal?.addEventListener('abort', cancel);
+    }
+
+    try {
+      restartIdleTimer();
+      const response = await this.openStream(prompt, callOptions, controller.signal);
+
+      for await (const chunk of readEventStream(response)) {
+        restartIdleTimer();
+        yield chunk;
+      }
+    } catch (error) {
+      if (timedOut) {
+        throw new TimeoutError(`API stream idle timeout (${this.streamIdleTimeout / 1000}s)`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', cancel);
+      // Release the connection if the consumer stopped early
+      controller.abort();
+    }
+  }
+
+  /**
+   * Sends a prompt and parses the response
+   * Retries with exponential backoff, mapping errors to API error types.
+   * Errors carrying a server-requested retryAfter are not retried here
+   *
+   * @param {string} prompt - The prompt to send
+   * @param {Object} callOptions - Per-call options
+   * @param {boolean} callOptions.structured - Whether a JSON answer is expected
+   * @param {Array<string>} callOptions.options - Option texts sent with the question
+   * @param {number} [callOptions.temperature] - Generation temperature override
+   * @param {Array<Object>} [callOptions.images] - Inline image parts (multimodal providers only)
+   * @param {boolean} [callOptions.batch] - Whether several questions are answered at once
+   * @param {Array<Array<string>>} [callOptions.optionsPerQuestion] - Option texts of each batched question
+   * @param {AbortSignal} [callOptions.signal] - Cancels the request (and any retries)
+   * @returns {Promise<AIResponse>} Parsed response
+   */
+  async execute(prompt, callOptions = {}) {
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      try {
+        const response = await this.callAPI(prompt, callOptions);
+        return this.parseResponse(response, callOptions);
+      } catch (error) {
+        if (callOptions.signal?.aborted) {
+          throw new CancelledError();
+        }
+
+        // Waits the server asked for are left to RequestQueue and the rate limiter
+        if (attempt === this.maxRetries || error?.retryAfter != null) {
+          throw this.mapError(error);
+        }
+
+        // Retry with exponential backoff
+        const delay = this.retryDelays[attempt];
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Builds the answer prompt
+   * Renders the template for the quiz type, then describes the expected
+   * JSON answer (not part of the template, so overrides cannot break parsing)
+   *
+   * @param {string} question - The quiz question
+   * @param {string} context - Optional context
+   * @param {Array<string>} options - Option texts
+   * @param {number} variant - Index into PROMPT_LEAD_INS
+   * @param {Object} templateOptions - Template selection
+   * @param {string} [templateOptions.quizType] - QUIZ_TYPES value (defaults to MCQ)
+   * @param {string} [templateOptions.language] - Language of the quiz page
+   * @returns {string} Formatted prompt
+   */
+  buildPrompt(question, context, options = [], variant = 0, templateOptions = {}) {
+    const leadIn = PROMPT_LEAD_INS[Math.abs(variant || 0) % PROMPT_LEAD_INS.length];
+    let prompt = this.promptTemplates.render(templateOptions.quizType, {
+      leadIn,
+      question,
+      options: formatOptions(options),
+      context,
+      language: templateOptions.language
+    });
+
+    prompt += '\n\nRespond with JSON only, in this format: ' +
+      '{"optionIndex": <zero-based index of the chosen option, or -1 if there are no options>, ' +
+      '"optionLetter": "<letter of the chosen option, or empty>", ' +
+      '"answer": "<the answer text>", ' +
+      '"rationale": "<one sentence explaining why>", ' +
+      '"confidence": <0-100>}';
+    return prompt;
+  }
+
+  /**
+   * Builds the prompt for answering several questions at once
+   * Questions are numbered from 0; the number is the id each answer refers to
+   *
+   * @param {Array<BatchItem>} items - Questions to answer
+   * @param {Array<Array<string>>} optionsPerQuestion - Normalized options of each question
+   * @returns {string} Formatted prompt
+   */
+  buildBatchPrompt(items, optionsPerQuestion) {
+    const language = items[0].questionData?.language;
+    let prompt = `Answer each of these ${items.length} quiz questions independently.`;
+
+    if (language && items.every(item => item.questionData?.language === language)) {
+      prompt += ` Write the answers and rationales in the language of the quiz (${language}).`;
+    }
+
+    items.forEach((item, id) => {
+      prompt += `\n\nQuestion ${id}: ${item.question}`;
+      if (item.context) {
+        prompt += `\nContext: ${item.context}`;
+      }
+      if (optionsPerQuestion[id].length > 0) {
+        prompt += `\nOptions:\n${formatOptions(optionsPerQuestion[id])}`;
+      }
+    });
+
+    prompt += '\n\nRespond with JSON only, in this format: ' +
+      '{"answers": [{"id": <question number>, ' +
+      '"optionIndex": <zero-based index of the chosen option, or -1 if there are no options>, ' +
+      '"optionLetter": "<letter of the chosen option, or empty>", ' +
+      '"answer": "<the answer text>", ' +
+      '"rationale": "<one sentence explaining why>", ' +
+      '"confidence": <0-100>}]} with one entry per question.';
+    return prompt;
+  }
+
+  /**
+   * Builds the explanation prompt
+   *
+   * @param {string} question - The quiz question
+   * @param {string} answer - The answer to explain
+   * @param {string} language - Optional language of the quiz page
+   * @returns {string} Formatted prompt
+   */
+  buildExplanationPrompt(question, answer, language = null) {
+    return this.promptTemplates.render(EXPLANATION_TEMPLATE, { question, answer, language });
+  }
+
+  /**
+   * Makes the backend API call
+   * Must be implemented by subclasses
+   *
+   * @param {string} prompt - The prompt to send
+   * @param {Object} callOptions - Per-call options (structured, options)
+   * @returns {Promise<Object>} Raw API response
+   */
+  async callAPI(prompt, callOptions) {
+    throw new Error(`${this.name} provider must implement callAPI()`);
+  }
+
+  /**
+   * Opens a streaming request to the backend
+   * Must be implemented by providers that advertise STREAMING
+   *
+   * @param {string} prompt - The prompt to send
+   * @param {Object} callOptions - Per-call options (structured, options)
+   * @param {AbortSignal} signal - Aborts the request
+   * @returns {Promise<Response>} fetch response with an event-stream body
+   */
+  async openStream(prompt, callOptions, signal) {
+    throw new Error(`${this.name} provider does not support streaming`);
+  }
+
+  /**
+   * Extracts the text delta from a streamed chunk
+   * Defaults to extractText() for backends whose chunks share the response shape
+   *
+   * @param {Object} chunk - Parsed stream chunk
+   * @returns {string|null} Text delta
+   */
+  extractStreamText(chunk) {
+    return this.extractText(chunk);
+  }
+
+  /**
+   * Extracts the generated text from a raw backend response
+   * Must be implemented by subclasses
+   *
+   * @param {Object} response - Raw API response
+   * @returns {string|null} Generated text
+   */
+  extractText(response) {
+    throw new Error(`${this.name} provider must implement extractText()`);
+  }
+
+  /**
+   * Extracts the mean token log-probability from a raw backend response
+   * Providers that can return log-probabilities override this
+   *
+   * @param {Object} response - Raw API response
+   * @returns {number|null} Mean log-probability, or null if not supplied
+   */
+  extractLogprob(response) {
+    return null;
+  }
+
+  /**
+   * Extracts token usage from a raw backend response or stream chunk
+   * Providers whose backend reports token counts override this
+   *
+   * @param {Object} response - Raw API response or stream chunk
+   * @returns {TokenUsage|null} Token usage, or null if not supplied
+   */
+  extractUsage(response) {
+    return null;
+  }
+
+  /**
+   * Parses a raw backend response into an AIResponse
+   * Structured calls are parsed and validated as JSON answers, then given
+   * a calibrated confidence score from the available signals
+   *
+   * @param {Object} response - Raw API response
+   * @param {Object} callOptions - Per-call options (structured, options)
+   * @returns {AIResponse} Parsed response
+   */
+  parseResponse(response, callOptions = {}) {
+    let content;
+
+    try {
+      content = this.extractText(response);
+
+      if (!content) {
+        throw new Error('Invalid API response format');
+      }
+    } catch (error) {
+      throw new ParseError('Failed to parse API response', error);
+    }
+
+    return withUsage(
+      this.parseText(content, callOptions, this.extractLogprob(response)),
+      this.extractUsage(response)
+    );
+  }
+
+  /**
+   * Parses generated text into an AIResponse
+   *
+   * @param {string} content - Generated text
+   * @param {Object} callOptions - Per-call options (structured, options)
+   * @param {number|null} avgLogprob - Mean token log-probability, if known
+   * @returns {AIResponse} Parsed response
+   */
+  parseText(content, callOptions = {}, avgLogprob = null) {
+    if (callOptions.batch) {
+      const options = callOptions.optionsPerQuestion || [];
+      const answers = parseBatchAnswers(content, options);
+
+      // The log-probability covers the whole batch, so it is not used per answer
+      return {
+        answers: answers.map((parsed, id) => parsed && scoreStructuredAnswer(parsed, options[id], null))
+      };
+    }
+
+    if (callOptions.structured) {
+      const options = callOptions.options || [];
+      return scoreStructuredAnswer(parseStructuredAnswer(content, options), options, avgLogprob);
+    }
+
+    const confidenceSignals = { avgLogprob };
+
+    return {
+      answer: content.trim(),
+      confidence: estimateConfidence(confidenceSignals).confidence,
+      confidenceSignals,
+      explanation: null,
+      error: null
+    };
+  }
+
+  /**
+   * Maps backend-specific failures onto APIError, TimeoutError or ParseError
+   * so RequestQueue.isRetryable works for every provider
+   *
+   * @param {Error} error - The error to map
+   * @returns {Error} Mapped error
+   */
+  mapError(error) {
+    if (error instanceof APIError || error instanceof TimeoutError || error instanceof ParseError ||
+        error instanceof CancelledError) {
+      return error;
+    }
+
+    if (error?.name === 'AbortError') {
+      return new TimeoutError(`API request timeout (${this.timeout / 1000}s)`);
+    }
+
+    if (error instanceof SyntaxError) {
+      return new ParseError('Failed to parse API response', error);
+    }
+
+    if (error instanceof TypeError) {
+      // fetch() rejects with TypeError on network failure
+      return new APIError(`Network error: ${error.message}`, 0, error.message);
+    }
+
+    return error;
+  }
+
+  /**
+   * Checks whether the provider supports a capability
+   *
+   * @param {string} capability - A PROVIDER_CAPABILITIES value
+   * @returns {boolean} True if supported
+   */
+  supports(capability) {
+    return Boolean(this.capabilities[capability]);
+  }
+
+  /**
+   * Gets the provider's capability flags
+   *
+   * @returns {Object} Capability flags keyed by PROVIDER_CAPABILITIES value
+   */
+  getCapabilities() {
+    return { ...this.capabilities };
+  }
+
+  /**
+   * Gets identifying information for the provider
+   *
+   * @returns {Object} Provider name and model
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      model: this.model
+    };
+  }
+}
+
+/**
+ * Attaches token usage to a parsed response when the backend reported it
+ *
+ * @param {AIResponse} result - Parsed response
+ * @param {TokenUsage|null} usage - Token usage
+ * @returns {AIResponse} Response with usage
+ */
+function withUsage(result, usage) {
+  return usage ? { ...result, usage } : result;
+}
+
+/**
+ * Gives a parsed structured answer a calibrated confidence score
+ *
+ * @param {Object} parsed - Answer from parseStructuredAnswer
+ * @param {Array<string>} options - Option texts sent with the question
+ * @param {number|null} avgLogprob - Mean token log-probability, if known
+ * @returns {AIResponse} Answer with confidence and confidenceSignals
+ */
+function scoreStructuredAnswer(parsed, options, avgLogprob) {
+  const confidenceSignals = {
+    selfReported: parsed.confidence,
+    avgLogprob,
+    optionMatches: countOptionMatches(parsed.answer, options, parsed.optionIndex)
+  };
+
+  return {
+    ...parsed,
+    confidence: estimateConfidence(confidenceSignals).confidence,
+    confidenceSignals
+  };
+}
+
+/**
+ * Validates explanation request arguments
+ *
+ * @param {string} question - The quiz question
+ * @param {string} answer - The answer to explain
+ * @returns {void}
+ */
+function validateExplanationInput(question, answer) {
+  if (!question || typeof question !== 'string') {
+    throw new Error('Question must be a non-empty string');
+  }
+
+  if (!answer || typeof answer !== 'string') {
+    throw new Error('Answer must be a non-empty string');
+  }
+}
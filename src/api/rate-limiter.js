@@ -4,13 +4,52 @@
  * Limits: 15 requests/minute, 1500 requests/day
  */
 
+export const THROTTLE_CONFIG = {
+  baseDelay: 1000,       // First backoff when the server gives no retry delay
+  maxDelay: 60000,
+  decreaseFactor: 0.5,   // Per-minute rate multiplier on each throttle
+  minPerMinuteLimit: 1,
+  recoverAfter: 5        // Successful requests before the rate steps back up by one
+};
+
+/**
+ * Which limit denied a request
+ * Minute windows and server pauses open again soon; the daily cap does not
+ */
+export const RATE_LIMIT_SCOPES = {
+  MINUTE: 'minute',
+  PAUSE: 'pause',
+  DAY: 'day'
+};
+
+/**
+ * Computes an exponential backoff delay with jitter
+ * Half the delay is fixed and half random, so clients throttled together
+ * do not retry in lockstep
+ *
+ * @param {number} attempt - Zero-based attempt number
+ * @param {number} baseDelay - Delay for the first attempt in ms
+ * @param {number} maxDelay - Upper bound in ms
+ * @returns {number} Delay in ms
+ */
+export function jitteredBackoff(attempt, baseDelay = THROTTLE_CONFIG.baseDelay, maxDelay = THROTTLE_CONFIG.maxDelay) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
 /**
  * RateLimiter manages API request rate limiting
  * Tracks per-minute and per-day request counts
  * Implements request queuing at 1-2 requests per second
+ * Throttling responses (429/503) pause the limiter and lower the per-minute
+ * rate, which recovers one step at a time as requests succeed again
+ *
+ * With a storageKey, state is saved to chrome.storage.local after every
+ * change and restored by load(), so the daily cap survives MV3 service
+ * worker restarts
  */
 export class RateLimiter {
-  constructor() {
+  constructor(options = {}) {
     this.perMinuteLimit = 15;
     this.perDayLimit = 1500;
     this.requestsPerSecond = 2;
@@ -18,6 +57,15 @@ export class RateLimiter {
     this.requestTimestamps = [];
     this.dailyCount = 0;
     this.dailyResetTime = this.getNextMidnight();
+
+    this.maxPerMinuteLimit = this.perMinuteLimit;
+    this.pausedUntil = 0;
+    this.consecutiveThrottles = 0;
+    this.successesSinceThrottle = 0;
+
+    this.storageKey = options.storageKey || null; // chrome.storage.local key, or null to keep state in memory
+    this.loading = null;
+    this.pendingWrite = Promise.resolve();
   }
 
   /**
@@ -25,13 +73,19 @@ export class RateLimiter {
    * Resets daily count if day has changed
    * Cleans up old request timestamps
    *
-   * @returns {Promise<Object>} Result with allowed flag and reason/retryAfter if denied
+   * @returns {Promise<Object>} Result with allowed flag and reason/retryAfter/scope if denied
    */
   async checkLimit() {
+    // Decide against restored counters, not an empty post-restart state
+    if (this.loading) {
+      await this.loading;
+    }
+
     // Check and reset daily limit if needed
     if (this.isDayReset()) {
       this.dailyCount = 0;
       this.dailyResetTime = this.getNextMidnight();
+      this.persist();
     }
 
     // Check daily limit
@@ -39,12 +93,23 @@ export class RateLimiter {
       return {
         allowed: false,
         reason: 'Daily limit exceeded (1500/day)',
-        retryAfter: this.dailyResetTime - Date.now()
+        retryAfter: this.dailyResetTime - Date.now(),
+        scope: RATE_LIMIT_SCOPES.DAY
       };
     }
 
-    // Check per-minute limit
+    // Check server-requested pause
     const now = Date.now();
+    if (now < this.pausedUntil) {
+      return {
+        allowed: false,
+        reason: `Server requested a pause (${Math.ceil((this.pausedUntil - now) / 1000)}s)`,
+        retryAfter: this.pausedUntil - now,
+        scope: RATE_LIMIT_SCOPES.PAUSE
+      };
+    }
+
+    // Check per-minute limit
     const oneMinuteAgo = now - 60000;
 
     // Clean up old timestamps
@@ -56,8 +121,9 @@ export class RateLimiter {
 
       return {
         allowed: false,
-        reason: 'Per-minute limit exceeded (15/min)',
-        retryAfter
+        reason: `Per-minute limit exceeded (${this.perMinuteLimit}/min)`,
+        retryAfter,
+        scope: RATE_LIMIT_SCOPES.MINUTE
       };
     }
 
@@ -73,6 +139,51 @@ export class RateLimiter {
   async recordRequest() {
     this.requestTimestamps.push(Date.now());
     this.dailyCount++;
+    await this.persist();
+  }
+
+  /**
+   * Records a throttling response (429/503) from the server
+   * Pauses for the server-indicated duration, or a jittered exponential
+   * backoff when none was given, and halves the per-minute rate
+   *
+   * @param {number|null} retryAfter - Server-requested wait in ms
+   * @returns {number} Pause duration in ms
+   */
+  reportThrottle(retryAfter = null) {
+    const delay = retryAfter ?? jitteredBackoff(this.consecutiveThrottles);
+
+    this.consecutiveThrottles++;
+    this.successesSinceThrottle = 0;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+    this.perMinuteLimit = Math.max(
+      THROTTLE_CONFIG.minPerMinuteLimit,
+      Math.floor(this.perMinuteLimit * THROTTLE_CONFIG.decreaseFactor)
+    );
+    this.persist();
+
+    return delay;
+  }
+
+  /**
+   * Records a successful request
+   * Steps the per-minute rate back up after a run of successes
+   *
+   * @returns {void}
+   */
+  reportSuccess() {
+    this.consecutiveThrottles = 0;
+
+    if (this.perMinuteLimit >= this.maxPerMinuteLimit) {
+      return;
+    }
+
+    this.successesSinceThrottle++;
+    if (this.successesSinceThrottle >= THROTTLE_CONFIG.recoverAfter) {
+      this.perMinuteLimit++;
+      this.successesSinceThrottle = 0;
+    }
+    this.persist();
   }
 
   /**
@@ -109,11 +220,13 @@ export class RateLimiter {
     return {
       requestsThisMinute,
       perMinuteLimit: this.perMinuteLimit,
-      minuteRemaining: this.perMinuteLimit - requestsThisMinute,
+      minuteRemaining: Math.max(0, this.perMinuteLimit - requestsThisMinute),
       dailyCount: this.dailyCount,
       perDayLimit: this.perDayLimit,
       dailyRemaining: this.perDayLimit - this.dailyCount,
-      dailyResetTime: this.dailyResetTime
+      dailyResetTime: this.dailyResetTime,
+      maxPerMinuteLimit: this.maxPerMinuteLimit,
+      pausedUntil: this.pausedUntil > now ? this.pausedUntil : null
     };
   }
 
@@ -150,5 +263,115 @@ export class RateLimiter {
     this.requestTimestamps = [];
     this.dailyCount = 0;
     this.dailyResetTime = this.getNextMidnight();
+    this.perMinuteLimit = this.maxPerMinuteLimit;
+    this.pausedUntil = 0;
+    this.consecutiveThrottles = 0;
+    this.successesSinceThrottle = 0;
+    this.persist();
+  }
+
+  /**
+   * Gets the limiter state that is persisted
+   *
+   * @returns {Object} Serializable state
+   */
+  getState() {
+    return {
+      requestTimestamps: [...this.requestTimestamps],
+      dailyCount: this.dailyCount,
+      dailyResetTime: this.dailyResetTime,
+      perMinuteLimit: this.perMinuteLimit,
+      pausedUntil: this.pausedUntil,
+      consecutiveThrottles: this.consecutiveThrottles,
+      successesSinceThrottle: this.successesSinceThrottle
+    };
+  }
+
+  /**
+   * Merges persisted state into the current state
+   * Requests recorded since startup are added to the stored counts, so
+   * nothing is lost when a request finishes before restoring completes
+   *
+   * @param {Object} state - State from getState()
+   * @returns {void}
+   */
+  restoreState(state) {
+    if (!state) {
+      return;
+    }
+
+    const now = Date.now();
+
+    // A stored count from a previous day no longer applies
+    if (state.dailyResetTime > now) {
+      this.dailyCount += state.dailyCount || 0;
+      this.dailyResetTime = state.dailyResetTime;
+    }
+
+    this.requestTimestamps = [...(state.requestTimestamps || []), ...this.requestTimestamps]
+      .filter(timestamp => timestamp > now - 60000)
+      .sort((a, b) => a - b);
+    this.pausedUntil = Math.max(this.pausedUntil, state.pausedUntil || 0);
+    this.perMinuteLimit = Math.min(
+      this.perMinuteLimit,
+      state.perMinuteLimit || this.maxPerMinuteLimit
+    );
+    this.consecutiveThrottles = Math.max(this.consecutiveThrottles, state.consecutiveThrottles || 0);
+    this.successesSinceThrottle = state.successesSinceThrottle || 0;
+  }
+
+  /**
+   * Restores state saved by a previous service worker
+   * checkLimit() and state writes wait for this to finish
+   *
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.storageKey || typeof chrome === 'undefined' || !chrome.storage) {
+      return Promise.resolve();
+    }
+
+    const loading = new Promise((resolve) => {
+      chrome.storage.local.get([this.storageKey], resolve);
+    })
+      .then((result) => {
+        this.restoreState(result?.[this.storageKey]);
+      })
+      .catch((error) => {
+        console.warn('Failed to restore rate limiter state:', error.message);
+      })
+      .finally(() => {
+        if (this.loading === loading) {
+          this.loading = null;
+        }
+      });
+
+    this.loading = loading;
+    this.persist(); // Save the merged state
+
+    return loading;
+  }
+
+  /**
+   * Saves the current state to chrome.storage.local
+   * Writes run one at a time, after any restore in progress, and each
+   * snapshots the state when it runs; the stored state is therefore never
+   * older than the last write, even when requests from several tabs finish
+   * together
+   *
+   * @returns {Promise<void>}
+   */
+  persist() {
+    if (!this.storageKey || typeof chrome === 'undefined' || !chrome.storage) {
+      return Promise.resolve();
+    }
+
+    this.pendingWrite = Promise.all([this.pendingWrite, this.loading])
+      .then(() => chrome.storage.local.set({ [this.storageKey]: this.getState() }))
+      .catch((error) => {
+        console.warn('Failed to save rate limiter state:', error.message);
+      });
+
+    return this.pendingWrite;
   }
 }
@@ -0,0 +1,339 @@
+/**
+ * Request Journal
+ * Persists a record of every answer and explanation request in IndexedDB
+ * so failures can be inspected and exported after the fact
+ */
+
+import { requestToPromise } from '../caching/cache-system.js';
+
+export const JOURNAL_DB_NAME = 'quizRequestJournal';
+export const JOURNAL_STORE_NAME = 'requests';
+
+export const JOURNAL_CONFIG = {
+  maxEntries: 2000,  // Oldest entries beyond this are deleted
+  retentionDays: 14, // Entries older than this are deleted
+  pruneInterval: 50, // Writes between retention passes
+  queryLimit: 200    // Entries returned by query() unless a limit is given
+};
+
+export const JOURNAL_SOURCES = {
+  API: 'api',                    // Answered (or failed) by a provider call
+  CACHE: 'cache',                // Served from the answer cache
+  CACHE_SIMILAR: 'cache-similar' // Served from the cached answer of a near-duplicate question
+};
+
+/**
+ * Columns of an exported journal, in order
+ */
+export const JOURNAL_FIELDS = [
+  'timestamp', 'status', 'source', 'feature', 'lane', 'host', 'provider', 'model',
+  'fallbackIndex', 'latency', 'promptTokens', 'outputTokens', 'totalTokens',
+  'statusCode', 'retries', 'batchSize', 'errorName', 'errorMessage', 'question'
+];
+
+const MAX_QUESTION_LENGTH = 500;
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {number} timestamp - When the request settled (ms since epoch)
+ * @property {string} status - 'completed', 'failed' or 'cancelled'
+ * @property {string} source - JOURNAL_SOURCES value
+ * @property {string} feature - USAGE_FEATURES value
+ * @property {string|null} lane - Queue lane the request ran in
+ * @property {string|null} host - Site the question came from
+ * @property {string|null} provider - Provider that answered, or last tried
+ * @property {string|null} model - Model that answered, or last tried
+ * @property {number|null} fallbackIndex - Position of the model in the chain
+ * @property {number} latency - Time from request to result in ms
+ * @property {number|null} promptTokens - Tokens in the prompt
+ * @property {number|null} outputTokens - Tokens generated
+ * @property {number|null} totalTokens - Total tokens billed
+ * @property {number|null} statusCode - HTTP status of the failure (200 on success)
+ * @property {number} retries - Retries after the first attempt
+ * @property {number|null} batchSize - Questions answered by the same call
+ * @property {string|null} errorName - Error class name
+ * @property {string|null} errorMessage - Error message
+ * @property {string} question - Question text (truncated)
+ */
+
+/**
+ * Builds a journal entry, filling fields the caller did not provide
+ *
+ * @param {Object} fields - Known entry fields
+ * @param {Error} [fields.error] - Error the request failed with
+ * @param {Object} [fields.usage] - TokenUsage of the call
+ * @returns {JournalEntry} Complete entry
+ */
+export function createJournalEntry({ error = null, usage = null, ...fields }) {
+  const entry = Object.fromEntries(JOURNAL_FIELDS.map(field => [field, null]));
+
+  return {
+    ...entry,
+    timestamp: Date.now(),
+    retries: 0,
+    promptTokens: usage?.promptTokens ?? null,
+    outputTokens: usage?.outputTokens ?? null,
+    totalTokens: usage?.totalTokens ?? null,
+    statusCode: error ? error.status ?? null : 200,
+    errorName: error?.name ?? null,
+    errorMessage: error?.message ?? null,
+    ...fields,
+    latency: Math.round(fields.latency ?? 0),
+    question: String(fields.question ?? '').substring(0, MAX_QUESTION_LENGTH)
+  };
+}
+
+/**
+ * Checks whether an entry matches a journal filter
+ * Empty filter fields match every entry
+ *
+ * @param {JournalEntry} entry - Journal entry
+ * @param {Object} filter - Filter
+ * @param {string} [filter.status] - Entry status
+ * @param {string} [filter.source] - Entry source
+ * @param {string} [filter.provider] - Provider name
+ * @param {number} [filter.since] - Earliest timestamp
+ * @param {number} [filter.until] - Latest timestamp
+ * @param {string} [filter.search] - Case-insensitive text in the question, model, host or error
+ * @returns {boolean} True if the entry matches
+ */
+export function matchesJournalFilter(entry, filter = {}) {
+  if (filter.status && entry.status !== filter.status) {
+    return false;
+  }
+  if (filter.source && entry.source !== filter.source) {
+    return false;
+  }
+  if (filter.provider && entry.provider !== filter.provider) {
+    return false;
+  }
+  if (filter.since && entry.timestamp < filter.since) {
+    return false;
+  }
+  if (filter.until && entry.timestamp > filter.until) {
+    return false;
+  }
+
+  if (filter.search) {
+    const needle = filter.search.toLowerCase();
+    return [entry.question, entry.model, entry.host, entry.errorMessage]
+      .some(value => value && value.toLowerCase().includes(needle));
+  }
+
+  return true;
+}
+
+/**
+ * Formats journal entries as CSV, one row per entry
+ *
+ * @param {Array<JournalEntry>} entries - Journal entries
+ * @returns {string} CSV with a header row
+ */
+export function formatJournalCSV(entries) {
+  const escape = (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = entries.map(entry => JOURNAL_FIELDS.map(field => {
+    return escape(field === 'timestamp' ? new Date(entry.timestamp).toISOString() : entry[field]);
+  }).join(','));
+
+  return [JOURNAL_FIELDS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Prepares journal entries for download
+ *
+ * @param {Array<JournalEntry>} entries - Journal entries
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Object} File content, MIME type and file name
+ */
+export function exportJournal(entries, format = 'json') {
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (format === 'csv') {
+    return {
+      content: formatJournalCSV(entries),
+      mimeType: 'text/csv',
+      filename: `quiz-solver-requests-${date}.csv`
+    };
+  }
+
+  if (format !== 'json') {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  return {
+    content: JSON.stringify(entries, null, 2),
+    mimeType: 'application/json',
+    filename: `quiz-solver-requests-${date}.json`
+  };
+}
+
+/**
+ * RequestJournal stores JournalEntry records in IndexedDB
+ * Writes never throw: a journal that cannot be opened or written only logs
+ * a warning, so requests are never held up by it. Old entries are pruned
+ * by age and count every few writes
+ */
+export class RequestJournal {
+  constructor(options = {}) {
+    this.db = null;
+    this.maxEntries = options.maxEntries ?? JOURNAL_CONFIG.maxEntries;
+    this.retentionDays = options.retentionDays ?? JOURNAL_CONFIG.retentionDays;
+    this.pruneInterval = options.pruneInterval ?? JOURNAL_CONFIG.pruneInterval;
+    this.writesSincePrune = 0;
+  }
+
+  /**
+   * Opens the journal database, creating the store on first use
+   *
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(JOURNAL_DB_NAME, 1);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        if (!db.objectStoreNames.contains(JOURNAL_STORE_NAME)) {
+          const store = db.createObjectStore(JOURNAL_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+      };
+    });
+
+    await this.prune();
+  }
+
+  /**
+   * Adds an entry to the journal
+   *
+   * @param {Object} fields - Entry fields (see createJournalEntry)
+   * @returns {Promise<void>}
+   */
+  async record(fields) {
+    if (!this.db) {
+      return;
+    }
+
+    try {
+      const store = this.db.transaction([JOURNAL_STORE_NAME], 'readwrite').objectStore(JOURNAL_STORE_NAME);
+      await requestToPromise(store.add(createJournalEntry(fields)));
+
+      if (++this.writesSincePrune >= this.pruneInterval) {
+        await this.prune();
+      }
+    } catch (error) {
+      console.warn('Request journal write failed:', error.message);
+    }
+  }
+
+  /**
+   * Gets journal entries, newest first
+   *
+   * @param {Object} filter - Filter (see matchesJournalFilter)
+   * @param {number} [filter.limit] - Most entries to return
+   * @returns {Promise<Array<JournalEntry>>} Matching entries
+   */
+  async query(filter = {}) {
+    if (!this.db) {
+      return [];
+    }
+
+    const limit = filter.limit ?? JOURNAL_CONFIG.queryLimit;
+    const index = this.db.transaction([JOURNAL_STORE_NAME], 'readonly')
+      .objectStore(JOURNAL_STORE_NAME)
+      .index('timestamp');
+
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      const request = index.openCursor(null, 'prev');
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || entries.length >= limit) {
+          resolve(entries);
+          return;
+        }
+
+        if (matchesJournalFilter(cursor.value, filter)) {
+          entries.push(cursor.value);
+        }
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Deletes entries past the retention period, then the oldest entries
+   * beyond maxEntries
+   *
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    if (!this.db) {
+      return;
+    }
+
+    this.writesSincePrune = 0;
+
+    const store = this.db.transaction([JOURNAL_STORE_NAME], 'readwrite').objectStore(JOURNAL_STORE_NAME);
+    const index = store.index('timestamp');
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const count = await requestToPromise(store.count());
+
+    let excess = count - this.maxEntries;
+
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor();
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || (excess <= 0 && cursor.value.timestamp >= cutoff)) {
+          resolve();
+          return;
+        }
+
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Deletes every entry
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    if (!this.db) {
+      return;
+    }
+
+    const store = this.db.transaction([JOURNAL_STORE_NAME], 'readwrite').objectStore(JOURNAL_STORE_NAME);
+    await requestToPromise(store.clear());
+  }
+
+  /**
+   * Closes the database connection
+   *
+   * @returns {void}
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
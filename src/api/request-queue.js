@@ -1,16 +1,64 @@
 /**
  * Request Queue for API Requests
- * Manages queuing, rate limiting, and retry logic for API calls
+ * Manages queuing, rate limiting, retry logic and model fallback for API calls
  */
 
-import { APIError, TimeoutError } from './errors.js';
+import { APIError, TimeoutError, RateLimitError, CircuitOpenError, CancelledError } from './errors.js';
+import { USAGE_FEATURES } from './usage-tracker.js';
+import { jitteredBackoff, RATE_LIMIT_SCOPES } from './rate-limiter.js';
+import { CIRCUIT_STATES } from './circuit-breaker.js';
+import { JOURNAL_SOURCES } from './request-journal.js';
+import { SelfConsistencyVoter } from './self-consistency.js';
+
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY = 1000;
+const MAX_SERVER_RETRY_WAIT = 30000; // Longer server-requested waits fail instead of blocking the queue
+const THROTTLE_STATUSES = [429, 503];
+const DEFAULT_MAX_WAIT = 60000; // Longest a request is held for a rate-limit window to open
+
+/**
+ * Priority lanes, highest first
+ * A queued request always runs before requests in lower lanes
+ */
+export const QUEUE_LANES = {
+  CURRENT: 'current',        // The question the user is looking at
+  PREFETCH: 'prefetch',      // Other questions on the page
+  EXPLANATION: 'explanation' // Explanations generated in the background
+};
+
+const LANE_ORDER = [QUEUE_LANES.CURRENT, QUEUE_LANES.PREFETCH, QUEUE_LANES.EXPLANATION];
+
+export const BATCH_CONFIG = {
+  window: 200, // How long the first question waits for others from the same page
+  maxSize: 10  // Questions per batched call
+};
+
+/**
+ * @typedef {Object} QueueStatus
+ * @property {string} state - 'waiting' while held for a rate-limit window, then 'processing'
+ * @property {number} [waitMs] - How long the request will wait
+ * @property {number} [until] - When the wait ends (ms since epoch)
+ * @property {string} [reason] - Which limit is being waited out
+ */
 
 /**
  * RequestQueue manages API request queuing with retry logic
- * Processes requests in FIFO order with exponential backoff retries
+ * Processes requests by priority lane, FIFO within a lane, with exponential
+ * backoff retries. Aborting a request's signal drops it from the queue or
+ * cancels it mid-flight. In batching mode, questions queued from the same
+ * page within a short window are answered by one call.
+ * When fallbacks are configured, a request that is rate limited, fails
+ * with a retryable error or meets an open circuit breaker moves on to the
+ * next model in the chain.
+ * When every model is only briefly limited (per-minute window or server
+ * pause), the request is held until the window opens instead of rejected.
+ * When the adaptive performance config enables self-consistency, single
+ * answers from rate-limited models are sampled and voted on (see
+ * SelfConsistencyVoter); each sample counts against the model's limiter.
+ * Every settled request is written to the request journal, if one is given
  */
 export class RequestQueue {
-  constructor(rateLimiter, apiClient) {
+  constructor(rateLimiter, apiClient, options = {}) {
     if (!rateLimiter) {
       throw new Error('Rate limiter instance is required');
     }
@@ -20,7 +68,20 @@ export class RequestQueue {
 
     this.rateLimiter = rateLimiter;
     this.apiClient = apiClient;
-    this.queue = [];
+    this.circuitBreaker = options.circuitBreaker || null;
+    this.fallbacks = options.fallbacks || []; // ModelChainEntry list, in order
+    this.usageTracker = options.usageTracker || null;
+    this.journal = options.journal || null;
+    this.adaptive = options.adaptive || null; // AdaptivePerformance, enables self-consistency voting
+    this.voters = new Map(); // apiClient -> SelfConsistencyVoter
+    this.maxWait = options.maxWait ?? DEFAULT_MAX_WAIT;
+    this.waitingUntil = null;
+    this.batching = options.batching ?? false;
+    this.batchWindow = options.batchWindow ?? BATCH_CONFIG.window;
+    this.maxBatchSize = options.maxBatchSize ?? BATCH_CONFIG.maxSize;
+    this.batchStats = { batches: 0, batchedRequests: 0, retriedIndividually: 0 };
+    this.queue = []; // Pending requests, ordered by lane
+    this.laneStats = Object.fromEntries(LANE_ORDER.map(lane => [lane, { completed: 0, failed: 0, cancelled: 0 }]));
     this.processing = false;
     this.logs = [];
     this.maxLogs = 100;
@@ -32,25 +93,187 @@ export class RequestQueue {
    *
    * @param {string} question - The quiz question
    * @param {string} context - Optional context for the question
+   * @param {Object} questionData - Optional extracted question data (options)
+   * @param {Object} requestOptions - Per-request options
+   * @param {string} [requestOptions.priority] - QUEUE_LANES value (defaults to CURRENT)
+   * @param {string} [requestOptions.batchKey] - Identifies the page; only questions with the same key are batched
+   * @param {AbortSignal} [requestOptions.signal] - Cancels the request, queued or in flight
+   * @param {number} [requestOptions.deadline] - Reject if not answered by this time (ms since epoch)
+   * @param {number} [requestOptions.maxWait] - Longest to wait for rate limits (defaults to the queue's)
+   * @param {Function} [requestOptions.onStatus] - Called with a QueueStatus while waiting
    * @returns {Promise<Object>} API response
    */
-  async enqueue(question, context = null) {
+  async enqueue(question, context = null, questionData = {}, requestOptions = {}) {
+    return this.add({ question, context, questionData, feature: USAGE_FEATURES.ANSWER }, {
+      priority: QUEUE_LANES.CURRENT,
+      ...requestOptions
+    });
+  }
+
+  /**
+   * Enqueues an explanation request
+   * Explanations run in the lowest lane unless another priority is given
+   *
+   * @param {string} question - The quiz question
+   * @param {string} answer - The answer to explain
+   * @param {Object} questionData - Optional question data (host for usage accounting)
+   * @param {Object} requestOptions - Per-request options (see enqueue)
+   * @returns {Promise<Object>} AIResponse with explanation populated
+   */
+  async enqueueExplanation(question, answer, questionData = {}, requestOptions = {}) {
+    return this.add({ question, answer, questionData, feature: USAGE_FEATURES.EXPLANATION }, {
+      priority: QUEUE_LANES.EXPLANATION,
+      ...requestOptions
+    });
+  }
+
+  /**
+   * Adds a request to its lane and starts processing
+   *
+   * @param {Object} fields - Request fields (question, context, questionData, feature...)
+   * @param {Object} requestOptions - Per-request options (see enqueue)
+   * @returns {Promise<Object>} Settles with the request
+   */
+  add(fields, requestOptions) {
+    const lane = requestOptions.priority;
+
+    if (!LANE_ORDER.includes(lane)) {
+      return Promise.reject(new Error(`Unknown queue lane: ${lane}`));
+    }
+
     return new Promise((resolve, reject) => {
-      this.queue.push({
-        question,
-        context,
+      const request = {
+        ...fields,
+        lane,
         resolve,
         reject,
         retries: 0,
-        createdAt: Date.now()
-      });
+        lastModel: null,
+        createdAt: Date.now(),
+        signal: requestOptions.signal || null,
+        deadline: requestOptions.deadline ?? null,
+        maxWait: requestOptions.maxWait ?? this.maxWait,
+        onStatus: requestOptions.onStatus || null,
+        batchKey: requestOptions.batchKey ?? null,
+        noBatch: false,
+        settled: false
+      };
 
+      if (request.signal?.aborted) {
+        this.settle(request, 'cancelled', new CancelledError());
+        return;
+      }
+
+      request.onAbort = () => this.cancel(request);
+      request.signal?.addEventListener('abort', request.onAbort);
+
+      this.insert(request);
       this.processQueue();
     });
   }
 
   /**
-   * Processes the request queue in FIFO order
+   * Inserts a request behind every request of the same or a higher lane
+   * (or, with front, ahead of the other requests in its lane)
+   *
+   * @param {Object} request - Request to insert
+   * @param {boolean} front - Whether to insert at the front of the lane
+   * @returns {void}
+   */
+  insert(request, front = false) {
+    const rank = LANE_ORDER.indexOf(request.lane);
+    const index = this.queue.findIndex(queued => {
+      const queuedRank = LANE_ORDER.indexOf(queued.lane);
+      return front ? queuedRank >= rank : queuedRank > rank;
+    });
+
+    if (index === -1) {
+      this.queue.push(request);
+    } else {
+      this.queue.splice(index, 0, request);
+    }
+  }
+
+  /**
+   * Cancels a request whose signal was aborted
+   * A queued request is dropped; an in-flight request is rejected at once
+   * and its API call stops through the same signal
+   *
+   * @param {Object} request - The cancelled request
+   * @returns {void}
+   */
+  cancel(request) {
+    const index = this.queue.indexOf(request);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    }
+
+    this.log('cancelled', request.question, new CancelledError());
+    this.settle(request, 'cancelled', new CancelledError());
+  }
+
+  /**
+   * Settles a request's promise once and counts the outcome for its lane
+   *
+   * @param {Object} request - The request
+   * @param {string} outcome - 'completed', 'failed' or 'cancelled'
+   * @param {*} value - Result, or the error to reject with
+   * @returns {void}
+   */
+  settle(request, outcome, value) {
+    if (request.settled) {
+      return;
+    }
+
+    request.settled = true;
+    request.signal?.removeEventListener('abort', request.onAbort);
+    this.laneStats[request.lane][outcome]++;
+    this.journalRequest(request, outcome, value);
+
+    if (outcome === 'completed') {
+      request.resolve(value);
+    } else {
+      request.reject(value);
+    }
+  }
+
+  /**
+   * Writes a settled request to the request journal
+   * Failed requests name the model that was called last
+   *
+   * @param {Object} request - The settled request
+   * @param {string} outcome - 'completed', 'failed' or 'cancelled'
+   * @param {*} value - Result, or the error the request was rejected with
+   * @returns {void}
+   */
+  journalRequest(request, outcome, value) {
+    if (!this.journal) {
+      return;
+    }
+
+    const error = outcome === 'completed' ? null : value;
+    const model = error ? request.lastModel : value?.answeredBy;
+
+    this.journal.record({
+      status: outcome,
+      source: JOURNAL_SOURCES.API,
+      feature: request.feature,
+      lane: request.lane,
+      host: request.questionData?.host ?? null,
+      provider: model?.provider ?? null,
+      model: model?.model ?? null,
+      fallbackIndex: model?.fallbackIndex ?? null,
+      latency: Date.now() - request.createdAt,
+      usage: error ? null : value?.usage,
+      retries: request.retries,
+      batchSize: value?.batchSize ?? null,
+      error,
+      question: request.question
+    });
+  }
+
+  /**
+   * Processes the request queue, highest lane first
    * Respects rate limiting and implements retry logic
    *
    * @returns {Promise<void>}
@@ -65,63 +288,496 @@ export class RequestQueue {
     while (this.queue.length > 0) {
       const request = this.queue.shift();
 
-      try {
+      if (this.rejectIfExpired(request)) {
+        continue;
+      }
+
+      if (!this.isBatchable(request)) {
+        await this.processRequest(request);
+        continue;
+      }
+
+      const batch = await this.collectBatch(request);
+      if (batch.length > 1) {
+        await this.processBatch(batch);
+      } else if (batch.length === 1) {
+        await this.processRequest(batch[0]);
+      }
+    }
+
+    this.processing = false;
+  }
+
+  /**
+   * Rejects a request whose deadline passed while it was queued
+   *
+   * @param {Object} request - Dequeued request
+   * @returns {boolean} True if the request was rejected
+   */
+  rejectIfExpired(request) {
+    // Requests can expire while earlier ones wait for a window
+    if (request.deadline === null || Date.now() <= request.deadline) {
+      return false;
+    }
+
+    const error = new RateLimitError('Request deadline passed while queued');
+    this.log('error', request.question, error);
+    this.settle(request, 'failed', error);
+    return true;
+  }
+
+  /**
+   * Sends one request through the model chain and settles it
+   *
+   * @param {Object} request - Dequeued request
+   * @returns {Promise<void>}
+   */
+  async processRequest(request) {
+    try {
+      const result = await this.executeWithFallback(request);
+      this.log('success', request.question, result);
+      this.recordUsage(request, result);
+
+      this.settle(request, 'completed', result);
+    } catch (error) {
+      if (error instanceof CancelledError) {
+        // Already rejected when the signal was aborted
+        this.settle(request, 'cancelled', error);
+        return;
+      }
+
+      // Rate limit and open-circuit rejections were already logged per model
+      if (!(error instanceof RateLimitError || error instanceof CircuitOpenError)) {
+        this.log('error', request.question, error);
+      }
+      this.settle(request, 'failed', error);
+    }
+  }
+
+  /**
+   * Checks whether a request can be answered as part of a batch
+   * Only text answer requests from a known page are batched
+   *
+   * @param {Object} request - Queued request
+   * @returns {boolean} True if batchable
+   */
+  isBatchable(request) {
+    return this.batching &&
+      typeof this.apiClient.getAnswers === 'function' &&
+      request.feature === USAGE_FEATURES.ANSWER &&
+      request.batchKey !== null &&
+      !request.noBatch &&
+      !(request.questionData?.images?.length > 0);
+  }
+
+  /**
+   * Waits for the batch window, then takes the queued questions from the
+   * same page to answer together with the first one
+   *
+   * @param {Object} first - Dequeued request that opens the batch
+   * @returns {Promise<Array<Object>>} Requests to answer together (still pending)
+   */
+  async collectBatch(first) {
+    await sleep(this.batchWindow);
+
+    const batch = [first];
+    for (const request of [...this.queue]) {
+      if (batch.length >= this.maxBatchSize) {
+        break;
+      }
+      if (request.batchKey === first.batchKey && this.isBatchable(request)) {
+        this.queue.splice(this.queue.indexOf(request), 1);
+        if (!this.rejectIfExpired(request)) {
+          batch.push(request);
+        }
+      }
+    }
+
+    // Requests cancelled during the window are already settled
+    return batch.filter(request => !request.settled);
+  }
+
+  /**
+   * Answers several requests with one call and settles each from its part
+   * of the response. Questions the batch left unanswered, or every question
+   * if the call failed, are queued again to be answered on their own
+   *
+   * @param {Array<Object>} requests - Requests from the same page
+   * @returns {Promise<void>}
+   */
+  async processBatch(requests) {
+    const deadlines = requests.map(request => request.deadline).filter(deadline => deadline !== null);
+    const batchRequest = {
+      question: `[batch of ${requests.length}] ${requests[0].question}`,
+      items: requests,
+      questionData: requests[0].questionData,
+      feature: USAGE_FEATURES.ANSWER,
+      signal: null,
+      retries: 0,
+      lastModel: null,
+      deadline: deadlines.length > 0 ? Math.min(...deadlines) : null,
+      maxWait: Math.min(...requests.map(request => request.maxWait)),
+      onStatus: (status) => requests.forEach(request => this.notifyStatus(request, status))
+    };
+
+    this.batchStats.batches++;
+    this.batchStats.batchedRequests += requests.length;
+
+    let result;
+    try {
+      result = await this.executeWithFallback(batchRequest);
+    } catch (error) {
+      // Answering separately would hit the same exhausted quota or open circuit
+      if (error instanceof RateLimitError || error instanceof CircuitOpenError) {
+        requests.forEach(request => this.settle(request, 'failed', error));
+        return;
+      }
+
+      this.log('fallback', batchRequest.question, error);
+      this.retryIndividually(requests);
+      return;
+    }
+
+    this.log('success', batchRequest.question, result);
+    this.recordUsage(batchRequest, result);
+
+    const unanswered = [];
+    requests.forEach((request, index) => {
+      const answer = result.answers?.[index];
+      if (answer) {
+        this.settle(request, 'completed', { ...answer, answeredBy: result.answeredBy, batchSize: requests.length });
+      } else {
+        unanswered.push(request);
+      }
+    });
+
+    this.retryIndividually(unanswered);
+  }
+
+  /**
+   * Queues requests again to be answered one by one, ahead of their lane
+   *
+   * @param {Array<Object>} requests - Requests a batch did not answer
+   * @returns {void}
+   */
+  retryIndividually(requests) {
+    const pending = requests.filter(request => !request.settled);
+
+    pending.reverse().forEach(request => {
+      request.noBatch = true;
+      this.insert(request, true);
+    });
+    this.batchStats.retriedIndividually += pending.length;
+  }
+
+  /**
+   * Gets the model chain: the primary client followed by the fallbacks
+   *
+   * @returns {Array<Object>} Entries with apiClient, rateLimiter (null if unlimited)
+   *                          and circuitBreaker (null if none)
+   */
+  getChain() {
+    return [{ apiClient: this.apiClient, rateLimiter: this.rateLimiter, circuitBreaker: this.circuitBreaker }, ...this.fallbacks];
+  }
+
+  /**
+   * Executes a request, waiting for rate-limit windows to open when needed
+   * Rejects when every model is out of daily quota, or when the wait would
+   * pass the request's deadline or maximum wait
+   *
+   * @param {Object} request - Request object with question and context
+   * @returns {Promise<Object>} API response with answeredBy
+   * @throws {RateLimitError} When the request cannot be answered in time
+   */
+  async executeWithFallback(request) {
+    let waited = 0;
+
+    while (true) {
+      const outcome = await this.tryChain(request);
+      if (outcome.result) {
+        return outcome.result;
+      }
+
+      const waitMs = outcome.waitMs;
+      const now = Date.now();
+
+      if (waitMs === null) {
+        throw outcome.error;
+      }
+
+      if (request.deadline !== null && now + waitMs > request.deadline) {
+        throw new RateLimitError(
+          `${outcome.error.message}; waiting ${Math.ceil(waitMs / 1000)}s would pass the request deadline`,
+          waitMs
+        );
+      }
+
+      if (waited + waitMs > request.maxWait) {
+        throw new RateLimitError(
+          `${outcome.error.message}; waited too long for a free slot`,
+          waitMs
+        );
+      }
+
+      await this.waitForWindow(request, waitMs, outcome.error.message);
+      waited += waitMs;
+    }
+  }
+
+  /**
+   * Holds a request until a rate-limit window opens
+   *
+   * @param {Object} request - The waiting request
+   * @param {number} waitMs - How long to wait
+   * @param {string} reason - Which limit is being waited out
+   * @returns {Promise<void>}
+   */
+  async waitForWindow(request, waitMs, reason) {
+    this.waitingUntil = Date.now() + waitMs;
+    this.log('waiting', request.question, { waitMs });
+    this.notifyStatus(request, { state: 'waiting', waitMs, until: this.waitingUntil, reason });
+
+    try {
+      await sleep(waitMs, request.signal);
+    } finally {
+      this.waitingUntil = null;
+    }
+
+    this.notifyStatus(request, { state: 'processing' });
+  }
+
+  /**
+   * Reports a request's queue status to its caller
+   *
+   * @param {Object} request - The request
+   * @param {QueueStatus} status - Status to report
+   * @returns {void}
+   */
+  notifyStatus(request, status) {
+    if (!request.onStatus) {
+      return;
+    }
+
+    try {
+      request.onStatus(status);
+    } catch (error) {
+      console.warn('Queue status callback failed:', error.message);
+    }
+  }
+
+  /**
+   * Executes a request against each model in the chain until one answers
+   * Moves on when a model's quota is exhausted or it fails with a retryable
+   * error; only the last model retries in place
+   *
+   * @param {Object} request - Request object with question and context
+   * @returns {Promise<Object>} { result } on success, otherwise the last error
+   *                            and how long until a limited model frees up
+   *                            (waitMs, null if none will soon)
+   * @throws {Error} The last model's error when it fails
+   */
+  async tryChain(request) {
+    const chain = this.getChain();
+    let lastError = null;
+    let waitMs = null;
+
+    for (let index = 0; index < chain.length; index++) {
+      const { apiClient, rateLimiter, circuitBreaker = null } = chain[index];
+      const isLast = index === chain.length - 1;
+
+      if (request.signal?.aborted) {
+        throw new CancelledError();
+      }
+
+      if (rateLimiter) {
         // Check rate limit
-        const limitCheck = await this.rateLimiter.checkLimit();
+        const limitCheck = await rateLimiter.checkLimit();
         if (!limitCheck.allowed) {
-          const error = new Error(limitCheck.reason);
-          this.log('rate-limit', request.question, error);
-          request.reject(error);
+          lastError = new RateLimitError(limitCheck.reason, limitCheck.retryAfter);
+          this.log('rate-limit', request.question, lastError);
+
+          const windowMs = getWindowWait(limitCheck);
+          if (windowMs !== null && (waitMs === null || windowMs < waitMs)) {
+            waitMs = windowMs;
+          }
           continue;
         }
+      }
 
+      // A provider that keeps failing is skipped without calling it
+      if (circuitBreaker) {
+        const circuitCheck = circuitBreaker.canRequest();
+        if (!circuitCheck.allowed) {
+          const { provider, model } = describeClient(apiClient);
+          lastError = new CircuitOpenError(`${[provider, model].filter(Boolean).join(' ')}: ${circuitCheck.reason}`, circuitCheck.retryAfter);
+          this.log('circuit-open', request.question, lastError);
+          continue;
+        }
+      }
+
+      if (rateLimiter) {
         // Wait for rate limit slot
-        await this.rateLimiter.waitForSlot();
+        await rateLimiter.waitForSlot();
+      }
 
-        // Execute request with retry logic
-        const result = await this.executeWithRetry(request);
+      try {
+        const client = this.getVotingClient(apiClient, rateLimiter, request) || apiClient;
+        const result = await this.executeWithRetry(request, client, isLast ? MAX_RETRIES : 0, rateLimiter, circuitBreaker);
 
-        // Record request
-        await this.rateLimiter.recordRequest();
-        this.log('success', request.question, result);
+        // Record request (self-consistency voting uses one request per sample)
+        if (rateLimiter) {
+          const requestCount = result?.sampleCount || 1;
+          for (let i = 0; i < requestCount; i++) {
+            await rateLimiter.recordRequest();
+          }
+        }
 
-        request.resolve(result);
+        return {
+          result: {
+            ...result,
+            answeredBy: {
+              ...describeClient(apiClient),
+              fallbackIndex: index
+            }
+          }
+        };
       } catch (error) {
-        this.log('error', request.question, error);
-        request.reject(error);
+        if (isLast || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        lastError = error;
+        this.log('fallback', request.question, error);
       }
     }
 
-    this.processing = false;
+    return { error: lastError, waitMs };
   }
 
   /**
    * Executes a request with exponential backoff retry logic
-   * Retries up to 2 times on transient errors
+   * Retries up to 2 times on transient errors, waiting as long as the server
+   * asked (Retry-After / RetryInfo) or a jittered backoff otherwise.
+   * Throttling responses and successes are reported to the rate limiter,
+   * and every outcome to the circuit breaker; retries stop once it opens
    *
    * @param {Object} request - Request object with question and context
+   * @param {Object} apiClient - Client to send the request to (defaults to the primary client)
+   * @param {number} maxRetries - Retries on transient errors
+   * @param {Object|null} rateLimiter - Limiter of the model being called
+   * @param {CircuitBreaker|null} circuitBreaker - Breaker of the model being called
    * @returns {Promise<Object>} API response
    */
-  async executeWithRetry(request) {
-    const maxRetries = 2;
-    const retryDelays = [1000, 2000]; // exponential backoff
+  async executeWithRetry(request, apiClient = this.apiClient, maxRetries = MAX_RETRIES, rateLimiter = null, circuitBreaker = null) {
+    request.lastModel = describeClient(apiClient);
 
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
       try {
-        return await this.apiClient.getAnswer(request.question, request.context);
+        const result = await this.callClient(apiClient, request);
+        rateLimiter?.reportSuccess?.();
+        circuitBreaker?.recordSuccess();
+        return result;
       } catch (error) {
+        if (this.isThrottle(error)) {
+          rateLimiter?.reportThrottle?.(error.retryAfter ?? null);
+        }
+        circuitBreaker?.recordFailure(error);
+
+        const delay = this.getRetryDelay(error, attempt);
+        const circuitOpen = circuitBreaker?.state === CIRCUIT_STATES.OPEN;
+
         // Check if error is retryable
-        if (!this.isRetryable(error) || attempt === maxRetries) {
+        if (!this.isRetryable(error) || attempt === maxRetries || delay > MAX_SERVER_RETRY_WAIT || circuitOpen) {
           throw error;
         }
 
         // Wait before retry
-        const delay = retryDelays[attempt];
-        await new Promise(resolve => setTimeout(resolve, delay));
+        request.retries++;
+        await sleep(delay, request.signal);
       }
     }
   }
 
+  /**
+   * Gets the voter to send a request through, when voting applies
+   * Only single answers are voted on, and only for models with a limiter
+   * to budget the samples against
+   *
+   * @param {Object} apiClient - Client of the model being called
+   * @param {Object|null} rateLimiter - Limiter of the model being called
+   * @param {Object} request - Request about to be sent
+   * @returns {SelfConsistencyVoter|null} Voter wrapping the client, or null
+   */
+  getVotingClient(apiClient, rateLimiter, request) {
+    if (!this.adaptive || !rateLimiter || request.items || request.feature !== USAGE_FEATURES.ANSWER) {
+      return null;
+    }
+    if (!this.adaptive.getConfig().selfConsistency?.enabled) {
+      return null;
+    }
+
+    if (!this.voters.has(apiClient)) {
+      this.voters.set(apiClient, new SelfConsistencyVoter(apiClient, rateLimiter, { adaptive: this.adaptive }));
+    }
+    return this.voters.get(apiClient);
+  }
+
+  /**
+   * Sends a request to a client
+   * The request's signal is passed along so aborting stops the API call
+   *
+   * @param {Object} apiClient - Client to call
+   * @param {Object} request - Answer or explanation request
+   * @returns {Promise<Object>} API response
+   */
+  callClient(apiClient, request) {
+    if (request.items) {
+      if (typeof apiClient.getAnswers !== 'function') {
+        return Promise.reject(new Error(`${describeClient(apiClient).provider} cannot answer batches`));
+      }
+
+      return apiClient.getAnswers(request.items.map(({ question, context, questionData }) => ({
+        question,
+        context,
+        questionData
+      })));
+    }
+
+    if (request.feature === USAGE_FEATURES.EXPLANATION) {
+      const explanationOptions = { language: request.questionData?.language };
+      return apiClient.getExplanation(request.question, request.answer,
+        request.signal ? { ...explanationOptions, signal: request.signal } : explanationOptions);
+    }
+
+    const questionData = request.signal ? { ...request.questionData, signal: request.signal } : request.questionData;
+    return apiClient.getAnswer(request.question, request.context, questionData);
+  }
+
+  /**
+   * Gets the wait before retrying a failed request
+   *
+   * @param {Error} error - The error that failed the attempt
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(error, attempt) {
+    if (typeof error?.retryAfter === 'number') {
+      return error.retryAfter;
+    }
+
+    return jitteredBackoff(attempt, RETRY_BASE_DELAY);
+  }
+
+  /**
+   * Determines if an error means the server is throttling us
+   *
+   * @param {Error} error - The error to check
+   * @returns {boolean} True for 429 and 503 responses
+   */
+  isThrottle(error) {
+    return error instanceof APIError && THROTTLE_STATUSES.includes(error.status);
+  }
+
   /**
    * Determines if an error is retryable
    * Transient errors (timeout, 408, 429, 5xx) are retryable
@@ -154,11 +810,31 @@ export class RequestQueue {
     return false;
   }
 
+  /**
+   * Records the token usage of a completed request with the usage tracker
+   *
+   * @param {Object} request - Request object with question and questionData
+   * @param {Object} result - API response with usage and answeredBy
+   * @returns {void}
+   */
+  recordUsage(request, result) {
+    if (!this.usageTracker || !result?.usage) {
+      return;
+    }
+
+    this.usageTracker.record({
+      usage: result.usage,
+      model: result.answeredBy?.model ?? null,
+      host: request.questionData?.host,
+      feature: request.feature || USAGE_FEATURES.ANSWER
+    });
+  }
+
   /**
    * Logs a request/response for debugging
    * Keeps only the last 100 logs
    *
-   * @param {string} status - Status: 'success', 'error', 'rate-limit'
+   * @param {string} status - Status: 'success', 'error', 'rate-limit', 'fallback', 'waiting', 'cancelled', 'circuit-open'
    * @param {string} question - The question text
    * @param {Object|Error} result - The result or error
    * @returns {void}
@@ -168,7 +844,8 @@ export class RequestQueue {
       timestamp: Date.now(),
       status,
       question: question.substring(0, 100), // Truncate for logging
-      result: result instanceof Error ? result.message : 'success'
+      result: result instanceof Error ? result.message : 'success',
+      usage: result instanceof Error ? null : result?.usage || null
     });
 
     // Keep only last N logs
@@ -189,16 +866,38 @@ export class RequestQueue {
   /**
    * Gets queue statistics
    *
-   * @returns {Object} Statistics object
+   * @returns {Object} Statistics object with a per-lane breakdown in lanes
    */
   getQueueStats() {
+    const lanes = Object.fromEntries(LANE_ORDER.map(lane => [lane, {
+      queued: this.queue.filter(request => request.lane === lane).length,
+      ...this.laneStats[lane]
+    }]));
+
     return {
       queueLength: this.queue.length,
       processing: this.processing,
-      totalLogged: this.logs.length
+      waitingUntil: this.waitingUntil,
+      totalLogged: this.logs.length,
+      lanes,
+      batching: { enabled: this.batching, ...this.batchStats }
     };
   }
 
+  /**
+   * Gets the circuit breaker state of each model in the chain
+   *
+   * @returns {Array<Object>} Provider, model and breaker statistics, primary first
+   */
+  getCircuitStates() {
+    return this.getChain()
+      .filter(entry => entry.circuitBreaker)
+      .map(entry => ({
+        ...describeClient(entry.apiClient),
+        ...entry.circuitBreaker.getStats()
+      }));
+  }
+
   /**
    * Clears all logs
    *
@@ -226,3 +925,61 @@ export class RequestQueue {
     return this.processing;
   }
 }
+
+/**
+ * Waits for a delay, stopping early when the signal is aborted
+ *
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal|null} signal - Cancels the wait
+ * @returns {Promise<void>}
+ * @throws {CancelledError} When the signal is aborted
+ */
+function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Gets how long until a denied model frees up, if it will soon
+ * The daily cap is never waited out
+ *
+ * @param {Object} limitCheck - Denied checkLimit() result
+ * @returns {number|null} Wait in ms, or null if not worth waiting for
+ */
+function getWindowWait(limitCheck) {
+  if (limitCheck.scope === RATE_LIMIT_SCOPES.DAY || typeof limitCheck.retryAfter !== 'number') {
+    return null;
+  }
+
+  return Math.max(0, limitCheck.retryAfter);
+}
+
+/**
+ * Identifies the provider and model behind a client
+ *
+ * @param {Object} apiClient - LLM provider or wrapper
+ * @returns {Object} Provider name and model (null if unknown)
+ */
+function describeClient(apiClient) {
+  const info = typeof apiClient.getInfo === 'function' ? apiClient.getInfo() : apiClient;
+
+  return {
+    provider: info?.name ?? null,
+    model: info?.model ?? null
+  };
+}
@@ -0,0 +1,232 @@
+/**
+ * Self-Consistency Voting
+ * Samples several answers and takes a majority vote for higher accuracy
+ */
+
+import { estimateConfidence } from './confidence-estimator.js';
+import { sumUsage } from './usage-tracker.js';
+
+export const SELF_CONSISTENCY_CONFIG = {
+  samples: 5,
+  minSamples: 3,                        // Below this budget, fall back to a single call
+  temperatures: [0.2, 0.7, 0.9, 0.5, 1.0]
+};
+
+/**
+ * Builds the vote key for a sampled answer
+ * Answers mapped to an option vote for that option; free-text answers
+ * vote by their normalized text
+ *
+ * @param {Object} result - AIResponse from a sample
+ * @returns {string} Vote key
+ */
+function voteKey(result) {
+  if (Number.isInteger(result.optionIndex) && result.optionIndex >= 0) {
+    return `option:${result.optionIndex}`;
+  }
+
+  const text = String(result.answer || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return `text:${text}`;
+}
+
+/**
+ * SelfConsistencyVoter wraps an LLM provider with majority voting
+ * Exposes the same getAnswer/getExplanation contract as the provider
+ */
+export class SelfConsistencyVoter {
+  constructor(apiClient, rateLimiter, options = {}) {
+    if (!apiClient) {
+      throw new Error('API client instance is required');
+    }
+    if (!rateLimiter) {
+      throw new Error('Rate limiter instance is required');
+    }
+
+    this.apiClient = apiClient;
+    this.rateLimiter = rateLimiter;
+    this.adaptive = options.adaptive || null;
+    this.samples = options.samples || SELF_CONSISTENCY_CONFIG.samples;
+    this.minSamples = options.minSamples || SELF_CONSISTENCY_CONFIG.minSamples;
+    this.temperatures = options.temperatures || SELF_CONSISTENCY_CONFIG.temperatures;
+  }
+
+  /**
+   * Gets the sampling settings currently in effect
+   * Voting only runs when the adaptive performance config enables it
+   *
+   * @returns {Object} Settings with enabled flag and sample count
+   */
+  getSettings() {
+    if (!this.adaptive) {
+      return { enabled: true, samples: this.samples };
+    }
+
+    const config = this.adaptive.getConfig().selfConsistency || {};
+    return {
+      enabled: Boolean(config.enabled),
+      samples: config.samples || this.samples
+    };
+  }
+
+  /**
+   * Determines how many samples the remaining quota allows
+   *
+   * @param {number} requested - Requested number of samples
+   * @returns {number} Number of samples to take (1 means single call)
+   */
+  getSampleBudget(requested) {
+    // A key pool sends every sample on its current key
+    const stats = typeof this.rateLimiter.getCurrentStats === 'function'
+      ? this.rateLimiter.getCurrentStats()
+      : this.rateLimiter.getStats();
+    const available = Math.min(stats.minuteRemaining, stats.dailyRemaining);
+    const budget = Math.min(requested, available);
+
+    return budget >= this.minSamples ? budget : 1;
+  }
+
+  /**
+   * Gets an answer, voting across multiple samples when enabled
+   *
+   * @param {string} question - The quiz question
+   * @param {string} context - Optional context for the question
+   * @param {Object} questionData - Optional extracted question data (options)
+   * @returns {Promise<Object>} AIResponse with votes and sampleCount
+   */
+  async getAnswer(question, context = null, questionData = {}) {
+    const settings = this.getSettings();
+    const sampleCount = settings.enabled ? this.getSampleBudget(settings.samples) : 1;
+
+    if (sampleCount <= 1) {
+      const result = await this.apiClient.getAnswer(question, context, questionData);
+      return { ...result, sampleCount: 1, votes: null };
+    }
+
+    const samples = await Promise.allSettled(
+      Array.from({ length: sampleCount }, (_, index) => this.apiClient.getAnswer(question, context, {
+        ...questionData,
+        sampling: {
+          temperature: this.temperatures[index % this.temperatures.length],
+          variant: index
+        }
+      }))
+    );
+
+    const answers = samples.filter(s => s.status === 'fulfilled').map(s => s.value);
+    if (answers.length === 0) {
+      throw samples[0].reason;
+    }
+
+    // Every sample is billed, not just the winner
+    const result = { ...this.vote(answers), sampleCount };
+    const usage = sumUsage(answers.map(answer => answer.usage));
+    if (usage) {
+      result.usage = usage;
+    }
+
+    return result;
+  }
+
+  /**
+   * Takes a majority vote over sampled answers
+   * Ties are broken by the summed confidence of each group
+   *
+   * @param {Array<Object>} answers - Successful sample results
+   * @returns {Object} Winning AIResponse with vote distribution
+   */
+  vote(answers) {
+    const groups = new Map();
+
+    answers.forEach(answer => {
+      const key = voteKey(answer);
+      const group = groups.get(key) || { answers: [], confidenceSum: 0 };
+      group.answers.push(answer);
+      group.confidenceSum += answer.confidence || 0;
+      groups.set(key, group);
+    });
+
+    const ranked = Array.from(groups.values()).sort((a, b) => {
+      return b.answers.length - a.answers.length || b.confidenceSum - a.confidenceSum;
+    });
+
+    const winner = ranked[0];
+    const representative = winner.answers.reduce((best, answer) => {
+      return (answer.confidence || 0) > (best.confidence || 0) ? answer : best;
+    });
+    const agreement = winner.answers.length / answers.length;
+
+    const confidenceSignals = {
+      ...representative.confidenceSignals,
+      agreement,
+      sampleCount: answers.length
+    };
+
+    return {
+      ...representative,
+      confidence: estimateConfidence(confidenceSignals).confidence,
+      confidenceSignals,
+      votes: {
+        agreement,
+        validSamples: answers.length,
+        distribution: ranked.map(group => ({
+          answer: group.answers[0].answer,
+          optionIndex: group.answers[0].optionIndex,
+          optionLetter: group.answers[0].optionLetter,
+          count: group.answers.length
+        }))
+      }
+    };
+  }
+
+  /**
+   * Gets identifying information for the underlying provider
+   *
+   * @returns {Object} Provider name and model
+   */
+  getInfo() {
+    return typeof this.apiClient.getInfo === 'function'
+      ? this.apiClient.getInfo()
+      : { name: this.apiClient.name ?? null, model: this.apiClient.model ?? null };
+  }
+
+  /**
+   * Answers several questions with one call to the underlying provider
+   * Batches are not voted on: one call is the point of batching
+   *
+   * @param {Array<Object>} items - Questions to answer ({ question, context, questionData })
+   * @param {Object} requestOptions - Request options ({ signal })
+   * @returns {Promise<Object>} { answers, usage } for the whole batch
+   */
+  async getAnswers(items, requestOptions = {}) {
+    return this.apiClient.getAnswers(items, requestOptions);
+  }
+
+  /**
+   * Gets an explanation from the underlying provider
+   *
+   * @param {string} question - The quiz question
+   * @param {string} answer - The answer to explain
+   * @param {Object} requestOptions - Request options ({ signal, language })
+   * @returns {Promise<Object>} AIResponse with explanation populated
+   */
+  async getExplanation(question, answer, requestOptions = {}) {
+    return this.apiClient.getExplanation(question, answer, requestOptions);
+  }
+
+  /**
+   * Streams an explanation from the underlying provider
+   *
+   * @param {string} question - The quiz question
+   * @param {string} answer - The answer to explain
+   * @param {Object} streamOptions - Stream options ({ signal, language })
+   * @returns {AsyncGenerator<Object>} Stream events
+   */
+  streamExplanation(question, answer, streamOptions = {}) {
+    return this.apiClient.streamExplanation(question, answer, streamOptions);
+  }
+}
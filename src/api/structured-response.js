@@ -0,0 +1,351 @@
+/**
+ * Structured Answer Responses
+ * JSON schema, validation and repair for model answers
+ */
+
+import { ParseError } from './errors.js';
+
+export const OPTION_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * JSON schema the model is asked to answer with
+ * optionIndex is -1 and optionLetter is '' when the question has no options
+ */
+export const ANSWER_SCHEMA = {
+  type: 'object',
+  properties: {
+    optionIndex: {
+      type: 'integer',
+      description: 'Zero-based index of the chosen option, or -1 if the question has no options'
+    },
+    optionLetter: {
+      type: 'string',
+      description: 'Letter of the chosen option (A, B, C...), or empty if the question has no options'
+    },
+    answer: {
+      type: 'string',
+      description: 'The answer text'
+    },
+    rationale: {
+      type: 'string',
+      description: 'One sentence explaining why the answer is correct'
+    },
+    confidence: {
+      type: 'integer',
+      description: 'Confidence that the answer is correct, from 0 to 100'
+    }
+  },
+  required: ['optionIndex', 'optionLetter', 'answer', 'rationale', 'confidence']
+};
+
+/**
+ * JSON schema for answering several questions in one call
+ * Each answer carries the id of the question it belongs to
+ */
+export const BATCH_ANSWER_SCHEMA = {
+  type: 'object',
+  properties: {
+    answers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'integer',
+            description: 'Number of the question being answered'
+          },
+          ...ANSWER_SCHEMA.properties
+        },
+        required: ['id', ...ANSWER_SCHEMA.required]
+      }
+    }
+  },
+  required: ['answers']
+};
+
+/**
+ * Normalizes extracted options to plain strings
+ * Accepts strings or OptionElement objects ({ element, text })
+ *
+ * @param {Array<string|Object>} options - Extracted options
+ * @returns {Array<string>} Option texts
+ */
+export function normalizeOptions(options) {
+  if (!Array.isArray(options)) {
+    return [];
+  }
+
+  return options
+    .map(option => (typeof option === 'string' ? option : option?.text))
+    .filter(text => typeof text === 'string' && text.trim().length > 0)
+    .map(text => text.trim());
+}
+
+/**
+ * Formats options as lettered lines for a prompt
+ *
+ * @param {Array<string>} options - Option texts
+ * @returns {string} Lines like "A. Paris"
+ */
+export function formatOptions(options) {
+  return options
+    .map((option, index) => `${OPTION_LETTERS[index]}. ${option}`)
+    .join('\n');
+}
+
+/**
+ * Attempts to repair common JSON mistakes made by language models
+ * Strips code fences and surrounding prose, fixes smart quotes,
+ * trailing commas, unquoted keys and single-quoted strings
+ *
+ * @param {string} text - Raw model output
+ * @returns {string} Repaired JSON text (may still be invalid)
+ */
+export function repairJSON(text) {
+  if (typeof text !== 'string') {
+    return '';
+  }
+
+  let repaired = text.trim();
+
+  // Remove markdown code fences
+  repaired = repaired.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  // Keep only the outermost object
+  const start = repaired.indexOf('{');
+  const end = repaired.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    repaired = repaired.slice(start, end + 1);
+  }
+
+  // Smart quotes to plain quotes
+  repaired = repaired.replace(/[“”]/g, '"').replace(/[‘’]/g, '\'');
+
+  // Trailing commas
+  repaired = repaired.replace(/,\s*([}\]])/g, '$1');
+
+  // Unquoted keys, matching quoted strings first so their text is left alone
+  repaired = repaired.replace(
+    /("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([{,]\s*)([A-Za-z_][A-Za-z0-9_]*)\s*:/g,
+    (match, quoted, prefix, key) => quoted ?? `${prefix}"${key}":`
+  );
+
+  // Single-quoted keys and values
+  repaired = repaired.replace(/'((?:[^'\\]|\\.)*)'(\s*[:,}\]])/g, (match, content, suffix) => {
+    return `${JSON.stringify(content)}${suffix}`;
+  });
+
+  return repaired;
+}
+
+/**
+ * Fills in derived fields of a structured answer
+ * Resolves optionIndex from optionLetter or matching answer text and vice versa
+ *
+ * @param {Object} data - Parsed model output
+ * @param {Array<string>} options - Option texts
+ * @returns {Object} Normalized answer data
+ */
+export function normalizeStructuredAnswer(data, options = []) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return data;
+  }
+
+  const normalized = { ...data };
+
+  if (typeof normalized.optionIndex === 'string' && /^-?\d+$/.test(normalized.optionIndex.trim())) {
+    normalized.optionIndex = parseInt(normalized.optionIndex, 10);
+  }
+
+  if (typeof normalized.confidence === 'string' && normalized.confidence.trim() !== '') {
+    normalized.confidence = Number(normalized.confidence.replace('%', ''));
+  }
+
+  if (typeof normalized.optionLetter === 'string') {
+    normalized.optionLetter = normalized.optionLetter.trim().toUpperCase();
+  }
+
+  if (options.length > 0) {
+    const hasIndex = Number.isInteger(normalized.optionIndex) && normalized.optionIndex >= 0;
+
+    if (!hasIndex && normalized.optionLetter) {
+      const letterIndex = OPTION_LETTERS.indexOf(normalized.optionLetter);
+      if (letterIndex !== -1) {
+        normalized.optionIndex = letterIndex;
+      }
+    }
+
+    if (!(Number.isInteger(normalized.optionIndex) && normalized.optionIndex >= 0) &&
+        typeof normalized.answer === 'string') {
+      const answerText = normalized.answer.trim().toLowerCase();
+      const matchIndex = options.findIndex(option => option.toLowerCase() === answerText);
+      if (matchIndex !== -1) {
+        normalized.optionIndex = matchIndex;
+      }
+    }
+
+    if (Number.isInteger(normalized.optionIndex) && normalized.optionIndex >= 0) {
+      normalized.optionLetter = OPTION_LETTERS[normalized.optionIndex] || '';
+    }
+  } else {
+    normalized.optionIndex = -1;
+    normalized.optionLetter = '';
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates a structured answer against ANSWER_SCHEMA
+ *
+ * @param {Object} data - Normalized answer data
+ * @param {number} optionCount - Number of options sent with the question
+ * @returns {Array<string>} Validation error messages (empty if valid)
+ */
+export function validateStructuredAnswer(data, optionCount = 0) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['response must be a JSON object'];
+  }
+
+  if (typeof data.answer !== 'string' || data.answer.trim().length === 0) {
+    errors.push('answer must be a non-empty string');
+  }
+
+  if (typeof data.confidence !== 'number' || Number.isNaN(data.confidence) ||
+      data.confidence < 0 || data.confidence > 100) {
+    errors.push('confidence must be a number between 0 and 100');
+  }
+
+  if (data.rationale !== undefined && data.rationale !== null && typeof data.rationale !== 'string') {
+    errors.push('rationale must be a string');
+  }
+
+  if (optionCount > 0) {
+    if (!Number.isInteger(data.optionIndex) || data.optionIndex < 0 || data.optionIndex >= optionCount) {
+      errors.push(`optionIndex must be an integer between 0 and ${optionCount - 1}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parses model output as JSON, repairing it if it does not parse as is
+ *
+ * @param {string} text - Raw model output
+ * @returns {*} Parsed value
+ * @throws {ParseError} When the text cannot be parsed even after repair
+ */
+export function parseJsonPayload(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    try {
+      return JSON.parse(repairJSON(text));
+    } catch (repairError) {
+      throw new ParseError('Response is not valid JSON', repairError, text);
+    }
+  }
+}
+
+/**
+ * Builds the AIResponse for a normalized, validated answer
+ *
+ * @param {Object} normalized - Answer from normalizeStructuredAnswer
+ * @returns {Object} AIResponse
+ */
+function toAIResponse(normalized) {
+  return {
+    answer: normalized.answer.trim(),
+    confidence: Math.round(normalized.confidence),
+    optionIndex: normalized.optionIndex,
+    optionLetter: normalized.optionLetter,
+    rationale: normalized.rationale || null,
+    explanation: null,
+    error: null
+  };
+}
+
+/**
+ * Parses, repairs and validates a structured answer from raw model text
+ *
+ * @param {string} text - Raw model output
+ * @param {Array<string>} options - Option texts sent with the question
+ * @returns {Object} AIResponse with optionIndex, optionLetter and rationale
+ * @throws {ParseError} When the text cannot be parsed or fails validation
+ */
+export function parseStructuredAnswer(text, options = []) {
+  const data = parseJsonPayload(text);
+
+  const normalized = normalizeStructuredAnswer(data, options);
+  const errors = validateStructuredAnswer(normalized, options.length);
+
+  if (errors.length > 0) {
+    throw new ParseError(`Response failed schema validation: ${errors.join('; ')}`, null, text);
+  }
+
+  return toAIResponse(normalized);
+}
+
+/**
+ * Parses a batched answer and splits it back into one answer per question
+ * Questions whose answer is missing or fails validation are left
+ * unanswered, so callers can retry them on their own; unknown ids and
+ * repeated answers are ignored
+ *
+ * @param {string} text - Raw model output
+ * @param {Array<Array<string>>} optionsPerQuestion - Option texts of each question, by id
+ * @returns {Array<Object|null>} Answer for each question (null if not answered)
+ * @throws {ParseError} When the text is not a JSON object with an answers array
+ */
+export function parseBatchAnswers(text, optionsPerQuestion) {
+  const data = parseJsonPayload(text);
+
+  if (!Array.isArray(data?.answers)) {
+    throw new ParseError('Response failed schema validation: answers must be an array', null, text);
+  }
+
+  const results = optionsPerQuestion.map(() => null);
+  const seen = new Set();
+
+  data.answers.forEach(entry => {
+    const id = Number(entry?.id);
+
+    if (!Number.isInteger(id) || id < 0 || id >= results.length || seen.has(id)) {
+      return;
+    }
+    seen.add(id);
+
+    const options = optionsPerQuestion[id];
+    const normalized = normalizeStructuredAnswer(entry, options);
+
+    if (validateStructuredAnswer(normalized, options.length).length === 0) {
+      results[id] = toAIResponse(normalized);
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Extracts the answer text from an incomplete JSON answer
+ * Used while streaming, before the full object can be parsed
+ *
+ * @param {string} text - Partial model output
+ * @returns {string} Answer text received so far ('' if not started)
+ */
+export function extractPartialAnswer(text) {
+  const match = /"answer"\s*:\s*"((?:[^"\\]|\\.)*)(\\?)/.exec(text || '');
+  if (!match) {
+    return '';
+  }
+
+  try {
+    return JSON.parse(`"${match[1]}"`);
+  } catch (error) {
+    // Truncated escape sequence such as \u00
+    return match[1].replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+  }
+}
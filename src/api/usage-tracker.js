@@ -0,0 +1,307 @@
+/**
+ * Usage Tracker
+ * Aggregates token usage and estimated cost per day, per site and per feature
+ */
+
+export const USAGE_FEATURES = {
+  ANSWER: 'answer',
+  EXPLANATION: 'explanation'
+};
+
+export const USAGE_CONFIG = {
+  storageKey: 'usageStats',
+  retentionDays: 30,
+  saveDelay: 1000 // Batches storage writes when several calls finish together
+};
+
+/**
+ * Published prices in USD per million tokens
+ * Models not listed here (e.g. local servers) are counted as free
+ */
+export const MODEL_PRICING = {
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.00 }
+};
+
+/**
+ * @typedef {Object} UsageBucket
+ * @property {number} requests - Calls that reported usage
+ * @property {number} promptTokens - Prompt tokens
+ * @property {number} outputTokens - Generated tokens
+ * @property {number} totalTokens - Total tokens
+ * @property {number} cost - Estimated cost in USD
+ */
+
+/**
+ * Adds up token usage from several calls
+ *
+ * @param {Array<Object|null>} usages - TokenUsage objects (nulls are skipped)
+ * @returns {Object|null} Combined TokenUsage, or null if none were reported
+ */
+export function sumUsage(usages) {
+  const reported = usages.filter(Boolean);
+
+  if (reported.length === 0) {
+    return null;
+  }
+
+  return reported.reduce((total, usage) => ({
+    promptTokens: total.promptTokens + (usage.promptTokens || 0),
+    outputTokens: total.outputTokens + (usage.outputTokens || 0),
+    totalTokens: total.totalTokens + (usage.totalTokens || 0)
+  }), { promptTokens: 0, outputTokens: 0, totalTokens: 0 });
+}
+
+/**
+ * Estimates the cost of a call from its token usage
+ *
+ * @param {Object} usage - TokenUsage
+ * @param {string|null} model - Model that served the call
+ * @param {Object} pricing - Prices keyed by model (defaults to MODEL_PRICING)
+ * @returns {number} Estimated cost in USD
+ */
+export function estimateCost(usage, model, pricing = MODEL_PRICING) {
+  const price = pricing[model];
+
+  if (!usage || !price) {
+    return 0;
+  }
+
+  return (usage.promptTokens * price.input + usage.outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Creates an empty usage bucket
+ *
+ * @returns {UsageBucket} Zeroed bucket
+ */
+function emptyBucket() {
+  return { requests: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+/**
+ * Adds one call (or another bucket) to a bucket in place
+ *
+ * @param {UsageBucket} bucket - Bucket to update
+ * @param {Object} entry - Usage with requests and cost
+ * @returns {UsageBucket} The updated bucket
+ */
+function addToBucket(bucket, entry) {
+  bucket.requests += entry.requests;
+  bucket.promptTokens += entry.promptTokens;
+  bucket.outputTokens += entry.outputTokens;
+  bucket.totalTokens += entry.totalTokens;
+  bucket.cost += entry.cost;
+  return bucket;
+}
+
+/**
+ * Formats a timestamp as a local calendar day
+ *
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Day key (YYYY-MM-DD)
+ */
+function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * UsageTracker records the token usage of every API call
+ * Daily records keep per-host and per-feature breakdowns so the popup can
+ * show totals for any window within the retention period
+ */
+export class UsageTracker {
+  constructor(options = {}) {
+    this.pricing = options.pricing || MODEL_PRICING;
+    this.retentionDays = options.retentionDays || USAGE_CONFIG.retentionDays;
+    this.saveDelay = options.saveDelay ?? USAGE_CONFIG.saveDelay;
+    this.days = {}; // Day key -> { totals, hosts, features }
+    this.saveTimer = null;
+  }
+
+  /**
+   * Loads persisted usage from chrome.storage.local
+   * Calls recorded before loading finishes are kept
+   *
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (typeof chrome === 'undefined' || !chrome.storage) {
+      return;
+    }
+
+    try {
+      const result = await new Promise((resolve) => {
+        chrome.storage.local.get([USAGE_CONFIG.storageKey], resolve);
+      });
+      const stored = result?.[USAGE_CONFIG.storageKey]?.days || {};
+
+      Object.entries(stored).forEach(([day, record]) => {
+        const current = this.days[day];
+        this.days[day] = current ? mergeDayRecords(record, current) : record;
+      });
+      this.prune();
+    } catch (error) {
+      console.warn('Failed to load usage stats:', error.message);
+    }
+  }
+
+  /**
+   * Records the usage of one API call
+   * Calls without reported usage are ignored
+   *
+   * @param {Object} entry - Call details
+   * @param {Object|null} entry.usage - TokenUsage reported by the provider
+   * @param {string|null} [entry.model] - Model that served the call (for pricing)
+   * @param {string} [entry.host] - Hostname of the quiz page
+   * @param {string} [entry.feature] - A USAGE_FEATURES value
+   * @param {number} [entry.timestamp] - When the call finished
+   * @returns {void}
+   */
+  record({ usage, model = null, host = 'unknown', feature = USAGE_FEATURES.ANSWER, timestamp = Date.now() }) {
+    if (!usage) {
+      return;
+    }
+
+    const entry = {
+      requests: 1,
+      promptTokens: usage.promptTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      totalTokens: usage.totalTokens || 0,
+      cost: estimateCost(usage, model, this.pricing)
+    };
+
+    const day = dayKey(timestamp);
+    const record = this.days[day] || (this.days[day] = { totals: emptyBucket(), hosts: {}, features: {} });
+    const hostKey = host || 'unknown';
+
+    addToBucket(record.totals, entry);
+    addToBucket(record.hosts[hostKey] || (record.hosts[hostKey] = emptyBucket()), entry);
+    addToBucket(record.features[feature] || (record.features[feature] = emptyBucket()), entry);
+
+    this.prune();
+    this.scheduleSave();
+  }
+
+  /**
+   * Gets aggregated usage statistics
+   *
+   * @param {Object} options - Query options
+   * @param {number} [options.days] - Number of most recent days to include (defaults to all)
+   * @returns {Object} Totals, today, byDay, byHost and byFeature
+   */
+  getStats(options = {}) {
+    const dayKeys = Object.keys(this.days).sort();
+    const included = options.days ? dayKeys.slice(-options.days) : dayKeys;
+    const totals = emptyBucket();
+    const hosts = {};
+    const features = {};
+
+    included.forEach(day => {
+      const record = this.days[day];
+      addToBucket(totals, record.totals);
+
+      Object.entries(record.hosts).forEach(([host, bucket]) => {
+        addToBucket(hosts[host] || (hosts[host] = emptyBucket()), bucket);
+      });
+      Object.entries(record.features).forEach(([feature, bucket]) => {
+        addToBucket(features[feature] || (features[feature] = emptyBucket()), bucket);
+      });
+    });
+
+    return {
+      totals,
+      today: { ...(this.days[dayKey(Date.now())]?.totals || emptyBucket()) },
+      byDay: included.map(day => ({ day, ...this.days[day].totals })),
+      byHost: Object.entries(hosts)
+        .map(([host, bucket]) => ({ host, ...bucket }))
+        .sort((a, b) => b.totalTokens - a.totalTokens),
+      byFeature: features
+    };
+  }
+
+  /**
+   * Drops daily records older than the retention period
+   *
+   * @returns {void}
+   */
+  prune() {
+    const keys = Object.keys(this.days).sort();
+    keys.slice(0, Math.max(0, keys.length - this.retentionDays)).forEach(day => {
+      delete this.days[day];
+    });
+  }
+
+  /**
+   * Saves usage after a short delay, batching bursts of calls
+   *
+   * @returns {void}
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelay);
+  }
+
+  /**
+   * Persists usage to chrome.storage.local
+   *
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (typeof chrome === 'undefined' || !chrome.storage) {
+      return;
+    }
+
+    try {
+      await chrome.storage.local.set({
+        [USAGE_CONFIG.storageKey]: { days: this.days, lastUpdated: Date.now() }
+      });
+    } catch (error) {
+      console.warn('Failed to save usage stats:', error.message);
+    }
+  }
+
+  /**
+   * Clears all recorded usage
+   *
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.days = {};
+    await this.save();
+  }
+}
+
+/**
+ * Merges two daily records into a new record
+ *
+ * @param {Object} a - Daily record
+ * @param {Object} b - Daily record
+ * @returns {Object} Combined record
+ */
+function mergeDayRecords(a, b) {
+  const merged = { totals: emptyBucket(), hosts: {}, features: {} };
+
+  [a, b].forEach(record => {
+    addToBucket(merged.totals, record.totals);
+    ['hosts', 'features'].forEach(group => {
+      Object.entries(record[group] || {}).forEach(([key, bucket]) => {
+        addToBucket(merged[group][key] || (merged[group][key] = emptyBucket()), bucket);
+      });
+    });
+  });
+
+  return merged;
+}
@@ -3,8 +3,16 @@
  * Handles extension initialization and API communication
  */
 
-import { GeminiClient } from './api/gemini-client.js';
+import { DEFAULT_PROVIDER } from './api/provider-registry.js';
+import { PromptTemplateRegistry } from './api/prompt-templates.js';
+import { createModelChain } from './api/model-chain.js';
+import { RateLimiter } from './api/rate-limiter.js';
+import { RequestQueue, QUEUE_LANES } from './api/request-queue.js';
+import { UsageTracker } from './api/usage-tracker.js';
+import { RequestJournal } from './api/request-journal.js';
 import { CachingSystem } from './caching/cache-system.js';
+import { AnswerRetriever } from './answer/retriever.js';
+import { AdaptivePerformance } from './performance/adaptive.js';
 
 console.log('🚀 Quiz Solver AI - Background Service Worker Loaded');
 
@@ -16,35 +24,303 @@ cache.init().then(() => {
   console.error('❌ Cache initialization failed:', error);
 });
 
-// Get API key from storage
-chrome.storage.local.get(['geminiApiKey'], (result) => {
-  if (result.geminiApiKey) {
-    const apiClient = new GeminiClient(result.geminiApiKey);
-    console.log('✅ Gemini API client initialized');
-    
-    // Store in global for content scripts
-    globalThis.apiClient = apiClient;
-    globalThis.cache = cache;
-  } else {
+// Token usage is persisted across service worker restarts
+const usageTracker = new UsageTracker();
+usageTracker.load();
+globalThis.usageTracker = usageTracker;
+
+// Persisted log of answer and explanation requests, shown in the popup
+const requestJournal = new RequestJournal();
+requestJournal.init().catch(error => {
+  console.warn('⚠️ Request journal unavailable:', error.message);
+});
+
+// Picks ACCURACY_MODE or SPEED_MODE; self-consistency voting only runs in ACCURACY_MODE
+const adaptive = new AdaptivePerformance();
+adaptive.init().catch(error => {
+  console.warn('⚠️ Adaptive performance unavailable:', error.message);
+});
+globalThis.adaptive = adaptive;
+
+// Pending work per tab, aborted when the tab navigates away or closes
+const tabRequests = new Map(); // tabId -> Map(requestId -> AbortController)
+
+// Get API key and provider settings from storage
+chrome.storage.local.get(['geminiApiKey', 'geminiApiKeys', 'geminiApiBase', 'providerConfig', 'promptTemplates', 'requestBatching', 'similarityThreshold', 'selfConsistencySamples'], (result) => {
+  const { fallbacks = [], ...providerConfig } = { type: DEFAULT_PROVIDER, ...result.providerConfig };
+  const geminiApiKeys = result.geminiApiKeys?.length ? result.geminiApiKeys : [result.geminiApiKey].filter(Boolean);
+
+  if (providerConfig.type === 'gemini' && geminiApiKeys.length === 0) {
     console.warn('⚠️ API key not found. Please set it in settings.');
+    return;
+  }
+
+  // The Gemini key is only ever sent to Gemini endpoints
+  let chain;
+  try {
+    chain = createModelChain(providerConfig, fallbacks, {
+      geminiApiKey: geminiApiKeys[0],
+      geminiApiKeys,
+      geminiApiBase: result.geminiApiBase || undefined,
+      promptTemplates: new PromptTemplateRegistry(result.promptTemplates)
+    });
+  } catch (error) {
+    console.error('❌ Invalid provider settings:', error.message);
+    return;
+  }
+
+  // Restore quota counters saved before the service worker was last stopped
+  chain.forEach(entry => entry.rateLimiter?.load());
+
+  // 0 or unset turns voting off; a bad stored count leaves it off too
+  if (result.selfConsistencySamples) {
+    try {
+      adaptive.setSelfConsistency(true, result.selfConsistencySamples);
+    } catch (error) {
+      console.warn('⚠️ Invalid self-consistency samples:', error.message);
+    }
   }
+
+  const [primary, ...fallbackEntries] = chain;
+  const apiClient = primary.apiClient;
+  console.log(`✅ ${apiClient.name} API client initialized (${fallbackEntries.length} fallback model(s))`);
+
+  // Store in global for content scripts
+  globalThis.apiClient = apiClient;
+  globalThis.requestQueue = new RequestQueue(primary.rateLimiter || new RateLimiter(), apiClient, {
+    fallbacks: fallbackEntries,
+    usageTracker,
+    journal: requestJournal,
+    circuitBreaker: primary.circuitBreaker,
+    adaptive,
+    batching: Boolean(result.requestBatching)
+  });
+  globalThis.retriever = new AnswerRetriever(cache, {
+    getAnswer: (question, context, { tabId, batchKey, deadline, priority, signal, ...questionData } = {}) =>
+      globalThis.requestQueue.enqueue(question, context, questionData, {
+        priority,
+        signal,
+        batchKey,
+        deadline,
+        onStatus: (status) => notifyTab(tabId, status)
+      })
+  }, { journal: requestJournal, similarityThreshold: result.similarityThreshold });
+  globalThis.cache = cache;
 });
 
 // Handle messages from content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'GET_ANSWER') {
-    handleGetAnswer(request.question, request.context)
+    const tabId = sender?.tab?.id;
+    const { signal, done } = trackRequest(tabId, request.requestId);
+
+    handleGetAnswer(request.question, request.context, {
+      ...request.questionData,
+      host: getSenderHost(sender),
+      tabId,
+      batchKey: getPageKey(sender),
+      deadline: request.deadline,
+      priority: request.priority || QUEUE_LANES.CURRENT,
+      signal
+    })
       .then(answer => sendResponse({ success: true, answer }))
-      .catch(error => sendResponse({ success: false, error: error.message }));
+      .catch(error => sendResponse({ success: false, error: error.message }))
+      .finally(done);
     return true; // Keep channel open for async response
   }
+
+  if (request.type === 'GET_EXPLANATION') {
+    const { signal, done } = trackRequest(sender?.tab?.id, request.requestId);
+
+    handleGetExplanation(request.question, request.answer, {
+      host: getSenderHost(sender),
+      language: request.questionData?.language,
+      priority: request.priority || QUEUE_LANES.EXPLANATION,
+      signal
+    })
+      .then(explanation => sendResponse({ success: true, explanation }))
+      .catch(error => sendResponse({ success: false, error: error.message }))
+      .finally(done);
+    return true;
+  }
+
+  // The user accepted a 'cache-similar' answer for this question
+  if (request.type === 'CONFIRM_SIMILAR') {
+    if (!globalThis.retriever) {
+      sendResponse({ success: false, error: 'API client not initialized' });
+      return;
+    }
+
+    globalThis.retriever.confirmSimilar(request.question, request.matchKey, request.questionData)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // The user rejected a 'cache-similar' answer: answer it from the API instead
+  if (request.type === 'REJECT_SIMILAR') {
+    const tabId = sender?.tab?.id;
+    const { signal, done } = trackRequest(tabId, request.requestId);
+
+    handleRejectSimilar(request.question, request.matchKey, request.context, {
+      ...request.questionData,
+      host: getSenderHost(sender),
+      tabId,
+      batchKey: getPageKey(sender),
+      priority: QUEUE_LANES.CURRENT,
+      signal
+    })
+      .then(answer => sendResponse({ success: true, answer }))
+      .catch(error => sendResponse({ success: false, error: error.message }))
+      .finally(done);
+    return true;
+  }
+
+  // Wrong-answer reports from the answer tooltip and the explanation panel
+  if (request.type === 'REPORT_WRONG_ANSWER' || request.type === 'FEEDBACK_WRONG_ANSWER') {
+    const { question, answer, userFeedback = null, timestamp = Date.now() } = request.feedback || request;
+
+    cache.addFeedback({ question, answer, userFeedback, timestamp, platform: getSenderHost(sender) })
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // Sent when a tooltip closes before its answer arrives
+  if (request.type === 'CANCEL_REQUEST') {
+    tabRequests.get(sender?.tab?.id)?.get(request.requestId)?.abort();
+    sendResponse({ success: true });
+  }
+
+  if (request.type === 'GET_REQUEST_LOG') {
+    requestJournal.query(request.filter)
+      .then(entries => sendResponse({ success: true, entries }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'CLEAR_REQUEST_LOG') {
+    requestJournal.clear()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'GET_STATS') {
+    sendResponse({
+      success: true,
+      stats: {
+        usage: usageTracker.getStats({ days: request.days }),
+        cache: globalThis.retriever ? globalThis.retriever.getStats() : null,
+        keys: getKeyQuotas(),
+        circuits: globalThis.requestQueue?.getCircuitStates() || []
+      }
+    });
+  }
 });
 
-async function handleGetAnswer(question, context) {
-  if (!globalThis.apiClient) {
+async function handleGetAnswer(question, context, questionData = {}) {
+  if (!globalThis.retriever) {
+    throw new Error('API client not initialized');
+  }
+
+  const result = await globalThis.retriever.getAnswer(question, context, questionData);
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+async function handleRejectSimilar(question, matchKey, context, questionData = {}) {
+  if (!globalThis.retriever) {
     throw new Error('API client not initialized');
   }
-  
-  const result = await globalThis.apiClient.getAnswer(question, context);
+
+  const result = await globalThis.retriever.rejectSimilar(question, matchKey, context, questionData);
+  if (result.error) {
+    throw new Error(result.error);
+  }
   return result;
 }
+
+async function handleGetExplanation(question, answer, { host, language, priority, signal }) {
+  if (!globalThis.requestQueue) {
+    throw new Error('API client not initialized');
+  }
+
+  // The queue records the explanation's token usage
+  return globalThis.requestQueue.enqueueExplanation(question, answer, { host, language }, { priority, signal });
+}
+
+// Gives a request an AbortSignal that is aborted when its tab goes away
+function trackRequest(tabId, requestId = crypto.randomUUID()) {
+  const controller = new AbortController();
+
+  if (tabId === undefined) {
+    return { signal: controller.signal, done: () => {} };
+  }
+
+  const requests = tabRequests.get(tabId) || new Map();
+  requests.set(requestId, controller);
+  tabRequests.set(tabId, requests);
+
+  return {
+    signal: controller.signal,
+    done: () => {
+      requests.delete(requestId);
+      if (requests.size === 0 && tabRequests.get(tabId) === requests) {
+        tabRequests.delete(tabId);
+      }
+    }
+  };
+}
+
+function cancelTabRequests(tabId) {
+  tabRequests.get(tabId)?.forEach(controller => controller.abort());
+  tabRequests.delete(tabId);
+}
+
+chrome.tabs.onRemoved.addListener(cancelTabRequests);
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  // A new page load means the user navigated away from the quiz
+  if (changeInfo.status === 'loading') {
+    cancelTabRequests(tabId);
+  }
+});
+
+function getKeyQuotas() {
+  const rateLimiter = globalThis.requestQueue?.rateLimiter;
+
+  if (!rateLimiter || globalThis.apiClient?.name !== 'gemini') {
+    return [];
+  }
+
+  // A single key uses a plain RateLimiter
+  return typeof rateLimiter.getKeyStats === 'function'
+    ? rateLimiter.getKeyStats()
+    : [{ id: 'API key', status: 'active', lastError: null, ...rateLimiter.getStats() }];
+}
+
+// Lets the page show that its answer is waiting for the rate limit
+function notifyTab(tabId, status) {
+  if (tabId === undefined) {
+    return;
+  }
+
+  chrome.tabs.sendMessage(tabId, { type: 'ANSWER_STATUS', status }).catch(() => {
+    // The tab may have navigated away
+  });
+}
+
+// Questions are only batched with others from the same page
+function getPageKey(sender) {
+  return sender?.tab ? `${sender.tab.id}:${sender.tab.url}` : null;
+}
+
+function getSenderHost(sender) {
+  try {
+    return new URL(sender?.tab?.url || sender?.url).hostname || 'unknown';
+  } catch (error) {
+    return 'unknown';
+  }
+}
@@ -4,31 +4,67 @@
  * Implements LRU cleanup and statistics tracking
  */
 
+import { CACHE_DB_VERSION, STORE_NAMES, runMigrations } from './migrations.js';
+import { canonicalizeQuestion } from './hash-utils.js';
+import { STORAGE_BUDGET_CONFIG, estimateEntrySize, computeByteBudget, isQuotaExceededError } from './storage-budget.js';
+import { MemoryCache, MEMORY_CACHE_CONFIG } from './memory-cache.js';
+
 export const DB_NAME = 'quizCache';
-export const STORE_NAME = 'answers';
+export const STORE_NAME = STORE_NAMES.ANSWERS;
+export const DB_VERSION = CACHE_DB_VERSION;
 
 /**
  * CachingSystem manages IndexedDB storage for cached answers
- * Implements CRUD operations, LRU cleanup, and statistics
+ * Implements CRUD operations, LRU cleanup, and statistics.
+ * The cache keeps within a count budget and a byte budget: each entry
+ * records its size, the totals are tracked as entries come and go, and
+ * once either total passes CLEANUP_THRESHOLD of its budget the least
+ * recently used entries are evicted down to EVICTION_TARGET. The byte
+ * budget shrinks when navigator.storage.estimate() shows the origin
+ * running out of quota, and a QuotaExceededError evicts and retries once.
+ * Recently used answers are also held in memory (see MemoryCache) and
+ * served from there. Reads do not write: lastAccessed and hitCount are
+ * gathered in memory and written in one transaction per batch, so counters
+ * from the last few seconds are lost if the worker is stopped first.
+ * Explanations and feedback sit outside these budgets; each store is
+ * capped at its own entry limit, dropping its oldest records on write
  */
 export class CachingSystem {
-  constructor() {
+  constructor(options = {}) {
     this.db = null;
-    this.MAX_ENTRIES = 10000;
+    this.MAX_ENTRIES = options.maxEntries ?? 10000;
+    this.MAX_BYTES = options.maxBytes ?? STORAGE_BUDGET_CONFIG.maxBytes;
     this.CLEANUP_THRESHOLD = 0.9; // 90%
-    this.CLEANUP_BATCH_SIZE = 1000;
+    this.EVICTION_TARGET = 0.8; // Cleanup frees space down to 80% of each budget
     this.RETENTION_DAYS = 30;
+    this.QUOTA_CHECK_INTERVAL = 100; // Writes between storage estimates
+    this.MAX_EXPLANATIONS = options.maxExplanations ?? 1000;
+    this.MAX_FEEDBACK = options.maxFeedback ?? 1000;
+    this.ACCESS_FLUSH_DELAY = options.accessFlushDelay ?? MEMORY_CACHE_CONFIG.accessFlushDelay;
+    this.ACCESS_FLUSH_BATCH = options.accessFlushBatch ?? MEMORY_CACHE_CONFIG.accessFlushBatch;
+
+    this.memory = new MemoryCache(options.memoryEntries ?? MEMORY_CACHE_CONFIG.maxEntries);
+    this.pendingAccess = new Map(); // questionHash -> { hits, lastAccessed } not yet written
+    this.accessFlushTimer = null;
+    this.tierStats = { memoryHits: 0, storeHits: 0, misses: 0 };
+
+    this.entryCount = 0;
+    this.totalBytes = 0;
+    this.byteBudget = this.MAX_BYTES;
+    this.writesSinceQuotaCheck = 0;
+    this.cleanupPromise = null;
   }
 
   /**
    * Initializes the IndexedDB database
-   * Creates object store and indexes if needed
+   * Creates the stores and indexes, or migrates a database left at an
+   * earlier version (see migrations.js), then loads the size totals
    * 
    * @returns {Promise<void>}
    */
   async init() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, 1);
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
 
       request.onerror = () => {
         console.error('IndexedDB open error:', request.error);
@@ -37,31 +73,108 @@ export class CachingSystem {
 
       request.onsuccess = () => {
         this.db = request.result;
+        // Let a newer version of the extension upgrade the database
+        this.db.onversionchange = () => this.close();
         console.log('IndexedDB initialized successfully');
         resolve();
       };
 
+      request.onblocked = () => {
+        console.warn('IndexedDB upgrade blocked by another open connection');
+      };
+
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
+        try {
+          runMigrations(event.target.result, event.target.transaction, event.oldVersion, event.newVersion);
+        } catch (error) {
+          // Aborting leaves the database at its old version, intact
+          console.error('IndexedDB migration failed:', error);
+          event.target.transaction.abort();
+          reject(error);
+        }
+      };
+    });
+
+    await this.loadUsage();
+    await this.checkStorageQuota();
+  }
+
+  /**
+   * Loads the entry count and byte total
+   * Sizes are read from the size index, so no record is loaded
+   *
+   * @returns {Promise<void>}
+   */
+  async loadUsage() {
+    if (!this.db) {
+      throw new Error('Database not initialized. Call init() first.');
+    }
 
-        // Create object store if it doesn't exist
-        if (!db.objectStoreNames.contains(STORE_NAME)) {
-          const store = db.createObjectStore(STORE_NAME, { keyPath: 'questionHash' });
+    const store = this.db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME);
+    const count = await requestToPromise(store.count());
 
-          // Create indexes for efficient querying
-          store.createIndex('platform', 'platform', { unique: false });
-          store.createIndex('timestamp', 'timestamp', { unique: false });
-          store.createIndex('lastAccessed', 'lastAccessed', { unique: false });
+    const bytes = await new Promise((resolve, reject) => {
+      const request = store.index('size').openKeyCursor();
+      let total = 0;
 
-          console.log('IndexedDB schema created');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve(total);
+          return;
         }
+        total += cursor.key;
+        cursor.continue();
       };
     });
+
+    this.entryCount = count;
+    this.totalBytes = bytes;
+  }
+
+  /**
+   * Fits the byte budget to the storage the origin has left
+   * Evicts right away when the cache is already over the new budget
+   *
+   * @returns {Promise<void>}
+   */
+  async checkStorageQuota() {
+    this.writesSinceQuotaCheck = 0;
+
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {
+      return;
+    }
+
+    try {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      this.byteBudget = computeByteBudget({ totalBytes: this.totalBytes, usage, quota, maxBytes: this.MAX_BYTES });
+    } catch (error) {
+      console.warn('Storage estimate failed:', error.message);
+      return;
+    }
+
+    if (this.isOverBudget(0)) {
+      await this.cleanup();
+    }
+  }
+
+  /**
+   * Checks whether adding bytes would pass the cleanup threshold of either budget
+   *
+   * @param {number} size - Size of the entry about to be added (0 to check the cache as is)
+   * @returns {boolean} True if cleanup is due
+   */
+  isOverBudget(size) {
+    const count = this.entryCount + (size > 0 ? 1 : 0);
+    return count > this.MAX_ENTRIES * this.CLEANUP_THRESHOLD ||
+      this.totalBytes + size > this.byteBudget * this.CLEANUP_THRESHOLD;
   }
 
   /**
    * Retrieves a cached answer by question hash
-   * Updates lastAccessed and hitCount on retrieval
+   * Served from memory when held there, otherwise read from IndexedDB and
+   * kept in memory. Updates lastAccessed and hitCount (written behind)
    * 
    * @param {string} questionHash - SHA-256 hash of question text
    * @returns {Promise<Object|null>} Cached answer object or null
@@ -71,27 +184,88 @@ export class CachingSystem {
       throw new Error('Database not initialized. Call init() first.');
     }
 
+    let entry = this.memory.get(questionHash);
+    if (entry) {
+      this.tierStats.memoryHits++;
+    } else {
+      const store = this.db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME);
+      entry = await requestToPromise(store.get(questionHash));
+      if (!entry) {
+        this.tierStats.misses++;
+        return entry;
+      }
+
+      this.tierStats.storeHits++;
+      this.memory.set(questionHash, entry);
+    }
+
+    this.recordAccess(questionHash, entry);
+    // A copy, so callers cannot change the entry held in memory
+    return { ...entry };
+  }
+
+  /**
+   * Finds cached answers indexed under any of the given LSH bands
+   * Entries are returned once each, however many bands they share
+   *
+   * @param {Array<string>} bands - Band keys (see buildSimilarityBands)
+   * @param {number} limit - Most entries to return
+   * @returns {Promise<Array<Object>>} Candidate entries
+   */
+  async findByBands(bands, limit = Infinity) {
+    if (!this.db) {
+      throw new Error('Database not initialized. Call init() first.');
+    }
+
     const transaction = this.db.transaction([STORE_NAME], 'readonly');
-    const store = transaction.objectStore(STORE_NAME);
+    const index = transaction.objectStore(STORE_NAME).index('similarityBands');
+    const candidates = new Map();
 
-    return new Promise((resolve, reject) => {
-      const request = store.get(questionHash);
+    for (const band of bands) {
+      if (candidates.size >= limit) {
+        break;
+      }
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        const result = request.result;
-        if (result) {
-          // Update access info asynchronously (don't wait)
-          this.updateAccess(questionHash).catch(err => console.error('Error updating access:', err));
+      const entries = await new Promise((resolve, reject) => {
+        const request = index.getAll(band);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+      });
+
+      entries.forEach(entry => {
+        if (candidates.size < limit) {
+          candidates.set(entry.questionHash, entry);
         }
-        resolve(result);
-      };
-    });
+      });
+    }
+
+    return [...candidates.values()];
+  }
+
+  /**
+   * Finds cached answers to the same question, ignoring wording the
+   * canonical form drops (case, spacing, punctuation, numbering)
+   *
+   * @param {string} question - Question text
+   * @returns {Promise<Array<Object>>} Cached answers, any options
+   */
+  async findByQuestion(question) {
+    if (!this.db) {
+      throw new Error('Database not initialized. Call init() first.');
+    }
+
+    const index = this.db.transaction([STORE_NAME], 'readonly')
+      .objectStore(STORE_NAME)
+      .index('normalizedQuestion');
+
+    return requestToPromise(index.getAll(canonicalizeQuestion(question)));
   }
 
   /**
    * Stores a cached answer
-   * Triggers cleanup if cache is near capacity
+   * Triggers cleanup if cache is near capacity, and evicts then retries
+   * once if the browser reports the quota exceeded
    * 
    * @param {string} questionHash - SHA-256 hash of question text
    * @param {Object} cachedAnswer - Answer object to store
@@ -102,23 +276,201 @@ export class CachingSystem {
       throw new Error('Database not initialized. Call init() first.');
     }
 
+    const entry = { ...cachedAnswer, size: estimateEntrySize(cachedAnswer) };
+
     // Check if cleanup is needed
-    const count = await this.getEntryCount();
-    if (count >= this.MAX_ENTRIES * this.CLEANUP_THRESHOLD) {
+    if (this.isOverBudget(entry.size)) {
       await this.cleanup();
     }
 
+    // The entry replaces whatever counters were waiting to be written
+    this.pendingAccess.delete(questionHash);
+
+    try {
+      await this.writeEntry(entry);
+    } catch (error) {
+      if (!isQuotaExceededError(error)) {
+        throw error;
+      }
+
+      // The disk filled up before the budget did: free a quarter and retry
+      console.warn('Storage quota exceeded, evicting cached answers');
+      this.byteBudget = Math.min(this.byteBudget, this.totalBytes);
+      await this.cleanup({ maxBytes: this.totalBytes * 0.75 });
+      await this.writeEntry(entry);
+    }
+
+    this.memory.set(questionHash, entry);
+
+    if (++this.writesSinceQuotaCheck >= this.QUOTA_CHECK_INTERVAL) {
+      this.checkStorageQuota().catch(err => console.error('Error checking storage quota:', err));
+    }
+  }
+
+  /**
+   * Writes an entry and updates the tracked totals once it is committed
+   *
+   * @param {Object} entry - Entry with its size
+   * @returns {Promise<void>}
+   */
+  async writeEntry(entry) {
     const transaction = this.db.transaction([STORE_NAME], 'readwrite');
     const store = transaction.objectStore(STORE_NAME);
+    let previous;
 
     return new Promise((resolve, reject) => {
-      const request = store.put(cachedAnswer);
+      const getRequest = store.get(entry.questionHash);
+      getRequest.onsuccess = () => {
+        previous = getRequest.result;
+        store.put(entry);
+      };
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => resolve();
+      transaction.oncomplete = () => {
+        this.entryCount += previous ? 0 : 1;
+        this.totalBytes += entry.size - (previous?.size || 0);
+        resolve();
+      };
+      // A full disk aborts the transaction with a QuotaExceededError
+      transaction.onabort = () => reject(transaction.error);
+      transaction.onerror = () => reject(transaction.error);
     });
   }
 
+  /**
+   * Retrieves a cached explanation
+   *
+   * @param {string} hash - Explanation cache key
+   * @returns {Promise<Object|undefined>} Cached explanation entry
+   */
+  async getExplanation(hash) {
+    if (!this.db) {
+      throw new Error('Database not initialized. Call init() first.');
+    }
+
+    const store = this.db.transaction([STORE_NAMES.EXPLANATIONS], 'readonly').objectStore(STORE_NAMES.EXPLANATIONS);
+    return requestToPromise(store.get(hash));
+  }
+
+  /**
+   * Stores a generated explanation
+   *
+   * @param {string} hash - Explanation cache key
+   * @param {Object} entry - Explanation entry (keyed by its questionHash)
+   * @returns {Promise<void>}
+   */
+  async setExplanation(hash, entry) {
+    if (!this.db) {
+      throw new Error('Database not initialized. Call init() first.');
+    }
+
+    const explanation = { lastAccessed: Date.now(), ...entry, questionHash: hash };
+    const store = this.db.transaction([STORE_NAMES.EXPLANATIONS], 'readwrite').objectStore(STORE_NAMES.EXPLANATIONS);
+    await requestToPromise(store.put({ ...explanation, size: estimateEntrySize(explanation) }));
+    await this.trimStore(STORE_NAMES.EXPLANATIONS, 'lastAccessed', this.MAX_EXPLANATIONS);
+  }
+
+  /**
+   * Stores wrong-answer feedback
+   *
+   * @param {Object} feedback - Feedback (question, answer, timestamp, platform...)
+   * @returns {Promise<number>} ID of the stored feedback
+   */
+  async addFeedback(feedback) {
+    if (!this.db) {
+      throw new Error('Database not initialized. Call init() first.');
+    }
+
+    const store = this.db.transaction([STORE_NAMES.FEEDBACK], 'readwrite').objectStore(STORE_NAMES.FEEDBACK);
+    const id = await requestToPromise(store.add({ ...feedback }));
+    await this.trimStore(STORE_NAMES.FEEDBACK, 'timestamp', this.MAX_FEEDBACK);
+    return id;
+  }
+
+  /**
+   * Deletes the oldest records of a store past its entry limit
+   *
+   * @param {string} storeName - Store to trim
+   * @param {string} indexName - Index ordering the records oldest first
+   * @param {number} maxEntries - Entry limit
+   * @returns {Promise<number>} Number of records removed
+   */
+  async trimStore(storeName, indexName, maxEntries) {
+    const transaction = this.db.transaction([storeName], 'readwrite');
+    const store = transaction.objectStore(storeName);
+    let deleted = 0;
+
+    return new Promise((resolve, reject) => {
+      const countRequest = store.count();
+
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - maxEntries;
+        if (excess <= 0) {
+          return;
+        }
+
+        const request = store.index(indexName).openCursor();
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+
+          if (cursor && excess > 0) {
+            cursor.delete();
+            excess--;
+            deleted++;
+            cursor.continue();
+          }
+        };
+      };
+
+      transaction.oncomplete = () => resolve(deleted);
+      transaction.onabort = () => reject(transaction.error);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Gets stored feedback, oldest first
+   *
+   * @returns {Promise<Array<Object>>} Feedback entries
+   */
+  async getFeedback() {
+    if (!this.db) {
+      throw new Error('Database not initialized. Call init() first.');
+    }
+
+    const store = this.db.transaction([STORE_NAMES.FEEDBACK], 'readonly').objectStore(STORE_NAMES.FEEDBACK);
+    return requestToPromise(store.index('timestamp').getAll());
+  }
+
+  /**
+   * Stores a user-trained quiz pattern
+   *
+   * @param {Object} pattern - Pattern (keyed by its id)
+   * @returns {Promise<void>}
+   */
+  async savePattern(pattern) {
+    if (!this.db) {
+      throw new Error('Database not initialized. Call init() first.');
+    }
+
+    const store = this.db.transaction([STORE_NAMES.PATTERNS], 'readwrite').objectStore(STORE_NAMES.PATTERNS);
+    await requestToPromise(store.put(pattern));
+  }
+
+  /**
+   * Gets user-trained quiz patterns
+   *
+   * @param {string} [url] - Only patterns for this host
+   * @returns {Promise<Array<Object>>} Patterns
+   */
+  async getPatterns(url) {
+    if (!this.db) {
+      throw new Error('Database not initialized. Call init() first.');
+    }
+
+    const store = this.db.transaction([STORE_NAMES.PATTERNS], 'readonly').objectStore(STORE_NAMES.PATTERNS);
+    return requestToPromise(url ? store.index('url').getAll(url) : store.getAll());
+  }
+
   /**
    * Checks if a question hash exists in cache
    * 
@@ -131,74 +483,145 @@ export class CachingSystem {
   }
 
   /**
-   * Updates lastAccessed and hitCount for a cached entry
-   * 
+   * Counts a read of a cached entry
+   * The entry held in memory is updated now; IndexedDB once the batch is
+   * written, after ACCESS_FLUSH_DELAY or as soon as ACCESS_FLUSH_BATCH
+   * questions are waiting
+   *
    * @param {string} questionHash - SHA-256 hash of question text
+   * @param {Object} entry - Entry held in memory
+   * @returns {void}
+   */
+  recordAccess(questionHash, entry) {
+    const now = Date.now();
+    const hits = (this.pendingAccess.get(questionHash)?.hits || 0) + 1;
+
+    entry.lastAccessed = now;
+    entry.hitCount = (entry.hitCount || 0) + 1;
+    this.pendingAccess.set(questionHash, { hits, lastAccessed: now });
+
+    if (this.pendingAccess.size >= this.ACCESS_FLUSH_BATCH) {
+      this.flushAccess().catch(err => console.error('Error updating access:', err));
+    } else if (!this.accessFlushTimer) {
+      this.accessFlushTimer = setTimeout(() => {
+        this.flushAccess().catch(err => console.error('Error updating access:', err));
+      }, this.ACCESS_FLUSH_DELAY);
+    }
+  }
+
+  /**
+   * Writes the waiting lastAccessed and hitCount updates in one transaction
+   * Entries evicted in the meantime are skipped
+   *
    * @returns {Promise<void>}
    */
-  async updateAccess(questionHash) {
-    if (!this.db) {
-      return; // Silently fail if DB not initialized
+  async flushAccess() {
+    clearTimeout(this.accessFlushTimer);
+    this.accessFlushTimer = null;
+
+    if (!this.db || this.pendingAccess.size === 0) {
+      return;
     }
 
+    const batch = this.pendingAccess;
+    this.pendingAccess = new Map();
+
     const transaction = this.db.transaction([STORE_NAME], 'readwrite');
     const store = transaction.objectStore(STORE_NAME);
 
     return new Promise((resolve, reject) => {
-      const request = store.get(questionHash);
+      batch.forEach(({ hits, lastAccessed }, questionHash) => {
+        const request = store.get(questionHash);
+        request.onsuccess = () => {
+          const answer = request.result;
+          if (answer) {
+            store.put({
+              ...answer,
+              lastAccessed: Math.max(answer.lastAccessed || 0, lastAccessed),
+              hitCount: (answer.hitCount || 0) + hits
+            });
+          }
+        };
+      });
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        const answer = request.result;
-        if (answer) {
-          answer.lastAccessed = Date.now();
-          answer.hitCount = (answer.hitCount || 0) + 1;
-
-          const updateRequest = store.put(answer);
-          updateRequest.onerror = () => reject(updateRequest.error);
-          updateRequest.onsuccess = () => resolve();
-        } else {
-          resolve();
-        }
-      };
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () => reject(transaction.error);
+      transaction.onerror = () => reject(transaction.error);
     });
   }
 
   /**
    * Performs LRU cleanup when cache is near capacity
-   * Removes entries older than retention period
+   * Removes entries older than retention period, then the least recently
+   * used entries until both totals are within the given limits. Waiting
+   * access updates are written first, so recent reads count. A cleanup
+   * already running is shared rather than started twice
    * 
-   * @returns {Promise<void>}
+   * @param {Object} limits - Totals to evict down to
+   * @param {number} limits.maxEntries - Entry limit (default EVICTION_TARGET of MAX_ENTRIES)
+   * @param {number} limits.maxBytes - Byte limit (default EVICTION_TARGET of the byte budget)
+   * @returns {Promise<number>} Number of entries removed
    */
-  async cleanup() {
+  async cleanup({
+    maxEntries = this.MAX_ENTRIES * this.EVICTION_TARGET,
+    maxBytes = this.byteBudget * this.EVICTION_TARGET
+  } = {}) {
     if (!this.db) {
       throw new Error('Database not initialized. Call init() first.');
     }
 
-    const transaction = this.db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-    const index = store.index('lastAccessed');
+    if (!this.cleanupPromise) {
+      this.cleanupPromise = this.flushAccess()
+        .catch(err => console.error('Error updating access:', err))
+        .then(() => this.evict(maxEntries, maxBytes))
+        .finally(() => {
+          this.cleanupPromise = null;
+        });
+    }
+
+    return this.cleanupPromise;
+  }
 
-    // Calculate cutoff time (30 days ago)
+  /**
+   * Deletes entries in least recently used order
+   *
+   * @param {number} maxEntries - Entry limit
+   * @param {number} maxBytes - Byte limit
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async evict(maxEntries, maxBytes) {
+    const transaction = this.db.transaction([STORE_NAME], 'readwrite');
+    const index = transaction.objectStore(STORE_NAME).index('lastAccessed');
     const cutoffTime = Date.now() - (this.RETENTION_DAYS * 24 * 60 * 60 * 1000);
-    const range = IDBKeyRange.upperBound(cutoffTime);
+    let count = this.entryCount;
+    let bytes = this.totalBytes;
+    let deleted = 0;
 
     return new Promise((resolve, reject) => {
-      const request = index.openCursor(range);
-      let deleted = 0;
+      const request = index.openCursor();
 
-      request.onerror = () => reject(request.error);
       request.onsuccess = (event) => {
         const cursor = event.target.result;
-        if (cursor && deleted < this.CLEANUP_BATCH_SIZE) {
+        const expired = cursor && cursor.value.lastAccessed < cutoffTime;
+
+        if (cursor && (expired || count > maxEntries || bytes > maxBytes)) {
           cursor.delete();
+          this.memory.delete(cursor.primaryKey);
+          count--;
+          bytes -= cursor.value.size || 0;
           deleted++;
           cursor.continue();
-        } else {
-          console.log(`Cleanup completed: ${deleted} entries removed`);
-          resolve();
         }
       };
+
+      transaction.oncomplete = () => {
+        this.entryCount = count;
+        this.totalBytes = Math.max(0, bytes);
+        console.log(`Cleanup completed: ${deleted} entries removed`);
+        resolve(deleted);
+      };
+      transaction.onabort = () => reject(transaction.error);
+      transaction.onerror = () => reject(transaction.error);
     });
   }
 
@@ -225,41 +648,52 @@ export class CachingSystem {
 
   /**
    * Gets cache statistics
+   * Reads the tracked totals instead of loading every record
    * 
-   * @returns {Promise<Object>} Statistics object with totalEntries, storageUsed, etc.
+   * @returns {Promise<Object>} Statistics object with totalEntries, storageUsed, etc.,
+   *                            and the hits of each tier
    */
   async getStats() {
     if (!this.db) {
       throw new Error('Database not initialized. Call init() first.');
     }
 
-    const transaction = this.db.transaction([STORE_NAME], 'readonly');
-    const store = transaction.objectStore(STORE_NAME);
-
-    return new Promise((resolve, reject) => {
-      const countRequest = store.count();
+    return {
+      totalEntries: this.entryCount,
+      storageUsed: this.totalBytes,
+      maxEntries: this.MAX_ENTRIES,
+      maxBytes: this.byteBudget,
+      utilizationPercent: (this.entryCount / this.MAX_ENTRIES) * 100,
+      bytesPercent: this.byteBudget > 0 ? (this.totalBytes / this.byteBudget) * 100 : 100,
+      tiers: this.getTierStats()
+    };
+  }
 
-      countRequest.onerror = () => reject(countRequest.error);
-      countRequest.onsuccess = () => {
-        const totalEntries = countRequest.result;
-
-        // Get all entries to calculate storage size
-        const getAllRequest = store.getAll();
-
-        getAllRequest.onerror = () => reject(getAllRequest.error);
-        getAllRequest.onsuccess = () => {
-          const entries = getAllRequest.result;
-          const storageUsed = JSON.stringify(entries).length;
-
-          resolve({
-            totalEntries,
-            storageUsed,
-            maxEntries: this.MAX_ENTRIES,
-            utilizationPercent: (totalEntries / this.MAX_ENTRIES) * 100
-          });
-        };
-      };
-    });
+  /**
+   * Gets the hits and size of the memory and IndexedDB tiers
+   *
+   * @returns {Object} memory and indexedDB stats, and the access updates not yet written
+   */
+  getTierStats() {
+    const { memoryHits, storeHits, misses } = this.tierStats;
+    const lookups = memoryHits + storeHits + misses;
+
+    return {
+      memory: {
+        entries: this.memory.size,
+        maxEntries: this.memory.maxEntries,
+        hits: memoryHits,
+        evictions: this.memory.evictions,
+        hitRate: lookups > 0 ? (memoryHits / lookups * 100).toFixed(2) + '%' : '0%'
+      },
+      indexedDB: {
+        entries: this.entryCount,
+        bytes: this.totalBytes,
+        hits: storeHits,
+        misses
+      },
+      pendingAccessUpdates: this.pendingAccess.size
+    };
   }
 
   /**
@@ -280,6 +714,10 @@ export class CachingSystem {
 
       request.onerror = () => reject(request.error);
       request.onsuccess = () => {
+        this.entryCount = 0;
+        this.totalBytes = 0;
+        this.memory.clear();
+        this.pendingAccess.clear();
         console.log('Cache cleared');
         resolve();
       };
@@ -288,13 +726,29 @@ export class CachingSystem {
 
   /**
    * Closes the database connection
+   * Waiting access updates are written first
    * 
    * @returns {void}
    */
   close() {
     if (this.db) {
+      // The transaction starts before close, which lets it finish
+      this.flushAccess().catch(err => console.error('Error updating access:', err));
       this.db.close();
       this.db = null;
     }
   }
 }
+
+/**
+ * Wraps an IDBRequest in a promise
+ *
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
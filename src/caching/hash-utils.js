@@ -1,8 +1,33 @@
 /**
  * Hash Utilities for Caching System
  * Generates consistent hashes for question text lookup
+ * Question keys hash a canonical form of the question and its options, so
+ * trivial variations of the same question share a cache entry
  */
 
+/**
+ * Version of the question canonicalization, stored in every question key
+ * Bump it whenever canonicalizeQuestion or canonicalizeOption change, so
+ * keys built the old way can no longer match
+ */
+export const QUESTION_KEY_VERSION = 2;
+
+// Typographic variants NFKC leaves alone
+const CHARACTER_FOLDS = [
+  [/[\u2018\u2019\u201A\u201B\u2032]/g, "'"],
+  [/[\u201C\u201D\u201E\u201F\u2033]/g, '"'],
+  [/[\u2010-\u2015\u2212]/g, '-']
+];
+
+// Punctuation dropped at the start or end of a word; math operators are kept
+const FOLDED_PUNCTUATION = /(^|\s)[.,;:!?¿¡"'`«»]+|[.,;:!?¿¡"'`«»]+(?=\s|$)/gu;
+
+// "Q3.", "Question 3:", "3)", "(3)", "#3." ...
+const QUESTION_COUNTER = /^(?:(?:q|question)\s*#?\s*\d{1,3}\s*[.):-]?|#?\d{1,3}\s*[.)]|\(\d{1,3}\))\s+/iu;
+
+// "A.", "b)", "(C)", "1." ...
+const OPTION_LABEL = /^(?:[a-z]|\d{1,2})\s*[.)]\s+|^\((?:[a-z]|\d{1,2})\)\s+/u;
+
 /**
  * Generates SHA-256 hash of question text
  * Used as primary key for cache lookups
@@ -27,8 +52,115 @@ export async function generateHash(questionText) {
   }
 }
 
+/**
+ * Folds text to the form shared by its trivial variations
+ * Applies Unicode NFKC, unifies quotes and dashes, drops invisible
+ * characters, lowercases, strips punctuation around words and collapses
+ * whitespace
+ *
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+function foldText(text) {
+  let folded = String(text).normalize('NFKC').replace(/\p{Cf}/gu, '');
+
+  CHARACTER_FOLDS.forEach(([pattern, replacement]) => {
+    folded = folded.replace(pattern, replacement);
+  });
+
+  return folded
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(FOLDED_PUNCTUATION, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Canonicalizes question text for cache keys
+ * Also strips a leading question counter ("Q3.", "Question 3:", "3)")
+ *
+ * @param {string} questionText - Question as shown on the page
+ * @returns {string} Canonical question text
+ */
+export function canonicalizeQuestion(questionText) {
+  const folded = String(questionText).normalize('NFKC').trim().replace(QUESTION_COUNTER, '');
+  return foldText(folded);
+}
+
+/**
+ * Canonicalizes an option for cache keys
+ * Also strips a leading option label ("A.", "b)", "(C)")
+ *
+ * @param {string|Object} option - Option text or OptionElement ({ element, text })
+ * @returns {string} Canonical option text
+ */
+export function canonicalizeOption(option) {
+  const text = typeof option === 'string' ? option : option?.text;
+  return foldText(String(text ?? '').normalize('NFKC').trim().toLowerCase().replace(OPTION_LABEL, ''));
+}
+
+/**
+ * Builds the canonical text a question key is hashed from
+ * Options are sorted, so shuffled option order gives the same key
+ *
+ * @param {string} questionText - Question as shown on the page
+ * @param {Object} parts - Other parts of the question
+ * @param {Array<string|Object>} [parts.options] - Answer options
+ * @param {Array<Object>} [parts.images] - ImageData list (data is hashed as is)
+ * @returns {string} Canonical question text
+ */
+export function buildCanonicalQuestion(questionText, { options = [], images = [] } = {}) {
+  const canonicalOptions = (Array.isArray(options) ? options : [])
+    .map(canonicalizeOption)
+    .filter(Boolean)
+    .sort();
+
+  return [
+    canonicalizeQuestion(questionText),
+    ...canonicalOptions.map(option => `option: ${option}`),
+    ...images.map(image => `image: ${image.data}`)
+  ].join('\n');
+}
+
+/**
+ * Generates the versioned cache key of a question
+ * Format: "v<QUESTION_KEY_VERSION>:<SHA-256 of the canonical question>"
+ *
+ * @param {string} questionText - Question as shown on the page
+ * @param {Object} parts - Options and images (see buildCanonicalQuestion)
+ * @returns {Promise<string>} Question key
+ */
+export async function generateQuestionKey(questionText, parts = {}) {
+  if (!questionText || typeof questionText !== 'string') {
+    throw new Error('Question text must be a non-empty string');
+  }
+
+  // A question made only of punctuation still gets a key of its own
+  const canonical = buildCanonicalQuestion(questionText, parts) || questionText;
+  return `v${QUESTION_KEY_VERSION}:${await generateHash(canonical)}`;
+}
+
+/**
+ * FNV-1a hash of a string
+ * Fast and synchronous, for keys and fingerprints that need no cryptographic strength
+ *
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
 /**
  * Validates a hash string
+ * Accepts plain SHA-256 hashes and versioned question keys
  * 
  * @param {string} hash - The hash to validate
  * @returns {boolean} True if valid SHA-256 hash format
@@ -38,5 +170,5 @@ export function validateHash(hash) {
     return false;
   }
   // SHA-256 produces 64 character hexadecimal string
-  return /^[0-9a-f]{64}$/.test(hash);
+  return /^(?:v\d+:)?[0-9a-f]{64}$/.test(hash);
 }
@@ -3,5 +3,9 @@
  * Central export point for caching modules
  */
 
-export { CachingSystem, DB_NAME, STORE_NAME } from './cache-system.js';
-export { generateHash, validateHash } from './hash-utils.js';
+export { CachingSystem, DB_NAME, STORE_NAME, DB_VERSION, requestToPromise } from './cache-system.js';
+export { MemoryCache, MEMORY_CACHE_CONFIG } from './memory-cache.js';
+export { generateHash, validateHash, generateQuestionKey, buildCanonicalQuestion, canonicalizeQuestion, canonicalizeOption, fnv1a, QUESTION_KEY_VERSION } from './hash-utils.js';
+export { SIMILARITY_CONFIG, shingleQuestion, jaccardSimilarity, minHashSignature, lshBands, buildSimilarityBands, questionSimilarity } from './similarity.js';
+export { CACHE_MIGRATIONS, CACHE_DB_VERSION, STORE_NAMES, moveRecord, runMigrations } from './migrations.js';
+export { STORAGE_BUDGET_CONFIG, estimateEntrySize, computeByteBudget, isQuotaExceededError } from './storage-budget.js';
@@ -0,0 +1,85 @@
+/**
+ * Memory Cache
+ * Bounded in-memory tier kept in front of IndexedDB, so answers to hot
+ * questions are served without a database round-trip
+ */
+
+export const MEMORY_CACHE_CONFIG = {
+  maxEntries: 500,        // Entries kept in memory (0 turns the tier off)
+  accessFlushDelay: 5000, // ms access counters wait before being written
+  accessFlushBatch: 50    // Questions whose counters are written right away
+};
+
+/**
+ * MemoryCache holds the most recently used entries, up to maxEntries
+ * A Map keeps insertion order, so moving an entry to the end on every
+ * read leaves the least recently used one first, to be evicted
+ */
+export class MemoryCache {
+  constructor(maxEntries = MEMORY_CACHE_CONFIG.maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Gets an entry and marks it most recently used
+   *
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} Entry, if held
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry === undefined) {
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Holds an entry, evicting the least recently used past maxEntries
+   *
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry to hold
+   * @returns {void}
+   */
+  set(key, entry) {
+    if (this.maxEntries <= 0) {
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Drops an entry
+   *
+   * @param {string} key - Cache key
+   * @returns {void}
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Drops every entry
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * Cache Schema Migrations
+ * Upgrades the quizCache database one version at a time, so a database
+ * left at any earlier version ends up with the same schema as a fresh one
+ */
+
+import { canonicalizeQuestion } from './hash-utils.js';
+import { estimateEntrySize } from './storage-budget.js';
+
+export const STORE_NAMES = {
+  ANSWERS: 'answers',
+  EXPLANATIONS: 'explanations',
+  FEEDBACK: 'feedback',
+  PATTERNS: 'patterns'
+};
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Database version the migration upgrades to
+ * @property {string} description - What the migration changes
+ * @property {Function} upgrade - Changes the schema; called with (db, transaction)
+ *                                during onupgradeneeded
+ * @property {Array<Object>} [upgradeRecords] - Rewrites the records of stores
+ * @property {string} upgradeRecords[].store - Store name
+ * @property {Function} upgradeRecords[].transform - Called with (record, transaction); returns the
+ *                                                   new record, null to delete it, or moveRecord()
+ *                                                   to move it to another store
+ */
+
+const MOVE_TO = Symbol('moveTo');
+
+/**
+ * Marks a transformed record to be moved to another store
+ * The target store's transforms from later versions run on it before it
+ * is written there
+ *
+ * @param {string} store - Store to move the record to
+ * @param {Object} record - Record to move
+ * @returns {Object} Move for runMigrations
+ */
+export function moveRecord(store, record) {
+  return { [MOVE_TO]: store, record };
+}
+
+/**
+ * Records the size of a record for the byte budget
+ * Safe to run twice: the size does not count itself
+ *
+ * @param {Object} record - Record
+ * @returns {Object} Record with its size
+ */
+function withSize(record) {
+  return { ...record, size: estimateEntrySize(record) };
+}
+
+/**
+ * Migrations in version order
+ * Never edit a released migration: databases already past it would not
+ * see the change. Add a new version instead
+ *
+ * @type {Array<Migration>}
+ */
+export const CACHE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the answers store',
+    upgrade(db) {
+      const store = db.createObjectStore(STORE_NAMES.ANSWERS, { keyPath: 'questionHash' });
+      store.createIndex('platform', 'platform', { unique: false });
+      store.createIndex('timestamp', 'timestamp', { unique: false });
+      store.createIndex('lastAccessed', 'lastAccessed', { unique: false });
+    }
+  },
+  {
+    version: 2,
+    description: 'Index answers by LSH band for near-duplicate lookup',
+    upgrade(db, transaction) {
+      // Entries cached before this have no bands and are only found by exact key
+      transaction.objectStore(STORE_NAMES.ANSWERS)
+        .createIndex('similarityBands', 'similarityBands', { unique: false, multiEntry: true });
+    }
+  },
+  {
+    version: 3,
+    description: 'Index answers by quiz type and normalized question; add explanations, feedback and patterns stores',
+    upgrade(db, transaction) {
+      const answers = transaction.objectStore(STORE_NAMES.ANSWERS);
+      answers.createIndex('quizType', 'quizType', { unique: false });
+      answers.createIndex('normalizedQuestion', 'normalizedQuestion', { unique: false });
+
+      const explanations = db.createObjectStore(STORE_NAMES.EXPLANATIONS, { keyPath: 'questionHash' });
+      explanations.createIndex('timestamp', 'timestamp', { unique: false });
+      explanations.createIndex('lastAccessed', 'lastAccessed', { unique: false });
+
+      const feedback = db.createObjectStore(STORE_NAMES.FEEDBACK, { keyPath: 'id', autoIncrement: true });
+      feedback.createIndex('timestamp', 'timestamp', { unique: false });
+      feedback.createIndex('platform', 'platform', { unique: false });
+
+      const patterns = db.createObjectStore(STORE_NAMES.PATTERNS, { keyPath: 'id' });
+      patterns.createIndex('url', 'url', { unique: false });
+      patterns.createIndex('lastUsed', 'lastUsed', { unique: false });
+    },
+    upgradeRecords: [{
+      store: STORE_NAMES.ANSWERS,
+      transform(record) {
+        // Explanations were cached as answers; move them to their own store
+        if (record.quizType === 'explanation') {
+          return moveRecord(STORE_NAMES.EXPLANATIONS, record);
+        }
+
+        return {
+          ...record,
+          quizType: record.quizType || 'unknown',
+          normalizedQuestion: canonicalizeQuestion(record.question || '')
+        };
+      }
+    }]
+  },
+  {
+    version: 4,
+    description: 'Record the size of each answer for the byte budget',
+    upgrade(db, transaction) {
+      transaction.objectStore(STORE_NAMES.ANSWERS).createIndex('size', 'size', { unique: false });
+    },
+    // Explanations moved by version 3 in this same upgrade are sized on the way
+    upgradeRecords: [
+      { store: STORE_NAMES.ANSWERS, transform: withSize },
+      { store: STORE_NAMES.EXPLANATIONS, transform: withSize }
+    ]
+  }
+];
+
+export const CACHE_DB_VERSION = CACHE_MIGRATIONS[CACHE_MIGRATIONS.length - 1].version;
+
+/**
+ * Runs the migrations between two versions, in order
+ * Call from onupgradeneeded with the upgrade transaction. Every schema
+ * step runs first; records are then rewritten in one cursor pass per
+ * store, each record going through the transforms in version order. Two
+ * passes over the same store would interleave, and a later version could
+ * overwrite a record before an earlier one had rewritten it. A record moved
+ * to another store goes on through that store's later transforms and is
+ * written there once they have run; the target store's own pass skips it
+ *
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {number} oldVersion - Version the database is at (0 when new)
+ * @param {number} newVersion - Version to upgrade to
+ * @param {Array<Migration>} migrations - Migrations to pick from
+ * @returns {Array<number>} Versions applied
+ */
+export function runMigrations(db, transaction, oldVersion, newVersion = CACHE_DB_VERSION, migrations = CACHE_MIGRATIONS) {
+  if (newVersion < oldVersion) {
+    throw new Error(`Cannot downgrade the cache from version ${oldVersion} to ${newVersion}`);
+  }
+
+  const pending = [];
+  for (let version = oldVersion + 1; version <= newVersion; version++) {
+    const migration = migrations.find(candidate => candidate.version === version);
+    if (!migration) {
+      throw new Error(`Missing cache migration to version ${version}`);
+    }
+    pending.push(migration);
+  }
+
+  pending.forEach(migration => {
+    migration.upgrade(db, transaction);
+    console.log(`Cache migrated to version ${migration.version}: ${migration.description}`);
+  });
+
+  const transformsByStore = new Map();
+  pending.forEach(migration => (migration.upgradeRecords || []).forEach(({ store, transform }) => {
+    transformsByStore.set(store, [...(transformsByStore.get(store) || []), { version: migration.version, transform }]);
+  }));
+
+  const upgradeRecord = (record, storeName, afterVersion) => {
+    const steps = (transformsByStore.get(storeName) || []).filter(step => step.version > afterVersion);
+
+    for (const { version, transform } of steps) {
+      const result = transform(record, transaction);
+      if (!result) {
+        return { record: null, storeName };
+      }
+      if (result[MOVE_TO]) {
+        return upgradeRecord(result.record, result[MOVE_TO], version);
+      }
+      record = result;
+    }
+
+    return { record, storeName };
+  };
+
+  const movedKeys = new Map(); // store -> keys of records moved into it
+  const moveTo = (storeName, record) => {
+    const request = transaction.objectStore(storeName).put(record);
+    request.onsuccess = () => {
+      movedKeys.set(storeName, (movedKeys.get(storeName) || new Set()).add(request.result));
+    };
+  };
+
+  transformsByStore.forEach((_, storeName) => {
+    const request = transaction.objectStore(storeName).openCursor();
+
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        return;
+      }
+
+      if (movedKeys.get(storeName)?.has(cursor.primaryKey)) {
+        cursor.continue();
+        return;
+      }
+
+      const { record, storeName: target } = upgradeRecord(cursor.value, storeName, oldVersion);
+
+      if (!record) {
+        cursor.delete();
+      } else if (target !== storeName) {
+        moveTo(target, record);
+        cursor.delete();
+      } else {
+        cursor.update(record);
+      }
+      cursor.continue();
+    };
+  });
+
+  return pending.map(migration => migration.version);
+}
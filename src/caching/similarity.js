@@ -0,0 +1,158 @@
+/**
+ * Question Similarity
+ * MinHash signatures over word shingles of the canonical question, split
+ * into locality-sensitive hashing (LSH) bands. Questions that share a band
+ * are candidates for a near-duplicate match; candidates are then scored by
+ * the exact Jaccard similarity of their shingles
+ */
+
+import { canonicalizeQuestion, fnv1a } from './hash-utils.js';
+
+export const SIMILARITY_CONFIG = {
+  threshold: 0.75,    // Lowest similarity returned as a match (0-1)
+  numHashes: 128,     // MinHash signature length
+  bandSize: 4,        // Signature values per LSH band (128 / 4 = 32 bands)
+  maxCandidates: 50   // Candidates scored per lookup
+};
+
+// Seeds for the MinHash functions, fixed so signatures stay comparable across sessions
+const HASH_SEEDS = createSeeds(SIMILARITY_CONFIG.numHashes);
+
+/**
+ * Builds the shingle set of a question
+ * Single words and word pairs of the canonical text, so both shared words
+ * and their order count towards similarity
+ *
+ * @param {string} question - Question text
+ * @returns {Set<string>} Shingles
+ */
+export function shingleQuestion(question) {
+  const words = canonicalizeQuestion(question).split(' ').filter(Boolean);
+  const shingles = new Set(words);
+
+  for (let i = 0; i < words.length - 1; i++) {
+    shingles.add(`${words[i]} ${words[i + 1]}`);
+  }
+
+  return shingles;
+}
+
+/**
+ * Calculates the Jaccard similarity of two shingle sets
+ *
+ * @param {Set<string>} a - First shingle set
+ * @param {Set<string>} b - Second shingle set
+ * @returns {number} Similarity from 0 to 1
+ */
+export function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) {
+    return 1;
+  }
+
+  let shared = 0;
+  a.forEach(shingle => {
+    if (b.has(shingle)) {
+      shared++;
+    }
+  });
+
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Computes the MinHash signature of a shingle set
+ *
+ * @param {Set<string>} shingles - Shingle set
+ * @returns {Array<number>} Minimum hash per seed (unsigned 32-bit)
+ */
+export function minHashSignature(shingles) {
+  const signature = new Array(HASH_SEEDS.length).fill(0xffffffff);
+
+  shingles.forEach(shingle => {
+    const base = fnv1a(shingle);
+    HASH_SEEDS.forEach((seed, i) => {
+      const value = mix32(base ^ seed);
+      if (value < signature[i]) {
+        signature[i] = value;
+      }
+    });
+  });
+
+  return signature;
+}
+
+/**
+ * Splits a signature into LSH band keys
+ * Two questions share a band key when every value in that band matches
+ *
+ * @param {Array<number>} signature - MinHash signature
+ * @param {number} bandSize - Values per band
+ * @returns {Array<string>} Band keys, prefixed with the band number
+ */
+export function lshBands(signature, bandSize = SIMILARITY_CONFIG.bandSize) {
+  const bands = [];
+
+  for (let i = 0; i < signature.length; i += bandSize) {
+    const rows = signature.slice(i, i + bandSize).join('.');
+    bands.push(`${i / bandSize}:${fnv1a(rows).toString(16)}`);
+  }
+
+  return bands;
+}
+
+/**
+ * Builds the band keys a question is indexed under
+ * Empty for questions with no words to compare
+ *
+ * @param {string} question - Question text
+ * @returns {Array<string>} Band keys
+ */
+export function buildSimilarityBands(question) {
+  const shingles = shingleQuestion(question);
+  return shingles.size === 0 ? [] : lshBands(minHashSignature(shingles));
+}
+
+/**
+ * Scores two questions
+ *
+ * @param {string} a - First question text
+ * @param {string} b - Second question text
+ * @returns {number} Similarity from 0 to 1
+ */
+export function questionSimilarity(a, b) {
+  return jaccardSimilarity(shingleQuestion(a), shingleQuestion(b));
+}
+
+/**
+ * Scrambles a 32-bit value (murmur3 finalizer)
+ *
+ * @param {number} value - Value to scramble
+ * @returns {number} Unsigned 32-bit value
+ */
+function mix32(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Generates the MinHash seeds
+ * A fixed starting state scrambled step by step, so every session gets
+ * the same seeds
+ *
+ * @param {number} count - Number of seeds
+ * @returns {Array<number>} Unsigned 32-bit seeds
+ */
+function createSeeds(count) {
+  const seeds = [];
+  let state = 0x9e3779b9;
+  for (let i = 0; i < count; i++) {
+    state = mix32(state + 0x6d2b79f5);
+    seeds.push(state);
+  }
+  return seeds;
+}
@@ -0,0 +1,61 @@
+/**
+ * Storage Budget
+ * Size estimates and byte budgets for the answer cache, so eviction can
+ * keep it within its own limits and within the browser's storage quota
+ */
+
+export const STORAGE_BUDGET_CONFIG = {
+  maxBytes: 50 * 1024 * 1024, // Byte budget for cached answers
+  quotaPressure: 0.9          // Share of the origin's quota the cache may help fill
+};
+
+/**
+ * Estimates how many bytes an entry takes up
+ * Counts the characters of its JSON form; close enough to compare entries
+ * and track a budget without encoding every record
+ *
+ * @param {Object} entry - Cache entry
+ * @returns {number} Approximate size in bytes
+ */
+export function estimateEntrySize(entry) {
+  const { size, ...fields } = entry;
+  return JSON.stringify(fields).length;
+}
+
+/**
+ * Works out the byte budget the cache can use right now
+ * The cache may grow until the whole origin (cache plus everything else)
+ * reaches quotaPressure of its quota, and never past maxBytes
+ *
+ * @param {Object} params - Current usage
+ * @param {number} params.totalBytes - Bytes the cache holds
+ * @param {number} params.usage - Bytes the origin uses (navigator.storage.estimate)
+ * @param {number} params.quota - Bytes the origin may use (navigator.storage.estimate)
+ * @param {number} params.maxBytes - Configured byte budget
+ * @param {number} params.quotaPressure - Share of the quota to stay under
+ * @returns {number} Byte budget
+ */
+export function computeByteBudget({
+  totalBytes,
+  usage,
+  quota,
+  maxBytes = STORAGE_BUDGET_CONFIG.maxBytes,
+  quotaPressure = STORAGE_BUDGET_CONFIG.quotaPressure
+}) {
+  if (!quota) {
+    return maxBytes;
+  }
+
+  const headroom = quota * quotaPressure - usage;
+  return Math.max(0, Math.min(maxBytes, totalBytes + headroom));
+}
+
+/**
+ * Checks whether a write failed because storage is full
+ *
+ * @param {Error|DOMException} error - Error from IndexedDB
+ * @returns {boolean} True for quota errors
+ */
+export function isQuotaExceededError(error) {
+  return error?.name === 'QuotaExceededError';
+}
@@ -11,6 +11,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     const isQuiz = detectQuiz();
     sendResponse({ isQuiz });
   }
+
+  if (request.type === 'ANSWER_STATUS') {
+    showQueueStatus(request.status);
+  }
 });
 
 function detectQuiz() {
@@ -24,6 +28,26 @@ function detectQuiz() {
   return hasQuestions && (hasOptions || hasQuestionCounter);
 }
 
+// Shows how long an answer is held back by the rate limit
+function showQueueStatus(status) {
+  let badge = document.getElementById('quiz-solver-status');
+
+  if (status?.state !== 'waiting') {
+    badge?.remove();
+    return;
+  }
+
+  if (!badge) {
+    badge = document.createElement('div');
+    badge.id = 'quiz-solver-status';
+    badge.style.cssText = 'position:fixed;bottom:16px;right:16px;z-index:2147483647;' +
+      'padding:6px 10px;border-radius:4px;background:#333;color:#fff;font:13px sans-serif;';
+    document.body.appendChild(badge);
+  }
+
+  badge.textContent = `⏳ Waiting ${Math.ceil(status.waitMs / 1000)}s for rate limit…`;
+}
+
 // Inject detection into page
 window.addEventListener('load', () => {
   const isQuiz = detectQuiz();
@@ -7,5 +7,6 @@ export { structuralScan, analyzeStructure, STRUCTURAL_MAX_SCORE } from './struct
 export { patternMatching, analyzePatterns, PATTERN_MAX_SCORE } from './pattern-matcher.js';
 export { contextAnalysis, analyzeContext, CONTEXT_MAX_SCORE, QUIZ_KEYWORDS } from './context-analyzer.js';
 export { scoreAndDecide, identifyQuizType, extractQuestions, extractOptions, QUIZ_TYPES, CONFIDENCE_THRESHOLDS, MAX_SCORES } from './scorer.js';
+export { extractQuestionMedia, encodeMediaParts, MEDIA_LIMITS } from './media-extractor.js';
 export { QUIZ_PATTERNS, COMPILED_PATTERNS } from './patterns.js';
 export * from './types.js';
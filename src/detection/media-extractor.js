@@ -0,0 +1,262 @@
+/**
+ * Question Media Extraction
+ * Collects images, SVG diagrams and canvases attached to a question
+ * and encodes them as inline image parts for multimodal models
+ */
+
+export const MEDIA_LIMITS = {
+  maxImages: 4,
+  maxDimension: 1024,        // Longest side in pixels after downscaling
+  maxTotalBytes: 4 * 1024 * 1024,
+  minDimension: 16           // Skip spacer pixels and tiny icons
+};
+
+const MEDIA_SELECTOR = 'img, svg, canvas';
+const MEDIA_TAGS = ['IMG', 'SVG', 'CANVAS'];
+
+/**
+ * @typedef {Object} ImagePart
+ * @property {string} mimeType - Image MIME type (e.g. 'image/png')
+ * @property {string} data - Base64-encoded image data
+ */
+
+/**
+ * Collects media elements inside a question element
+ * Nested SVGs (inside another collected SVG) are skipped
+ *
+ * @param {HTMLElement} questionElement - The question element
+ * @returns {Array<QuestionMedia>} Media descriptors
+ */
+export function extractQuestionMedia(questionElement) {
+  const media = [];
+
+  try {
+    if (!questionElement?.querySelectorAll) {
+      return media;
+    }
+
+    const elements = Array.from(questionElement.querySelectorAll(MEDIA_SELECTOR));
+
+    elements.forEach((element) => {
+      const tagName = (element.tagName || '').toUpperCase();
+      if (!MEDIA_TAGS.includes(tagName)) {
+        return;
+      }
+
+      if (tagName === 'SVG' && element.parentElement?.closest?.('svg')) {
+        return;
+      }
+
+      if (isTooSmall(element)) {
+        return;
+      }
+
+      media.push({
+        type: tagName.toLowerCase(),
+        element,
+        alt: getAltText(element)
+      });
+    });
+  } catch (error) {
+    console.error('Error during media extraction:', error);
+  }
+
+  return media.slice(0, MEDIA_LIMITS.maxImages);
+}
+
+/**
+ * Gets alternative text for a media element
+ *
+ * @param {HTMLElement} element - The media element
+ * @returns {string} Alt text, aria-label or SVG title
+ */
+export function getAltText(element) {
+  const alt = element.getAttribute?.('alt') || element.getAttribute?.('aria-label');
+  if (alt) {
+    return alt.trim();
+  }
+
+  const title = element.querySelector?.('title');
+  return title?.textContent?.trim() || '';
+}
+
+/**
+ * Checks whether an element is too small to carry question content
+ *
+ * @param {HTMLElement} element - The media element
+ * @returns {boolean} True if both dimensions are known and tiny
+ */
+function isTooSmall(element) {
+  const width = element.naturalWidth || element.width?.baseVal?.value || element.width || 0;
+  const height = element.naturalHeight || element.height?.baseVal?.value || element.height || 0;
+
+  return width > 0 && height > 0 &&
+    (width < MEDIA_LIMITS.minDimension || height < MEDIA_LIMITS.minDimension);
+}
+
+/**
+ * Splits a data URL into an image part
+ *
+ * @param {string} dataUrl - data:image/...;base64,... URL
+ * @returns {ImagePart|null} Image part, or null if not a base64 image URL
+ */
+export function dataUrlToPart(dataUrl) {
+  const match = /^data:(image\/[a-z0-9.+-]+);base64,(.+)$/i.exec(dataUrl || '');
+  if (!match) {
+    return null;
+  }
+
+  return {
+    mimeType: match[1].toLowerCase(),
+    data: match[2]
+  };
+}
+
+/**
+ * Draws an image source onto a canvas, downscaling to maxDimension
+ *
+ * @param {CanvasImageSource} source - Image, canvas or bitmap
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @returns {ImagePart|null} PNG image part, or null if the canvas is tainted
+ */
+function rasterize(source, width, height) {
+  const scale = Math.min(1, MEDIA_LIMITS.maxDimension / Math.max(width, height, 1));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+
+  const context = canvas.getContext('2d');
+  if (!context) {
+    return null;
+  }
+
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+  try {
+    return dataUrlToPart(canvas.toDataURL('image/png'));
+  } catch (error) {
+    // Cross-origin images taint the canvas (SecurityError)
+    return null;
+  }
+}
+
+/**
+ * Loads an image from a URL
+ *
+ * @param {string} src - Image URL
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Failed to load image'));
+    image.src = src;
+  });
+}
+
+/**
+ * Fetches an image URL and encodes it as base64
+ * Used when a cross-origin image cannot be read from a canvas
+ *
+ * @param {string} src - Image URL
+ * @returns {Promise<ImagePart|null>} Image part
+ */
+async function fetchImagePart(src) {
+  const response = await fetch(src);
+  if (!response.ok) {
+    return null;
+  }
+
+  const blob = await response.blob();
+  if (!blob.type.startsWith('image/')) {
+    return null;
+  }
+
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+  return dataUrlToPart(dataUrl);
+}
+
+/**
+ * Encodes a single media element as an image part
+ * SVGs are rasterized because most models do not accept image/svg+xml
+ *
+ * @param {QuestionMedia} media - Media descriptor
+ * @returns {Promise<ImagePart|null>} Image part, or null if it cannot be read
+ */
+export async function encodeMedia(media) {
+  const { type, element } = media;
+
+  if (type === 'canvas') {
+    try {
+      return dataUrlToPart(element.toDataURL('image/png'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (type === 'svg') {
+    const markup = new XMLSerializer().serializeToString(element);
+    const svgUrl = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+    const rect = element.getBoundingClientRect();
+    const image = await loadImage(svgUrl);
+    return rasterize(image, rect.width || image.width, rect.height || image.height);
+  }
+
+  // <img>
+  const src = element.currentSrc || element.src;
+  const inline = dataUrlToPart(src);
+  if (inline) {
+    return inline;
+  }
+
+  if (element.complete && element.naturalWidth > 0) {
+    const part = rasterize(element, element.naturalWidth, element.naturalHeight);
+    if (part) {
+      return part;
+    }
+  }
+
+  return src ? fetchImagePart(src) : null;
+}
+
+/**
+ * Encodes question media as inline image parts
+ * Skips media that cannot be read and stops at the total size budget
+ *
+ * @param {Array<QuestionMedia>} media - Media descriptors from extractQuestionMedia
+ * @returns {Promise<Array<ImagePart>>} Encoded image parts
+ */
+export async function encodeMediaParts(media = []) {
+  const parts = [];
+  let totalBytes = 0;
+
+  for (const item of media.slice(0, MEDIA_LIMITS.maxImages)) {
+    try {
+      const part = await encodeMedia(item);
+      if (!part) {
+        continue;
+      }
+
+      // Base64 inflates size by 4/3
+      const bytes = Math.ceil(part.data.length * 3 / 4);
+      if (totalBytes + bytes > MEDIA_LIMITS.maxTotalBytes) {
+        break;
+      }
+
+      totalBytes += bytes;
+      parts.push(part);
+    } catch (error) {
+      console.warn('Failed to encode question media:', error.message);
+    }
+  }
+
+  return parts;
+}
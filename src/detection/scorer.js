@@ -5,6 +5,9 @@
  */
 
 import { QUIZ_TYPES, CONFIDENCE_THRESHOLDS, MAX_SCORES } from './types.js';
+import { extractQuestionMedia } from './media-extractor.js';
+
+export const IMAGE_QUESTION_PLACEHOLDER = '[Image-based question]';
 
 /**
  * Combines detection layer scores and makes quiz determination
@@ -132,7 +135,12 @@ export function extractQuestions(dom) {
     const questionElements = dom.querySelectorAll('[class*="question"], [id*="question"]');
 
     questionElements.forEach((element, index) => {
-      const questionText = element.innerText?.trim();
+      // Images, diagrams and canvases carry content innerText cannot see
+      const media = extractQuestionMedia(element);
+      const altText = media.map(item => item.alt).filter(Boolean).join(' ');
+      const questionText = element.innerText?.trim() ||
+        altText ||
+        (media.length > 0 ? IMAGE_QUESTION_PLACEHOLDER : '');
 
       if (!questionText) {
         return; // Skip empty questions
@@ -147,6 +155,7 @@ export function extractQuestions(dom) {
           element,
           questionText,
           options,
+          media,
           questionNumber: questions.length + 1
         });
       }
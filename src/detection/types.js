@@ -21,6 +21,7 @@
  * @property {HTMLElement} element - The DOM element containing the question
  * @property {string} questionText - The question text
  * @property {OptionElement[]} options - Available options/answers
+ * @property {QuestionMedia[]} media - Images, SVG diagrams and canvases in the question
  * @property {number} questionNumber - Sequential question number
  */
 
@@ -30,6 +31,13 @@
  * @property {string} text - The option text
  */
 
+/**
+ * @typedef {Object} QuestionMedia
+ * @property {string} type - 'img', 'svg' or 'canvas'
+ * @property {HTMLElement} element - The media element
+ * @property {string} alt - Alternative text, if any
+ */
+
 /**
  * @typedef {Object} DetectionScores
  * @property {number} structural - Structural scan score (0-40)
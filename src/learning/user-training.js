@@ -139,6 +139,7 @@ export class UserTrainingManager {
 
   /**
    * Stores pattern in local collection
+   * Also persists it when the cache has a patterns store
    *
    * @param {Object} pattern - Pattern object to store
    * @returns {Promise<void>}
@@ -155,6 +156,10 @@ export class UserTrainingManager {
     if (this.patterns.length > this.maxPatterns) {
       this.patterns.shift();
     }
+
+    if (typeof this.cache.savePattern === 'function') {
+      await this.cache.savePattern(pattern);
+    }
   }
 
   /**
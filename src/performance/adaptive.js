@@ -19,6 +19,10 @@ export class AdaptivePerformance {
     this.batteryLevel = 100;
     this.batteryMonitor = null;
     this.listeners = [];
+    this.selfConsistency = {
+      enabled: false,
+      samples: 5
+    };
   }
 
   /**
@@ -172,8 +176,8 @@ export class AdaptivePerformance {
 
   /**
    * Gets configuration object for current performance mode
-   * SPEED_MODE: CSS + XPath only, cache-first
-   * ACCURACY_MODE: Full detection with AI verification
+   * SPEED_MODE: CSS + XPath only, cache-first, single answer call
+   * ACCURACY_MODE: Full detection with AI verification, optional self-consistency voting
    *
    * @returns {Object} Configuration object
    */
@@ -186,7 +190,11 @@ export class AdaptivePerformance {
         useAIVerification: false,
         enableContinuousMonitoring: false,
         cacheFirst: true,
-        maxDetectionTime: 100
+        maxDetectionTime: 100,
+        selfConsistency: {
+          enabled: false,
+          samples: 1
+        }
       };
     }
 
@@ -198,7 +206,8 @@ export class AdaptivePerformance {
       useAIVerification: true,
       enableContinuousMonitoring: true,
       cacheFirst: false,
-      maxDetectionTime: 200
+      maxDetectionTime: 200,
+      selfConsistency: { ...this.selfConsistency }
     };
   }
 
@@ -234,6 +243,25 @@ export class AdaptivePerformance {
     this.notifyListeners('modeChanged', { oldMode, newMode: this.mode });
   }
 
+  /**
+   * Configures self-consistency voting for ACCURACY_MODE
+   * Each sample counts as one request against the rate limit
+   *
+   * @param {boolean} enabled - Whether to sample and vote
+   * @param {number} samples - Number of answers to sample (2-10)
+   * @returns {void}
+   */
+  setSelfConsistency(enabled, samples = this.selfConsistency.samples) {
+    if (!Number.isInteger(samples) || samples < 2 || samples > 10) {
+      throw new Error('Samples must be an integer between 2 and 10');
+    }
+
+    this.selfConsistency = {
+      enabled: Boolean(enabled),
+      samples
+    };
+  }
+
   /**
    * Registers a listener for performance events
    *
@@ -4,7 +4,7 @@
  * Uses cache-first strategy and reduced detection
  */
 
-import { generateHash } from '../caching/hash-utils.js';
+import { generateQuestionKey } from '../caching/hash-utils.js';
 
 /**
  * MobileOptimizer handles speed mode optimizations
@@ -122,8 +122,8 @@ export class MobileOptimizer {
    */
   async getAnswerOptimized(question) {
     try {
-      // Generate hash for cache lookup
-      const hash = await generateHash(question);
+      // Generate key for cache lookup (same key as AnswerRetriever)
+      const hash = await generateQuestionKey(question);
 
       // Check cache first
       const cached = await this.cache.get(hash);
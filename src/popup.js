@@ -3,18 +3,40 @@
  * Handles popup UI interactions
  */
 
+import {
+  PromptTemplateRegistry,
+  DEFAULT_PROMPT_TEMPLATES,
+  TEMPLATE_VARIABLES
+} from './api/prompt-templates.js';
+import { parseModelChainEntry, formatModelChainEntry } from './api/model-chain.js';
+import { exportJournal, JOURNAL_CONFIG } from './api/request-journal.js';
+import { SIMILARITY_CONFIG } from './caching/similarity.js';
+
+// Unsaved template edits keyed by template type
+let templateDrafts = {};
+
 document.addEventListener('DOMContentLoaded', () => {
   initializePopup();
 });
 
 function initializePopup() {
-  // Check API key status
-  chrome.storage.local.get(['geminiApiKey'], (result) => {
+  // Check API key / provider status
+  chrome.storage.local.get(['geminiApiKey', 'geminiApiKeys', 'providerConfig'], (result) => {
     const statusEl = document.getElementById('status');
-    if (result.geminiApiKey) {
+    const providerType = result.providerConfig?.type || 'gemini';
+    const keyCount = result.geminiApiKeys?.length || (result.geminiApiKey ? 1 : 0);
+
+    if (providerType !== 'gemini') {
+      statusEl.classList.remove('error');
+      statusEl.innerHTML = `
+        <div class="status-label">Status</div>
+        <div class="status-value">✅ Local Server Configured</div>
+      `;
+    } else if (result.geminiApiKey) {
+      statusEl.classList.remove('error');
       statusEl.innerHTML = `
         <div class="status-label">Status</div>
-        <div class="status-value">✅ API Key Configured</div>
+        <div class="status-value">✅ ${keyCount > 1 ? `${keyCount} API Keys` : 'API Key'} Configured</div>
       `;
     } else {
       statusEl.classList.add('error');
@@ -30,6 +52,185 @@ function initializePopup() {
   document.getElementById('settingsBtn').addEventListener('click', showSettings);
   document.getElementById('saveBtn').addEventListener('click', saveSettings);
   document.getElementById('cancelBtn').addEventListener('click', hideSettings);
+  document.getElementById('providerSelect').addEventListener('change', updateProviderFields);
+  document.getElementById('templateTypeSelect').addEventListener('change', switchTemplateType);
+  document.getElementById('previewTemplateBtn').addEventListener('click', previewTemplate);
+  document.getElementById('resetTemplateBtn').addEventListener('click', resetTemplate);
+  document.getElementById('requestLogBtn').addEventListener('click', toggleRequestLog);
+  document.getElementById('logStatusSelect').addEventListener('change', loadRequestLog);
+  document.getElementById('logSourceSelect').addEventListener('change', loadRequestLog);
+  document.getElementById('logSearchInput').addEventListener('input', loadRequestLog);
+  document.getElementById('exportJsonBtn').addEventListener('click', () => exportRequestLog('json'));
+  document.getElementById('exportCsvBtn').addEventListener('click', () => exportRequestLog('csv'));
+  document.getElementById('clearLogBtn').addEventListener('click', clearRequestLog);
+
+  loadStats();
+}
+
+function loadStats() {
+  chrome.runtime.sendMessage({ type: 'GET_STATS', days: 30 }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) {
+      return;
+    }
+
+    const { usage, cache } = response.stats;
+    const formatTokens = (count) => count.toLocaleString();
+
+    if (cache) {
+      document.getElementById('cacheHits').textContent = cache.hits;
+      document.getElementById('similarHits').textContent = cache.similarHits ?? 0;
+      document.getElementById('tierHits').textContent = cache.tiers
+        ? `${cache.tiers.memory.hits} / ${cache.tiers.indexedDB.hits}`
+        : '-';
+      document.getElementById('cacheMisses').textContent = cache.misses;
+      document.getElementById('hitRate').textContent = cache.hitRate;
+      document.getElementById('avgResponse').textContent = cache.avgTime;
+    }
+
+    const answerTokens = usage.byFeature.answer?.totalTokens || 0;
+    const explanationTokens = usage.byFeature.explanation?.totalTokens || 0;
+    const topSite = usage.byHost[0];
+
+    document.getElementById('tokensToday').textContent = formatTokens(usage.today.totalTokens);
+    document.getElementById('tokensTotal').textContent = formatTokens(usage.totals.totalTokens);
+    document.getElementById('tokensByFeature').textContent =
+      `${formatTokens(answerTokens)} / ${formatTokens(explanationTokens)}`;
+    document.getElementById('estimatedCost').textContent = `$${usage.totals.cost.toFixed(usage.totals.cost < 1 ? 4 : 2)}`;
+    document.getElementById('topSite').textContent = topSite
+      ? `${topSite.host} (${formatTokens(topSite.totalTokens)})`
+      : '-';
+
+    renderKeyQuotas(response.stats.keys || []);
+    renderCircuitStates(response.stats.circuits || []);
+
+    document.getElementById('stats').style.display = 'block';
+  });
+}
+
+function renderKeyQuotas(keys) {
+  const container = document.getElementById('keyQuotas');
+
+  container.innerHTML = keys.map(key => {
+    const pause = key.pausedUntil ? ` · paused ${Math.ceil((key.pausedUntil - Date.now()) / 1000)}s` : '';
+    const value = key.status === 'active'
+      ? `${key.minuteRemaining}/${key.perMinuteLimit} min · ${key.dailyRemaining}/${key.perDayLimit} day${pause}`
+      : `⚠️ Rejected (${escapeHtml(key.lastError)})`;
+
+    return `
+      <div class="stat-row">
+        <span class="stat-label">Key ${escapeHtml(key.id)}</span>
+        <span class="stat-value">${value}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+function renderCircuitStates(circuits) {
+  const container = document.getElementById('circuitStates');
+
+  container.innerHTML = circuits.map(circuit => {
+    let value = '✅ Available';
+    if (circuit.state === 'open') {
+      value = `⛔ Unavailable · retry in ${Math.ceil(circuit.retryAfter / 1000)}s (${escapeHtml(circuit.lastError)})`;
+    } else if (circuit.state === 'half-open') {
+      value = '🔄 Probing';
+    }
+
+    return `
+      <div class="stat-row">
+        <span class="stat-label">${escapeHtml(circuit.provider)} ${escapeHtml(circuit.model || '')}</span>
+        <span class="stat-value">${value}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+function toggleRequestLog() {
+  const section = document.getElementById('requestLogSection');
+  const visible = section.style.display !== 'none';
+
+  section.style.display = visible ? 'none' : 'block';
+  if (!visible) {
+    loadRequestLog();
+  }
+}
+
+function getLogFilter() {
+  return {
+    status: document.getElementById('logStatusSelect').value,
+    source: document.getElementById('logSourceSelect').value,
+    search: document.getElementById('logSearchInput').value.trim()
+  };
+}
+
+function loadRequestLog() {
+  chrome.runtime.sendMessage({ type: 'GET_REQUEST_LOG', filter: getLogFilter() }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) {
+      return;
+    }
+
+    renderRequestLog(response.entries);
+  });
+}
+
+function renderRequestLog(entries) {
+  const container = document.getElementById('requestLog');
+
+  if (entries.length === 0) {
+    container.innerHTML = '<div class="log-empty">No requests logged</div>';
+    return;
+  }
+
+  container.innerHTML = entries.map(entry => {
+    const model = [entry.provider, entry.model].filter(Boolean).join(' ') || entry.source;
+    const tokens = entry.totalTokens !== null ? ` · ${entry.totalTokens} tokens` : '';
+    const retries = entry.retries > 0 ? ` · ${entry.retries} retries` : '';
+    const outcome = entry.errorMessage ? `${entry.status}: ${entry.errorMessage}` : entry.status;
+
+    return `
+      <div class="log-entry ${escapeHtml(entry.status)}">
+        <div>${escapeHtml(entry.question)}</div>
+        <div class="log-meta">
+          ${new Date(entry.timestamp).toLocaleString()} · ${escapeHtml(model)} · ${entry.latency}ms${tokens}${retries}
+        </div>
+        <div class="log-status">${escapeHtml(outcome)}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+function exportRequestLog(format) {
+  const filter = { ...getLogFilter(), limit: JOURNAL_CONFIG.maxEntries };
+
+  chrome.runtime.sendMessage({ type: 'GET_REQUEST_LOG', filter }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) {
+      alert('Could not read the request log');
+      return;
+    }
+
+    const { content, mimeType, filename } = exportJournal(response.entries, format);
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+}
+
+function clearRequestLog() {
+  if (!confirm('Delete every logged request?')) {
+    return;
+  }
+
+  chrome.runtime.sendMessage({ type: 'CLEAR_REQUEST_LOG' }, () => loadRequestLog());
+}
+
+// Logged questions come from arbitrary pages, and errors from remote servers
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML;
 }
 
 function detectQuiz() {
@@ -55,12 +256,120 @@ function detectQuiz() {
 function showSettings() {
   document.getElementById('settingsSection').style.display = 'block';
   
-  // Load current API key
-  chrome.storage.local.get(['geminiApiKey'], (result) => {
+  // Load current provider settings
+  chrome.storage.local.get(['geminiApiKey', 'geminiApiKeys', 'geminiApiBase', 'providerConfig', 'promptTemplates', 'requestBatching', 'similarityThreshold', 'selfConsistencySamples'], (result) => {
+    const providerConfig = result.providerConfig || {};
+
+    document.getElementById('providerSelect').value = providerConfig.type || 'gemini';
+    document.getElementById('baseUrlInput').value = providerConfig.baseUrl || '';
+    document.getElementById('modelInput').value = providerConfig.model || '';
+    document.getElementById('localApiKeyInput').value = providerConfig.apiKey || '';
+    document.getElementById('fallbacksInput').value = (providerConfig.fallbacks || [])
+      .map(formatModelChainEntry)
+      .join('\n');
+    document.getElementById('batchingInput').checked = Boolean(result.requestBatching);
+    document.getElementById('similarityInput').value = Math.round((result.similarityThreshold ?? SIMILARITY_CONFIG.threshold) * 100);
+    document.getElementById('votingSamplesInput').value = result.selfConsistencySamples || 0;
+    document.getElementById('apiBaseInput').value = result.geminiApiBase || '';
+
     if (result.geminiApiKey) {
       document.getElementById('apiKeyInput').value = result.geminiApiKey;
     }
+    document.getElementById('extraApiKeysInput').value = (result.geminiApiKeys || [])
+      .filter(key => key !== result.geminiApiKey)
+      .join('\n');
+
+    updateProviderFields();
+    loadTemplates(result.promptTemplates || {});
+  });
+}
+
+function loadTemplates(overrides) {
+  const typeSelect = document.getElementById('templateTypeSelect');
+
+  templateDrafts = { ...DEFAULT_PROMPT_TEMPLATES, ...overrides };
+  typeSelect.innerHTML = Object.keys(DEFAULT_PROMPT_TEMPLATES)
+    .map(type => `<option value="${type}">${type}</option>`)
+    .join('');
+  typeSelect.dataset.current = typeSelect.value;
+
+  document.getElementById('templateInput').value = templateDrafts[typeSelect.value];
+  document.getElementById('templateHint').textContent =
+    `Variables: ${Object.keys(TEMPLATE_VARIABLES).map(name => `{{${name}}}`).join(' ')}`;
+  document.getElementById('templatePreview').style.display = 'none';
+}
+
+function switchTemplateType() {
+  const typeSelect = document.getElementById('templateTypeSelect');
+  const templateInput = document.getElementById('templateInput');
+
+  // Keep the edit made to the previous type
+  templateDrafts[typeSelect.dataset.current] = templateInput.value;
+  typeSelect.dataset.current = typeSelect.value;
+
+  templateInput.value = templateDrafts[typeSelect.value];
+  document.getElementById('templatePreview').style.display = 'none';
+}
+
+function previewTemplate() {
+  const type = document.getElementById('templateTypeSelect').value;
+  const template = document.getElementById('templateInput').value;
+  const previewEl = document.getElementById('templatePreview');
+
+  previewEl.textContent = new PromptTemplateRegistry().preview(type, {}, template);
+  previewEl.style.display = 'block';
+}
+
+function resetTemplate() {
+  const type = document.getElementById('templateTypeSelect').value;
+
+  templateDrafts[type] = DEFAULT_PROMPT_TEMPLATES[type];
+  document.getElementById('templateInput').value = DEFAULT_PROMPT_TEMPLATES[type];
+  document.getElementById('templatePreview').style.display = 'none';
+}
+
+function buildTemplateOverrides() {
+  const typeSelect = document.getElementById('templateTypeSelect');
+  templateDrafts[typeSelect.value] = document.getElementById('templateInput').value;
+
+  const registry = new PromptTemplateRegistry();
+  Object.entries(templateDrafts).forEach(([type, template]) => {
+    if (template !== DEFAULT_PROMPT_TEMPLATES[type]) {
+      try {
+        registry.setOverride(type, template);
+      } catch (error) {
+        throw new Error(`${type}: ${error.message}`);
+      }
+    }
   });
+
+  return registry.getOverrides();
+}
+
+// Percent in the form, fraction in storage; blank means the default
+function readSimilarityThreshold() {
+  const percent = parseFloat(document.getElementById('similarityInput').value);
+  if (Number.isNaN(percent)) {
+    return SIMILARITY_CONFIG.threshold;
+  }
+  return Math.min(Math.max(percent, 0), 100) / 100;
+}
+
+// 0 turns voting off; AdaptivePerformance.setSelfConsistency takes 2-10 samples
+function readSelfConsistencySamples() {
+  const samples = parseInt(document.getElementById('votingSamplesInput').value, 10);
+  if (Number.isNaN(samples) || samples < 2) {
+    return 0;
+  }
+  return Math.min(samples, 10);
+}
+
+function updateProviderFields() {
+  const isGemini = document.getElementById('providerSelect').value === 'gemini';
+  document.getElementById('geminiSettings').style.display = isGemini ? 'block' : 'none';
+  document.getElementById('extraKeysSettings').style.display = isGemini ? 'block' : 'none';
+  document.getElementById('apiBaseSettings').style.display = isGemini ? 'block' : 'none';
+  document.getElementById('localSettings').style.display = isGemini ? 'none' : 'block';
 }
 
 function hideSettings() {
@@ -68,14 +377,73 @@ function hideSettings() {
 }
 
 function saveSettings() {
+  const providerType = document.getElementById('providerSelect').value;
   const apiKey = document.getElementById('apiKeyInput').value;
+  const extraApiKeys = document.getElementById('extraApiKeysInput').value
+    .split('\n')
+    .map(key => key.trim())
+    .filter(Boolean);
   
-  if (!apiKey) {
+  if (providerType === 'gemini' && !apiKey) {
     alert('Please enter an API key');
     return;
   }
+
+  const providerConfig = { type: providerType };
+
+  try {
+    providerConfig.fallbacks = document.getElementById('fallbacksInput').value
+      .split('\n')
+      .filter(line => line.trim())
+      .map(parseModelChainEntry);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  if (!apiKey && providerConfig.fallbacks.some(entry => entry.type === 'gemini')) {
+    alert('Gemini fallback models need a Gemini API key');
+    return;
+  }
+
+  if (providerType !== 'gemini') {
+    const baseUrl = document.getElementById('baseUrlInput').value.trim();
+    const model = document.getElementById('modelInput').value.trim();
+    const localApiKey = document.getElementById('localApiKeyInput').value.trim();
+
+    if (baseUrl) {
+      providerConfig.baseUrl = baseUrl;
+    }
+    if (model) {
+      providerConfig.model = model;
+    }
+    if (localApiKey) {
+      providerConfig.apiKey = localApiKey;
+    }
+  }
+
+  let promptTemplates;
+  try {
+    promptTemplates = buildTemplateOverrides();
+  } catch (error) {
+    alert(`Invalid prompt template - ${error.message}`);
+    return;
+  }
+
+  const settings = {
+    providerConfig,
+    promptTemplates,
+    requestBatching: document.getElementById('batchingInput').checked,
+    similarityThreshold: readSimilarityThreshold(),
+    selfConsistencySamples: readSelfConsistencySamples(),
+    geminiApiBase: document.getElementById('apiBaseInput').value.trim()
+  };
+  if (apiKey) {
+    settings.geminiApiKey = apiKey;
+    settings.geminiApiKeys = [...new Set([apiKey, ...extraApiKeys])];
+  }
   
-  chrome.storage.local.set({ geminiApiKey: apiKey }, () => {
+  chrome.storage.local.set(settings, () => {
     alert('✅ Settings saved!');
     hideSettings();
     initializePopup();
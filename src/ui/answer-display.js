@@ -3,6 +3,9 @@
  * Displays quiz answers in an interactive, non-intrusive tooltip
  */
 
+import { consumeStream } from './stream-renderer.js';
+import { normalizeOptions } from '../api/structured-response.js';
+
 /**
  * AnswerDisplay renders and manages answer tooltips
  * Handles positioning, theming, and user interactions
@@ -23,9 +26,12 @@ export class AnswerDisplay {
    * @param {Object} question - Question object with element and text
    * @param {string} answer - The answer text
    * @param {number} confidence - Confidence level (0-100)
+   * @param {Object} options - Render options
+   * @param {Object} options.similar - Near-duplicate match to confirm or reject
+   *                                   (similarity, matchedQuestion and matchKey of a 'cache-similar' result)
    * @returns {HTMLElement} The created tooltip element
    */
-  render(question, answer, confidence) {
+  render(question, answer, confidence, options = {}) {
     if (!question || !question.element) {
       throw new Error('Question object with element is required');
     }
@@ -46,8 +52,118 @@ export class AnswerDisplay {
     tooltip.setAttribute('aria-label', `Answer: ${answer}`);
 
     // Build HTML with proper escaping
-    tooltip.innerHTML = this.buildTooltipHTML(answer, confidence);
+    tooltip.innerHTML = this.buildTooltipHTML(answer, confidence, { similar: options.similar });
+
+    this.mountTooltip(tooltip, question, answer);
+
+    // Track tooltip
+    this.tooltips.set(tooltip, { question, answer, confidence, similar: options.similar || null });
+
+    return tooltip;
+  }
 
+  /**
+   * Renders an answer tooltip that fills in as the answer streams
+   * Shows a cancel button until the stream completes
+   *
+   * @param {Object} question - Question object with element and text
+   * @param {Function} createStream - Called with an AbortSignal, returns a provider stream
+   *                                  (e.g. signal => provider.streamAnswer(q, ctx, data, { signal }))
+   * @returns {Object} The tooltip element and a promise for the final AIResponse
+   *                   (null if cancelled or failed)
+   */
+  renderStream(question, createStream) {
+    if (!question || !question.element) {
+      throw new Error('Question object with element is required');
+    }
+
+    if (typeof createStream !== 'function') {
+      throw new Error('createStream must be a function');
+    }
+
+    const controller = new AbortController();
+
+    const tooltip = document.createElement('div');
+    tooltip.className = 'quiz-answer-tooltip quiz-answer-streaming';
+    tooltip.setAttribute('role', 'tooltip');
+    tooltip.setAttribute('aria-busy', 'true');
+    tooltip.setAttribute('aria-label', 'Answer loading');
+    tooltip.innerHTML = this.buildTooltipHTML('', null, { streaming: true });
+
+    this.mountTooltip(tooltip, question, '');
+    this.tooltips.set(tooltip, { question, answer: '', confidence: null, controller });
+
+    const cancelBtn = tooltip.querySelector('.quiz-btn-cancel');
+    cancelBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.dismiss(tooltip);
+    });
+
+    const answerText = tooltip.querySelector('.quiz-answer-text');
+    const completed = consumeStream(createStream(controller.signal), (text) => {
+      if (!controller.signal.aborted) {
+        answerText.textContent = text;
+      }
+    })
+      .then(({ result, cancelled }) => {
+        if (cancelled || controller.signal.aborted || !result) {
+          return null;
+        }
+
+        this.completeStream(tooltip, result.answer, result.confidence);
+        return result;
+      })
+      .catch((error) => {
+        console.warn('Answer stream failed:', error.message);
+        this.dismiss(tooltip);
+        return null;
+      });
+
+    return { tooltip, completed };
+  }
+
+  /**
+   * Fills in the final answer of a streamed tooltip
+   *
+   * @param {HTMLElement} tooltip - The tooltip element
+   * @param {string} answer - The final answer text
+   * @param {number} confidence - Confidence level (0-100)
+   * @returns {void}
+   */
+  completeStream(tooltip, answer, confidence) {
+    const entry = this.tooltips.get(tooltip);
+    if (!entry) {
+      return;
+    }
+
+    tooltip.classList.remove('quiz-answer-streaming');
+    tooltip.removeAttribute('aria-busy');
+    tooltip.setAttribute('data-confidence', confidence);
+    tooltip.setAttribute('aria-label', `Answer: ${answer}`);
+    tooltip.querySelector('.quiz-answer-text').textContent = answer;
+
+    const confidenceLevel = tooltip.querySelector('.confidence-level');
+    if (confidenceLevel) {
+      confidenceLevel.textContent = `${confidence}%`;
+    }
+
+    tooltip.querySelector('.quiz-btn-cancel')?.remove();
+    tooltip.querySelectorAll('.quiz-answer-actions button[disabled]').forEach(button => {
+      button.disabled = false;
+    });
+
+    this.tooltips.set(tooltip, { question: entry.question, answer, confidence });
+  }
+
+  /**
+   * Styles, positions, wires up and inserts a tooltip next to its question
+   *
+   * @param {HTMLElement} tooltip - The tooltip element
+   * @param {Object} question - Question object with element
+   * @param {string} answer - The answer text
+   * @returns {void}
+   */
+  mountTooltip(tooltip, question, answer) {
     // Apply theme
     this.applyTheme(tooltip);
 
@@ -62,40 +178,55 @@ export class AnswerDisplay {
 
     // Insert into page
     question.element.parentElement.insertBefore(tooltip, question.element.nextSibling);
-
-    // Track tooltip
-    this.tooltips.set(tooltip, { question, answer, confidence });
-
-    return tooltip;
   }
 
   /**
    * Builds the HTML content for the tooltip
+   * Streaming tooltips get a cancel button and disabled actions until complete;
+   * answers of a similar question show that question with confirm/reject buttons
    *
    * @param {string} answer - The answer text
-   * @param {number} confidence - Confidence level
+   * @param {number|null} confidence - Confidence level (null while streaming)
+   * @param {Object} options - Build options
+   * @param {boolean} options.streaming - Whether the answer is still streaming
+   * @param {Object} options.similar - Near-duplicate match (similarity and matchedQuestion)
    * @returns {string} HTML string
    */
-  buildTooltipHTML(answer, confidence) {
+  buildTooltipHTML(answer, confidence, options = {}) {
     const escapedAnswer = this.escapeHTML(answer);
+    const disabled = options.streaming ? ' disabled' : '';
 
     let html = `
       <div class="quiz-answer-content">
         <div class="quiz-answer-text">${escapedAnswer}</div>
     `;
 
+    if (options.similar) {
+      html += `
+        <div class="quiz-answer-similar">
+          <div class="quiz-similar-label">Similar question (${Math.round(options.similar.similarity * 100)}% match):</div>
+          <div class="quiz-similar-question">${this.escapeHTML(options.similar.matchedQuestion || '')}</div>
+          <div class="quiz-similar-actions">
+            <button class="quiz-btn-similar-confirm" aria-label="Use this answer">✓ Use answer</button>
+            <button class="quiz-btn-similar-reject" aria-label="Ask the AI instead">✗ Ask AI</button>
+          </div>
+        </div>
+      `;
+    }
+
     if (this.showConfidence) {
       html += `
         <div class="quiz-answer-confidence">
-          Confidence: <span class="confidence-level">${confidence}%</span>
+          Confidence: <span class="confidence-level">${confidence === null ? '…' : `${confidence}%`}</span>
         </div>
       `;
     }
 
     html += `
         <div class="quiz-answer-actions">
-          <button class="quiz-btn-explanation" aria-label="Show explanation">Show Explanation</button>
-          <button class="quiz-btn-report" aria-label="Report wrong answer">Report Wrong</button>
+          <button class="quiz-btn-explanation" aria-label="Show explanation"${disabled}>Show Explanation</button>
+          <button class="quiz-btn-report" aria-label="Report wrong answer"${disabled}>Report Wrong</button>
+          ${options.streaming ? '<button class="quiz-btn-cancel" aria-label="Cancel answer">Cancel</button>' : ''}
           <button class="quiz-btn-close" aria-label="Close tooltip">×</button>
         </div>
       </div>
@@ -184,7 +315,25 @@ export class AnswerDisplay {
     if (reportBtn) {
       reportBtn.addEventListener('click', (e) => {
         e.stopPropagation();
-        this.reportWrong(question, answer);
+        // Streamed tooltips only know their answer once complete
+        this.reportWrong(question, this.tooltips.get(tooltip)?.answer || answer);
+      });
+    }
+
+    // Similar question confirm/reject buttons
+    const confirmBtn = tooltip.querySelector('.quiz-btn-similar-confirm');
+    if (confirmBtn) {
+      confirmBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.confirmSimilar(tooltip);
+      });
+    }
+
+    const rejectBtn = tooltip.querySelector('.quiz-btn-similar-reject');
+    if (rejectBtn) {
+      rejectBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.rejectSimilar(tooltip);
       });
     }
 
@@ -243,6 +392,88 @@ export class AnswerDisplay {
     alert('Thank you for the feedback! We will improve our answers.');
   }
 
+  /**
+   * Accepts the similar question's answer
+   * The background caches it under this question, so it is an exact hit next time
+   *
+   * @param {HTMLElement} tooltip - The tooltip element
+   * @returns {void}
+   */
+  confirmSimilar(tooltip) {
+    const entry = this.tooltips.get(tooltip);
+    if (!entry?.similar) {
+      return;
+    }
+
+    this.sendSimilarMessage('CONFIRM_SIMILAR', entry);
+    tooltip.querySelector('.quiz-answer-similar')?.remove();
+    this.tooltips.set(tooltip, { ...entry, similar: null });
+  }
+
+  /**
+   * Rejects the similar question's answer
+   * The background asks the AI instead and the tooltip shows the new answer
+   *
+   * @param {HTMLElement} tooltip - The tooltip element
+   * @returns {void}
+   */
+  rejectSimilar(tooltip) {
+    const entry = this.tooltips.get(tooltip);
+    if (!entry?.similar) {
+      return;
+    }
+
+    const similarBox = tooltip.querySelector('.quiz-answer-similar');
+    if (similarBox) {
+      similarBox.textContent = 'Asking AI…';
+    }
+    this.tooltips.set(tooltip, { ...entry, similar: null });
+
+    this.sendSimilarMessage('REJECT_SIMILAR', entry, (response) => {
+      if (!this.tooltips.has(tooltip)) {
+        return; // Dismissed while waiting
+      }
+
+      if (!response?.success) {
+        if (similarBox) {
+          similarBox.textContent = `Could not get a new answer: ${response?.error || 'no response'}`;
+        }
+        return;
+      }
+
+      similarBox?.remove();
+      this.completeStream(tooltip, response.answer.answer, response.answer.confidence);
+    });
+  }
+
+  /**
+   * Sends a confirm/reject message for a tooltip's similar-question match
+   *
+   * @param {string} type - 'CONFIRM_SIMILAR' or 'REJECT_SIMILAR'
+   * @param {Object} entry - Tracked tooltip entry
+   * @param {Function} callback - Called with the background's response
+   * @returns {void}
+   */
+  sendSimilarMessage(type, entry, callback) {
+    if (typeof chrome === 'undefined' || !chrome.runtime) {
+      callback?.(null);
+      return;
+    }
+
+    const { question, similar } = entry;
+    try {
+      chrome.runtime.sendMessage({
+        type,
+        question: question.questionText || question.element.textContent,
+        matchKey: similar.matchKey,
+        questionData: { options: normalizeOptions(question.options) }
+      }, callback);
+    } catch (error) {
+      console.warn(`Failed to send ${type}:`, error.message);
+      callback?.({ success: false, error: error.message });
+    }
+  }
+
   /**
    * Dismisses a tooltip
    *
@@ -251,6 +482,8 @@ export class AnswerDisplay {
    */
   dismiss(tooltip) {
     if (tooltip && tooltip.parentElement) {
+      // Stop any answer still streaming into this tooltip
+      this.tooltips.get(tooltip)?.controller?.abort();
       tooltip.remove();
       this.tooltips.delete(tooltip);
     }
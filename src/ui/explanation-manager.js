@@ -4,19 +4,24 @@
  */
 
 import { generateHash } from '../caching/hash-utils.js';
+import { consumeStream, isStream } from './stream-renderer.js';
+import { PromptTemplateRegistry, EXPLANATION_TEMPLATE } from '../api/prompt-templates.js';
+
+const EXPLANATION_UNAVAILABLE = 'Unable to generate explanation at this time.';
 
 /**
  * ExplanationManager handles explanations and feedback
  * Retrieves explanations from cache or API, stores user feedback
  */
 export class ExplanationManager {
-  constructor(cache, apiClient = null) {
+  constructor(cache, apiClient = null, options = {}) {
     if (!cache) {
       throw new Error('Cache instance is required');
     }
 
     this.cache = cache;
     this.apiClient = apiClient;
+    this.promptTemplates = options.promptTemplates || new PromptTemplateRegistry();
     this.feedbackLog = [];
     this.maxFeedbackLogs = 100;
   }
@@ -43,53 +48,168 @@ export class ExplanationManager {
       const hash = await generateHash(question + '_explanation_' + answer);
 
       // Check cache first
-      const cached = await this.cache.get(hash);
+      const cached = await this.getCachedExplanation(hash);
       if (cached) {
         return cached.answer;
       }
 
       // Generate explanation via API if available
       if (this.apiClient) {
-        const prompt = `Provide a brief explanation for this quiz answer:\n\nQuestion: ${question}\nAnswer: ${answer}`;
-        const result = await this.apiClient.getAnswer(prompt);
-
-        // Cache explanation
-        await this.cache.set(hash, {
-          questionHash: hash,
-          question: question + '_explanation',
-          answer: result.answer,
-          confidence: result.confidence,
-          timestamp: Date.now(),
-          platform: typeof window !== 'undefined' ? window.location.hostname : 'unknown',
-          quizType: 'explanation',
-          hitCount: 0,
-          lastAccessed: Date.now()
-        });
-
-        return result.answer;
+        const result = await this.requestExplanation(question, answer);
+
+        await this.cacheExplanation(hash, question, result);
+
+        return result.explanation;
       }
 
       // Fallback: return generic explanation
       return 'Explanation not available. Please verify the answer independently.';
     } catch (error) {
       console.warn('Error getting explanation:', error.message);
-      return 'Unable to generate explanation at this time.';
+      return EXPLANATION_UNAVAILABLE;
+    }
+  }
+
+  /**
+   * Shows an explanation in a tooltip, streaming it when the API client can
+   * Cached explanations are shown immediately
+   *
+   * @param {HTMLElement} tooltip - The tooltip element
+   * @param {string} question - The quiz question
+   * @param {string} answer - The provided answer
+   * @returns {Promise<string|null>} Final explanation text (null if cancelled)
+   */
+  async showExplanation(tooltip, question, answer) {
+    if (!this.apiClient || typeof this.apiClient.streamExplanation !== 'function') {
+      const explanation = await this.getExplanation(question, answer);
+      this.displayExplanation(tooltip, explanation);
+      return explanation;
+    }
+
+    if (!question || typeof question !== 'string') {
+      throw new Error('Question must be a non-empty string');
+    }
+
+    if (!answer || typeof answer !== 'string') {
+      throw new Error('Answer must be a non-empty string');
     }
+
+    let hash = null;
+
+    try {
+      hash = await generateHash(question + '_explanation_' + answer);
+      const cached = await this.getCachedExplanation(hash);
+      if (cached) {
+        this.displayExplanation(tooltip, cached.answer);
+        return cached.answer;
+      }
+    } catch (error) {
+      console.warn('Error reading cached explanation:', error.message);
+    }
+
+    const controller = new AbortController();
+    const stream = this.apiClient.streamExplanation(question, answer, { signal: controller.signal });
+
+    const result = await new Promise((resolve) => {
+      this.displayExplanation(tooltip, stream, { controller, onComplete: resolve });
+    });
+
+    if (!result) {
+      return null;
+    }
+
+    if (hash) {
+      try {
+        await this.cacheExplanation(hash, question, result);
+      } catch (error) {
+        console.warn('Error caching explanation:', error.message);
+      }
+    }
+
+    return result.explanation;
+  }
+
+  /**
+   * Reads a cached explanation
+   * Uses the cache's explanations store when it has one
+   *
+   * @param {string} hash - Explanation cache key
+   * @returns {Promise<Object|null>} Cached explanation entry
+   */
+  async getCachedExplanation(hash) {
+    if (typeof this.cache.getExplanation === 'function') {
+      return this.cache.getExplanation(hash);
+    }
+    return this.cache.get(hash);
+  }
+
+  /**
+   * Stores a generated explanation in the cache
+   * Uses the cache's explanations store when it has one
+   *
+   * @param {string} hash - Explanation cache key
+   * @param {string} question - The quiz question
+   * @param {Object} result - AIResponse with explanation
+   * @returns {Promise<void>}
+   */
+  async cacheExplanation(hash, question, result) {
+    const store = typeof this.cache.setExplanation === 'function'
+      ? (key, entry) => this.cache.setExplanation(key, entry)
+      : (key, entry) => this.cache.set(key, entry);
+
+    await store(hash, {
+      questionHash: hash,
+      question: question + '_explanation',
+      answer: result.explanation,
+      confidence: result.confidence,
+      timestamp: Date.now(),
+      platform: typeof window !== 'undefined' ? window.location.hostname : 'unknown',
+      quizType: 'explanation',
+      hitCount: 0,
+      lastAccessed: Date.now()
+    });
+  }
+
+  /**
+   * Requests an explanation from the API client
+   * Uses the provider's getExplanation() when available, otherwise falls
+   * back to sending an explanation prompt through getAnswer()
+   *
+   * @param {string} question - The quiz question
+   * @param {string} answer - The provided answer
+   * @returns {Promise<Object>} Result with explanation and confidence
+   */
+  async requestExplanation(question, answer) {
+    if (typeof this.apiClient.getExplanation === 'function') {
+      return this.apiClient.getExplanation(question, answer);
+    }
+
+    const prompt = this.promptTemplates.render(EXPLANATION_TEMPLATE, { question, answer });
+    const result = await this.apiClient.getAnswer(prompt);
+    return { ...result, explanation: result.answer };
   }
 
   /**
    * Displays explanation in tooltip
-   * Inserts explanation element after answer text
+   * Inserts explanation element after answer text. A provider stream is
+   * rendered progressively with a cancel button until it completes
    *
    * @param {HTMLElement} tooltip - The tooltip element
-   * @param {string} explanation - The explanation text
+   * @param {string|AsyncIterable<Object>} explanation - Explanation text or provider stream
+   * @param {Object} options - Stream options
+   * @param {AbortController} [options.controller] - Aborted when the user cancels
+   * @param {Function} [options.onComplete] - Called with the final AIResponse (null if cancelled or failed)
    * @returns {HTMLElement} The explanation element
    */
-  displayExplanation(tooltip, explanation) {
+  displayExplanation(tooltip, explanation, options = {}) {
     if (!tooltip) {
       throw new Error('Tooltip element is required');
     }
 
+    if (isStream(explanation)) {
+      return this.displayExplanationStream(tooltip, explanation, options);
+    }
+
     if (!explanation || typeof explanation !== 'string') {
       throw new Error('Explanation must be a non-empty string');
     }
@@ -111,15 +231,102 @@ export class ExplanationManager {
       <div class="explanation-text">${this.escapeHTML(explanation)}</div>
     `;
 
-    // Insert after answer text
+    this.insertExplanation(tooltip, explanationDiv);
+
+    return explanationDiv;
+  }
+
+  /**
+   * Renders a streaming explanation into the tooltip
+   * Replaces any explanation already shown
+   *
+   * @param {HTMLElement} tooltip - The tooltip element
+   * @param {AsyncIterable<Object>} stream - Provider stream events
+   * @param {Object} options - Stream options (controller, onComplete)
+   * @returns {HTMLElement} The explanation element
+   */
+  displayExplanationStream(tooltip, stream, options = {}) {
+    const { controller = null, onComplete = () => {} } = options;
+
+    tooltip.querySelector('.quiz-answer-explanation')?.remove();
+
+    const explanationDiv = document.createElement('div');
+    explanationDiv.className = 'quiz-answer-explanation quiz-explanation-streaming';
+    explanationDiv.setAttribute('aria-busy', 'true');
+    explanationDiv.innerHTML = `
+      <div class="explanation-header">Explanation:</div>
+      <div class="explanation-text" aria-live="polite"></div>
+      <button class="quiz-btn-cancel" aria-label="Cancel explanation">Cancel</button>
+    `;
+
+    this.insertExplanation(tooltip, explanationDiv);
+
+    const textDiv = explanationDiv.querySelector('.explanation-text');
+    const cancelBtn = explanationDiv.querySelector('.quiz-btn-cancel');
+    let cancelled = false;
+
+    const finish = (result) => {
+      explanationDiv.classList.remove('quiz-explanation-streaming');
+      explanationDiv.removeAttribute('aria-busy');
+      cancelBtn.remove();
+      onComplete(result);
+    };
+
+    cancelBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (cancelled) {
+        return;
+      }
+
+      cancelled = true;
+      controller?.abort();
+      // Keep the partial text, marked as incomplete
+      explanationDiv.classList.add('quiz-explanation-cancelled');
+      finish(null);
+    });
+
+    consumeStream(stream, (text) => {
+      if (!cancelled) {
+        textDiv.textContent = text;
+      }
+    })
+      .then(({ result }) => {
+        if (cancelled) {
+          return;
+        }
+
+        if (result?.explanation) {
+          textDiv.textContent = result.explanation;
+        }
+        finish(result);
+      })
+      .catch((error) => {
+        console.warn('Error streaming explanation:', error.message);
+        if (cancelled) {
+          return;
+        }
+
+        textDiv.textContent = EXPLANATION_UNAVAILABLE;
+        finish(null);
+      });
+
+    return explanationDiv;
+  }
+
+  /**
+   * Inserts an explanation element after the answer text
+   *
+   * @param {HTMLElement} tooltip - The tooltip element
+   * @param {HTMLElement} explanationDiv - The explanation element
+   * @returns {void}
+   */
+  insertExplanation(tooltip, explanationDiv) {
     const answerText = tooltip.querySelector('.quiz-answer-text');
     if (answerText && answerText.parentElement) {
       answerText.parentElement.insertBefore(explanationDiv, answerText.nextSibling);
     } else {
       tooltip.appendChild(explanationDiv);
     }
-
-    return explanationDiv;
   }
 
   /**
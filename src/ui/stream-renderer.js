@@ -0,0 +1,55 @@
+/**
+ * Stream Renderer
+ * Consumes provider stream events and reports partial text to the UI
+ */
+
+/**
+ * @typedef {Object} StreamOutcome
+ * @property {string} text - Last text received
+ * @property {Object|null} result - Final AIResponse (null if cancelled)
+ * @property {boolean} cancelled - True if the stream was aborted by the user
+ */
+
+/**
+ * Reads a stream of { text, done, result } events
+ * Aborting the stream's signal ends it as cancelled rather than failed
+ *
+ * @param {AsyncIterable<Object>} stream - Provider stream events
+ * @param {Function} onText - Called with the text received so far
+ * @returns {Promise<StreamOutcome>} How the stream ended
+ * @throws {Error} When the stream fails for any reason other than cancellation
+ */
+export async function consumeStream(stream, onText) {
+  let text = '';
+  let result = null;
+
+  try {
+    for await (const event of stream) {
+      if (event.text && event.text !== text) {
+        text = event.text;
+        onText(text);
+      }
+
+      if (event.done) {
+        result = event.result;
+      }
+    }
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      return { text, result: null, cancelled: true };
+    }
+    throw error;
+  }
+
+  return { text, result, cancelled: false };
+}
+
+/**
+ * Checks whether a value is an async iterable stream
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value can be consumed with for await
+ */
+export function isStream(value) {
+  return Boolean(value) && typeof value[Symbol.asyncIterator] === 'function';
+}
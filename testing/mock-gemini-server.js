@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Gemini Server
+ * Local stand-in for the generateContent and streamGenerateContent
+ * endpoints, so the extension and the integration scripts run offline.
+ * Responses can be scripted with latency, 429/500 errors and malformed bodies
+ *
+ * Usage:
+ *   node testing/mock-gemini-server.js [--port 8787] [--latency 200] [--script responses.json]
+ *
+ * Then set "Gemini API Base URL" in the extension settings (or pass apiBase
+ * to GeminiClient) to the printed URL.
+ */
+
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+
+const ROUTE_PATTERN = /^\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent)$/;
+
+const STATUS_NAMES = {
+  400: 'INVALID_ARGUMENT',
+  401: 'UNAUTHENTICATED',
+  403: 'PERMISSION_DENIED',
+  404: 'NOT_FOUND',
+  429: 'RESOURCE_EXHAUSTED',
+  500: 'INTERNAL',
+  503: 'UNAVAILABLE'
+};
+
+/**
+ * @typedef {Object} MockResponse
+ * Scripted reply to one request. Unset fields fall back to the default answer
+ * @property {number} [latency] - Delay before replying, in ms
+ * @property {number} [status] - Reply with this HTTP error (e.g. 429, 500)
+ * @property {number} [retryAfter] - Seconds to ask the client to wait (sent as RetryInfo and Retry-After)
+ * @property {Object} [answer] - Structured answer fields (optionIndex, answer, confidence...)
+ * @property {Array<Object>} [answers] - Batched answers, each with its question id
+ * @property {string} [text] - Raw model text, sent as is
+ * @property {boolean} [malformed] - Reply 200 with a body that is not JSON
+ * @property {Array<string>} [chunks] - Text of each server-sent event on streaming requests
+ */
+
+/**
+ * Builds the default answer for a request
+ * Picks the first option of each question, so answers always validate
+ *
+ * @param {Object} body - generateContent request body
+ * @returns {MockResponse} Answer, batched answers or plain text
+ */
+export function defaultResponse(body) {
+  const prompt = body.contents?.[0]?.parts?.map(part => part.text || '').join('\n') || '';
+  const schema = body.generationConfig?.responseSchema;
+
+  if (!schema) {
+    return { text: 'Mock explanation: this response was scripted by the mock Gemini server.' };
+  }
+
+  if (schema.properties?.answers) {
+    const sections = prompt.split(/\n\nQuestion (\d+): /).slice(1);
+    const answers = [];
+    for (let i = 0; i < sections.length; i += 2) {
+      answers.push({ id: Number(sections[i]), ...mockAnswer(sections[i + 1]) });
+    }
+    return { answers };
+  }
+
+  return { answer: mockAnswer(prompt) };
+}
+
+/**
+ * Answers a question with its first option
+ *
+ * @param {string} prompt - Prompt text for one question
+ * @returns {Object} Structured answer fields
+ */
+function mockAnswer(prompt) {
+  const firstOption = /^A\. (.+)$/m.exec(prompt);
+
+  return {
+    optionIndex: firstOption ? 0 : -1,
+    optionLetter: firstOption ? 'A' : '',
+    answer: firstOption ? firstOption[1].trim() : 'Mock answer',
+    rationale: 'Scripted by the mock Gemini server.',
+    confidence: 90
+  };
+}
+
+/**
+ * Wraps model text in a generateContent response
+ *
+ * @param {string} text - Model text
+ * @param {number} promptTokens - Reported prompt token count
+ * @returns {Object} Response body
+ */
+function candidateBody(text, promptTokens) {
+  const outputTokens = Math.ceil(text.length / 4);
+
+  return {
+    candidates: [{ content: { parts: [{ text }], role: 'model' }, finishReason: 'STOP' }],
+    usageMetadata: {
+      promptTokenCount: promptTokens,
+      candidatesTokenCount: outputTokens,
+      totalTokenCount: promptTokens + outputTokens
+    }
+  };
+}
+
+/**
+ * MockGeminiServer serves scripted Gemini responses over HTTP
+ * Scripted responses are used once each, in order; requests beyond the
+ * script get the default answer. Every request is recorded in requests
+ */
+export class MockGeminiServer {
+  constructor(options = {}) {
+    this.latency = options.latency ?? 0;
+    this.respond = options.respond || defaultResponse;
+    this.scripted = [];
+    this.requests = [];
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { code: 500, message: error.message, status: 'INTERNAL' } }));
+      });
+    });
+  }
+
+  /**
+   * Queues responses for the next requests
+   *
+   * @param {...MockResponse} responses - Responses, in order
+   * @returns {MockGeminiServer} This server
+   */
+  script(...responses) {
+    this.scripted.push(...responses);
+    return this;
+  }
+
+  /**
+   * Starts listening on localhost
+   *
+   * @param {number} port - Port (0 picks a free one)
+   * @returns {Promise<string>} API base URL to give GeminiClient
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}/v1beta/models`);
+      });
+    });
+  }
+
+  /**
+   * Stops the server
+   *
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Forgets scripted responses and recorded requests
+   *
+   * @returns {void}
+   */
+  reset() {
+    this.scripted = [];
+    this.requests = [];
+  }
+
+  /**
+   * Handles one request
+   *
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const route = ROUTE_PATTERN.exec(url.pathname);
+
+    if (req.method !== 'POST' || !route) {
+      sendError(res, 404, `Unknown route ${req.method} ${url.pathname}`);
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (error) {
+      sendError(res, 400, 'Request body is not valid JSON');
+      return;
+    }
+
+    const stream = route[2] === 'streamGenerateContent';
+    this.requests.push({ model: route[1], stream, key: url.searchParams.get('key'), body });
+
+    const scripted = this.scripted.shift() || {};
+    const defaults = scripted.status || scripted.malformed ? {} : this.respond(body);
+    const response = { ...defaults, ...scripted };
+    if (defaults.answer && scripted.answer) {
+      response.answer = { ...defaults.answer, ...scripted.answer };
+    }
+
+    await sleep(response.latency ?? this.latency);
+
+    if (response.status) {
+      sendError(res, response.status, `Mock error ${response.status}`, response.retryAfter);
+      return;
+    }
+
+    if (response.malformed) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"candidates": [{"content": ');
+      return;
+    }
+
+    const text = response.text ?? JSON.stringify(response.answers ? { answers: response.answers } : response.answer);
+    const promptTokens = Math.ceil(JSON.stringify(body.contents).length / 4);
+
+    if (!stream) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(candidateBody(text, promptTokens)));
+      return;
+    }
+
+    // Server-sent events, as requested with alt=sse
+    const chunks = response.chunks || splitText(text, 3);
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const chunk of chunks) {
+      res.write(`data: ${JSON.stringify(candidateBody(chunk, promptTokens))}\r\n\r\n`);
+      await sleep(response.latency ?? this.latency);
+    }
+    res.end();
+  }
+}
+
+/**
+ * Sends a Gemini-style error body
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {number} [retryAfter] - Seconds the client should wait
+ * @returns {void}
+ */
+function sendError(res, status, message, retryAfter) {
+  const headers = { 'Content-Type': 'application/json' };
+  const error = { code: status, message, status: STATUS_NAMES[status] || 'UNKNOWN' };
+
+  if (retryAfter !== undefined) {
+    headers['Retry-After'] = String(retryAfter);
+    error.details = [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: `${retryAfter}s` }];
+  }
+
+  res.writeHead(status, headers);
+  res.end(JSON.stringify({ error }));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function splitText(text, count) {
+  const size = Math.ceil(text.length / count) || 1;
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) {
+    chunks.push(text.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function sleep(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+/**
+ * Reads --name value pairs from the command line
+ *
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Object} Options by name
+ */
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    options[args[i].replace(/^--/, '')] = args[i + 1];
+  }
+  return options;
+}
+
+// Run as a standalone server
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = parseArgs(process.argv.slice(2));
+  const server = new MockGeminiServer({ latency: Number(args.latency) || 0 });
+
+  if (args.script) {
+    server.script(...JSON.parse(await readFile(args.script, 'utf8')));
+  }
+
+  const apiBase = await server.start(Number(args.port) || 8787);
+  console.log('🧪 Mock Gemini server running');
+  console.log(`   API base: ${apiBase}`);
+  console.log(`   Scripted responses: ${server.scripted.length}`);
+  console.log('   Press Ctrl+C to stop\n');
+
+  server.server.on('request', (req) => console.log(`   ${req.method} ${req.url.replace(/key=[^&]+/, 'key=…')}`));
+}
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Integration Test
+ * Runs the background pipeline (model chain, request queue, answer
+ * retriever) against the mock Gemini server: no network or API key needed
+ */
+
+import { MockGeminiServer } from './mock-gemini-server.js';
+import { createModelChain } from '../src/api/model-chain.js';
+import { RequestQueue } from '../src/api/request-queue.js';
+import { AnswerRetriever } from '../src/answer/retriever.js';
+
+const OPTIONS = ['Paris', 'London', 'Berlin', 'Madrid'];
+
+// CachingSystem needs IndexedDB, which Node lacks
+function createMemoryCache() {
+  const entries = new Map();
+  return {
+    get: async (hash) => entries.get(hash) || null,
+    set: async (hash, value) => { entries.set(hash, value); },
+    findByBands: async (bands, limit) => [...entries.values()]
+      .filter(entry => entry.similarityBands?.some(band => bands.includes(band)))
+      .slice(0, limit)
+  };
+}
+
+function createPipeline(apiBase, fallbacks = [], providerOptions = {}) {
+  // Provider-level retries are off so the queue's retry and fallback logic is what runs
+  const chain = createModelChain({ type: 'gemini', maxRetries: 0, ...providerOptions }, fallbacks, {
+    geminiApiKey: 'mock-key',
+    geminiApiBase: apiBase
+  });
+  const [primary, ...fallbackEntries] = chain;
+  const queue = new RequestQueue(primary.rateLimiter, primary.apiClient, {
+    fallbacks: fallbackEntries,
+    circuitBreaker: primary.circuitBreaker
+  });
+  const retriever = new AnswerRetriever(createMemoryCache(), {
+    getAnswer: (question, context, questionData) => queue.enqueue(question, context, questionData)
+  });
+
+  return { chain, queue, retriever, apiClient: primary.apiClient };
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function runMockIntegrationTest() {
+  console.log('🚀 Offline Integration Test (mock Gemini server)\n');
+  console.log('='.repeat(50));
+
+  const server = new MockGeminiServer();
+  const apiBase = await server.start();
+  console.log(`\n✅ Mock server: ${apiBase}`);
+
+  const scenarios = [
+    ['Answer from the API, then from the cache', async () => {
+      const { retriever } = createPipeline(apiBase);
+      const first = await retriever.getAnswer('What is the capital of France?', null, { options: OPTIONS });
+      const second = await retriever.getAnswer('What is the capital of France?', null, { options: OPTIONS });
+
+      assert(first.source === 'api' && first.answer === 'Paris', `unexpected first answer ${JSON.stringify(first)}`);
+      assert(second.source === 'cache', `second answer came from ${second.source}`);
+      assert(server.requests.length === 1, `expected 1 API call, got ${server.requests.length}`);
+    }],
+
+    ['Offer a near-duplicate question, then confirm or reject it', async () => {
+      const { retriever } = createPipeline(apiBase);
+      await retriever.getAnswer('Which city is the capital of France?', null, { options: OPTIONS });
+      const similar = await retriever.getAnswer('Which city is the capital of France today?', null, { options: [...OPTIONS].reverse() });
+
+      assert(similar.source === 'cache-similar', `answer came from ${similar.source}`);
+      assert(similar.optionLetter === 'D' && similar.similarity >= 0.75, `unexpected match ${JSON.stringify(similar)}`);
+
+      await retriever.confirmSimilar('Which city is the capital of France today?', similar.matchKey, { options: OPTIONS });
+      const confirmed = await retriever.getAnswer('Which city is the capital of France today?', null, { options: OPTIONS });
+      assert(confirmed.source === 'cache', `confirmed answer came from ${confirmed.source}`);
+
+      const rejected = await retriever.rejectSimilar('Which city is the capital of France now?', similar.matchKey, null, { options: OPTIONS });
+      const again = await retriever.getAnswer('Which city is the capital of France now?', null, { options: OPTIONS });
+      assert(rejected.source === 'api' && again.source === 'cache', `rejected match came from ${rejected.source}, then ${again.source}`);
+      assert(server.requests.length === 2, `expected 2 API calls, got ${server.requests.length}`);
+    }],
+
+    ['Retry after a 429 with RetryInfo', async () => {
+      server.script({ status: 429, retryAfter: 1 });
+      const { queue } = createPipeline(apiBase);
+      const result = await queue.enqueue('What is 2+2?', null, { options: ['4', '5'] });
+
+      assert(result.answer === '4', `unexpected answer ${result.answer}`);
+      assert(server.requests.length === 2, `expected 2 API calls, got ${server.requests.length}`);
+    }],
+
+    ['Fall back to the next model on a 500', async () => {
+      server.script({ status: 500 });
+      const { queue } = createPipeline(apiBase, [{ type: 'gemini', model: 'gemini-2.5-flash-lite', maxRetries: 0 }]);
+      const result = await queue.enqueue('What is 2+2?', null, { options: ['4', '5'] });
+
+      assert(result.answeredBy.model === 'gemini-2.5-flash-lite', `answered by ${result.answeredBy.model}`);
+      assert(server.requests.map(request => request.model).join() === 'gemini-2.5-flash,gemini-2.5-flash-lite',
+        'expected the primary then the fallback model');
+    }],
+
+    ['Open the circuit after repeated 500s', async () => {
+      server.script({ status: 500 }, { status: 500 }, { status: 500 });
+      const { queue, chain } = createPipeline(apiBase);
+      queue.getRetryDelay = () => 0;
+
+      const error = await queue.enqueue('What is 2+2?').catch(err => err);
+      const shortCircuited = await queue.enqueue('What is 3+3?').catch(err => err);
+
+      assert(error.status === 500, `expected a 500, got ${error.message}`);
+      assert(chain[0].circuitBreaker.state === 'open', `circuit is ${chain[0].circuitBreaker.state}`);
+      assert(shortCircuited.name === 'CircuitOpenError', `expected CircuitOpenError, got ${shortCircuited.name}`);
+      assert(server.requests.length === 3, `expected 3 API calls, got ${server.requests.length}`);
+    }],
+
+    ['Report a malformed response body', async () => {
+      server.script({ malformed: true });
+      const { retriever } = createPipeline(apiBase);
+      const result = await retriever.getAnswer('What is 2+2?');
+
+      assert(result.source === 'error' && result.error, 'expected an error result');
+      console.log(`   Error: ${result.error}`);
+    }],
+
+    ['Time out a slow response', async () => {
+      server.script({ latency: 500 });
+      const { apiClient } = createPipeline(apiBase, [], { timeout: 200 });
+      const error = await apiClient.getAnswer('What is 2+2?').catch(err => err);
+
+      assert(error.name === 'TimeoutError', `expected TimeoutError, got ${error.name}`);
+    }],
+
+    ['Stream an answer over server-sent events', async () => {
+      const { apiClient } = createPipeline(apiBase);
+      const events = [];
+      for await (const event of apiClient.streamAnswer('What is the capital of France?', null, { options: OPTIONS })) {
+        events.push(event);
+      }
+
+      const last = events[events.length - 1];
+      assert(last.done && last.result.answer === 'Paris', `unexpected final event ${JSON.stringify(last)}`);
+      assert(server.requests[0].stream, 'expected a streamGenerateContent call');
+    }],
+
+    ['Answer a batch of questions in one call', async () => {
+      const { apiClient } = createPipeline(apiBase);
+      const result = await apiClient.getAnswers([
+        { question: 'Capital of France?', questionData: { options: OPTIONS } },
+        { question: 'What is 2+2?', questionData: { options: ['4', '5'] } }
+      ]);
+
+      assert(result.answers.map(answer => answer?.answer).join() === 'Paris,4', `unexpected answers ${JSON.stringify(result.answers)}`);
+      assert(server.requests.length === 1, `expected 1 API call, got ${server.requests.length}`);
+    }]
+  ];
+
+  let failed = 0;
+
+  try {
+    for (const [name, run] of scenarios) {
+      server.reset();
+      try {
+        await run();
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        failed++;
+        console.log(`❌ ${name}: ${error.message}`);
+      }
+    }
+  } finally {
+    await server.stop();
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n${failed === 0 ? '✅ ALL TESTS PASSED' : `❌ ${failed} TEST(S) FAILED`} (${scenarios.length - failed}/${scenarios.length})\n`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+runMockIntegrationTest();
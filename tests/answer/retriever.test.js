@@ -4,6 +4,9 @@
  */
 
 import { AnswerRetriever } from '../../src/answer/retriever.js';
+import { SIMILARITY_CONFIG } from '../../src/caching/similarity.js';
+import { TextEncoder } from 'util';
+import { webcrypto } from 'crypto';
 
 describe('AnswerRetriever', () => {
   let retriever;
@@ -38,10 +41,16 @@ describe('AnswerRetriever', () => {
     it('should initialize with empty statistics', () => {
       expect(retriever.stats).toEqual({
         hits: 0,
+        similarHits: 0,
         misses: 0,
         totalTime: 0
       });
     });
+
+    it('should default the similarity threshold and allow turning it off', () => {
+      expect(retriever.similarityThreshold).toBe(SIMILARITY_CONFIG.threshold);
+      expect(new AnswerRetriever(mockCache, mockApiClient, { similarityThreshold: 0 }).similarityThreshold).toBe(0);
+    });
   });
 
   describe('getAnswer - cache hit', () => {
@@ -109,7 +118,7 @@ describe('AnswerRetriever', () => {
 
       const result = await retriever.getAnswer(question);
 
-      expect(mockApiClient.getAnswer).toHaveBeenCalledWith(question, null);
+      expect(mockApiClient.getAnswer).toHaveBeenCalledWith(question, null, {});
       expect(result.source).toBe('api');
     });
 
@@ -170,7 +179,7 @@ describe('AnswerRetriever', () => {
 
       await retriever.getAnswer(question, context);
 
-      expect(mockApiClient.getAnswer).toHaveBeenCalledWith(question, context);
+      expect(mockApiClient.getAnswer).toHaveBeenCalledWith(question, context, {});
     });
   });
 
@@ -234,20 +243,81 @@ describe('AnswerRetriever', () => {
     });
   });
 
+  describe('self-consistency votes', () => {
+    // jsdom lacks TextEncoder and crypto.subtle, which question keys need
+    const originalCrypto = global.crypto;
+    const originalTextEncoder = global.TextEncoder;
+    const votes = {
+      agreement: 0.6,
+      validSamples: 5,
+      distribution: [
+        { answer: 'Paris', optionIndex: 1, optionLetter: 'B', count: 3 },
+        { answer: 'London', optionIndex: 0, optionLetter: 'A', count: 2 }
+      ]
+    };
+
+    beforeEach(() => {
+      Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+      global.TextEncoder = TextEncoder;
+    });
+
+    afterEach(() => {
+      Object.defineProperty(global, 'crypto', { value: originalCrypto, configurable: true });
+      global.TextEncoder = originalTextEncoder;
+    });
+
+    it('should pass the vote distribution of an API answer to the caller and the cache', async () => {
+      mockCache.get.mockResolvedValue(null);
+      mockApiClient.getAnswer.mockResolvedValue({ answer: 'Paris', confidence: 80, optionIndex: 1, optionLetter: 'B', votes, sampleCount: 5 });
+
+      const result = await retriever.getAnswer('Capital of France?', null, { options: ['London', 'Paris'] });
+
+      expect(result).toMatchObject({ source: 'api', votes, sampleCount: 5 });
+      expect(mockCache.set).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ votes, sampleCount: 5 }));
+    });
+
+    it('should return the cached vote distribution on a cache hit', async () => {
+      mockCache.get.mockResolvedValue({ answer: 'Paris', confidence: 80, optionIndex: 1, optionLetter: 'B', votes, sampleCount: 5 });
+
+      const result = await retriever.getAnswer('Capital of France?', null, { options: ['London', 'Paris'] });
+
+      expect(result).toMatchObject({ source: 'cache', votes, sampleCount: 5 });
+    });
+
+    it('should leave votes out of single-call answers', async () => {
+      mockCache.get.mockResolvedValue(null);
+      mockApiClient.getAnswer.mockResolvedValue({ answer: 'Paris', confidence: 80 });
+
+      const result = await retriever.getAnswer('Capital of France?');
+
+      expect(result.source).toBe('api');
+      expect(result).not.toHaveProperty('votes');
+    });
+  });
+
   describe('getStats', () => {
     it('should return initial stats as zeros', () => {
       const stats = retriever.getStats();
 
       expect(stats).toEqual({
         hits: 0,
+        similarHits: 0,
         misses: 0,
         total: 0,
         hitRate: '0%',
         missRate: '0%',
-        avgTime: '0ms'
+        avgTime: '0ms',
+        tiers: null
       });
     });
 
+    it('should include the cache tier stats when the cache reports them', () => {
+      const tiers = { memory: { hits: 2 }, indexedDB: { hits: 1 } };
+      mockCache.getTierStats = jest.fn().mockReturnValue(tiers);
+
+      expect(retriever.getStats().tiers).toBe(tiers);
+    });
+
     it('should calculate hit rate correctly', async () => {
       mockCache.get.mockResolvedValue({ answer: '4', confidence: 95 });
       mockApiClient.getAnswer.mockResolvedValue({ answer: '4', confidence: 95 });
@@ -319,6 +389,7 @@ describe('AnswerRetriever', () => {
 
       expect(retriever.stats).toEqual({
         hits: 0,
+        similarHits: 0,
         misses: 0,
         totalTime: 0
       });
@@ -0,0 +1,156 @@
+/**
+ * Single-Flight Tests
+ * Tests sharing of concurrent identical requests and cancellation
+ */
+
+import { SingleFlight } from '../../src/answer/single-flight.js';
+import { AnswerRetriever } from '../../src/answer/retriever.js';
+import { CancelledError } from '../../src/api/errors.js';
+
+jest.mock('../../src/caching/hash-utils.js', () => ({
+  ...jest.requireActual('../../src/caching/hash-utils.js'),
+  generateHash: jest.fn(async (text) => `hash:${text}`),
+  generateQuestionKey: jest.fn(async (text) => `hash:${text}`)
+}));
+
+/**
+ * Creates a promise that is settled from outside
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('SingleFlight', () => {
+  let flight;
+
+  beforeEach(() => {
+    flight = new SingleFlight();
+  });
+
+  it('should share one call between concurrent callers with the same key', async () => {
+    const call = deferred();
+    const fn = jest.fn(() => call.promise);
+
+    const first = flight.run('q1', fn);
+    const second = flight.run('q1', fn);
+    call.resolve('answer');
+
+    await expect(Promise.all([first, second])).resolves.toEqual(['answer', 'answer']);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(flight.getStats()).toEqual({ inFlight: 0, started: 1, shared: 1 });
+  });
+
+  it('should run separate calls for different keys', async () => {
+    const fn = jest.fn(async () => 'answer');
+
+    await Promise.all([flight.run('q1', fn), flight.run('q2', fn)]);
+
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should start a new call once the previous one settles', async () => {
+    const fn = jest.fn(async () => 'answer');
+
+    await flight.run('q1', fn);
+    await flight.run('q1', fn);
+
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(flight.has('q1')).toBe(false);
+  });
+
+  it('should share failures with every caller', async () => {
+    const fn = jest.fn(async () => {
+      throw new Error('API down');
+    });
+
+    const results = await Promise.allSettled([flight.run('q1', fn), flight.run('q1', fn)]);
+
+    expect(results.map(result => result.reason?.message)).toEqual(['API down', 'API down']);
+  });
+
+  it('should keep the call running while another caller still waits', async () => {
+    const call = deferred();
+    let sharedSignal;
+    const controller = new AbortController();
+
+    const first = flight.run('q1', (signal) => {
+      sharedSignal = signal;
+      return call.promise;
+    }, controller.signal);
+    const second = flight.run('q1', jest.fn());
+    await Promise.resolve();
+
+    controller.abort();
+    await expect(first).rejects.toBeInstanceOf(CancelledError);
+    expect(sharedSignal.aborted).toBe(false);
+
+    call.resolve('answer');
+    await expect(second).resolves.toBe('answer');
+  });
+
+  it('should abort the call once every caller has cancelled', async () => {
+    let sharedSignal;
+    const controllers = [new AbortController(), new AbortController()];
+    const fn = (signal) => {
+      sharedSignal = signal;
+      return new Promise(() => {});
+    };
+
+    const runs = controllers.map(controller => flight.run('q1', fn, controller.signal));
+    await Promise.resolve();
+    controllers.forEach(controller => controller.abort());
+
+    await expect(Promise.all(runs)).rejects.toBeInstanceOf(CancelledError);
+    expect(sharedSignal.aborted).toBe(true);
+  });
+});
+
+describe('AnswerRetriever single-flight', () => {
+  let mockCache;
+  let mockApiClient;
+  let retriever;
+
+  beforeEach(() => {
+    mockCache = {
+      get: jest.fn().mockResolvedValue(null),
+      set: jest.fn().mockResolvedValue(undefined)
+    };
+    mockApiClient = { getAnswer: jest.fn() };
+    retriever = new AnswerRetriever(mockCache, mockApiClient);
+  });
+
+  it('should make one API call for concurrent identical questions', async () => {
+    const call = deferred();
+    mockApiClient.getAnswer.mockReturnValue(call.promise);
+
+    const first = retriever.getAnswer('What is 2+2?');
+    const second = retriever.getAnswer('What is 2+2?');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    call.resolve({ answer: '4', confidence: 95 });
+
+    const results = await Promise.all([first, second]);
+
+    expect(results.map(result => result.answer)).toEqual(['4', '4']);
+    expect(results.every(result => result.source === 'api')).toBe(true);
+    expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(1);
+    expect(mockCache.set).toHaveBeenCalledTimes(1);
+    expect(retriever.inFlight.getStats().shared).toBe(1);
+  });
+
+  it('should give a cancellable call the shared signal', async () => {
+    mockApiClient.getAnswer.mockResolvedValue({ answer: '4', confidence: 95 });
+    const controller = new AbortController();
+
+    await retriever.getAnswer('What is 2+2?', null, { signal: controller.signal });
+
+    const { signal } = mockApiClient.getAnswer.mock.calls[0][2];
+    expect(signal).toBeInstanceOf(AbortSignal);
+    expect(signal).not.toBe(controller.signal);
+  });
+});
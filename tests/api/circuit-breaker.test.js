@@ -0,0 +1,121 @@
+/**
+ * Circuit Breaker Tests
+ * Tests opening after consecutive outages, cooldown probes and recovery
+ */
+
+import { CircuitBreaker, CIRCUIT_STATES, isOutageError } from '../../src/api/circuit-breaker.js';
+import { APIError, TimeoutError, CancelledError } from '../../src/api/errors.js';
+
+describe('isOutageError', () => {
+  it('should match timeouts, network errors and 5xx responses', () => {
+    expect(isOutageError(new TimeoutError('Request timed out'))).toBe(true);
+    expect(isOutageError(new APIError('Network error', 0))).toBe(true);
+    expect(isOutageError(new APIError('API Error: 503', 503))).toBe(true);
+  });
+
+  it('should not match rejected or throttled requests', () => {
+    expect(isOutageError(new APIError('API Error: 400', 400))).toBe(false);
+    expect(isOutageError(new APIError('API Error: 429', 429))).toBe(false);
+    expect(isOutageError(new Error('Parse failed'))).toBe(false);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  let breaker;
+  let now;
+
+  const outage = () => new APIError('API Error: 503', 503);
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    breaker = new CircuitBreaker({ failureThreshold: 3, cooldown: 30000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should stay closed below the failure threshold', () => {
+    breaker.recordFailure(outage());
+    breaker.recordFailure(outage());
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.canRequest()).toEqual({ allowed: true });
+  });
+
+  it('should open after consecutive outage failures', () => {
+    [1, 2, 3].forEach(() => breaker.recordFailure(outage()));
+
+    const result = breaker.canRequest();
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toBe('Provider unavailable after 3 consecutive failures (API Error: 503); retrying in 30s');
+    expect(result.retryAfter).toBe(30000);
+  });
+
+  it('should reset the count when the provider answers, even with a 4xx', () => {
+    breaker.recordFailure(outage());
+    breaker.recordFailure(outage());
+    breaker.recordFailure(new APIError('API Error: 400', 400));
+    breaker.recordFailure(outage());
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.consecutiveFailures).toBe(1);
+  });
+
+  describe('after the cooldown', () => {
+    beforeEach(() => {
+      [1, 2, 3].forEach(() => breaker.recordFailure(outage()));
+      now += 30000;
+    });
+
+    it('should let a single probe through', () => {
+      expect(breaker.canRequest()).toEqual({ allowed: true });
+      expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+      expect(breaker.canRequest()).toMatchObject({ allowed: false, retryAfter: null });
+    });
+
+    it('should close when the probe succeeds', () => {
+      breaker.canRequest();
+      breaker.recordSuccess();
+
+      expect(breaker.getStats()).toEqual({
+        state: CIRCUIT_STATES.CLOSED,
+        consecutiveFailures: 0,
+        lastError: null,
+        retryAfter: null
+      });
+    });
+
+    it('should reopen for another cooldown when the probe fails', () => {
+      breaker.canRequest();
+      breaker.recordFailure(new TimeoutError('Request timed out'));
+
+      expect(breaker.getStats()).toMatchObject({
+        state: CIRCUIT_STATES.OPEN,
+        consecutiveFailures: 4,
+        lastError: 'Request timed out',
+        retryAfter: 30000
+      });
+    });
+
+    it('should free the probe slot when the probe is cancelled', () => {
+      breaker.canRequest();
+      breaker.recordFailure(new CancelledError());
+
+      expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+      expect(breaker.canRequest()).toEqual({ allowed: true });
+    });
+  });
+
+  it('should count down the time until the next probe', () => {
+    [1, 2, 3].forEach(() => breaker.recordFailure(outage()));
+    now += 12000;
+
+    expect(breaker.getStats().retryAfter).toBe(18000);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Confidence Estimator Tests
+ * Tests signal scoring, weighting and calibration
+ */
+
+import {
+  estimateConfidence,
+  scoreSignals,
+  countOptionMatches,
+  logprobToScore,
+  CONFIDENCE_CALIBRATION
+} from '../../src/api/confidence-estimator.js';
+
+const OPTIONS = ['Paris', 'London', 'New York', 'York'];
+
+describe('confidence estimator', () => {
+  describe('countOptionMatches', () => {
+    it('should return null when there are no options', () => {
+      expect(countOptionMatches('Paris', [])).toBeNull();
+    });
+
+    it('should count exact matches ignoring case and punctuation', () => {
+      expect(countOptionMatches('paris.', OPTIONS)).toBe(1);
+    });
+
+    it('should count options contained in the answer as whole words', () => {
+      expect(countOptionMatches('New York', OPTIONS)).toBe(2);
+      expect(countOptionMatches('Yorkshire', OPTIONS)).toBe(0);
+    });
+
+    it('should treat a valid option index as a single match', () => {
+      expect(countOptionMatches('The French capital', OPTIONS, 0)).toBe(1);
+    });
+  });
+
+  describe('logprobToScore', () => {
+    it('should convert log-probabilities to probabilities', () => {
+      expect(logprobToScore(0)).toBe(1);
+      expect(logprobToScore(Math.log(0.5))).toBeCloseTo(0.5);
+    });
+  });
+
+  describe('scoreSignals', () => {
+    it('should shrink self-reported confidence toward 50%', () => {
+      expect(scoreSignals({ selfReported: 100 }).selfReported).toBeCloseTo(0.9);
+      expect(scoreSignals({ selfReported: 0 }).selfReported).toBeCloseTo(0.1);
+    });
+
+    it('should ignore agreement from a single sample', () => {
+      expect(scoreSignals({ agreement: 1, sampleCount: 1 }).agreement).toBeUndefined();
+      expect(scoreSignals({ agreement: 0.6, sampleCount: 5 }).agreement).toBe(0.6);
+    });
+
+    it('should penalize ambiguous and unmatched answers', () => {
+      expect(scoreSignals({ optionMatches: 0 }).optionMatch).toBe(CONFIDENCE_CALIBRATION.noOptionMatchScore);
+      expect(scoreSignals({ optionMatches: 2 }).optionMatch).toBe(CONFIDENCE_CALIBRATION.multiOptionMatchScore);
+    });
+
+    it('should skip missing signals', () => {
+      expect(scoreSignals({ selfReported: null, avgLogprob: null, optionMatches: null })).toEqual({});
+    });
+  });
+
+  describe('estimateConfidence', () => {
+    it('should return default confidence without signals', () => {
+      expect(estimateConfidence({}).confidence).toBe(CONFIDENCE_CALIBRATION.defaultConfidence);
+    });
+
+    it('should no longer be a constant 85', () => {
+      const low = estimateConfidence({ selfReported: 40, optionMatches: 0 }).confidence;
+      const high = estimateConfidence({ selfReported: 95, optionMatches: 1 }).confidence;
+
+      expect(low).toBeLessThan(high);
+      expect(low).not.toBe(85);
+    });
+
+    it('should weight available signals', () => {
+      const result = estimateConfidence({
+        selfReported: 100,
+        agreement: 1,
+        sampleCount: 3,
+        avgLogprob: 0,
+        optionMatches: 1
+      });
+
+      // 0.9 * 0.35 + 1 * (0.3 + 0.25 + 0.1) = 0.965
+      expect(result.confidence).toBe(97);
+    });
+
+    it('should let disagreement between samples lower confidence', () => {
+      const agreed = estimateConfidence({ selfReported: 90, agreement: 1, sampleCount: 5 }).confidence;
+      const split = estimateConfidence({ selfReported: 90, agreement: 0.4, sampleCount: 5 }).confidence;
+
+      expect(split).toBeLessThan(agreed);
+    });
+
+    it('should stay within 0-100', () => {
+      const result = estimateConfidence({ selfReported: 250, avgLogprob: 3 });
+
+      expect(result.confidence).toBeGreaterThanOrEqual(0);
+      expect(result.confidence).toBeLessThanOrEqual(100);
+    });
+  });
+});
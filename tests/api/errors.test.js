@@ -0,0 +1,68 @@
+/**
+ * API Error Tests
+ * Tests reading server retry hints from failed responses
+ */
+
+import { APIError, parseRetryAfter, createAPIError } from '../../src/api/errors.js';
+
+const GEMINI_429 = JSON.stringify({
+  error: {
+    code: 429,
+    status: 'RESOURCE_EXHAUSTED',
+    details: [
+      { '@type': 'type.googleapis.com/google.rpc.QuotaFailure', violations: [] },
+      { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '37s' }
+    ]
+  }
+});
+
+describe('parseRetryAfter', () => {
+  it('should read Gemini RetryInfo from the error body', () => {
+    expect(parseRetryAfter(null, GEMINI_429)).toBe(37000);
+  });
+
+  it('should read fractional retry delays', () => {
+    const body = JSON.stringify({
+      error: { details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '1.5s' }] }
+    });
+
+    expect(parseRetryAfter(null, body)).toBe(1500);
+  });
+
+  it('should read a Retry-After header in seconds', () => {
+    expect(parseRetryAfter('12', 'Too many requests')).toBe(12000);
+  });
+
+  it('should read a Retry-After header as an HTTP date', () => {
+    jest.useFakeTimers().setSystemTime(new Date('2026-01-01T00:00:00Z'));
+
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', '')).toBe(30000);
+    jest.useRealTimers();
+  });
+
+  it('should return null when the server gave no hint', () => {
+    expect(parseRetryAfter(null, 'Internal error')).toBeNull();
+    expect(parseRetryAfter('soon', '{}')).toBeNull();
+  });
+});
+
+describe('createAPIError', () => {
+  it('should build an APIError with status, body and retry delay', async () => {
+    const error = await createAPIError({
+      status: 429,
+      headers: { get: () => null },
+      text: () => Promise.resolve(GEMINI_429)
+    });
+
+    expect(error).toBeInstanceOf(APIError);
+    expect(error.message).toBe('API Error: 429');
+    expect(error.details).toBe(GEMINI_429);
+    expect(error.retryAfter).toBe(37000);
+  });
+
+  it('should handle responses without headers', async () => {
+    const error = await createAPIError({ status: 500, text: () => Promise.resolve('boom') });
+
+    expect(error.retryAfter).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Event Stream Reader Tests
+ * Tests SSE parsing of streaming responses
+ */
+
+import { readEventStream, parseEventData } from '../../src/api/event-stream.js';
+
+/**
+ * Builds a fetch-like response whose body yields the given string chunks
+ */
+function sseResponse(chunks) {
+  let index = 0;
+  return {
+    headers: { get: () => 'text/event-stream; charset=utf-8' },
+    body: {
+      getReader: () => ({
+        read: () => Promise.resolve(index < chunks.length
+          ? { value: chunks[index++], done: false }
+          : { value: undefined, done: true }),
+        releaseLock: jest.fn()
+      })
+    }
+  };
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('parseEventData', () => {
+  it('should join data lines and ignore other fields', () => {
+    expect(parseEventData('event: message\ndata: {"a":\ndata: 1}')).toBe('{"a":\n1}');
+    expect(parseEventData(': keep-alive')).toBeNull();
+  });
+});
+
+describe('readEventStream', () => {
+  it('should parse events split across chunks', async () => {
+    const response = sseResponse(['data: {"n":1}\n\nda', 'ta: {"n":2}\r\n\r\n', 'data: {"n":3}']);
+
+    await expect(collect(readEventStream(response))).resolves.toEqual([{ n: 1 }, { n: 2 }, { n: 3 }]);
+  });
+
+  it('should stop at the [DONE] marker', async () => {
+    const response = sseResponse(['data: {"n":1}\n\ndata: [DONE]\n\ndata: {"n":2}\n\n']);
+
+    await expect(collect(readEventStream(response))).resolves.toEqual([{ n: 1 }]);
+  });
+
+  it('should yield a single JSON document for non-streamed responses', async () => {
+    const response = {
+      headers: { get: () => 'application/json' },
+      json: () => Promise.resolve({ n: 1 })
+    };
+
+    await expect(collect(readEventStream(response))).resolves.toEqual([{ n: 1 }]);
+  });
+
+  it('should throw on malformed event data', async () => {
+    const response = sseResponse(['data: {not json}\n\n']);
+
+    await expect(collect(readEventStream(response))).rejects.toBeInstanceOf(SyntaxError);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * API Key Pool Tests
+ * Tests round-robin rotation, per-key quotas and skipping rejected keys
+ */
+
+import { ApiKeyPool, KEY_STATUS, maskApiKey, isAuthFailure, fingerprintApiKey } from '../../src/api/key-pool.js';
+import { RateLimiter } from '../../src/api/rate-limiter.js';
+
+describe('maskApiKey', () => {
+  it('should keep only the last four characters', () => {
+    expect(maskApiKey('AIzaSyExampleKey1234')).toBe('…1234');
+  });
+});
+
+describe('fingerprintApiKey', () => {
+  it('should be stable and differ between keys', () => {
+    expect(fingerprintApiKey('key-aaaa')).toBe(fingerprintApiKey('key-aaaa'));
+    expect(fingerprintApiKey('key-aaaa')).not.toBe(fingerprintApiKey('key-bbbb'));
+    expect(fingerprintApiKey('key-aaaa')).toMatch(/^[0-9a-f]{8}$/);
+  });
+});
+
+describe('isAuthFailure', () => {
+  it('should match 401 and 403 only', () => {
+    expect(isAuthFailure(401)).toBe(true);
+    expect(isAuthFailure(403)).toBe(true);
+    expect(isAuthFailure(429)).toBe(false);
+  });
+});
+
+describe('ApiKeyPool', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = new ApiKeyPool(['key-aaaa', 'key-bbbb', 'key-cccc']);
+  });
+
+  describe('constructor', () => {
+    it('should require at least one key', () => {
+      expect(() => new ApiKeyPool([])).toThrow('At least one API key is required');
+      expect(() => new ApiKeyPool(['', null])).toThrow('At least one API key is required');
+    });
+
+    it('should give each unique key its own rate limiter', () => {
+      pool = new ApiKeyPool(['key-aaaa', 'key-aaaa', 'key-bbbb']);
+
+      expect(pool.entries).toHaveLength(2);
+      expect(pool.entries[0].rateLimiter).toBeInstanceOf(RateLimiter);
+      expect(pool.entries[0].rateLimiter).not.toBe(pool.entries[1].rateLimiter);
+    });
+  });
+
+  describe('rotation', () => {
+    it('should distribute requests round-robin', async () => {
+      const used = [];
+
+      for (let i = 0; i < 4; i++) {
+        await pool.selectNext();
+        used.push(pool.getKey());
+        await pool.recordRequest();
+      }
+
+      expect(used).toEqual(['key-aaaa', 'key-bbbb', 'key-cccc', 'key-aaaa']);
+      expect(pool.getKeyStats().map(key => key.dailyCount)).toEqual([2, 1, 1]);
+    });
+
+    it('should skip keys whose quota is exhausted', async () => {
+      pool.entries[1].rateLimiter.dailyCount = pool.entries[1].rateLimiter.perDayLimit;
+
+      await pool.selectNext();
+      await pool.selectNext();
+
+      expect(pool.getKey()).toBe('key-cccc');
+    });
+  });
+
+  describe('checkLimit', () => {
+    it('should allow requests while any key has quota', async () => {
+      pool.entries[0].rateLimiter.dailyCount = 1500;
+      pool.entries[1].rateLimiter.dailyCount = 1500;
+
+      await expect(pool.checkLimit()).resolves.toEqual({ allowed: true });
+    });
+
+    it('should deny with the soonest retry when every key is exhausted', async () => {
+      const now = Date.now();
+      pool.entries.forEach((entry, index) => {
+        entry.rateLimiter.requestTimestamps = Array(15).fill(now - 50000 + index * 1000);
+      });
+
+      const result = await pool.checkLimit();
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toContain('on all 3 API keys');
+      expect(result.retryAfter).toBeLessThanOrEqual(10000);
+    });
+
+    it('should deny when every key was rejected', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      ['key-aaaa', 'key-bbbb', 'key-cccc'].forEach(key => pool.reportAuthFailure(key, 403));
+
+      const result = await pool.checkLimit();
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe('All API keys were rejected (401/403)');
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('reportAuthFailure', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('should mark the key rejected and switch to another', async () => {
+      const next = pool.reportAuthFailure('key-aaaa', 401);
+
+      expect(next).toBe('key-bbbb');
+      expect(pool.getKey()).toBe('key-bbbb');
+      expect(pool.getKeyStats()[0]).toMatchObject({ id: '…aaaa', status: KEY_STATUS.REJECTED, lastError: 'HTTP 401' });
+    });
+
+    it('should never select a rejected key again', async () => {
+      pool.reportAuthFailure('key-bbbb', 403);
+      const used = [];
+
+      for (let i = 0; i < 4; i++) {
+        await pool.selectNext();
+        used.push(pool.getKey());
+      }
+
+      expect(used).not.toContain('key-bbbb');
+    });
+
+    it('should return null when no keys are left', () => {
+      pool = new ApiKeyPool(['key-aaaa']);
+
+      expect(pool.reportAuthFailure('key-aaaa', 403)).toBeNull();
+    });
+  });
+
+  describe('getStats', () => {
+    it('should combine the quota of active keys', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      pool.reportAuthFailure('key-cccc', 403);
+      console.warn.mockRestore();
+
+      const stats = pool.getStats();
+
+      expect(stats.perMinuteLimit).toBe(30);
+      expect(stats.dailyRemaining).toBe(3000);
+      expect(stats.keys).toHaveLength(3);
+      expect(stats.keys.map(key => key.id)).toEqual(['…aaaa', '…bbbb', '…cccc']);
+    });
+  });
+
+  describe('getCurrentStats', () => {
+    it('should report only the selected key\'s quota', async () => {
+      await pool.recordRequest();
+
+      const stats = pool.getCurrentStats();
+
+      expect(stats.perMinuteLimit).toBe(15);
+      expect(stats.minuteRemaining).toBe(14);
+    });
+  });
+
+  describe('load', () => {
+    it('should restore every key\'s limiter', async () => {
+      const load = jest.fn().mockResolvedValue(undefined);
+      pool = new ApiKeyPool(['key-aaaa', 'key-bbbb'], {
+        createRateLimiter: () => Object.assign(new RateLimiter(), { load })
+      });
+
+      await pool.load();
+
+      expect(load).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('reset', () => {
+    it('should clear counters and rejections', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      pool.reportAuthFailure('key-aaaa', 403);
+      console.warn.mockRestore();
+      await pool.recordRequest();
+
+      pool.reset();
+
+      expect(pool.getActiveEntries()).toHaveLength(3);
+      expect(pool.getStats().dailyCount).toBe(0);
+      expect(pool.getKey()).toBe('key-aaaa');
+    });
+  });
+});
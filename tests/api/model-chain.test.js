@@ -0,0 +1,110 @@
+/**
+ * Model Chain Tests
+ * Tests parsing of fallback entries and chain construction
+ */
+
+import { parseModelChainEntry, formatModelChainEntry, createModelChain } from '../../src/api/model-chain.js';
+import { GeminiClient } from '../../src/api/gemini-client.js';
+import { OpenAICompatibleClient } from '../../src/api/openai-compatible-client.js';
+import { RateLimiter } from '../../src/api/rate-limiter.js';
+import { ApiKeyPool } from '../../src/api/key-pool.js';
+import { CircuitBreaker } from '../../src/api/circuit-breaker.js';
+
+describe('parseModelChainEntry', () => {
+  it('should parse type and model', () => {
+    expect(parseModelChainEntry('gemini:gemini-2.5-flash-lite')).toEqual({
+      type: 'gemini',
+      model: 'gemini-2.5-flash-lite'
+    });
+  });
+
+  it('should parse an optional base URL', () => {
+    expect(parseModelChainEntry(' openai-compatible:llama3.1@http://localhost:11434/v1 ')).toEqual({
+      type: 'openai-compatible',
+      model: 'llama3.1',
+      baseUrl: 'http://localhost:11434/v1'
+    });
+  });
+
+  it('should reject malformed entries', () => {
+    expect(() => parseModelChainEntry('gemini')).toThrow('Invalid fallback entry');
+  });
+
+  it('should round-trip through formatModelChainEntry', () => {
+    const text = 'openai-compatible:qwen2.5@http://127.0.0.1:8080/v1';
+    expect(formatModelChainEntry(parseModelChainEntry(text))).toBe(text);
+  });
+});
+
+describe('createModelChain', () => {
+  it('should create providers in order with quotas for hosted models only', () => {
+    const chain = createModelChain(
+      { type: 'gemini' },
+      [{ type: 'gemini', model: 'gemini-2.5-flash-lite' }, { type: 'openai-compatible', model: 'llama3.1' }],
+      { geminiApiKey: 'key' }
+    );
+
+    expect(chain).toHaveLength(3);
+    expect(chain[0].apiClient).toBeInstanceOf(GeminiClient);
+    expect(chain[1].apiClient.endpoint).toContain('/gemini-2.5-flash-lite:generateContent');
+    expect(chain[2].apiClient).toBeInstanceOf(OpenAICompatibleClient);
+    expect(chain[0].rateLimiter).toBeInstanceOf(RateLimiter);
+    expect(chain[1].rateLimiter).not.toBe(chain[0].rateLimiter);
+    expect(chain[2].rateLimiter).toBeNull();
+    expect(chain[0].circuitBreaker).toBeInstanceOf(CircuitBreaker);
+    expect(chain[2].circuitBreaker).not.toBe(chain[0].circuitBreaker);
+  });
+
+  it('should point every Gemini model at the shared API base', () => {
+    const chain = createModelChain(
+      { type: 'gemini' },
+      [{ type: 'gemini', model: 'gemini-2.5-flash-lite' }, { type: 'openai-compatible', model: 'llama3.1' }],
+      { geminiApiKey: 'key', geminiApiBase: 'http://127.0.0.1:8787/v1beta/models' }
+    );
+
+    expect(chain[0].apiClient.endpoint).toBe('http://127.0.0.1:8787/v1beta/models/gemini-2.5-flash:generateContent');
+    expect(chain[1].apiClient.endpoint).toBe('http://127.0.0.1:8787/v1beta/models/gemini-2.5-flash-lite:generateContent');
+    expect(chain[2].apiClient.baseUrl).not.toContain('8787');
+  });
+
+  it('should not send the Gemini key to other providers', () => {
+    const chain = createModelChain({ type: 'openai-compatible' }, [], { geminiApiKey: 'key' });
+
+    expect(chain[0].apiClient.apiKey).toBeNull();
+  });
+
+  it('should give each Gemini model its own key pool when several keys are set', () => {
+    const chain = createModelChain(
+      { type: 'gemini' },
+      [{ type: 'gemini', model: 'gemini-2.5-flash-lite' }, { type: 'openai-compatible', model: 'llama3.1' }],
+      { geminiApiKeys: ['key-one', 'key-two'] }
+    );
+
+    expect(chain[0].rateLimiter).toBeInstanceOf(ApiKeyPool);
+    expect(chain[0].apiClient.keyPool).toBe(chain[0].rateLimiter);
+    expect(chain[1].rateLimiter).toBeInstanceOf(ApiKeyPool);
+    expect(chain[1].rateLimiter).not.toBe(chain[0].rateLimiter);
+    expect(chain[2].rateLimiter).toBeNull();
+  });
+
+  it('should use a plain rate limiter for a single key', () => {
+    const chain = createModelChain({ type: 'gemini' }, [], { geminiApiKeys: ['key-one'] });
+
+    expect(chain[0].rateLimiter).toBeInstanceOf(RateLimiter);
+    expect(chain[0].apiClient.apiKey).toBe('key-one');
+  });
+
+  it('should give each limiter a storage key per model and API key', () => {
+    const chain = createModelChain(
+      { type: 'gemini' },
+      [{ type: 'gemini', model: 'gemini-2.5-flash-lite' }],
+      { geminiApiKeys: ['key-one', 'key-two'] }
+    );
+    const keyStorage = chain[0].rateLimiter.entries.map(entry => entry.rateLimiter.storageKey);
+
+    expect(keyStorage[0]).toMatch(/^rateLimiter:gemini:gemini-2\.5-flash:[0-9a-f]{8}$/);
+    expect(keyStorage[0]).not.toBe(keyStorage[1]);
+    expect(keyStorage.join()).not.toContain('key-one');
+    expect(chain[1].rateLimiter.entries[0].rateLimiter.storageKey).toContain(':gemini-2.5-flash-lite:');
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * OpenAI-Compatible Client Tests
+ * Tests chat completions requests, error handling and registry wiring
+ */
+
+import { OpenAICompatibleClient, OPENAI_COMPATIBLE_CONFIG } from '../../src/api/openai-compatible-client.js';
+import { createProvider } from '../../src/api/provider-registry.js';
+import { RequestQueue } from '../../src/api/request-queue.js';
+import { APIError, TimeoutError, ParseError } from '../../src/api/errors.js';
+
+function mockCompletion(content) {
+  return {
+    ok: true,
+    json: () => Promise.resolve({ choices: [{ message: { role: 'assistant', content } }] })
+  };
+}
+
+describe('OpenAICompatibleClient', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    global.fetch = jest.fn().mockResolvedValue(mockCompletion(
+      '{"optionIndex": -1, "optionLetter": "", "answer": "Paris", "rationale": "", "confidence": 90}'
+    ));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('constructor', () => {
+    it('should default to a local Ollama server', () => {
+      const client = new OpenAICompatibleClient();
+
+      expect(client.baseUrl).toBe(OPENAI_COMPATIBLE_CONFIG.baseUrl);
+      expect(client.apiKey).toBeNull();
+    });
+
+    it('should strip trailing slashes from base URL', () => {
+      const client = new OpenAICompatibleClient({ baseUrl: 'http://localhost:8080/v1/' });
+
+      expect(client.getEndpoint()).toBe('http://localhost:8080/v1/chat/completions');
+    });
+  });
+
+  describe('getAnswer', () => {
+    it('should post a chat completion request', async () => {
+      const client = new OpenAICompatibleClient({ model: 'qwen2.5' });
+
+      const result = await client.getAnswer('Capital of France?');
+      const [url, options] = global.fetch.mock.calls[0];
+      const body = JSON.parse(options.body);
+
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(body.model).toBe('qwen2.5');
+      expect(body.messages[0]).toEqual({ role: 'user', content: expect.stringContaining('Capital of France?') });
+      expect(body.response_format.type).toBe('json_schema');
+      expect(result.answer).toBe('Paris');
+    });
+
+    it('should send bearer token only when API key is set', async () => {
+      await new OpenAICompatibleClient().getAnswer('Q?');
+      expect(global.fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+
+      await new OpenAICompatibleClient({ apiKey: 'secret' }).getAnswer('Q?');
+      expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer secret');
+    });
+
+    it('should send images as data URLs when vision is enabled', async () => {
+      const client = new OpenAICompatibleClient({ vision: true });
+
+      await client.getAnswer('Which graph?', null, { images: [{ mimeType: 'image/jpeg', data: 'abc' }] });
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+
+      expect(body.messages[0].content[0].type).toBe('text');
+      expect(body.messages[0].content[1]).toEqual({ type: 'image_url', image_url: { url: 'data:image/jpeg;base64,abc' } });
+    });
+
+    it('should send text only when vision is disabled', async () => {
+      const client = new OpenAICompatibleClient();
+
+      await client.getAnswer('Which graph?', null, { images: [{ mimeType: 'image/jpeg', data: 'abc' }] });
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+
+      expect(typeof body.messages[0].content).toBe('string');
+    });
+
+    it('should throw APIError with status on HTTP errors', async () => {
+      global.fetch.mockResolvedValue({
+        ok: false,
+        status: 404,
+        text: () => Promise.resolve('model not found')
+      });
+
+      const client = new OpenAICompatibleClient({ retryDelays: [0, 0] });
+
+      await expect(client.getAnswer('Q?')).rejects.toMatchObject({
+        name: 'APIError',
+        status: 404,
+        details: 'model not found'
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should map connection failures to APIError', async () => {
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      const client = new OpenAICompatibleClient({ maxRetries: 0 });
+
+      await expect(client.getAnswer('Q?')).rejects.toBeInstanceOf(APIError);
+    });
+
+    it('should throw TimeoutError when request is aborted', async () => {
+      const abort = new Error('aborted');
+      abort.name = 'AbortError';
+      global.fetch.mockRejectedValue(abort);
+
+      const client = new OpenAICompatibleClient({ maxRetries: 0, timeout: 1000 });
+
+      await expect(client.getAnswer('Q?')).rejects.toThrow('API request timeout (1s)');
+    });
+  });
+
+  describe('streaming', () => {
+    async function collect(iterable) {
+      const events = [];
+      for await (const event of iterable) {
+        events.push(event);
+      }
+      return events;
+    }
+
+    it('should request a stream and accumulate deltas', async () => {
+      const chunks = ['Because ', 'Paris is the capital.'].map(content =>
+        `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`
+      ).concat('data: [DONE]\n\n');
+      let index = 0;
+      global.fetch.mockResolvedValue({
+        ok: true,
+        headers: { get: () => 'text/event-stream' },
+        body: {
+          getReader: () => ({
+            read: () => Promise.resolve(index < chunks.length
+              ? { value: chunks[index++], done: false }
+              : { done: true })
+          })
+        }
+      });
+
+      const client = new OpenAICompatibleClient();
+      const events = await collect(client.streamExplanation('Capital of France?', 'Paris'));
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+
+      expect(body.stream).toBe(true);
+      expect(body.stream_options).toEqual({ include_usage: true });
+      expect(events.map(event => event.text)).toEqual([
+        'Because ', 'Because Paris is the capital.', 'Because Paris is the capital.'
+      ]);
+    });
+
+    it('should handle servers that ignore the stream flag', async () => {
+      global.fetch.mockResolvedValue(mockCompletion('Because Paris is the capital.'));
+
+      const client = new OpenAICompatibleClient();
+      const events = await collect(client.streamExplanation('Capital of France?', 'Paris'));
+
+      expect(events[events.length - 1].result.explanation).toBe('Because Paris is the capital.');
+    });
+  });
+
+  describe('parseResponse', () => {
+    it('should throw ParseError when choices are missing', () => {
+      const client = new OpenAICompatibleClient();
+
+      expect(() => client.parseResponse({ choices: [] })).toThrow(ParseError);
+    });
+
+    it('should average token log-probabilities', () => {
+      const client = new OpenAICompatibleClient();
+      const response = {
+        choices: [{
+          message: { content: 'Paris' },
+          logprobs: { content: [{ token: 'Par', logprob: -0.2 }, { token: 'is', logprob: -0.4 }] }
+        }]
+      };
+
+      expect(client.extractLogprob(response)).toBeCloseTo(-0.3);
+      expect(client.extractLogprob({ choices: [{ message: { content: 'Paris' } }] })).toBeNull();
+    });
+
+    it('should read token usage when the server reports it', () => {
+      const client = new OpenAICompatibleClient();
+      const response = {
+        choices: [{ message: { content: 'Paris' } }],
+        usage: { prompt_tokens: 30, completion_tokens: 5, total_tokens: 35 }
+      };
+
+      expect(client.parseResponse(response).usage).toEqual({ promptTokens: 30, outputTokens: 5, totalTokens: 35 });
+      expect(client.parseResponse({ choices: [{ message: { content: 'Paris' } }] }).usage).toBeUndefined();
+    });
+
+    it('should repair fenced JSON answers', () => {
+      const client = new OpenAICompatibleClient();
+      const response = {
+        choices: [{ message: { content: '```json\n{"optionLetter": "B", "answer": "Paris", "rationale": "", "confidence": 80,}\n```' } }]
+      };
+
+      const result = client.parseResponse(response, { structured: true, options: ['London', 'Paris'] });
+
+      expect(result.optionIndex).toBe(1);
+    });
+  });
+
+  describe('RequestQueue integration', () => {
+    it('should treat timeouts as retryable', () => {
+      const client = new OpenAICompatibleClient();
+      const queue = new RequestQueue({}, client);
+
+      expect(queue.isRetryable(new TimeoutError('timeout'))).toBe(true);
+      expect(queue.isRetryable(new APIError('API Error: 503', 503))).toBe(true);
+    });
+  });
+
+  describe('registry', () => {
+    it('should be created from provider config', () => {
+      const client = createProvider({ type: 'openai-compatible', baseUrl: 'http://127.0.0.1:8000/v1' });
+
+      expect(client).toBeInstanceOf(OpenAICompatibleClient);
+      expect(client.baseUrl).toBe('http://127.0.0.1:8000/v1');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Prompt Template Tests
+ * Tests template rendering, validation and the per-quiz-type registry
+ */
+
+import {
+  PromptTemplateRegistry,
+  DEFAULT_PROMPT_TEMPLATES,
+  EXPLANATION_TEMPLATE,
+  renderTemplate,
+  validateTemplate
+} from '../../src/api/prompt-templates.js';
+import { QUIZ_TYPES } from '../../src/detection/types.js';
+
+describe('renderTemplate', () => {
+  it('should substitute variables', () => {
+    expect(renderTemplate('Q: {{question}}', { question: 'Why?' })).toBe('Q: Why?');
+  });
+
+  it('should render sections only when the variable is non-empty', () => {
+    const template = '{{question}}{{#context}} ({{context}}){{/context}}';
+
+    expect(renderTemplate(template, { question: 'Q', context: 'Maths' })).toBe('Q (Maths)');
+    expect(renderTemplate(template, { question: 'Q', context: '' })).toBe('Q');
+    expect(renderTemplate(template, { question: 'Q' })).toBe('Q');
+  });
+
+  it('should not expand template syntax inside values', () => {
+    expect(renderTemplate('{{question}}', { question: '{{answer}}', answer: 'x' })).toBe('{{answer}}');
+  });
+});
+
+describe('validateTemplate', () => {
+  it('should accept the default templates', () => {
+    Object.values(DEFAULT_PROMPT_TEMPLATES).forEach(template => {
+      expect(validateTemplate(template)).toEqual([]);
+    });
+  });
+
+  it('should require the question variable', () => {
+    expect(validateTemplate('Answer this')).toContain('template must include {{question}}');
+  });
+
+  it('should report unknown variables and unclosed sections', () => {
+    const errors = validateTemplate('{{question}} {{subject}} {{#context}}');
+
+    expect(errors).toContain('unknown variable {{subject}}');
+    expect(errors).toContain('every {{#section}} must be closed with {{/section}}');
+  });
+});
+
+describe('PromptTemplateRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new PromptTemplateRegistry();
+  });
+
+  it('should have a template for every quiz type and explanations', () => {
+    Object.values(QUIZ_TYPES).forEach(type => {
+      expect(registry.getTypes()).toContain(type);
+    });
+    expect(registry.getTypes()).toContain(EXPLANATION_TEMPLATE);
+  });
+
+  it('should use type-specific instructions', () => {
+    const variables = { question: 'The sky is green.', leadIn: 'Answer:' };
+
+    expect(registry.render(QUIZ_TYPES.TRUE_FALSE, variables)).toContain('true or false');
+    expect(registry.render(QUIZ_TYPES.MULTIPLE_SELECT, variables)).toContain('More than one option');
+  });
+
+  it('should fall back to the MCQ template for unknown types', () => {
+    expect(registry.get('unknown')).toBe(DEFAULT_PROMPT_TEMPLATES[QUIZ_TYPES.MCQ]);
+    expect(registry.get(undefined)).toBe(DEFAULT_PROMPT_TEMPLATES[QUIZ_TYPES.MCQ]);
+  });
+
+  it('should ask for the page language when known', () => {
+    const rendered = registry.render(QUIZ_TYPES.MCQ, { question: 'Q', language: 'French' });
+
+    expect(rendered).toContain('written in French');
+    expect(registry.render(QUIZ_TYPES.MCQ, { question: 'Q' })).not.toContain('written in');
+  });
+
+  it('should prefer user overrides', () => {
+    registry.setOverride(QUIZ_TYPES.MCQ, 'Custom: {{question}}');
+
+    expect(registry.render(QUIZ_TYPES.MCQ, { question: 'Q' })).toBe('Custom: Q');
+    expect(registry.getOverrides()).toEqual({ [QUIZ_TYPES.MCQ]: 'Custom: {{question}}' });
+
+    registry.clearOverride(QUIZ_TYPES.MCQ);
+    expect(registry.get(QUIZ_TYPES.MCQ)).toBe(DEFAULT_PROMPT_TEMPLATES[QUIZ_TYPES.MCQ]);
+  });
+
+  it('should reject invalid overrides', () => {
+    expect(() => registry.setOverride(QUIZ_TYPES.MCQ, 'No question')).toThrow('Invalid template');
+    expect(() => registry.setOverride('essay', '{{question}}')).toThrow('Unknown template type: essay');
+  });
+
+  it('should skip invalid overrides loaded from settings', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const loaded = new PromptTemplateRegistry({
+      [QUIZ_TYPES.MCQ]: 'Custom: {{question}}',
+      [QUIZ_TYPES.FILL_BLANK]: ''
+    });
+
+    expect(loaded.getOverrides()).toEqual({ [QUIZ_TYPES.MCQ]: 'Custom: {{question}}' });
+    warn.mockRestore();
+  });
+
+  it('should preview templates with sample values', () => {
+    expect(registry.preview(QUIZ_TYPES.MCQ)).toContain('B. Paris');
+    expect(registry.preview(QUIZ_TYPES.MCQ, {}, 'Draft: {{question}}')).toBe('Draft: What is the capital of France?');
+    expect(registry.preview(EXPLANATION_TEMPLATE)).toContain('Answer: Paris');
+  });
+});
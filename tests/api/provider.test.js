@@ -0,0 +1,617 @@
+/**
+ * LLM Provider Tests
+ * Tests the provider contract, error mapping, Gemini implementation and registry
+ */
+
+import { LLMProvider, PROVIDER_CAPABILITIES } from '../../src/api/provider.js';
+import { GeminiClient } from '../../src/api/gemini-client.js';
+import { registerProvider, createProvider, getRegisteredProviders } from '../../src/api/provider-registry.js';
+import { PromptTemplateRegistry } from '../../src/api/prompt-templates.js';
+import { ApiKeyPool } from '../../src/api/key-pool.js';
+import { APIError, TimeoutError, ParseError, CancelledError } from '../../src/api/errors.js';
+
+const PARIS_JSON = JSON.stringify({
+  optionIndex: 1,
+  optionLetter: 'B',
+  answer: 'Paris',
+  rationale: 'Paris is the capital of France.',
+  confidence: 92
+});
+
+/**
+ * Builds a fetch-like SSE response from event payloads
+ */
+function sseResponse(payloads) {
+  const chunks = payloads.map(payload => `data: ${JSON.stringify(payload)}\n\n`);
+  let index = 0;
+  return {
+    ok: true,
+    headers: { get: () => 'text/event-stream' },
+    body: {
+      getReader: () => ({
+        read: () => Promise.resolve(index < chunks.length
+          ? { value: chunks[index++], done: false }
+          : { value: undefined, done: true }),
+        releaseLock: () => {}
+      })
+    }
+  };
+}
+
+async function collect(iterable) {
+  const events = [];
+  for await (const event of iterable) {
+    events.push(event);
+  }
+  return events;
+}
+
+class MockProvider extends LLMProvider {
+  constructor(config = {}) {
+    super({ name: 'mock', retryDelays: [0, 0], ...config });
+    this.capabilities = { [PROVIDER_CAPABILITIES.STREAMING]: true };
+    this.callAPI = jest.fn().mockResolvedValue({ text: PARIS_JSON });
+  }
+
+  extractText(response) {
+    return response.text;
+  }
+}
+
+describe('LLMProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new MockProvider();
+  });
+
+  describe('getAnswer', () => {
+    it('should reject empty questions', async () => {
+      await expect(provider.getAnswer('')).rejects.toThrow('Question must be a non-empty string');
+    });
+
+    it('should build a prompt and parse the response', async () => {
+      const result = await provider.getAnswer('Capital of France?', 'Geography');
+
+      expect(provider.callAPI).toHaveBeenCalledWith(expect.stringContaining('Capital of France?'), expect.any(Object));
+      expect(provider.callAPI.mock.calls[0][0]).toContain('Context: Geography');
+      expect(result.answer).toBe('Paris');
+    });
+
+    it('should send options and return the chosen option', async () => {
+      const result = await provider.getAnswer('Capital of France?', null, {
+        options: [{ text: 'London' }, { text: 'Paris' }, 'Berlin']
+      });
+
+      expect(provider.callAPI.mock.calls[0][0]).toContain('A. London\nB. Paris\nC. Berlin');
+      expect(provider.callAPI.mock.calls[0][1]).toEqual({ structured: true, options: ['London', 'Paris', 'Berlin'] });
+      expect(result).toMatchObject({ optionIndex: 1, optionLetter: 'B', rationale: 'Paris is the capital of France.' });
+    });
+
+    it('should use the prompt template for the quiz type', async () => {
+      await provider.getAnswer('The sky is green.', null, { quizType: 'true-false', language: 'French' });
+
+      const prompt = provider.callAPI.mock.calls[0][0];
+      expect(prompt).toContain('true or false');
+      expect(prompt).toContain('written in French');
+      expect(prompt).toContain('Respond with JSON only');
+    });
+
+    it('should use user template overrides', async () => {
+      const templates = new PromptTemplateRegistry({ mcq: 'Quiz! {{question}}' });
+      const customProvider = new MockProvider({ promptTemplates: templates });
+
+      await customProvider.getAnswer('Capital of France?');
+
+      expect(customProvider.callAPI.mock.calls[0][0]).toMatch(/^Quiz! Capital of France\?\n\nRespond with JSON only/);
+    });
+
+    it('should throw ParseError with raw text when the answer is invalid', async () => {
+      provider.maxRetries = 0;
+      provider.callAPI.mockResolvedValue({ text: 'I think it is Paris' });
+
+      await expect(provider.getAnswer('Capital of France?')).rejects.toMatchObject({
+        name: 'ParseError',
+        rawText: 'I think it is Paris'
+      });
+    });
+
+    it('should retry failed calls up to maxRetries', async () => {
+      provider.callAPI
+        .mockRejectedValueOnce(new APIError('API Error: 503', 503))
+        .mockRejectedValueOnce(new APIError('API Error: 503', 503))
+        .mockResolvedValueOnce({ text: PARIS_JSON });
+
+      const result = await provider.getAnswer('Capital of France?');
+
+      expect(provider.callAPI).toHaveBeenCalledTimes(3);
+      expect(result.answer).toBe('Paris');
+    });
+
+    it('should throw mapped error after exhausting retries', async () => {
+      const abort = new Error('aborted');
+      abort.name = 'AbortError';
+      provider.callAPI.mockRejectedValue(abort);
+
+      await expect(provider.getAnswer('Q?')).rejects.toBeInstanceOf(TimeoutError);
+    });
+  });
+
+  describe('getAnswers', () => {
+    it('should answer numbered questions with one call', async () => {
+      provider.callAPI.mockResolvedValue({
+        text: JSON.stringify({
+          answers: [
+            { id: 0, optionIndex: 1, optionLetter: 'B', answer: 'Paris', rationale: '', confidence: 90 },
+            { id: 1, optionIndex: -1, optionLetter: '', answer: '4', rationale: '', confidence: 95 }
+          ]
+        })
+      });
+
+      const result = await provider.getAnswers([
+        { question: 'Capital of France?', questionData: { options: ['Berlin', 'Paris'] } },
+        { question: 'What is 2+2?', context: 'Maths' }
+      ]);
+
+      const [prompt, callOptions] = provider.callAPI.mock.calls[0];
+      expect(provider.callAPI).toHaveBeenCalledTimes(1);
+      expect(prompt).toContain('Question 0: Capital of France?');
+      expect(prompt).toContain('B. Paris');
+      expect(prompt).toContain('Question 1: What is 2+2?\nContext: Maths');
+      expect(callOptions).toMatchObject({ structured: true, batch: true });
+      expect(result.answers.map(answer => answer.answer)).toEqual(['Paris', '4']);
+      expect(result.answers[0].confidenceSignals.optionMatches).toBe(1);
+    });
+
+    it('should return null for questions left unanswered', async () => {
+      provider.callAPI.mockResolvedValue({
+        text: JSON.stringify({ answers: [{ id: 1, optionIndex: -1, optionLetter: '', answer: '4', rationale: '', confidence: 95 }] })
+      });
+
+      const result = await provider.getAnswers([{ question: 'Q0?' }, { question: 'Q1?' }]);
+
+      expect(result.answers[0]).toBeNull();
+      expect(result.answers[1].answer).toBe('4');
+    });
+
+    it('should require at least one question', async () => {
+      await expect(provider.getAnswers([])).rejects.toThrow('At least one question is required');
+    });
+  });
+
+  describe('multimodal', () => {
+    it('should not send images to text-only providers', async () => {
+      await provider.getAnswer('Which graph?', null, { images: [{ mimeType: 'image/png', data: 'abc' }] });
+
+      expect(provider.callAPI.mock.calls[0][1].images).toBeUndefined();
+      expect(provider.callAPI.mock.calls[0][0]).toContain('cannot be shown');
+    });
+
+    it('should send images to multimodal providers', async () => {
+      provider.capabilities[PROVIDER_CAPABILITIES.MULTIMODAL] = true;
+      const images = [{ mimeType: 'image/png', data: 'abc' }];
+
+      await provider.getAnswer('Which graph?', null, { images });
+
+      expect(provider.callAPI.mock.calls[0][1].images).toBe(images);
+    });
+  });
+
+  describe('streaming', () => {
+    const splitJSON = (text, size) => text.match(new RegExp(`.{1,${size}}`, 'g')).map(part => ({ text: part }));
+
+    beforeEach(() => {
+      provider.openStream = jest.fn().mockResolvedValue(sseResponse(splitJSON(PARIS_JSON, 10)));
+    });
+
+    it('should stream partial answer text and finish with the parsed answer', async () => {
+      const events = await collect(provider.streamAnswer('Capital of France?', null, {
+        options: ['London', 'Paris']
+      }));
+      const final = events[events.length - 1];
+
+      expect(events.filter(event => !event.done).map(event => event.text)).toContain('Pari');
+      expect(final.done).toBe(true);
+      expect(final.result).toMatchObject({ answer: 'Paris', optionIndex: 1 });
+      expect(provider.openStream.mock.calls[0][1]).toEqual({ structured: true, options: ['London', 'Paris'] });
+    });
+
+    it('should stream explanations as accumulated text', async () => {
+      provider.openStream.mockResolvedValue(sseResponse([{ text: 'Because ' }, { text: 'Paris.' }]));
+
+      const events = await collect(provider.streamExplanation('Capital of France?', 'Paris'));
+
+      expect(events.map(event => event.text)).toEqual(['Because ', 'Because Paris.', 'Because Paris.']);
+      expect(events[2].result).toMatchObject({ answer: 'Paris', explanation: 'Because Paris.' });
+    });
+
+    it('should fall back to a single event without streaming support', async () => {
+      provider.capabilities = {};
+
+      const events = await collect(provider.streamAnswer('Capital of France?'));
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ done: true, text: 'Paris' });
+      expect(provider.openStream).not.toHaveBeenCalled();
+    });
+
+    it('should pass cancellation through without mapping it to a timeout', async () => {
+      const controller = new AbortController();
+      provider.openStream.mockImplementation((prompt, callOptions, signal) => {
+        controller.abort();
+        const abort = new Error('aborted');
+        abort.name = 'AbortError';
+        expect(signal.aborted).toBe(true);
+        return Promise.reject(abort);
+      });
+
+      await expect(collect(provider.streamAnswer('Q?', null, {}, { signal: controller.signal })))
+        .rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('should time out when the stream goes idle', async () => {
+      provider.streamIdleTimeout = 10;
+      provider.openStream.mockImplementation((prompt, callOptions, signal) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+          const abort = new Error('aborted');
+          abort.name = 'AbortError';
+          reject(abort);
+        });
+      }));
+
+      await expect(collect(provider.streamAnswer('Q?'))).rejects.toBeInstanceOf(TimeoutError);
+    });
+  });
+
+  describe('getExplanation', () => {
+    it('should return explanation alongside the answer', async () => {
+      provider.callAPI.mockResolvedValue({ text: 'Because Paris is the capital.' });
+
+      const result = await provider.getExplanation('Capital of France?', 'Paris');
+
+      expect(result.answer).toBe('Paris');
+      expect(result.explanation).toBe('Because Paris is the capital.');
+      expect(provider.callAPI.mock.calls[0][0]).toContain('Answer: Paris');
+    });
+
+    it('should ask for the explanation in the quiz language', async () => {
+      provider.callAPI.mockResolvedValue({ text: 'Parce que Paris est la capitale.' });
+
+      await provider.getExplanation('Capitale de la France ?', 'Paris', { language: 'fr' });
+
+      expect(provider.callAPI.mock.calls[0][0]).toContain('The quiz is written in fr; answer in the same language.');
+    });
+
+    it('should reject empty answers', async () => {
+      await expect(provider.getExplanation('Q?', '')).rejects.toThrow('Answer must be a non-empty string');
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should not retry once the signal is aborted', async () => {
+      const controller = new AbortController();
+      provider.callAPI.mockImplementation(() => {
+        controller.abort();
+        return Promise.reject(new Error('aborted'));
+      });
+
+      await expect(provider.getAnswer('Q?', null, { signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+      expect(provider.callAPI).toHaveBeenCalledTimes(1);
+      expect(provider.callAPI.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+  });
+
+  describe('mapError', () => {
+    it('should pass through API error types', () => {
+      const error = new APIError('API Error: 429', 429);
+      expect(provider.mapError(error)).toBe(error);
+    });
+
+    it('should map SyntaxError to ParseError', () => {
+      const mapped = provider.mapError(new SyntaxError('Unexpected token'));
+      expect(mapped).toBeInstanceOf(ParseError);
+      expect(mapped.originalError).toBeInstanceOf(SyntaxError);
+    });
+
+    it('should map network TypeError to APIError', () => {
+      const mapped = provider.mapError(new TypeError('Failed to fetch'));
+      expect(mapped).toBeInstanceOf(APIError);
+      expect(mapped.status).toBe(0);
+    });
+  });
+
+  describe('capabilities', () => {
+    it('should report supported capabilities', () => {
+      expect(provider.supports(PROVIDER_CAPABILITIES.STREAMING)).toBe(true);
+      expect(provider.supports(PROVIDER_CAPABILITIES.MULTIMODAL)).toBe(false);
+    });
+
+    it('should return a copy of capability flags', () => {
+      const capabilities = provider.getCapabilities();
+      capabilities.multimodal = true;
+      expect(provider.supports(PROVIDER_CAPABILITIES.MULTIMODAL)).toBe(false);
+    });
+  });
+
+  describe('base class', () => {
+    it('should require subclasses to implement callAPI', async () => {
+      const base = new LLMProvider({ name: 'base' });
+      await expect(base.callAPI('prompt')).rejects.toThrow('base provider must implement callAPI()');
+    });
+  });
+});
+
+describe('GeminiClient', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should throw if API key is missing', () => {
+    expect(() => new GeminiClient()).toThrow('API key is required');
+  });
+
+  it('should be an LLMProvider', () => {
+    const client = new GeminiClient('key');
+    expect(client).toBeInstanceOf(LLMProvider);
+    expect(client.getInfo()).toEqual({ name: 'gemini', model: 'gemini-2.5-flash' });
+  });
+
+  it('should send requests to a configured API base', () => {
+    const client = new GeminiClient('key', { apiBase: 'http://127.0.0.1:8787/v1beta/models/' });
+
+    expect(client.endpoint).toBe('http://127.0.0.1:8787/v1beta/models/gemini-2.5-flash:generateContent');
+    expect(client.getStreamEndpoint()).toBe('http://127.0.0.1:8787/v1beta/models/gemini-2.5-flash:streamGenerateContent');
+  });
+
+  it('should request and parse a JSON answer', async () => {
+    const text = JSON.stringify({ optionIndex: 0, optionLetter: 'A', answer: '4', rationale: '2+2=4', confidence: 99 });
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ candidates: [{ content: { parts: [{ text }] } }] })
+    });
+
+    const client = new GeminiClient('key');
+    const result = await client.getAnswer('What is 2+2?', null, { options: ['4', '5'] });
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+
+    expect(result).toMatchObject({ answer: '4', optionIndex: 0 });
+    expect(result.confidenceSignals).toEqual({ selfReported: 99, avgLogprob: null, optionMatches: 1 });
+    expect(result.confidence).toBe(92);
+    expect(global.fetch.mock.calls[0][0]).toContain('?key=key');
+    expect(body.generationConfig.responseMimeType).toBe('application/json');
+    expect(body.generationConfig.responseSchema.type).toBe('OBJECT');
+    expect(body.generationConfig.responseSchema.properties.optionIndex.type).toBe('INTEGER');
+  });
+
+  it('should request the batch schema for batched questions', async () => {
+    const text = JSON.stringify({ answers: [{ id: 0, optionIndex: -1, optionLetter: '', answer: '4', rationale: '', confidence: 99 }] });
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ candidates: [{ content: { parts: [{ text }] } }] })
+    });
+
+    const client = new GeminiClient('key');
+    const result = await client.getAnswers([{ question: 'What is 2+2?' }]);
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+
+    expect(result.answers[0].answer).toBe('4');
+    expect(body.generationConfig.responseSchema.properties.answers.type).toBe('ARRAY');
+    expect(body.generationConfig.responseSchema.properties.answers.items.required).toContain('id');
+  });
+
+  it('should abort the request when the caller cancels', async () => {
+    global.fetch = jest.fn((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+    const controller = new AbortController();
+
+    const client = new GeminiClient('key');
+    const promise = client.getAnswer('What is 2+2?', null, { signal: controller.signal });
+    controller.abort();
+
+    await expect(promise).rejects.toBeInstanceOf(CancelledError);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should request and read log-probabilities when enabled', async () => {
+    const text = JSON.stringify({ optionIndex: 0, optionLetter: 'A', answer: '4', rationale: '', confidence: 90 });
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ candidates: [{ content: { parts: [{ text }] }, avgLogprobs: -0.01 }] })
+    });
+
+    const client = new GeminiClient('key', { logprobs: true });
+    const result = await client.getAnswer('What is 2+2?', null, { options: ['4', '5'] });
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+
+    expect(body.generationConfig.responseLogprobs).toBe(true);
+    expect(client.supports(PROVIDER_CAPABILITIES.LOGPROBS)).toBe(true);
+    expect(result.confidenceSignals.avgLogprob).toBe(-0.01);
+  });
+
+  it('should send question images as inline data', async () => {
+    const text = JSON.stringify({ optionIndex: 0, optionLetter: 'A', answer: '10 ohms', rationale: '', confidence: 80 });
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ candidates: [{ content: { parts: [{ text }] } }] })
+    });
+
+    const client = new GeminiClient('key');
+    await client.getAnswer('What is the resistance?', null, {
+      options: ['10 ohms', '20 ohms'],
+      images: [{ mimeType: 'image/png', data: 'iVBORw0KGgo=' }]
+    });
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+
+    expect(client.supports(PROVIDER_CAPABILITIES.MULTIMODAL)).toBe(true);
+    expect(body.contents[0].parts[1]).toEqual({ inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } });
+    expect(body.contents[0].parts[0].text).toContain('1 attached image(s)');
+  });
+
+  it('should stream from the streamGenerateContent endpoint', async () => {
+    global.fetch = jest.fn().mockResolvedValue(sseResponse([
+      { candidates: [{ content: { parts: [{ text: 'Because ' }] } }] },
+      { candidates: [{ content: { parts: [{ text: '2+2=4.' }] } }] }
+    ]));
+
+    const client = new GeminiClient('key');
+    const events = await collect(client.streamExplanation('What is 2+2?', '4'));
+
+    expect(global.fetch.mock.calls[0][0]).toContain(':streamGenerateContent?alt=sse&key=key');
+    expect(events[events.length - 1].result.explanation).toBe('Because 2+2=4.');
+  });
+
+  it('should report token usage from usageMetadata', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({
+        candidates: [{ content: { parts: [{ text: 'Because 2+2=4.' }] } }],
+        usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 8, totalTokenCount: 48 }
+      })
+    });
+
+    const client = new GeminiClient('key');
+    const result = await client.getExplanation('What is 2+2?', '4');
+
+    expect(result.usage).toEqual({ promptTokens: 40, outputTokens: 8, totalTokens: 48 });
+  });
+
+  it('should take streamed usage from the last chunk that reports it', async () => {
+    global.fetch = jest.fn().mockResolvedValue(sseResponse([
+      { candidates: [{ content: { parts: [{ text: 'Because ' }] } }], usageMetadata: { promptTokenCount: 40 } },
+      {
+        candidates: [{ content: { parts: [{ text: '2+2=4.' }] } }],
+        usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 6, thoughtsTokenCount: 4, totalTokenCount: 50 }
+      }
+    ]));
+
+    const client = new GeminiClient('key');
+    const events = await collect(client.streamExplanation('What is 2+2?', '4'));
+
+    expect(events[events.length - 1].result.usage).toEqual({ promptTokens: 40, outputTokens: 10, totalTokens: 50 });
+  });
+
+  it('should request free text for explanations', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ candidates: [{ content: { parts: [{ text: 'Because 2+2=4.' }] } }] })
+    });
+
+    const client = new GeminiClient('key');
+    const result = await client.getExplanation('What is 2+2?', '4');
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+
+    expect(result.explanation).toBe('Because 2+2=4.');
+    expect(body.generationConfig).toBeUndefined();
+  });
+
+  it('should throw APIError on non-ok responses', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 403,
+      text: () => Promise.resolve('forbidden')
+    });
+
+    const client = new GeminiClient('key', { retryDelays: [0, 0] });
+
+    await expect(client.getAnswer('Q?')).rejects.toMatchObject({ name: 'APIError', status: 403 });
+  });
+
+  it('should use the key selected by a key pool', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ candidates: [{ content: { parts: [{ text: 'Because.' }] } }] })
+    });
+    const keyPool = new ApiKeyPool(['key-one', 'key-two']);
+    const client = new GeminiClient(null, { keyPool });
+
+    await keyPool.selectNext();
+    await keyPool.selectNext();
+    await client.getExplanation('What is 2+2?', '4');
+
+    expect(global.fetch.mock.calls[0][0]).toContain('?key=key-two');
+  });
+
+  it('should skip keys rejected with 401/403 and retry with the next key', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: false, status: 403, text: () => Promise.resolve('forbidden') })
+      .mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ candidates: [{ content: { parts: [{ text: 'Because.' }] } }] })
+      });
+    const keyPool = new ApiKeyPool(['key-one', 'key-two']);
+    const client = new GeminiClient(null, { keyPool, maxRetries: 0 });
+
+    const result = await client.getExplanation('What is 2+2?', '4');
+
+    expect(result.explanation).toBe('Because.');
+    expect(global.fetch.mock.calls[1][0]).toContain('?key=key-two');
+    expect(keyPool.getKeyStats()[0].status).toBe('rejected');
+    console.warn.mockRestore();
+  });
+
+  it('should throw the auth error once every key is rejected', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 401, text: () => Promise.resolve('invalid') });
+    const keyPool = new ApiKeyPool(['key-one', 'key-two']);
+    const client = new GeminiClient(null, { keyPool, maxRetries: 0 });
+
+    await expect(client.getAnswer('Q?')).rejects.toMatchObject({ name: 'APIError', status: 401 });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    console.warn.mockRestore();
+  });
+
+  it('should leave server-directed retries to the caller', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 429,
+      headers: { get: name => (name === 'retry-after' ? '20' : null) },
+      text: () => Promise.resolve('quota exceeded')
+    });
+
+    const client = new GeminiClient('key', { retryDelays: [0, 0] });
+
+    await expect(client.getAnswer('Q?')).rejects.toMatchObject({ status: 429, retryAfter: 20000 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should throw ParseError on malformed responses', () => {
+    const client = new GeminiClient('key');
+    expect(() => client.parseResponse({})).toThrow(ParseError);
+  });
+});
+
+describe('provider registry', () => {
+  it('should register gemini by default', () => {
+    expect(getRegisteredProviders()).toContain('gemini');
+  });
+
+  it('should create gemini provider when type is omitted', () => {
+    const provider = createProvider({ apiKey: 'key' });
+    expect(provider).toBeInstanceOf(GeminiClient);
+  });
+
+  it('should create registered custom providers', () => {
+    registerProvider('mock', (config) => new MockProvider(config));
+
+    const provider = createProvider({ type: 'mock', model: 'test-model' });
+
+    expect(provider).toBeInstanceOf(MockProvider);
+    expect(provider.model).toBe('test-model');
+  });
+
+  it('should throw for unknown provider types', () => {
+    expect(() => createProvider({ type: 'missing' })).toThrow('Unknown provider type: missing');
+  });
+
+  it('should validate factory', () => {
+    expect(() => registerProvider('bad', null)).toThrow('Provider factory must be a function');
+  });
+});
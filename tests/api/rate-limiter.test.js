@@ -3,7 +3,7 @@
  * Tests rate limiting functionality for Gemini API
  */
 
-import { RateLimiter } from '../../src/api/rate-limiter.js';
+import { RateLimiter, THROTTLE_CONFIG, jitteredBackoff, RATE_LIMIT_SCOPES } from '../../src/api/rate-limiter.js';
 
 describe('RateLimiter', () => {
   let limiter;
@@ -66,6 +66,7 @@ describe('RateLimiter', () => {
 
       expect(result.allowed).toBe(false);
       expect(result.reason).toBe('Per-minute limit exceeded (15/min)');
+      expect(result.scope).toBe(RATE_LIMIT_SCOPES.MINUTE);
     });
 
     it('should return retryAfter when per-minute limit exceeded', async () => {
@@ -139,6 +140,7 @@ describe('RateLimiter', () => {
 
       expect(result.allowed).toBe(false);
       expect(result.reason).toBe('Daily limit exceeded (1500/day)');
+      expect(result.scope).toBe(RATE_LIMIT_SCOPES.DAY);
     });
 
     it('should return retryAfter when per-day limit exceeded', async () => {
@@ -276,7 +278,9 @@ describe('RateLimiter', () => {
         dailyCount: 0,
         perDayLimit: 1500,
         dailyRemaining: 1500,
-        dailyResetTime: expect.any(Number)
+        dailyResetTime: expect.any(Number),
+        maxPerMinuteLimit: 15,
+        pausedUntil: null
       });
     });
 
@@ -392,6 +396,215 @@ describe('RateLimiter', () => {
     });
   });
 
+  describe('throttling', () => {
+    it('should pause for the server-requested duration', async () => {
+      const now = Date.now();
+      jest.setSystemTime(now);
+
+      limiter.reportThrottle(37000);
+
+      let result = await limiter.checkLimit();
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe('Server requested a pause (37s)');
+      expect(result.retryAfter).toBe(37000);
+
+      jest.setSystemTime(now + 37000);
+      result = await limiter.checkLimit();
+      expect(result.allowed).toBe(true);
+    });
+
+    it('should back off exponentially when the server gives no delay', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+
+      const delays = [limiter.reportThrottle(), limiter.reportThrottle(), limiter.reportThrottle()];
+
+      expect(delays).toEqual([1000, 2000, 4000]);
+      Math.random.mockRestore();
+    });
+
+    it('should lower the per-minute rate on throttling', async () => {
+      limiter.reportThrottle(0);
+      expect(limiter.perMinuteLimit).toBe(7);
+
+      limiter.reportThrottle(0);
+      limiter.reportThrottle(0);
+      limiter.reportThrottle(0);
+      limiter.reportThrottle(0);
+      expect(limiter.perMinuteLimit).toBe(THROTTLE_CONFIG.minPerMinuteLimit);
+
+      const result = await limiter.checkLimit();
+      expect(result.allowed).toBe(true);
+      await limiter.recordRequest();
+      expect((await limiter.checkLimit()).reason).toBe('Per-minute limit exceeded (1/min)');
+    });
+
+    it('should step the rate back up after successful requests', () => {
+      limiter.reportThrottle(0);
+
+      for (let i = 0; i < THROTTLE_CONFIG.recoverAfter; i++) {
+        limiter.reportSuccess();
+      }
+      expect(limiter.perMinuteLimit).toBe(8);
+
+      for (let i = 0; i < THROTTLE_CONFIG.recoverAfter * 20; i++) {
+        limiter.reportSuccess();
+      }
+      expect(limiter.perMinuteLimit).toBe(15);
+    });
+
+    it('should report the pause and adapted rate in stats', () => {
+      const now = Date.now();
+      jest.setSystemTime(now);
+
+      limiter.reportThrottle(5000);
+      const stats = limiter.getStats();
+
+      expect(stats.perMinuteLimit).toBe(7);
+      expect(stats.maxPerMinuteLimit).toBe(15);
+      expect(stats.pausedUntil).toBe(now + 5000);
+    });
+
+    it('should restore the configured rate on reset', () => {
+      limiter.reportThrottle(5000);
+      limiter.reset();
+
+      expect(limiter.perMinuteLimit).toBe(15);
+      expect(limiter.getStats().pausedUntil).toBeNull();
+    });
+  });
+
+  describe('persistence', () => {
+    let stored;
+
+    beforeEach(() => {
+      stored = {};
+      global.chrome = {
+        storage: {
+          local: {
+            get: jest.fn((keys, callback) => callback({ ...stored })),
+            set: jest.fn((items) => {
+              Object.assign(stored, JSON.parse(JSON.stringify(items)));
+              return Promise.resolve();
+            })
+          }
+        }
+      };
+      limiter = new RateLimiter({ storageKey: 'rateLimiter:test' });
+    });
+
+    afterEach(() => {
+      delete global.chrome;
+    });
+
+    it('should save state after every request', async () => {
+      await limiter.recordRequest();
+      await limiter.recordRequest();
+
+      expect(stored['rateLimiter:test'].dailyCount).toBe(2);
+      expect(stored['rateLimiter:test'].requestTimestamps).toHaveLength(2);
+    });
+
+    it('should restore the daily count after a restart', async () => {
+      for (let i = 0; i < 3; i++) {
+        await limiter.recordRequest();
+      }
+
+      const restarted = new RateLimiter({ storageKey: 'rateLimiter:test' });
+      await restarted.load();
+
+      expect(restarted.dailyCount).toBe(3);
+      expect(restarted.getStats().requestsThisMinute).toBe(3);
+    });
+
+    it('should enforce the daily cap across restarts', async () => {
+      stored['rateLimiter:test'] = {
+        ...limiter.getState(),
+        dailyCount: 1500
+      };
+
+      const restarted = new RateLimiter({ storageKey: 'rateLimiter:test' });
+      restarted.load();
+      const result = await restarted.checkLimit();
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe('Daily limit exceeded (1500/day)');
+    });
+
+    it('should drop a stored count from a previous day', async () => {
+      stored['rateLimiter:test'] = {
+        ...limiter.getState(),
+        dailyCount: 900,
+        dailyResetTime: Date.now() - 1000
+      };
+
+      await limiter.load();
+
+      expect(limiter.dailyCount).toBe(0);
+    });
+
+    it('should keep requests recorded before restoring finished', async () => {
+      stored['rateLimiter:test'] = { ...limiter.getState(), dailyCount: 10 };
+
+      const loading = limiter.load();
+      await limiter.recordRequest();
+      await loading;
+
+      expect(limiter.dailyCount).toBe(11);
+      expect(stored['rateLimiter:test'].dailyCount).toBe(11);
+    });
+
+    it('should restore a server-requested pause and lowered rate', async () => {
+      limiter.reportThrottle(30000);
+      await limiter.pendingWrite;
+
+      const restarted = new RateLimiter({ storageKey: 'rateLimiter:test' });
+      await restarted.load();
+
+      expect(restarted.perMinuteLimit).toBe(7);
+      expect((await restarted.checkLimit()).allowed).toBe(false);
+    });
+
+    it('should write one snapshot at a time when updates overlap', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      chrome.storage.local.set.mockImplementation(async (items) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await Promise.resolve();
+        await Promise.resolve();
+        Object.assign(stored, JSON.parse(JSON.stringify(items)));
+        inFlight--;
+      });
+
+      await Promise.all([limiter.recordRequest(), limiter.recordRequest(), limiter.recordRequest()]);
+
+      expect(maxInFlight).toBe(1);
+      expect(stored['rateLimiter:test'].dailyCount).toBe(3);
+    });
+
+    it('should not touch storage without a storage key', async () => {
+      limiter = new RateLimiter();
+
+      await limiter.recordRequest();
+      await limiter.load();
+
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+      expect(chrome.storage.local.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('jitteredBackoff', () => {
+    it('should stay between half and the full exponential delay', () => {
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const delay = jitteredBackoff(attempt, 1000, 10000);
+        const full = Math.min(10000, 1000 * 2 ** attempt);
+
+        expect(delay).toBeGreaterThanOrEqual(full / 2);
+        expect(delay).toBeLessThanOrEqual(full);
+      }
+    });
+  });
+
   describe('reset', () => {
     it('should clear request timestamps', () => {
       limiter.requestTimestamps = [1, 2, 3];
@@ -0,0 +1,147 @@
+/**
+ * Request Journal Tests
+ * Tests entry building, filtering and JSON/CSV export
+ */
+
+import {
+  RequestJournal,
+  JOURNAL_FIELDS,
+  JOURNAL_SOURCES,
+  createJournalEntry,
+  matchesJournalFilter,
+  formatJournalCSV,
+  exportJournal
+} from '../../src/api/request-journal.js';
+import { APIError } from '../../src/api/errors.js';
+
+describe('createJournalEntry', () => {
+  it('should fill every field and flatten usage', () => {
+    const entry = createJournalEntry({
+      status: 'completed',
+      source: JOURNAL_SOURCES.API,
+      provider: 'gemini',
+      latency: 812.6,
+      usage: { promptTokens: 120, outputTokens: 30, totalTokens: 150 },
+      question: 'What is 2+2?'
+    });
+
+    expect(Object.keys(entry)).toEqual(expect.arrayContaining(JOURNAL_FIELDS));
+    expect(entry).toMatchObject({
+      provider: 'gemini',
+      model: null,
+      latency: 813,
+      promptTokens: 120,
+      totalTokens: 150,
+      statusCode: 200,
+      retries: 0,
+      errorMessage: null
+    });
+  });
+
+  it('should record the error details of a failure', () => {
+    const entry = createJournalEntry({
+      status: 'failed',
+      error: new APIError('API Error: 503', 503),
+      question: 'x'.repeat(1000)
+    });
+
+    expect(entry).toMatchObject({ statusCode: 503, errorName: 'APIError', errorMessage: 'API Error: 503' });
+    expect(entry.question).toHaveLength(500);
+    expect(entry).not.toHaveProperty('error');
+  });
+});
+
+describe('matchesJournalFilter', () => {
+  const entry = createJournalEntry({
+    status: 'failed',
+    source: JOURNAL_SOURCES.API,
+    provider: 'gemini',
+    model: 'gemini-2.5-flash',
+    host: 'quiz.example.com',
+    error: new Error('Request timed out'),
+    question: 'What is the capital of France?'
+  });
+
+  it('should match everything with an empty filter', () => {
+    expect(matchesJournalFilter(entry, {})).toBe(true);
+    expect(matchesJournalFilter(entry, { status: '', search: '' })).toBe(true);
+  });
+
+  it('should filter by status, source and provider', () => {
+    expect(matchesJournalFilter(entry, { status: 'failed', provider: 'gemini' })).toBe(true);
+    expect(matchesJournalFilter(entry, { status: 'completed' })).toBe(false);
+    expect(matchesJournalFilter(entry, { source: JOURNAL_SOURCES.CACHE })).toBe(false);
+  });
+
+  it('should filter by time range', () => {
+    expect(matchesJournalFilter(entry, { since: entry.timestamp - 1000 })).toBe(true);
+    expect(matchesJournalFilter(entry, { until: entry.timestamp - 1000 })).toBe(false);
+  });
+
+  it('should search question, model, host and error case-insensitively', () => {
+    expect(matchesJournalFilter(entry, { search: 'FRANCE' })).toBe(true);
+    expect(matchesJournalFilter(entry, { search: 'flash' })).toBe(true);
+    expect(matchesJournalFilter(entry, { search: 'example.com' })).toBe(true);
+    expect(matchesJournalFilter(entry, { search: 'timed out' })).toBe(true);
+    expect(matchesJournalFilter(entry, { search: 'germany' })).toBe(false);
+  });
+});
+
+describe('formatJournalCSV', () => {
+  it('should write a header row and escape values', () => {
+    const entry = createJournalEntry({
+      status: 'completed',
+      question: 'Pick one: "A", "B"\nor C',
+      timestamp: Date.UTC(2026, 0, 2, 3, 4, 5)
+    });
+
+    const [header, row] = formatJournalCSV([entry]).split('\r\n');
+
+    expect(header).toBe(JOURNAL_FIELDS.join(','));
+    expect(row.startsWith('2026-01-02T03:04:05.000Z,completed,')).toBe(true);
+    expect(formatJournalCSV([entry])).toContain('"Pick one: ""A"", ""B""\nor C"');
+  });
+});
+
+describe('exportJournal', () => {
+  const entries = [createJournalEntry({ status: 'completed', question: 'Q1' })];
+
+  it('should export JSON by default', () => {
+    const file = exportJournal(entries);
+
+    expect(file.mimeType).toBe('application/json');
+    expect(file.filename).toMatch(/^quiz-solver-requests-\d{4}-\d{2}-\d{2}\.json$/);
+    expect(JSON.parse(file.content)).toEqual(entries);
+  });
+
+  it('should export CSV', () => {
+    const file = exportJournal(entries, 'csv');
+
+    expect(file.mimeType).toBe('text/csv');
+    expect(file.filename.endsWith('.csv')).toBe(true);
+    expect(file.content.split('\r\n')).toHaveLength(2);
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => exportJournal(entries, 'xml')).toThrow('Unknown export format: xml');
+  });
+});
+
+describe('RequestJournal', () => {
+  it('should do nothing until the database is open', async () => {
+    const journal = new RequestJournal();
+
+    await expect(journal.record({ status: 'completed', question: 'Q' })).resolves.toBeUndefined();
+    await expect(journal.query()).resolves.toEqual([]);
+  });
+
+  it('should not throw when a write fails', async () => {
+    const journal = new RequestJournal();
+    journal.db = { transaction: () => { throw new Error('QuotaExceededError'); } };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(journal.record({ status: 'completed', question: 'Q' })).resolves.toBeUndefined();
+    expect(console.warn).toHaveBeenCalledWith('Request journal write failed:', 'QuotaExceededError');
+    console.warn.mockRestore();
+  });
+});
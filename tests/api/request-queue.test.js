@@ -3,8 +3,10 @@
  * Tests request queuing and retry logic
  */
 
-import { RequestQueue } from '../../src/api/request-queue.js';
-import { APIError, TimeoutError } from '../../src/api/errors.js';
+import { RequestQueue, QUEUE_LANES, BATCH_CONFIG } from '../../src/api/request-queue.js';
+import { APIError, TimeoutError, RateLimitError, CircuitOpenError, CancelledError } from '../../src/api/errors.js';
+import { CircuitBreaker, CIRCUIT_STATES } from '../../src/api/circuit-breaker.js';
+import { AdaptivePerformance, PERFORMANCE_MODES } from '../../src/performance/adaptive.js';
 
 describe('RequestQueue', () => {
   let queue;
@@ -89,7 +91,10 @@ describe('RequestQueue', () => {
 
       const result = await queue.enqueue('What is 2+2?');
 
-      expect(result).toEqual(expectedResponse);
+      expect(result).toEqual({
+        ...expectedResponse,
+        answeredBy: { provider: null, model: null, fallbackIndex: 0 }
+      });
     });
 
     it('should pass context to API client', async () => {
@@ -97,7 +102,7 @@ describe('RequestQueue', () => {
 
       await queue.enqueue('What is 2+2?', context);
 
-      expect(mockApiClient.getAnswer).toHaveBeenCalledWith('What is 2+2?', context);
+      expect(mockApiClient.getAnswer).toHaveBeenCalledWith('What is 2+2?', context, {});
     });
   });
 
@@ -132,6 +137,237 @@ describe('RequestQueue', () => {
     });
   });
 
+  describe('priority lanes', () => {
+    it('should run higher lanes first, FIFO within a lane', async () => {
+      const callOrder = [];
+      mockApiClient.getAnswer.mockImplementation((question) => {
+        callOrder.push(question);
+        return Promise.resolve({ answer: 'Answer', confidence: 90 });
+      });
+      mockApiClient.getExplanation = jest.fn((question) => {
+        callOrder.push(`explain ${question}`);
+        return Promise.resolve({ answer: 'Because', explanation: 'Because' });
+      });
+
+      const promises = [
+        queue.enqueue('Q1'),
+        queue.enqueueExplanation('Q0', 'A'),
+        queue.enqueue('P1', null, {}, { priority: QUEUE_LANES.PREFETCH }),
+        queue.enqueue('P2', null, {}, { priority: QUEUE_LANES.PREFETCH }),
+        queue.enqueue('Q2')
+      ];
+      await Promise.all(promises);
+
+      expect(callOrder).toEqual(['Q1', 'Q2', 'P1', 'P2', 'explain Q0']);
+    });
+
+    it('should reject unknown lanes', async () => {
+      await expect(queue.enqueue('Q1', null, {}, { priority: 'urgent' })).rejects.toThrow('Unknown queue lane: urgent');
+    });
+
+    it('should record explanation usage under the explanation feature', async () => {
+      const usageTracker = { record: jest.fn() };
+      queue = new RequestQueue(mockRateLimiter, mockApiClient, { usageTracker });
+      mockApiClient.getExplanation = jest.fn().mockResolvedValue({
+        explanation: 'Because',
+        usage: { promptTokens: 10, outputTokens: 5, totalTokens: 15 }
+      });
+
+      const result = await queue.enqueueExplanation('Q?', 'A', { host: 'quiz.example.com' });
+
+      expect(result.explanation).toBe('Because');
+      expect(usageTracker.record).toHaveBeenCalledWith(expect.objectContaining({
+        feature: 'explanation',
+        host: 'quiz.example.com'
+      }));
+    });
+
+    it('should pass the quiz language to explanations', async () => {
+      mockApiClient.getExplanation = jest.fn().mockResolvedValue({ explanation: 'Parce que' });
+
+      await queue.enqueueExplanation('Q?', 'A', { language: 'fr' });
+
+      expect(mockApiClient.getExplanation).toHaveBeenCalledWith('Q?', 'A', { language: 'fr' });
+    });
+
+    it('should break queue stats down by lane', async () => {
+      mockApiClient.getAnswer.mockRejectedValueOnce(new APIError('Bad request', 400));
+
+      await expect(queue.enqueue('Q1', null, {}, { priority: QUEUE_LANES.PREFETCH })).rejects.toThrow();
+      await queue.enqueue('Q2');
+
+      const { lanes } = queue.getQueueStats();
+      expect(lanes.current).toEqual({ queued: 0, completed: 1, failed: 0, cancelled: 0 });
+      expect(lanes.prefetch).toEqual({ queued: 0, completed: 0, failed: 1, cancelled: 0 });
+      expect(lanes.explanation.completed).toBe(0);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should reject at once if the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(queue.enqueue('Q1', null, {}, { signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+      expect(mockApiClient.getAnswer).not.toHaveBeenCalled();
+    });
+
+    it('should drop a queued request when its signal is aborted', async () => {
+      const controller = new AbortController();
+
+      const first = queue.enqueue('Q1');
+      const second = queue.enqueue('Q2', null, {}, { signal: controller.signal });
+      controller.abort();
+
+      await expect(second).rejects.toBeInstanceOf(CancelledError);
+      await first;
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(1);
+      expect(queue.getQueueStats().lanes.current.cancelled).toBe(1);
+      expect(queue.logs.some(log => log.status === 'cancelled')).toBe(true);
+    });
+
+    it('should pass the signal to the API call and reject in-flight requests', async () => {
+      const controller = new AbortController();
+      let receivedSignal = null;
+      mockApiClient.getAnswer.mockImplementation((question, context, questionData) => {
+        receivedSignal = questionData.signal;
+        return new Promise(() => {});
+      });
+
+      const promise = queue.enqueue('Q1', null, { options: ['A', 'B'] }, { signal: controller.signal });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      controller.abort();
+
+      await expect(promise).rejects.toBeInstanceOf(CancelledError);
+      expect(receivedSignal).toBe(controller.signal);
+    });
+
+    it('should stop waiting for a rate limit window when aborted', async () => {
+      jest.useFakeTimers();
+      const controller = new AbortController();
+      mockRateLimiter.checkLimit.mockResolvedValue({ allowed: false, reason: 'Per-minute limit exceeded', retryAfter: 30000, scope: 'minute' });
+
+      const promise = queue.enqueue('Q1', null, {}, { signal: controller.signal });
+      const assertion = expect(promise).rejects.toBeInstanceOf(CancelledError);
+      await jest.advanceTimersByTimeAsync(1000);
+      controller.abort();
+      await assertion;
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(queue.isProcessing()).toBe(false);
+      expect(queue.getQueueStats().waitingUntil).toBeNull();
+      jest.useRealTimers();
+    });
+  });
+
+  describe('batching', () => {
+    const answered = (answer) => ({ answer, confidence: 90, optionIndex: -1, optionLetter: '' });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      mockApiClient.getAnswers = jest.fn(async (items) => ({
+        answers: items.map(item => answered(`batch ${item.question}`)),
+        usage: { promptTokens: 100, outputTokens: 20, totalTokens: 120 }
+      }));
+      queue = new RequestQueue(mockRateLimiter, mockApiClient, { batching: true });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should answer questions from the same page with one call', async () => {
+      const page = { batchKey: 'tab-1' };
+      const promises = ['Q1', 'Q2', 'Q3'].map(question => queue.enqueue(question, null, {}, page));
+
+      await jest.advanceTimersByTimeAsync(BATCH_CONFIG.window);
+      const results = await Promise.all(promises);
+
+      expect(mockApiClient.getAnswers).toHaveBeenCalledTimes(1);
+      expect(mockApiClient.getAnswers.mock.calls[0][0].map(item => item.question)).toEqual(['Q1', 'Q2', 'Q3']);
+      expect(mockApiClient.getAnswer).not.toHaveBeenCalled();
+      expect(results.map(result => result.answer)).toEqual(['batch Q1', 'batch Q2', 'batch Q3']);
+      expect(results[0]).toMatchObject({ batchSize: 3, answeredBy: { fallbackIndex: 0 } });
+      expect(mockRateLimiter.recordRequest).toHaveBeenCalledTimes(1);
+      expect(queue.getQueueStats().batching).toMatchObject({ batches: 1, batchedRequests: 3 });
+    });
+
+    it('should not mix questions from different pages', async () => {
+      const promises = [
+        queue.enqueue('Q1', null, {}, { batchKey: 'tab-1' }),
+        queue.enqueue('Q2', null, {}, { batchKey: 'tab-2' }),
+        queue.enqueue('Q3', null, {}, { batchKey: 'tab-1' })
+      ];
+
+      await jest.advanceTimersByTimeAsync(BATCH_CONFIG.window * 2);
+      await Promise.all(promises);
+
+      expect(mockApiClient.getAnswers).toHaveBeenCalledTimes(1);
+      expect(mockApiClient.getAnswers.mock.calls[0][0].map(item => item.question)).toEqual(['Q1', 'Q3']);
+      expect(mockApiClient.getAnswer).toHaveBeenCalledWith('Q2', null, {});
+    });
+
+    it('should cap the batch size', async () => {
+      queue = new RequestQueue(mockRateLimiter, mockApiClient, { batching: true, maxBatchSize: 2 });
+      const promises = ['Q1', 'Q2', 'Q3'].map(question => queue.enqueue(question, null, {}, { batchKey: 'tab-1' }));
+
+      // The leftover question waits a window of its own, then goes alone
+      await jest.advanceTimersByTimeAsync(BATCH_CONFIG.window * 2);
+      await Promise.all(promises);
+
+      expect(mockApiClient.getAnswers).toHaveBeenCalledTimes(1);
+      expect(mockApiClient.getAnswer).toHaveBeenCalledWith('Q3', null, {});
+    });
+
+    it('should answer unanswered items individually', async () => {
+      mockApiClient.getAnswers.mockResolvedValue({ answers: [answered('4'), null] });
+      const promises = ['Q1', 'Q2'].map(question => queue.enqueue(question, null, {}, { batchKey: 'tab-1' }));
+
+      await jest.advanceTimersByTimeAsync(BATCH_CONFIG.window);
+      const results = await Promise.all(promises);
+
+      expect(results[0].answer).toBe('4');
+      expect(results[1].answer).toBe('Test Answer');
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(1);
+      expect(queue.getQueueStats().batching.retriedIndividually).toBe(1);
+    });
+
+    it('should fall back to individual calls when the batch fails', async () => {
+      mockApiClient.getAnswers.mockRejectedValue(new APIError('Bad request', 400));
+      const promises = ['Q1', 'Q2'].map(question => queue.enqueue(question, null, {}, { batchKey: 'tab-1' }));
+
+      await jest.advanceTimersByTimeAsync(BATCH_CONFIG.window);
+      const results = await Promise.all(promises);
+
+      expect(results.map(result => result.answer)).toEqual(['Test Answer', 'Test Answer']);
+      expect(mockApiClient.getAnswer.mock.calls.map(call => call[0])).toEqual(['Q1', 'Q2']);
+    });
+
+    it('should reject every question when the quota is exhausted', async () => {
+      mockRateLimiter.checkLimit.mockResolvedValue({ allowed: false, reason: 'Daily limit exceeded', retryAfter: 1000, scope: 'day' });
+      const promises = ['Q1', 'Q2'].map(question => queue.enqueue(question, null, {}, { batchKey: 'tab-1' }));
+      const assertions = promises.map(promise => expect(promise).rejects.toBeInstanceOf(RateLimitError));
+
+      await jest.advanceTimersByTimeAsync(BATCH_CONFIG.window);
+      await Promise.all(assertions);
+      expect(mockApiClient.getAnswer).not.toHaveBeenCalled();
+    });
+
+    it('should send image questions on their own', async () => {
+      const images = [{ mimeType: 'image/png', data: 'abc' }];
+      const promises = [
+        queue.enqueue('Q1', null, { images }, { batchKey: 'tab-1' }),
+        queue.enqueue('Q2', null, {}, { batchKey: 'tab-1' })
+      ];
+
+      await jest.advanceTimersByTimeAsync(BATCH_CONFIG.window);
+      await Promise.all(promises);
+
+      expect(mockApiClient.getAnswers).not.toHaveBeenCalled();
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(2);
+    });
+  });
+
   describe('processQueue - rate limiting', () => {
     it('should check rate limit before processing', async () => {
       await queue.enqueue('What is 2+2?');
@@ -151,6 +387,14 @@ describe('RequestQueue', () => {
       expect(mockRateLimiter.recordRequest).toHaveBeenCalled();
     });
 
+    it('should record one request per self-consistency sample', async () => {
+      mockApiClient.getAnswer.mockResolvedValue({ answer: 'Paris', confidence: 90, sampleCount: 5 });
+
+      await queue.enqueue('Capital of France?');
+
+      expect(mockRateLimiter.recordRequest).toHaveBeenCalledTimes(5);
+    });
+
     it('should reject request if rate limit exceeded', async () => {
       mockRateLimiter.checkLimit.mockResolvedValue({
         allowed: false,
@@ -175,6 +419,113 @@ describe('RequestQueue', () => {
     });
   });
 
+  describe('processQueue - waiting for rate limits', () => {
+    const minuteLimit = (retryAfter) => ({
+      allowed: false,
+      reason: 'Per-minute limit exceeded (15/min)',
+      retryAfter,
+      scope: 'minute'
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should hold the request until the window opens', async () => {
+      mockRateLimiter.checkLimit
+        .mockResolvedValueOnce(minuteLimit(5000))
+        .mockResolvedValue({ allowed: true });
+
+      const promise = queue.enqueue('What is 2+2?');
+      await jest.advanceTimersByTimeAsync(4999);
+      expect(mockApiClient.getAnswer).not.toHaveBeenCalled();
+      expect(queue.getQueueStats().waitingUntil).toBeGreaterThan(Date.now());
+
+      await jest.advanceTimersByTimeAsync(1);
+      await expect(promise).resolves.toMatchObject({ answer: 'Test Answer' });
+      expect(queue.getQueueStats().waitingUntil).toBeNull();
+      expect(queue.logs.some(log => log.status === 'waiting')).toBe(true);
+    });
+
+    it('should report waiting status to the caller', async () => {
+      const onStatus = jest.fn();
+      mockRateLimiter.checkLimit
+        .mockResolvedValueOnce(minuteLimit(3000))
+        .mockResolvedValue({ allowed: true });
+
+      const promise = queue.enqueue('What is 2+2?', null, {}, { onStatus });
+      await jest.advanceTimersByTimeAsync(3000);
+      await promise;
+
+      expect(onStatus).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        state: 'waiting',
+        waitMs: 3000,
+        reason: 'Per-minute limit exceeded (15/min)'
+      }));
+      expect(onStatus).toHaveBeenNthCalledWith(2, { state: 'processing' });
+    });
+
+    it('should wait for the model that frees up soonest', async () => {
+      const fallbackClient = { getAnswer: jest.fn().mockResolvedValue({ answer: 'Fallback Answer', confidence: 80 }) };
+      const fallbackLimiter = {
+        checkLimit: jest.fn()
+          .mockResolvedValueOnce(minuteLimit(2000))
+          .mockResolvedValue({ allowed: true }),
+        waitForSlot: jest.fn().mockResolvedValue(undefined),
+        recordRequest: jest.fn().mockResolvedValue(undefined)
+      };
+      queue = new RequestQueue(mockRateLimiter, mockApiClient, {
+        fallbacks: [{ apiClient: fallbackClient, rateLimiter: fallbackLimiter }]
+      });
+      mockRateLimiter.checkLimit.mockResolvedValue({ allowed: false, reason: 'Daily limit exceeded', retryAfter: 3600000, scope: 'day' });
+
+      const promise = queue.enqueue('What is 2+2?');
+      await jest.advanceTimersByTimeAsync(2000);
+
+      await expect(promise).resolves.toMatchObject({ answer: 'Fallback Answer' });
+    });
+
+    it('should reject once the maximum wait is used up', async () => {
+      queue = new RequestQueue(mockRateLimiter, mockApiClient, { maxWait: 5000 });
+      mockRateLimiter.checkLimit.mockResolvedValue(minuteLimit(3000));
+
+      const promise = queue.enqueue('What is 2+2?');
+      const assertion = expect(promise).rejects.toThrow('waited too long for a free slot');
+      await jest.advanceTimersByTimeAsync(3000);
+
+      await assertion;
+      expect(mockApiClient.getAnswer).not.toHaveBeenCalled();
+    });
+
+    it('should reject when the wait would pass the request deadline', async () => {
+      mockRateLimiter.checkLimit.mockResolvedValue(minuteLimit(10000));
+
+      const promise = queue.enqueue('What is 2+2?', null, {}, { deadline: Date.now() + 5000 });
+
+      await expect(promise).rejects.toBeInstanceOf(RateLimitError);
+      await expect(promise).rejects.toThrow('would pass the request deadline');
+    });
+
+    it('should reject requests whose deadline passed while queued', async () => {
+      mockRateLimiter.checkLimit
+        .mockResolvedValueOnce(minuteLimit(5000))
+        .mockResolvedValue({ allowed: true });
+
+      const first = queue.enqueue('Q1');
+      const second = queue.enqueue('Q2', null, {}, { deadline: Date.now() + 1000 });
+      const assertion = expect(second).rejects.toThrow('Request deadline passed while queued');
+      await jest.advanceTimersByTimeAsync(5000);
+
+      await expect(first).resolves.toMatchObject({ answer: 'Test Answer' });
+      await assertion;
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('executeWithRetry - success', () => {
     it('should succeed on first attempt', async () => {
       const result = await queue.enqueue('What is 2+2?');
@@ -276,6 +627,57 @@ describe('RequestQueue', () => {
     });
   });
 
+  describe('executeWithRetry - server retry hints', () => {
+    beforeEach(() => {
+      mockRateLimiter.reportThrottle = jest.fn();
+      mockRateLimiter.reportSuccess = jest.fn();
+    });
+
+    it('should wait as long as the server asked before retrying', async () => {
+      jest.useFakeTimers();
+      mockApiClient.getAnswer
+        .mockRejectedValueOnce(new APIError('Rate limited', 429, '', 3000))
+        .mockResolvedValueOnce({ answer: 'Success', confidence: 90 });
+
+      const promise = queue.enqueue('What is 2+2?');
+      await jest.advanceTimersByTimeAsync(2999);
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(1);
+      await expect(promise).resolves.toMatchObject({ answer: 'Success' });
+      jest.useRealTimers();
+    });
+
+    it('should report throttling and success to the rate limiter', async () => {
+      mockApiClient.getAnswer
+        .mockRejectedValueOnce(new APIError('Unavailable', 503, '', 10))
+        .mockResolvedValueOnce({ answer: 'Success', confidence: 90 });
+
+      await queue.enqueue('What is 2+2?');
+
+      expect(mockRateLimiter.reportThrottle).toHaveBeenCalledWith(10);
+      expect(mockRateLimiter.reportSuccess).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not report other errors as throttling', async () => {
+      mockApiClient.getAnswer
+        .mockRejectedValueOnce(new APIError('Server error', 500, '', 10))
+        .mockResolvedValueOnce({ answer: 'Success', confidence: 90 });
+
+      await queue.enqueue('What is 2+2?');
+
+      expect(mockRateLimiter.reportThrottle).not.toHaveBeenCalled();
+    });
+
+    it('should fail instead of waiting longer than the maximum', async () => {
+      mockApiClient.getAnswer.mockRejectedValue(new APIError('Rate limited', 429, '', 60000));
+
+      await expect(queue.enqueue('What is 2+2?')).rejects.toMatchObject({ status: 429 });
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(1);
+      expect(mockRateLimiter.reportThrottle).toHaveBeenCalledWith(60000);
+    });
+  });
+
   describe('executeWithRetry - permanent errors', () => {
     it('should not retry on 400 (bad request)', async () => {
       mockApiClient.getAnswer.mockRejectedValue(
@@ -322,6 +724,156 @@ describe('RequestQueue', () => {
     });
   });
 
+  describe('model fallback', () => {
+    let fallbackLimiter;
+    let fallbackClient;
+
+    beforeEach(() => {
+      mockApiClient.getInfo = () => ({ name: 'gemini', model: 'gemini-2.5-flash' });
+      fallbackLimiter = {
+        checkLimit: jest.fn().mockResolvedValue({ allowed: true }),
+        waitForSlot: jest.fn().mockResolvedValue(undefined),
+        recordRequest: jest.fn().mockResolvedValue(undefined)
+      };
+      fallbackClient = {
+        name: 'openai-compatible',
+        model: 'llama3.1',
+        getAnswer: jest.fn().mockResolvedValue({ answer: 'Fallback Answer', confidence: 70 })
+      };
+      queue = new RequestQueue(mockRateLimiter, mockApiClient, {
+        fallbacks: [{ apiClient: fallbackClient, rateLimiter: fallbackLimiter }]
+      });
+    });
+
+    it('should record the primary model when it answers', async () => {
+      const result = await queue.enqueue('What is 2+2?');
+
+      expect(result.answeredBy).toEqual({ provider: 'gemini', model: 'gemini-2.5-flash', fallbackIndex: 0 });
+      expect(fallbackClient.getAnswer).not.toHaveBeenCalled();
+    });
+
+    it('should fall through on retryable errors without retrying the primary', async () => {
+      mockApiClient.getAnswer.mockRejectedValue(new APIError('API Error: 429', 429));
+
+      const result = await queue.enqueue('What is 2+2?');
+
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(1);
+      expect(result.answer).toBe('Fallback Answer');
+      expect(result.answeredBy).toEqual({ provider: 'openai-compatible', model: 'llama3.1', fallbackIndex: 1 });
+      expect(fallbackLimiter.recordRequest).toHaveBeenCalledTimes(1);
+      expect(mockRateLimiter.recordRequest).not.toHaveBeenCalled();
+      expect(queue.logs.some(log => log.status === 'fallback')).toBe(true);
+    });
+
+    it('should fall through when the primary quota is exhausted', async () => {
+      mockRateLimiter.checkLimit.mockResolvedValue({ allowed: false, reason: 'Daily limit exceeded (1500/day)' });
+
+      const result = await queue.enqueue('What is 2+2?');
+
+      expect(mockApiClient.getAnswer).not.toHaveBeenCalled();
+      expect(result.answeredBy.fallbackIndex).toBe(1);
+    });
+
+    it('should not fall through on permanent errors', async () => {
+      mockApiClient.getAnswer.mockRejectedValue(new APIError('API Error: 400', 400));
+
+      await expect(queue.enqueue('What is 2+2?')).rejects.toMatchObject({ status: 400 });
+      expect(fallbackClient.getAnswer).not.toHaveBeenCalled();
+    });
+
+    it('should skip fallbacks without a rate limiter check when unlimited', async () => {
+      queue = new RequestQueue(mockRateLimiter, mockApiClient, {
+        fallbacks: [{ apiClient: fallbackClient, rateLimiter: null }]
+      });
+      mockRateLimiter.checkLimit.mockResolvedValue({ allowed: false, reason: 'Per-minute limit exceeded' });
+
+      const result = await queue.enqueue('What is 2+2?');
+
+      expect(result.answer).toBe('Fallback Answer');
+    });
+
+    it('should reject with RateLimitError when every model is over its daily quota', async () => {
+      mockRateLimiter.checkLimit.mockResolvedValue({ allowed: false, reason: 'Daily limit exceeded', retryAfter: 1000, scope: 'day' });
+      fallbackLimiter.checkLimit.mockResolvedValue({ allowed: false, reason: 'Daily limit exceeded', retryAfter: 5000, scope: 'day' });
+
+      const promise = queue.enqueue('What is 2+2?');
+
+      await expect(promise).rejects.toBeInstanceOf(RateLimitError);
+      await expect(promise).rejects.toMatchObject({ message: 'Daily limit exceeded', retryAfter: 5000 });
+      expect(queue.logs.filter(log => log.status === 'rate-limit')).toHaveLength(2);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    let circuitBreaker;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mockApiClient.getInfo = () => ({ name: 'gemini', model: 'gemini-2.5-flash' });
+      circuitBreaker = new CircuitBreaker({ failureThreshold: 2, cooldown: 30000 });
+      queue = new RequestQueue(mockRateLimiter, mockApiClient, { circuitBreaker });
+      queue.getRetryDelay = () => 0;
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('should stop retrying once the circuit opens', async () => {
+      mockApiClient.getAnswer.mockRejectedValue(new APIError('API Error: 503', 503));
+
+      await expect(queue.enqueue('What is 2+2?')).rejects.toMatchObject({ status: 503 });
+
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(2);
+      expect(circuitBreaker.state).toBe(CIRCUIT_STATES.OPEN);
+    });
+
+    it('should reject without calling the provider while the circuit is open', async () => {
+      circuitBreaker.recordFailure(new TimeoutError('Request timed out'));
+      circuitBreaker.recordFailure(new TimeoutError('Request timed out'));
+
+      const promise = queue.enqueue('What is 2+2?');
+
+      await expect(promise).rejects.toBeInstanceOf(CircuitOpenError);
+      await expect(promise).rejects.toThrow('gemini gemini-2.5-flash: Provider unavailable after 2 consecutive failures');
+      expect(mockApiClient.getAnswer).not.toHaveBeenCalled();
+      expect(mockRateLimiter.waitForSlot).not.toHaveBeenCalled();
+      expect(queue.logs.filter(log => log.status === 'circuit-open')).toHaveLength(1);
+    });
+
+    it('should fall through to a fallback while the primary circuit is open', async () => {
+      const fallbackClient = {
+        name: 'openai-compatible',
+        model: 'llama3.1',
+        getAnswer: jest.fn().mockResolvedValue({ answer: 'Fallback Answer', confidence: 70 })
+      };
+      queue = new RequestQueue(mockRateLimiter, mockApiClient, {
+        circuitBreaker,
+        fallbacks: [{ apiClient: fallbackClient, rateLimiter: null, circuitBreaker: new CircuitBreaker() }]
+      });
+      circuitBreaker.recordFailure(new APIError('Network error', 0));
+      circuitBreaker.recordFailure(new APIError('Network error', 0));
+
+      const result = await queue.enqueue('What is 2+2?');
+
+      expect(result.answeredBy.fallbackIndex).toBe(1);
+      expect(mockApiClient.getAnswer).not.toHaveBeenCalled();
+    });
+
+    it('should report each model\'s circuit state', () => {
+      circuitBreaker.recordFailure(new APIError('API Error: 500', 500));
+
+      expect(queue.getCircuitStates()).toEqual([{
+        provider: 'gemini',
+        model: 'gemini-2.5-flash',
+        state: CIRCUIT_STATES.CLOSED,
+        consecutiveFailures: 1,
+        lastError: 'API Error: 500',
+        retryAfter: null
+      }]);
+    });
+  });
+
   describe('isRetryable', () => {
     it('should return true for timeout error', () => {
       const error = new TimeoutError('Timeout');
@@ -413,6 +965,98 @@ describe('RequestQueue', () => {
     });
   });
 
+  describe('usage accounting', () => {
+    const usage = { promptTokens: 40, outputTokens: 10, totalTokens: 50 };
+
+    it('should record usage with the model, host and feature', async () => {
+      const usageTracker = { record: jest.fn() };
+      mockApiClient.getAnswer.mockResolvedValue({ answer: '4', confidence: 90, usage });
+      mockApiClient.getInfo = () => ({ name: 'gemini', model: 'gemini-2.5-flash' });
+      queue = new RequestQueue(mockRateLimiter, mockApiClient, { usageTracker });
+
+      await queue.enqueue('What is 2+2?', null, { host: 'quiz.example.com' });
+
+      expect(usageTracker.record).toHaveBeenCalledWith({
+        usage,
+        model: 'gemini-2.5-flash',
+        host: 'quiz.example.com',
+        feature: 'answer'
+      });
+      expect(queue.logs[0].usage).toEqual(usage);
+    });
+
+    it('should skip responses without usage', async () => {
+      const usageTracker = { record: jest.fn() };
+      queue = new RequestQueue(mockRateLimiter, mockApiClient, { usageTracker });
+
+      await queue.enqueue('What is 2+2?');
+
+      expect(usageTracker.record).not.toHaveBeenCalled();
+      expect(queue.logs[0].usage).toBeNull();
+    });
+  });
+
+  describe('request journal', () => {
+    let journal;
+
+    beforeEach(() => {
+      journal = { record: jest.fn() };
+      mockApiClient.getInfo = () => ({ name: 'gemini', model: 'gemini-2.5-flash' });
+      queue = new RequestQueue(mockRateLimiter, mockApiClient, { journal });
+      queue.getRetryDelay = () => 0;
+    });
+
+    it('should journal a completed request with its model, tokens and retries', async () => {
+      const usage = { promptTokens: 40, outputTokens: 10, totalTokens: 50 };
+      mockApiClient.getAnswer
+        .mockRejectedValueOnce(new TimeoutError('Request timed out'))
+        .mockResolvedValueOnce({ answer: '4', confidence: 90, usage });
+
+      await queue.enqueue('What is 2+2?', null, { host: 'quiz.example.com' });
+
+      expect(journal.record).toHaveBeenCalledTimes(1);
+      expect(journal.record.mock.calls[0][0]).toMatchObject({
+        status: 'completed',
+        source: 'api',
+        feature: 'answer',
+        lane: QUEUE_LANES.CURRENT,
+        host: 'quiz.example.com',
+        provider: 'gemini',
+        model: 'gemini-2.5-flash',
+        fallbackIndex: 0,
+        usage,
+        retries: 1,
+        error: null,
+        question: 'What is 2+2?'
+      });
+    });
+
+    it('should journal a failed request with the model that failed', async () => {
+      const error = new APIError('API Error: 400', 400);
+      mockApiClient.getAnswer.mockRejectedValue(error);
+
+      await expect(queue.enqueue('What is 2+2?')).rejects.toBe(error);
+
+      expect(journal.record.mock.calls[0][0]).toMatchObject({
+        status: 'failed',
+        provider: 'gemini',
+        model: 'gemini-2.5-flash',
+        retries: 0,
+        error
+      });
+    });
+
+    it('should journal a cancelled request', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(queue.enqueue('What is 2+2?', null, {}, { signal: controller.signal }))
+        .rejects.toBeInstanceOf(CancelledError);
+
+      expect(journal.record.mock.calls[0][0]).toMatchObject({ status: 'cancelled', provider: null });
+    });
+  });
+
   describe('getLogs', () => {
     it('should return copy of logs', async () => {
       await queue.enqueue('What is 2+2?');
@@ -564,4 +1208,49 @@ describe('RequestQueue', () => {
       expect(queue.logs.every(log => log.status === 'success')).toBe(true);
     });
   });
+
+  describe('self-consistency', () => {
+    let adaptive;
+
+    beforeEach(() => {
+      adaptive = new AdaptivePerformance();
+      adaptive.mode = PERFORMANCE_MODES.ACCURACY_MODE;
+      adaptive.setSelfConsistency(true, 5);
+
+      mockRateLimiter.getStats = jest.fn().mockReturnValue({ minuteRemaining: 10, dailyRemaining: 100 });
+      [1, 0, 1, 1, 0].forEach(optionIndex => {
+        mockApiClient.getAnswer.mockResolvedValueOnce({
+          answer: ['Paris', 'London'][optionIndex === 1 ? 0 : 1],
+          optionIndex,
+          confidence: 80
+        });
+      });
+
+      queue = new RequestQueue(mockRateLimiter, mockApiClient, { adaptive });
+    });
+
+    it('should sample N answers in ACCURACY_MODE and report the vote distribution', async () => {
+      const result = await queue.enqueue('Capital of France?', null, { options: ['London', 'Paris'] });
+
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(5);
+      expect(result.sampleCount).toBe(5);
+      expect(result.optionIndex).toBe(1);
+      expect(result.votes.distribution).toEqual([
+        expect.objectContaining({ optionIndex: 1, count: 3 }),
+        expect.objectContaining({ optionIndex: 0, count: 2 })
+      ]);
+      // Each sample counts against the limiter
+      expect(mockRateLimiter.recordRequest).toHaveBeenCalledTimes(5);
+    });
+
+    it('should make a single call in SPEED_MODE', async () => {
+      adaptive.mode = PERFORMANCE_MODES.SPEED_MODE;
+
+      const result = await queue.enqueue('Capital of France?', null, { options: ['London', 'Paris'] });
+
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(1);
+      expect(result.votes).toBeUndefined();
+      expect(mockRateLimiter.recordRequest).toHaveBeenCalledTimes(1);
+    });
+  });
 });
@@ -0,0 +1,209 @@
+/**
+ * Self-Consistency Voting Tests
+ * Tests sampling, majority voting, quota budgeting and fallback
+ */
+
+import { SelfConsistencyVoter, SELF_CONSISTENCY_CONFIG } from '../../src/api/self-consistency.js';
+import { APIError } from '../../src/api/errors.js';
+import { ApiKeyPool } from '../../src/api/key-pool.js';
+
+function sample(optionIndex, confidence = 80) {
+  return {
+    answer: ['London', 'Paris', 'Berlin'][optionIndex],
+    optionIndex,
+    optionLetter: 'ABC'[optionIndex],
+    confidence,
+    confidenceSignals: { selfReported: confidence, avgLogprob: null, optionMatches: 1 }
+  };
+}
+
+describe('SelfConsistencyVoter', () => {
+  let voter;
+  let mockApiClient;
+  let mockRateLimiter;
+  let mockAdaptive;
+
+  beforeEach(() => {
+    mockApiClient = {
+      getAnswer: jest.fn().mockResolvedValue(sample(1)),
+      getExplanation: jest.fn().mockResolvedValue({ explanation: 'Because.' })
+    };
+
+    mockRateLimiter = {
+      getStats: jest.fn().mockReturnValue({ minuteRemaining: 15, dailyRemaining: 1500 })
+    };
+
+    mockAdaptive = {
+      getConfig: jest.fn().mockReturnValue({ selfConsistency: { enabled: true, samples: 5 } })
+    };
+
+    voter = new SelfConsistencyVoter(mockApiClient, mockRateLimiter, { adaptive: mockAdaptive });
+  });
+
+  describe('constructor', () => {
+    it('should require API client and rate limiter', () => {
+      expect(() => new SelfConsistencyVoter(null, mockRateLimiter)).toThrow('API client instance is required');
+      expect(() => new SelfConsistencyVoter(mockApiClient, null)).toThrow('Rate limiter instance is required');
+    });
+  });
+
+  describe('getAnswer', () => {
+    it('should sample N answers with varied temperature and phrasing', async () => {
+      await voter.getAnswer('Capital of France?', null, { options: ['London', 'Paris', 'Berlin'] });
+
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(5);
+      const samplings = mockApiClient.getAnswer.mock.calls.map(call => call[2].sampling);
+      expect(samplings.map(s => s.variant)).toEqual([0, 1, 2, 3, 4]);
+      expect(samplings.map(s => s.temperature)).toEqual(SELF_CONSISTENCY_CONFIG.temperatures);
+      expect(mockApiClient.getAnswer.mock.calls[0][2].options).toEqual(['London', 'Paris', 'Berlin']);
+    });
+
+    it('should return the majority answer with vote distribution', async () => {
+      mockApiClient.getAnswer
+        .mockResolvedValueOnce(sample(1))
+        .mockResolvedValueOnce(sample(0))
+        .mockResolvedValueOnce(sample(1))
+        .mockResolvedValueOnce(sample(2))
+        .mockResolvedValueOnce(sample(1));
+
+      const result = await voter.getAnswer('Capital of France?');
+
+      expect(result.answer).toBe('Paris');
+      expect(result.sampleCount).toBe(5);
+      expect(result.votes.agreement).toBe(0.6);
+      expect(result.votes.distribution[0]).toEqual({ answer: 'Paris', optionIndex: 1, optionLetter: 'B', count: 3 });
+      expect(result.votes.distribution).toHaveLength(3);
+    });
+
+    it('should break ties by summed confidence', async () => {
+      voter = new SelfConsistencyVoter(mockApiClient, mockRateLimiter, { samples: 4 });
+      mockApiClient.getAnswer
+        .mockResolvedValueOnce(sample(0, 60))
+        .mockResolvedValueOnce(sample(2, 90))
+        .mockResolvedValueOnce(sample(0, 60))
+        .mockResolvedValueOnce(sample(2, 95));
+
+      const result = await voter.getAnswer('Q?');
+
+      expect(result.optionIndex).toBe(2);
+      expect(result.confidence).toBeDefined();
+    });
+
+    it('should group free-text answers by normalized text', async () => {
+      voter = new SelfConsistencyVoter(mockApiClient, mockRateLimiter, { samples: 3 });
+      mockApiClient.getAnswer
+        .mockResolvedValueOnce({ answer: 'Photosynthesis.', optionIndex: -1, confidence: 70 })
+        .mockResolvedValueOnce({ answer: 'photosynthesis', optionIndex: -1, confidence: 80 })
+        .mockResolvedValueOnce({ answer: 'Respiration', optionIndex: -1, confidence: 90 });
+
+      const result = await voter.getAnswer('Q?');
+
+      expect(result.answer).toBe('photosynthesis');
+      expect(result.votes.distribution[0].count).toBe(2);
+    });
+
+    it('should lower confidence when samples disagree', async () => {
+      const unanimous = await voter.getAnswer('Q?');
+
+      mockApiClient.getAnswer
+        .mockResolvedValueOnce(sample(1))
+        .mockResolvedValueOnce(sample(0))
+        .mockResolvedValueOnce(sample(1))
+        .mockResolvedValueOnce(sample(2))
+        .mockResolvedValueOnce(sample(0));
+      const split = await voter.getAnswer('Q?');
+
+      expect(split.confidence).toBeLessThan(unanimous.confidence);
+    });
+
+    it('should vote over successful samples when some fail', async () => {
+      mockApiClient.getAnswer
+        .mockRejectedValueOnce(new APIError('API Error: 503', 503))
+        .mockResolvedValue(sample(1));
+
+      const result = await voter.getAnswer('Q?');
+
+      expect(result.votes.validSamples).toBe(4);
+      expect(result.sampleCount).toBe(5);
+    });
+
+    it('should throw when every sample fails', async () => {
+      mockApiClient.getAnswer.mockRejectedValue(new APIError('API Error: 500', 500));
+
+      await expect(voter.getAnswer('Q?')).rejects.toThrow('API Error: 500');
+    });
+  });
+
+  describe('token usage', () => {
+    it('should add up the usage of every sample', async () => {
+      mockApiClient.getAnswer.mockResolvedValue({
+        ...sample(1),
+        usage: { promptTokens: 100, outputTokens: 20, totalTokens: 120 }
+      });
+
+      const result = await voter.getAnswer('Capital of France?');
+
+      expect(result.usage).toEqual({ promptTokens: 500, outputTokens: 100, totalTokens: 600 });
+    });
+
+    it('should leave usage unset when providers do not report it', async () => {
+      const result = await voter.getAnswer('Capital of France?');
+
+      expect(result.usage).toBeUndefined();
+    });
+  });
+
+  describe('quota handling', () => {
+    it('should cap samples at remaining per-minute quota', async () => {
+      mockRateLimiter.getStats.mockReturnValue({ minuteRemaining: 3, dailyRemaining: 1500 });
+
+      const result = await voter.getAnswer('Q?');
+
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(3);
+      expect(result.sampleCount).toBe(3);
+    });
+
+    it('should fall back to a single call when quota is low', async () => {
+      mockRateLimiter.getStats.mockReturnValue({ minuteRemaining: 15, dailyRemaining: 2 });
+
+      const result = await voter.getAnswer('Q?');
+
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(1);
+      expect(mockApiClient.getAnswer.mock.calls[0][2].sampling).toBeUndefined();
+      expect(result.sampleCount).toBe(1);
+      expect(result.votes).toBeNull();
+    });
+
+    it('should budget against the current key of a key pool', async () => {
+      const pool = new ApiKeyPool(['key-aaaa', 'key-bbbb']);
+      for (let i = 0; i < 12; i++) {
+        await pool.recordRequest();
+      }
+      voter = new SelfConsistencyVoter(mockApiClient, pool, { adaptive: mockAdaptive });
+
+      const result = await voter.getAnswer('Q?');
+
+      expect(pool.getStats().minuteRemaining).toBe(18);
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(3);
+      expect(result.sampleCount).toBe(3);
+    });
+
+    it('should make a single call when voting is disabled', async () => {
+      mockAdaptive.getConfig.mockReturnValue({ selfConsistency: { enabled: false, samples: 1 } });
+
+      await voter.getAnswer('Q?');
+
+      expect(mockApiClient.getAnswer).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getExplanation', () => {
+    it('should delegate to the provider', async () => {
+      const signal = new AbortController().signal;
+      const result = await voter.getExplanation('Q?', 'A', { signal });
+
+      expect(mockApiClient.getExplanation).toHaveBeenCalledWith('Q?', 'A', { signal });
+      expect(result.explanation).toBe('Because.');
+    });
+  });
+});
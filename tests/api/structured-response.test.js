@@ -0,0 +1,218 @@
+/**
+ * Structured Response Tests
+ * Tests JSON answer parsing, repair, normalization and validation
+ */
+
+import {
+  ANSWER_SCHEMA,
+  normalizeOptions,
+  formatOptions,
+  repairJSON,
+  parseJsonPayload,
+  normalizeStructuredAnswer,
+  validateStructuredAnswer,
+  parseStructuredAnswer,
+  parseBatchAnswers,
+  extractPartialAnswer
+} from '../../src/api/structured-response.js';
+import { ParseError } from '../../src/api/errors.js';
+
+const OPTIONS = ['London', 'Paris', 'Berlin', 'Madrid'];
+
+describe('structured responses', () => {
+  describe('ANSWER_SCHEMA', () => {
+    it('should require all answer fields', () => {
+      expect(ANSWER_SCHEMA.required).toEqual(['optionIndex', 'optionLetter', 'answer', 'rationale', 'confidence']);
+    });
+  });
+
+  describe('normalizeOptions', () => {
+    it('should accept strings and OptionElement objects', () => {
+      expect(normalizeOptions(['  A ', { text: 'B' }, { text: '' }, null])).toEqual(['A', 'B']);
+    });
+
+    it('should return empty array for non-arrays', () => {
+      expect(normalizeOptions(undefined)).toEqual([]);
+    });
+  });
+
+  describe('formatOptions', () => {
+    it('should letter options', () => {
+      expect(formatOptions(['London', 'Paris'])).toBe('A. London\nB. Paris');
+    });
+  });
+
+  describe('repairJSON', () => {
+    it('should strip code fences and surrounding prose', () => {
+      const repaired = repairJSON('Here you go:\n```json\n{"answer": "Paris"}\n```');
+      expect(JSON.parse(repaired)).toEqual({ answer: 'Paris' });
+    });
+
+    it('should remove trailing commas', () => {
+      expect(JSON.parse(repairJSON('{"a": 1, "b": [1, 2,],}'))).toEqual({ a: 1, b: [1, 2] });
+    });
+
+    it('should quote unquoted keys and single-quoted strings', () => {
+      expect(JSON.parse(repairJSON('{answer: \'Paris\', confidence: 90}'))).toEqual({ answer: 'Paris', confidence: 90 });
+    });
+
+    it('should leave key-like text inside string values alone', () => {
+      expect(JSON.parse(repairJSON('{"answer": "Ratio, x: y", confidence: 90}'))).toEqual({ answer: 'Ratio, x: y', confidence: 90 });
+      expect(JSON.parse(repairJSON('{answer: \'Ratio, x: y\'}'))).toEqual({ answer: 'Ratio, x: y' });
+    });
+
+    it('should replace smart quotes', () => {
+      expect(JSON.parse(repairJSON('{“answer”: “Paris”}'))).toEqual({ answer: 'Paris' });
+    });
+  });
+
+  describe('parseJsonPayload', () => {
+    it('should parse valid JSON as is', () => {
+      expect(parseJsonPayload('{"answers": []}')).toEqual({ answers: [] });
+    });
+
+    it('should repair JSON that does not parse', () => {
+      expect(parseJsonPayload('```json\n{answer: \'Paris\',}\n```')).toEqual({ answer: 'Paris' });
+    });
+
+    it('should throw ParseError when repair does not help', () => {
+      expect(() => parseJsonPayload('not json')).toThrow(ParseError);
+    });
+  });
+
+  describe('normalizeStructuredAnswer', () => {
+    it('should derive index from letter', () => {
+      const result = normalizeStructuredAnswer({ optionLetter: 'c', answer: 'Berlin' }, OPTIONS);
+      expect(result.optionIndex).toBe(2);
+      expect(result.optionLetter).toBe('C');
+    });
+
+    it('should derive index from matching answer text', () => {
+      const result = normalizeStructuredAnswer({ answer: 'paris' }, OPTIONS);
+      expect(result.optionIndex).toBe(1);
+      expect(result.optionLetter).toBe('B');
+    });
+
+    it('should coerce numeric strings', () => {
+      const result = normalizeStructuredAnswer({ optionIndex: '3', confidence: '75%', answer: 'Madrid' }, OPTIONS);
+      expect(result.optionIndex).toBe(3);
+      expect(result.confidence).toBe(75);
+    });
+
+    it('should clear option fields when there are no options', () => {
+      const result = normalizeStructuredAnswer({ optionIndex: 2, optionLetter: 'C', answer: 'x' }, []);
+      expect(result.optionIndex).toBe(-1);
+      expect(result.optionLetter).toBe('');
+    });
+  });
+
+  describe('validateStructuredAnswer', () => {
+    it('should accept a valid answer', () => {
+      expect(validateStructuredAnswer({ optionIndex: 1, answer: 'Paris', confidence: 90, rationale: '' }, 4)).toEqual([]);
+    });
+
+    it('should reject non-objects', () => {
+      expect(validateStructuredAnswer('Paris', 4)).toEqual(['response must be a JSON object']);
+    });
+
+    it('should report every invalid field', () => {
+      const errors = validateStructuredAnswer({ optionIndex: 7, answer: '', confidence: 150, rationale: 3 }, 4);
+
+      expect(errors).toHaveLength(4);
+      expect(errors).toContain('optionIndex must be an integer between 0 and 3');
+    });
+  });
+
+  describe('parseStructuredAnswer', () => {
+    it('should parse a valid JSON answer', () => {
+      const text = JSON.stringify({ optionIndex: 1, optionLetter: 'B', answer: 'Paris', rationale: 'Capital.', confidence: 88.6 });
+
+      expect(parseStructuredAnswer(text, OPTIONS)).toEqual({
+        answer: 'Paris',
+        confidence: 89,
+        optionIndex: 1,
+        optionLetter: 'B',
+        rationale: 'Capital.',
+        explanation: null,
+        error: null
+      });
+    });
+
+    it('should repair malformed JSON', () => {
+      const result = parseStructuredAnswer('```json\n{"optionLetter": "D", "answer": "Madrid", "confidence": 60,}\n```', OPTIONS);
+
+      expect(result.optionIndex).toBe(3);
+    });
+
+    it('should throw ParseError with raw text for unparseable output', () => {
+      try {
+        parseStructuredAnswer('The answer is Paris', OPTIONS);
+        throw new Error('should have thrown');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ParseError);
+        expect(error.rawText).toBe('The answer is Paris');
+        expect(error.message).toBe('Response is not valid JSON');
+      }
+    });
+
+    it('should throw ParseError when validation fails', () => {
+      const text = JSON.stringify({ answer: 'Rome', confidence: 50 });
+
+      expect(() => parseStructuredAnswer(text, OPTIONS)).toThrow('Response failed schema validation');
+    });
+  });
+
+  describe('parseBatchAnswers', () => {
+    const answer = (id, fields) => ({ id, optionIndex: -1, optionLetter: '', answer: 'x', rationale: '', confidence: 80, ...fields });
+
+    it('should split the answers back by question id', () => {
+      const text = JSON.stringify({ answers: [answer(1, { answer: '4' }), answer(0, { optionIndex: 1, answer: 'Paris' })] });
+
+      const results = parseBatchAnswers(text, [OPTIONS, []]);
+
+      expect(results[0]).toMatchObject({ answer: 'Paris', optionIndex: 1, optionLetter: 'B' });
+      expect(results[1]).toMatchObject({ answer: '4', optionIndex: -1 });
+    });
+
+    it('should leave missing, invalid and unknown answers unanswered', () => {
+      const text = JSON.stringify({
+        answers: [answer(0, { optionIndex: 9 }), answer(5), answer(1, { confidence: 'high' })]
+      });
+
+      expect(parseBatchAnswers(text, [OPTIONS, [], []])).toEqual([null, null, null]);
+    });
+
+    it('should keep the first answer when a question is answered twice', () => {
+      const text = JSON.stringify({ answers: [answer(0, { answer: 'first' }), answer(0, { answer: 'second' })] });
+
+      expect(parseBatchAnswers(text, [[]])[0].answer).toBe('first');
+    });
+
+    it('should repair malformed JSON like single answers', () => {
+      const text = `Sure:\n\`\`\`json\n{answers: [${JSON.stringify(answer(0, { answer: 'Paris', optionIndex: 1 }))},]}\n\`\`\``;
+
+      expect(parseBatchAnswers(text, [OPTIONS])[0]).toMatchObject({ answer: 'Paris', optionLetter: 'B' });
+    });
+
+    it('should throw ParseError without an answers array', () => {
+      expect(() => parseBatchAnswers('{"answer": "Paris"}', [[]])).toThrow(ParseError);
+      expect(() => parseBatchAnswers('not json', [[]])).toThrow('Response is not valid JSON');
+    });
+  });
+
+  describe('extractPartialAnswer', () => {
+    it('should return the answer text received so far', () => {
+      expect(extractPartialAnswer('{"optionIndex": 1, "optionLetter": "B", "answer": "Par')).toBe('Par');
+      expect(extractPartialAnswer('{"optionIndex": 1, "answer": "Paris", "rationale": "')).toBe('Paris');
+    });
+
+    it('should return empty text before the answer field starts', () => {
+      expect(extractPartialAnswer('{"optionIndex": 1, "optionLet')).toBe('');
+      expect(extractPartialAnswer('')).toBe('');
+    });
+
+    it('should unescape complete escapes and drop a dangling backslash', () => {
+      expect(extractPartialAnswer('{"answer": "say \\"hi\\" \\')).toBe('say "hi" ');
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Usage Tracker Tests
+ * Tests token aggregation, cost estimates, retention and persistence
+ */
+
+import {
+  UsageTracker,
+  USAGE_CONFIG,
+  MODEL_PRICING,
+  estimateCost,
+  sumUsage
+} from '../../src/api/usage-tracker.js';
+
+const USAGE = { promptTokens: 1000, outputTokens: 200, totalTokens: 1200 };
+
+describe('sumUsage', () => {
+  it('should add up reported usage and skip missing entries', () => {
+    expect(sumUsage([USAGE, null, USAGE])).toEqual({ promptTokens: 2000, outputTokens: 400, totalTokens: 2400 });
+  });
+
+  it('should return null when nothing was reported', () => {
+    expect(sumUsage([null, undefined])).toBeNull();
+  });
+});
+
+describe('estimateCost', () => {
+  it('should price prompt and output tokens separately', () => {
+    const price = MODEL_PRICING['gemini-2.5-flash'];
+    const expected = (1000 * price.input + 200 * price.output) / 1e6;
+
+    expect(estimateCost(USAGE, 'gemini-2.5-flash')).toBeCloseTo(expected, 10);
+  });
+
+  it('should treat unknown models as free', () => {
+    expect(estimateCost(USAGE, 'llama3.1')).toBe(0);
+    expect(estimateCost(USAGE, null)).toBe(0);
+  });
+});
+
+describe('UsageTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    delete global.chrome;
+    jest.useFakeTimers();
+    tracker = new UsageTracker();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.chrome;
+  });
+
+  describe('record', () => {
+    it('should aggregate by day, host and feature', () => {
+      tracker.record({ usage: USAGE, model: 'gemini-2.5-flash', host: 'quiz.example.com', feature: 'answer' });
+      tracker.record({ usage: USAGE, model: 'gemini-2.5-flash', host: 'quiz.example.com', feature: 'explanation' });
+      tracker.record({ usage: USAGE, model: 'llama3.1', host: 'other.example.com', feature: 'answer' });
+
+      const stats = tracker.getStats();
+
+      expect(stats.totals).toMatchObject({ requests: 3, promptTokens: 3000, outputTokens: 600, totalTokens: 3600 });
+      expect(stats.today.totalTokens).toBe(3600);
+      expect(stats.byDay).toHaveLength(1);
+      expect(stats.byHost.map(entry => [entry.host, entry.totalTokens])).toEqual([
+        ['quiz.example.com', 2400],
+        ['other.example.com', 1200]
+      ]);
+      expect(stats.byFeature.answer.requests).toBe(2);
+      expect(stats.byFeature.explanation.requests).toBe(1);
+      expect(stats.byHost[1].cost).toBe(0);
+      expect(stats.totals.cost).toBeCloseTo(2 * estimateCost(USAGE, 'gemini-2.5-flash'), 10);
+    });
+
+    it('should ignore calls without usage', () => {
+      tracker.record({ usage: null, host: 'quiz.example.com' });
+
+      expect(tracker.getStats().totals.requests).toBe(0);
+    });
+
+    it('should default host and feature', () => {
+      tracker.record({ usage: USAGE });
+
+      const stats = tracker.getStats();
+      expect(stats.byHost[0].host).toBe('unknown');
+      expect(stats.byFeature.answer.totalTokens).toBe(1200);
+    });
+  });
+
+  describe('getStats', () => {
+    it('should limit results to the most recent days', () => {
+      tracker.record({ usage: USAGE, timestamp: new Date(2026, 0, 1, 12).getTime() });
+      tracker.record({ usage: USAGE, timestamp: new Date(2026, 0, 2, 12).getTime() });
+      tracker.record({ usage: USAGE, timestamp: new Date(2026, 0, 3, 12).getTime() });
+
+      const stats = tracker.getStats({ days: 2 });
+
+      expect(stats.byDay.map(entry => entry.day)).toEqual(['2026-01-02', '2026-01-03']);
+      expect(stats.totals.requests).toBe(2);
+    });
+  });
+
+  describe('retention', () => {
+    it('should drop days beyond the retention period', () => {
+      tracker = new UsageTracker({ retentionDays: 2 });
+
+      [1, 2, 3].forEach(day => {
+        tracker.record({ usage: USAGE, timestamp: new Date(2026, 0, day, 12).getTime() });
+      });
+
+      expect(Object.keys(tracker.days)).toEqual(['2026-01-02', '2026-01-03']);
+    });
+  });
+
+  describe('persistence', () => {
+    beforeEach(() => {
+      global.chrome = {
+        storage: {
+          local: {
+            get: jest.fn((keys, callback) => callback({})),
+            set: jest.fn().mockResolvedValue(undefined)
+          }
+        }
+      };
+    });
+
+    it('should batch saves after recording', () => {
+      tracker.record({ usage: USAGE });
+      tracker.record({ usage: USAGE });
+
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(USAGE_CONFIG.saveDelay);
+
+      expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+      const saved = chrome.storage.local.set.mock.calls[0][0][USAGE_CONFIG.storageKey];
+      expect(Object.values(saved.days)[0].totals.requests).toBe(2);
+    });
+
+    it('should merge stored usage with calls recorded before loading', async () => {
+      const stored = new UsageTracker();
+      stored.record({ usage: USAGE, host: 'quiz.example.com' });
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({
+        [USAGE_CONFIG.storageKey]: { days: JSON.parse(JSON.stringify(stored.days)) }
+      }));
+
+      tracker.record({ usage: USAGE, host: 'quiz.example.com' });
+      await tracker.load();
+
+      const stats = tracker.getStats();
+      expect(stats.totals.requests).toBe(2);
+      expect(stats.byHost[0]).toMatchObject({ host: 'quiz.example.com', totalTokens: 2400 });
+    });
+
+    it('should clear stored usage on reset', async () => {
+      tracker.record({ usage: USAGE });
+      await tracker.reset();
+
+      expect(tracker.getStats().totals.requests).toBe(0);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith(expect.objectContaining({
+        [USAGE_CONFIG.storageKey]: expect.objectContaining({ days: {} })
+      }));
+    });
+  });
+});
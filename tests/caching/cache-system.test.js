@@ -1,5 +1,7 @@
-import { CachingSystem } from '../../src/caching/cache-system.js';
+import { CachingSystem, DB_NAME } from '../../src/caching/cache-system.js';
 import { generateHash } from '../../src/caching/hash-utils.js';
+import { estimateEntrySize } from '../../src/caching/storage-budget.js';
+import { createFakeIndexedDB } from './fixtures/fake-indexeddb.js';
 
 describe('CachingSystem', () => {
   let cache;
@@ -57,6 +59,318 @@ describe('CachingSystem', () => {
   });
 });
 
+describe('CachingSystem budgets', () => {
+  const originalIndexedDB = global.indexedDB;
+  const originalStorage = navigator.storage;
+  let factory;
+
+  const entry = (id, lastAccessed, padding = 0) => ({
+    questionHash: `hash-${id}`,
+    question: `Question ${id}?`,
+    answer: 'x'.repeat(padding),
+    platform: 'quiz.example.com',
+    lastAccessed
+  });
+
+  const keys = () => factory.databases[DB_NAME].records('answers').map(record => record.questionHash).sort();
+
+  async function openCache(options) {
+    const cache = new CachingSystem(options);
+    await cache.init();
+    return cache;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    factory = createFakeIndexedDB();
+    global.indexedDB = factory;
+    Object.defineProperty(navigator, 'storage', { value: undefined, configurable: true });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+    global.indexedDB = originalIndexedDB;
+    Object.defineProperty(navigator, 'storage', { value: originalStorage, configurable: true });
+  });
+
+  test('records the size of each entry and tracks the totals', async () => {
+    const cache = await openCache();
+    const now = Date.now();
+
+    await cache.set('hash-1', entry(1, now, 10));
+    await cache.set('hash-2', entry(2, now, 20));
+
+    const stored = factory.databases[DB_NAME].records('answers');
+    expect(stored[0].size).toBe(estimateEntrySize(entry(1, now, 10)));
+    expect(await cache.getStats()).toMatchObject({
+      totalEntries: 2,
+      storageUsed: stored[0].size + stored[1].size
+    });
+  });
+
+  test('counts a replaced entry once, at its new size', async () => {
+    const cache = await openCache();
+    const now = Date.now();
+
+    await cache.set('hash-1', entry(1, now, 10));
+    await cache.set('hash-1', entry(1, now, 50));
+
+    expect(cache.entryCount).toBe(1);
+    expect(cache.totalBytes).toBe(estimateEntrySize(entry(1, now, 50)));
+  });
+
+  test('loads the totals from an existing database', async () => {
+    const first = await openCache();
+    const now = Date.now();
+    await first.set('hash-1', entry(1, now, 10));
+    await first.set('hash-2', entry(2, now, 20));
+    first.close();
+
+    const reopened = await openCache();
+    expect(reopened.entryCount).toBe(2);
+    expect(reopened.totalBytes).toBe(first.totalBytes);
+  });
+
+  test('evicts the least recently used entries once the count budget fills', async () => {
+    const cache = await openCache({ maxEntries: 10 });
+    const now = Date.now();
+
+    for (let i = 0; i < 9; i++) {
+      await cache.set(`hash-${i}`, entry(i, now - (9 - i) * 1000));
+    }
+    // Reading an old entry makes it recent again
+    factory.databases[DB_NAME].stores.get('answers').data.get('hash-0').lastAccessed = now;
+
+    await cache.set('hash-9', entry(9, now));
+
+    // Down to 8, then the new entry: hash-1 was least recently used
+    expect(keys()).toEqual(['hash-0', 'hash-2', 'hash-3', 'hash-4', 'hash-5', 'hash-6', 'hash-7', 'hash-8', 'hash-9']);
+    expect(cache.entryCount).toBe(9);
+  });
+
+  test('evicts recent entries too when the byte budget fills', async () => {
+    const size = estimateEntrySize(entry(0, Date.now(), 1000));
+    const cache = await openCache({ maxBytes: size * 10 });
+    const now = Date.now();
+
+    for (let i = 0; i < 10; i++) {
+      await cache.set(`hash-${i}`, entry(i, now + i, 1000));
+    }
+
+    // Down to 8 entries' worth, then the new entry
+    expect(keys()).toEqual(['hash-1', 'hash-2', 'hash-3', 'hash-4', 'hash-5', 'hash-6', 'hash-7', 'hash-8', 'hash-9']);
+    expect(cache.totalBytes).toBe(size * 9);
+  });
+
+  test('drops entries past the retention period', async () => {
+    const cache = await openCache();
+    const now = Date.now();
+    await cache.set('hash-old', { ...entry('old', now - 31 * 24 * 60 * 60 * 1000), questionHash: 'hash-old' });
+    await cache.set('hash-new', { ...entry('new', now), questionHash: 'hash-new' });
+
+    expect(await cache.cleanup()).toBe(1);
+    expect(keys()).toEqual(['hash-new']);
+  });
+
+  test('evicts and retries once when the quota is exceeded', async () => {
+    const cache = await openCache();
+    const now = Date.now();
+    for (let i = 0; i < 4; i++) {
+      await cache.set(`hash-${i}`, entry(i, now + i, 100));
+    }
+
+    factory.databases[DB_NAME].failWrites = 1;
+    await cache.set('hash-4', entry(4, now + 4, 100));
+
+    expect(keys()).toContain('hash-4');
+    expect(keys()).not.toContain('hash-0');
+    expect(cache.byteBudget).toBeLessThan(cache.MAX_BYTES);
+  });
+
+  test('still rejects when the retry fails too', async () => {
+    const cache = await openCache();
+    factory.databases[DB_NAME].failWrites = 2;
+
+    await expect(cache.set('hash-1', entry(1, Date.now()))).rejects.toMatchObject({ name: 'QuotaExceededError' });
+  });
+
+  test('shrinks the byte budget when the origin runs short of storage', async () => {
+    const estimate = jest.fn().mockResolvedValue({ usage: 0, quota: 0 });
+    Object.defineProperty(navigator, 'storage', { value: { estimate }, configurable: true });
+    const cache = await openCache();
+    const now = Date.now();
+    for (let i = 0; i < 4; i++) {
+      await cache.set(`hash-${i}`, entry(i, now + i, 100));
+    }
+
+    // Past 90% of the quota: the budget falls below what the cache holds
+    estimate.mockResolvedValue({ usage: 1000000, quota: 1000000 });
+    await cache.checkStorageQuota();
+
+    expect(cache.byteBudget).toBe(0);
+    expect(keys()).toEqual([]);
+    expect((await cache.getStats()).bytesPercent).toBe(100);
+  });
+
+  test('caps the explanations store, dropping the oldest', async () => {
+    const cache = await openCache({ maxExplanations: 2 });
+    const now = Date.now();
+    for (let i = 0; i < 3; i++) {
+      await cache.setExplanation(`hash-${i}`, { answer: `Because ${i}.`, lastAccessed: now + i });
+    }
+
+    const stored = factory.databases[DB_NAME].records('explanations').map(record => record.questionHash).sort();
+    expect(stored).toEqual(['hash-1', 'hash-2']);
+  });
+
+  test('caps the feedback store, dropping the oldest', async () => {
+    const cache = await openCache({ maxFeedback: 2 });
+    const now = Date.now();
+    for (let i = 0; i < 3; i++) {
+      await cache.addFeedback({ question: `Question ${i}?`, answer: 'x', timestamp: now + i });
+    }
+
+    const feedback = await cache.getFeedback();
+    expect(feedback.map(item => item.question)).toEqual(['Question 1?', 'Question 2?']);
+  });
+
+  test('clear resets the totals', async () => {
+    const cache = await openCache();
+    await cache.set('hash-1', entry(1, Date.now()));
+
+    await cache.clear();
+
+    expect(await cache.getStats()).toMatchObject({ totalEntries: 0, storageUsed: 0 });
+  });
+});
+
+describe('CachingSystem memory tier', () => {
+  const originalIndexedDB = global.indexedDB;
+  const originalStorage = navigator.storage;
+  let factory;
+  let cache;
+
+  const entry = (id) => ({
+    questionHash: `hash-${id}`,
+    question: `Question ${id}?`,
+    answer: `Answer ${id}`,
+    hitCount: 0,
+    lastAccessed: 1700000000000
+  });
+
+  const stored = (key) => factory.databases[DB_NAME].stores.get('answers').data.get(key);
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    factory = createFakeIndexedDB();
+    global.indexedDB = factory;
+    Object.defineProperty(navigator, 'storage', { value: undefined, configurable: true });
+    cache = new CachingSystem({ memoryEntries: 2, accessFlushDelay: 60000, accessFlushBatch: 3 });
+    await cache.init();
+  });
+
+  afterEach(() => {
+    clearTimeout(cache.accessFlushTimer);
+    console.log.mockRestore();
+    global.indexedDB = originalIndexedDB;
+    Object.defineProperty(navigator, 'storage', { value: originalStorage, configurable: true });
+  });
+
+  test('serves entries it wrote from memory', async () => {
+    await cache.set('hash-1', entry(1));
+    const transaction = jest.spyOn(factory.databases[DB_NAME], 'transaction');
+
+    expect(await cache.get('hash-1')).toMatchObject({ answer: 'Answer 1' });
+    expect(transaction).not.toHaveBeenCalled();
+    expect(cache.getTierStats().memory.hits).toBe(1);
+  });
+
+  test('keeps entries read from IndexedDB in memory', async () => {
+    await cache.set('hash-1', entry(1));
+    cache.memory.clear();
+
+    await cache.get('hash-1');
+    await cache.get('hash-1');
+    await cache.get('hash-missing');
+
+    expect(cache.getTierStats()).toMatchObject({
+      memory: { entries: 1, hits: 1 },
+      indexedDB: { entries: 1, hits: 1, misses: 1 }
+    });
+  });
+
+  test('returns copies of the entries it holds', async () => {
+    await cache.set('hash-1', entry(1));
+
+    (await cache.get('hash-1')).answer = 'changed';
+
+    expect((await cache.get('hash-1')).answer).toBe('Answer 1');
+  });
+
+  test('writes access counters behind, in one batch', async () => {
+    await cache.set('hash-1', entry(1));
+    await cache.set('hash-2', entry(2));
+    await cache.get('hash-1');
+    await cache.get('hash-1');
+    await cache.get('hash-2');
+
+    expect(stored('hash-1').hitCount).toBe(0);
+    expect(cache.getTierStats().pendingAccessUpdates).toBe(2);
+
+    await cache.flushAccess();
+
+    expect(stored('hash-1').hitCount).toBe(2);
+    expect(stored('hash-2').hitCount).toBe(1);
+    expect(stored('hash-1').lastAccessed).toBeGreaterThan(1700000000000);
+    expect(cache.getTierStats().pendingAccessUpdates).toBe(0);
+  });
+
+  test('writes the counters once the batch is full', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await cache.set(`hash-${i}`, entry(i));
+      await cache.get(`hash-${i}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(stored('hash-1').hitCount).toBe(1);
+    expect(stored('hash-3').hitCount).toBe(1);
+  });
+
+  test('writes the counters after the flush delay', async () => {
+    cache.ACCESS_FLUSH_DELAY = 10;
+    await cache.set('hash-1', entry(1));
+    await cache.get('hash-1');
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(stored('hash-1').hitCount).toBe(1);
+  });
+
+  test('drops evicted entries from memory', async () => {
+    await cache.set('hash-1', entry(1));
+    await cache.set('hash-2', entry(2));
+
+    // Both entries are past the retention period
+    await cache.cleanup();
+
+    expect(cache.memory.size).toBe(0);
+    expect(await cache.get('hash-1')).toBeUndefined();
+  });
+
+  test('clear empties both tiers', async () => {
+    await cache.set('hash-1', entry(1));
+    await cache.get('hash-1');
+
+    await cache.clear();
+
+    expect(cache.getTierStats()).toMatchObject({ memory: { entries: 0 }, pendingAccessUpdates: 0 });
+    expect(await cache.get('hash-1')).toBeUndefined();
+  });
+});
+
 describe('generateHash', () => {
   test('generates consistent hash for same input', async () => {
     const text = 'What is 2+2?';
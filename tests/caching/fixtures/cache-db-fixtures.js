@@ -0,0 +1,169 @@
+/**
+ * Cache Database Fixtures
+ * Snapshots of quizCache as each released version left it, with sample
+ * records. Written by hand, not by the migrations, so the migrations are
+ * tested against what users actually have on disk
+ */
+
+const HEX_KEY = (digit) => digit.repeat(64);
+
+const ANSWERS_V1 = {
+  keyPath: 'questionHash',
+  autoIncrement: false,
+  indexes: {
+    platform: { keyPath: 'platform', unique: false, multiEntry: false },
+    timestamp: { keyPath: 'timestamp', unique: false, multiEntry: false },
+    lastAccessed: { keyPath: 'lastAccessed', unique: false, multiEntry: false }
+  }
+};
+
+// Version 1: answers keyed by the SHA-256 of the raw question text.
+// Explanations shared the store, flagged with quizType 'explanation'
+export const CACHE_DB_V1 = {
+  version: 1,
+  stores: {
+    answers: {
+      ...ANSWERS_V1,
+      records: [
+        {
+          questionHash: HEX_KEY('a'),
+          question: 'Q1. What is the capital of France?',
+          answer: 'Paris',
+          confidence: 95,
+          timestamp: 1700000000000,
+          platform: 'quiz.example.com',
+          quizType: 'unknown',
+          hitCount: 3,
+          lastAccessed: 1700000500000
+        },
+        {
+          questionHash: HEX_KEY('b'),
+          question: 'What is 2+2?_explanation',
+          answer: '2 and 2 make 4.',
+          confidence: 90,
+          timestamp: 1700000100000,
+          platform: 'quiz.example.com',
+          quizType: 'explanation',
+          hitCount: 0,
+          lastAccessed: 1700000100000
+        },
+        {
+          // Written before quizType was stored
+          questionHash: HEX_KEY('c'),
+          question: 'Who wrote Hamlet?',
+          answer: 'Shakespeare',
+          confidence: 88,
+          timestamp: 1700000200000,
+          platform: 'quiz.example.com',
+          hitCount: 0,
+          lastAccessed: 1700000200000
+        }
+      ]
+    }
+  }
+};
+
+// Version 2: versioned keys with options, and LSH bands for near-duplicates
+export const CACHE_DB_V2 = {
+  version: 2,
+  stores: {
+    answers: {
+      ...ANSWERS_V1,
+      indexes: {
+        ...ANSWERS_V1.indexes,
+        similarityBands: { keyPath: 'similarityBands', unique: false, multiEntry: true }
+      },
+      records: [
+        ...CACHE_DB_V1.stores.answers.records,
+        {
+          questionHash: `v2:${HEX_KEY('d')}`,
+          question: 'Which planet is known as the Red Planet?',
+          options: ['Mars', 'Venus'],
+          similarityBands: ['0:1a2b', '1:3c4d'],
+          answer: 'Mars',
+          confidence: 97,
+          optionIndex: 0,
+          optionLetter: 'A',
+          rationale: 'Iron oxide on its surface.',
+          answeredBy: { provider: 'gemini', model: 'gemini-2.5-flash', fallbackIndex: 0 },
+          timestamp: 1710000000000,
+          platform: 'quiz.example.com',
+          quizType: 'unknown',
+          hitCount: 1,
+          lastAccessed: 1710000000000
+        }
+      ]
+    }
+  }
+};
+
+// Version 3: quiz type and normalized question indexes, explanations moved
+// out of answers, and stores for feedback and learned patterns
+export const CACHE_DB_V3 = {
+  version: 3,
+  stores: {
+    answers: {
+      ...ANSWERS_V1,
+      indexes: {
+        ...CACHE_DB_V2.stores.answers.indexes,
+        quizType: { keyPath: 'quizType', unique: false, multiEntry: false },
+        normalizedQuestion: { keyPath: 'normalizedQuestion', unique: false, multiEntry: false }
+      },
+      records: CACHE_DB_V2.stores.answers.records.filter(record => record.quizType !== 'explanation').map(record => ({
+        ...record,
+        quizType: record.quizType || 'unknown',
+        normalizedQuestion: {
+          [HEX_KEY('a')]: 'what is the capital of france',
+          [HEX_KEY('c')]: 'who wrote hamlet',
+          [`v2:${HEX_KEY('d')}`]: 'which planet is known as the red planet'
+        }[record.questionHash]
+      }))
+    },
+    explanations: {
+      keyPath: 'questionHash',
+      autoIncrement: false,
+      indexes: {
+        timestamp: { keyPath: 'timestamp', unique: false, multiEntry: false },
+        lastAccessed: { keyPath: 'lastAccessed', unique: false, multiEntry: false }
+      },
+      records: CACHE_DB_V2.stores.answers.records.filter(record => record.quizType === 'explanation')
+    },
+    feedback: {
+      keyPath: 'id',
+      autoIncrement: true,
+      indexes: {
+        timestamp: { keyPath: 'timestamp', unique: false, multiEntry: false },
+        platform: { keyPath: 'platform', unique: false, multiEntry: false }
+      },
+      records: [
+        {
+          id: 1,
+          question: 'Who wrote Hamlet?',
+          answer: 'Marlowe',
+          userFeedback: 'wrong',
+          timestamp: 1720000000000,
+          platform: 'quiz.example.com'
+        }
+      ]
+    },
+    patterns: {
+      keyPath: 'id',
+      autoIncrement: false,
+      indexes: {
+        url: { keyPath: 'url', unique: false, multiEntry: false },
+        lastUsed: { keyPath: 'lastUsed', unique: false, multiEntry: false }
+      },
+      records: [
+        {
+          id: 'pattern_1720000000000',
+          url: 'https://quiz.example.com/test',
+          selectors: { question: '.question-text' },
+          lastUsed: 1720000000000
+        }
+      ]
+    }
+  }
+};
+
+// Every released version, oldest first
+export const CACHE_DB_FIXTURES = [CACHE_DB_V1, CACHE_DB_V2, CACHE_DB_V3];
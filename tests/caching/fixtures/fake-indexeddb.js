@@ -0,0 +1,436 @@
+/**
+ * Fake IndexedDB
+ * In-memory stand-in for the parts of IndexedDB the cache uses: opening
+ * with upgrades, stores, indexes, transactions and cursors. Requests
+ * succeed asynchronously and transactions complete once their requests
+ * have, like the real thing. Writes are applied immediately (no rollback)
+ */
+
+export class FakeDatabase {
+  /**
+   * @param {Object} fixture - Database snapshot: version and stores
+   *                           ({ keyPath, autoIncrement, indexes, records } by name)
+   */
+  constructor(fixture = { version: 0, stores: {} }) {
+    this.version = fixture.version;
+    this.stores = new Map();
+    this.upgrade = null;
+    this.failWrites = 0; // Writes to fail with QuotaExceededError
+
+    Object.entries(fixture.stores).forEach(([name, definition]) => {
+      const store = new FakeObjectStore(name, definition.keyPath, definition.autoIncrement);
+      Object.entries(definition.indexes || {}).forEach(([indexName, index]) => {
+        store.indexes.set(indexName, { keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry });
+      });
+      (definition.records || []).forEach(record => store.write(clone(record)));
+      this.stores.set(name, store);
+    });
+  }
+
+  get objectStoreNames() {
+    return { contains: (name) => this.stores.has(name) };
+  }
+
+  createObjectStore(name, { keyPath, autoIncrement = false } = {}) {
+    if (!this.upgrade) {
+      throw new Error('InvalidStateError: not in a versionchange transaction');
+    }
+    if (this.stores.has(name)) {
+      throw new Error(`ConstraintError: store ${name} already exists`);
+    }
+    this.stores.set(name, new FakeObjectStore(name, keyPath, autoIncrement));
+    return this.upgrade.objectStore(name);
+  }
+
+  deleteObjectStore(name) {
+    if (!this.stores.delete(name)) {
+      throw new Error(`NotFoundError: no store ${name}`);
+    }
+  }
+
+  transaction(names, mode = 'readonly') {
+    return new FakeTransaction(this, names, mode);
+  }
+
+  /**
+   * Starts a versionchange transaction, as onupgradeneeded gets
+   *
+   * @returns {FakeTransaction} Transaction; await complete() for it to finish
+   */
+  upgradeTransaction() {
+    this.upgrade = new FakeTransaction(this, null, 'versionchange');
+    this.upgrade.complete().then(() => {
+      this.upgrade = null;
+    });
+    return this.upgrade;
+  }
+
+  close() {}
+
+  /**
+   * Describes the stores and indexes, for comparing schemas
+   *
+   * @returns {Object} Schema by store name
+   */
+  schema() {
+    const schema = {};
+    [...this.stores.keys()].sort().forEach(name => {
+      const store = this.stores.get(name);
+      const indexes = {};
+      [...store.indexes.keys()].sort().forEach(indexName => {
+        indexes[indexName] = store.indexes.get(indexName);
+      });
+      schema[name] = { keyPath: store.keyPath, autoIncrement: store.autoIncrement, indexes };
+    });
+    return schema;
+  }
+
+  /**
+   * Gets the records of a store, in key order
+   *
+   * @param {string} name - Store name
+   * @returns {Array<Object>} Records
+   */
+  records(name) {
+    const store = this.stores.get(name);
+    return store.sortedKeys().map(key => store.data.get(key));
+  }
+}
+
+/**
+ * Creates a fake indexedDB factory
+ *
+ * @param {Object} databases - FakeDatabase by name, for databases that already exist
+ * @returns {Object} Factory with open(name, version) and the databases
+ */
+export function createFakeIndexedDB(databases = {}) {
+  return {
+    databases,
+    open(name, version) {
+      const request = {};
+      const db = databases[name] || new FakeDatabase();
+      databases[name] = db;
+
+      setTimeout(async () => {
+        if (version < db.version) {
+          request.error = { name: 'VersionError' };
+          request.onerror?.({ target: request });
+          return;
+        }
+
+        request.result = db;
+        if (version > db.version) {
+          const transaction = db.upgradeTransaction();
+          const oldVersion = db.version;
+          request.transaction = transaction;
+          request.onupgradeneeded?.({ target: request, oldVersion, newVersion: version });
+          await transaction.complete();
+
+          if (transaction.error) {
+            request.error = transaction.error;
+            request.onerror?.({ target: request });
+            return;
+          }
+          db.version = version;
+        }
+
+        request.onsuccess?.({ target: request });
+      }, 0);
+
+      return request;
+    }
+  };
+}
+
+class FakeTransaction {
+  constructor(db, names, mode) {
+    this.db = db;
+    this.names = names;
+    this.mode = mode;
+    this.pending = 0;
+    this.error = null;
+    this.finished = false;
+    this.done = new Promise(resolve => {
+      this.resolveDone = resolve;
+    });
+    this.scheduleFinish();
+  }
+
+  objectStore(name) {
+    if ((this.names && !this.names.includes(name)) || !this.db.stores.has(name)) {
+      throw new Error(`NotFoundError: no store ${name}`);
+    }
+    return new FakeStoreHandle(this, this.db.stores.get(name));
+  }
+
+  // Resolves once the transaction has completed or aborted
+  complete() {
+    return this.done;
+  }
+
+  abort(error = { name: 'AbortError' }) {
+    if (this.finished) {
+      return;
+    }
+    this.finished = true;
+    this.error = error;
+    this.onabort?.({ target: this });
+    this.resolveDone();
+  }
+
+  /**
+   * Runs an operation as an asynchronous request
+   *
+   * @param {Function} operation - Returns the result, or throws to fail the request
+   * @returns {Object} Request with onsuccess/onerror
+   */
+  request(operation) {
+    const request = {};
+    this.pending++;
+
+    setTimeout(() => {
+      this.pending--;
+      if (this.finished) {
+        return;
+      }
+
+      try {
+        request.result = operation();
+      } catch (error) {
+        request.error = error;
+        request.onerror?.({ target: request });
+        this.abort(error);
+        return;
+      }
+
+      request.onsuccess?.({ target: request });
+      this.scheduleFinish();
+    }, 0);
+
+    return request;
+  }
+
+  scheduleFinish() {
+    setTimeout(() => {
+      if (this.pending === 0 && !this.finished) {
+        this.finished = true;
+        this.oncomplete?.({ target: this });
+        this.resolveDone();
+      }
+    }, 0);
+  }
+
+  write(store, value) {
+    if (this.mode === 'readonly') {
+      throw new Error('ReadOnlyError: transaction is readonly');
+    }
+    if (this.db.failWrites > 0) {
+      this.db.failWrites--;
+      const error = new Error('The quota has been exceeded.');
+      error.name = 'QuotaExceededError';
+      throw error;
+    }
+    return store.write(clone(value));
+  }
+}
+
+class FakeObjectStore {
+  constructor(name, keyPath, autoIncrement = false) {
+    this.name = name;
+    this.keyPath = keyPath;
+    this.autoIncrement = autoIncrement;
+    this.indexes = new Map();
+    this.data = new Map();
+    this.nextId = 1;
+  }
+
+  write(value) {
+    if (this.autoIncrement && value[this.keyPath] === undefined) {
+      value[this.keyPath] = this.nextId++;
+    }
+    const key = value[this.keyPath];
+    if (key === undefined) {
+      throw new Error(`DataError: record has no ${this.keyPath}`);
+    }
+    this.data.set(key, value);
+    return key;
+  }
+
+  sortedKeys() {
+    return [...this.data.keys()].sort(compareKeys);
+  }
+
+  /**
+   * Lists index entries as [indexKey, primaryKey], in index order
+   *
+   * @param {string} name - Index name
+   * @returns {Array<Array>} Index entries
+   */
+  indexEntries(name) {
+    const { keyPath, multiEntry } = this.indexes.get(name);
+    const entries = [];
+
+    this.sortedKeys().forEach(primaryKey => {
+      const value = this.data.get(primaryKey)[keyPath];
+      if (value === undefined) {
+        return;
+      }
+      (multiEntry && Array.isArray(value) ? [...new Set(value)] : [value])
+        .forEach(indexKey => entries.push([indexKey, primaryKey]));
+    });
+
+    return entries.sort((a, b) => compareKeys(a[0], b[0]) || compareKeys(a[1], b[1]));
+  }
+}
+
+class FakeStoreHandle {
+  constructor(transaction, store) {
+    this.transaction = transaction;
+    this.store = store;
+  }
+
+  get name() {
+    return this.store.name;
+  }
+
+  get indexNames() {
+    return { contains: (name) => this.store.indexes.has(name) };
+  }
+
+  createIndex(name, keyPath, { unique = false, multiEntry = false } = {}) {
+    if (this.transaction.mode !== 'versionchange') {
+      throw new Error('InvalidStateError: not in a versionchange transaction');
+    }
+    if (this.store.indexes.has(name)) {
+      throw new Error(`ConstraintError: index ${name} already exists`);
+    }
+    this.store.indexes.set(name, { keyPath, unique, multiEntry });
+  }
+
+  deleteIndex(name) {
+    this.store.indexes.delete(name);
+  }
+
+  index(name) {
+    if (!this.store.indexes.has(name)) {
+      throw new Error(`NotFoundError: no index ${name}`);
+    }
+    return new FakeIndexHandle(this, name);
+  }
+
+  get(key) {
+    return this.transaction.request(() => clone(this.store.data.get(key)));
+  }
+
+  getAll() {
+    return this.transaction.request(() => this.store.sortedKeys().map(key => clone(this.store.data.get(key))));
+  }
+
+  count() {
+    return this.transaction.request(() => this.store.data.size);
+  }
+
+  put(value) {
+    return this.transaction.request(() => this.transaction.write(this.store, value));
+  }
+
+  add(value) {
+    return this.put(value);
+  }
+
+  delete(key) {
+    return this.transaction.request(() => {
+      this.store.data.delete(key);
+    });
+  }
+
+  clear() {
+    return this.transaction.request(() => {
+      this.store.data.clear();
+    });
+  }
+
+  openCursor() {
+    return openCursor(this, this.store.sortedKeys().map(key => [key, key]), true);
+  }
+}
+
+class FakeIndexHandle {
+  constructor(storeHandle, name) {
+    this.storeHandle = storeHandle;
+    this.name = name;
+  }
+
+  getAll(key) {
+    const { store, transaction } = this.storeHandle;
+    return transaction.request(() => store.indexEntries(this.name)
+      .filter(([indexKey]) => key === undefined || compareKeys(indexKey, key) === 0)
+      .map(([, primaryKey]) => clone(store.data.get(primaryKey))));
+  }
+
+  openCursor() {
+    return openCursor(this.storeHandle, this.storeHandle.store.indexEntries(this.name), true);
+  }
+
+  openKeyCursor() {
+    return openCursor(this.storeHandle, this.storeHandle.store.indexEntries(this.name), false);
+  }
+}
+
+/**
+ * Opens a cursor over a snapshot of [key, primaryKey] entries
+ * Entries deleted after the snapshot are skipped
+ */
+function openCursor(storeHandle, entries, withValues) {
+  const { store, transaction } = storeHandle;
+  let position = 0;
+  let request;
+
+  const advance = () => transaction.request(() => {
+    while (position < entries.length && !store.data.has(entries[position][1])) {
+      position++;
+    }
+    if (position >= entries.length) {
+      return null;
+    }
+
+    const [key, primaryKey] = entries[position++];
+    const cursor = {
+      key,
+      primaryKey,
+      update: (value) => storeHandle.put(value),
+      delete: () => storeHandle.delete(primaryKey),
+      continue: () => {
+        const next = advance();
+        // The cursor's original request fires again with the next entry
+        next.onsuccess = () => {
+          request.result = next.result;
+          request.onsuccess?.({ target: request });
+        };
+        next.onerror = () => {
+          request.error = next.error;
+          request.onerror?.({ target: request });
+        };
+      }
+    };
+    if (withValues) {
+      cursor.value = clone(store.data.get(primaryKey));
+    }
+    return cursor;
+  });
+
+  request = advance();
+  return request;
+}
+
+function compareKeys(a, b) {
+  if (a < b) {
+    return -1;
+  }
+  return a > b ? 1 : 0;
+}
+
+// Records are stored as copies, as IndexedDB does (structuredClone is missing in jsdom)
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,102 @@
+/**
+ * Hash Utilities Tests
+ * Tests question canonicalization and key formats
+ */
+
+import {
+  canonicalizeQuestion,
+  canonicalizeOption,
+  buildCanonicalQuestion,
+  validateHash,
+  fnv1a,
+  QUESTION_KEY_VERSION
+} from '../../src/caching/hash-utils.js';
+
+describe('canonicalizeQuestion', () => {
+  it('should fold case, whitespace and sentence punctuation', () => {
+    expect(canonicalizeQuestion('  What is   the Capital\nof France? ')).toBe('what is the capital of france');
+    expect(canonicalizeQuestion('What is the capital of France')).toBe('what is the capital of france');
+  });
+
+  it('should strip question counters', () => {
+    const expected = 'what is the capital of france';
+
+    ['Q3. ', 'Question 3: ', 'question #3 ', '3) ', '3. ', '(3) ', '#3. '].forEach(counter => {
+      expect(canonicalizeQuestion(`${counter}What is the capital of France?`)).toBe(expected);
+    });
+  });
+
+  it('should not strip numbers that are part of the question', () => {
+    expect(canonicalizeQuestion('2 + 2 = ?')).toBe('2 + 2 =');
+    expect(canonicalizeQuestion('3.14 is the value of?')).toBe('3.14 is the value of');
+  });
+
+  it('should apply NFKC and unify quotes and dashes', () => {
+    expect(canonicalizeQuestion('Who wrote “Hamlet”?')).toBe(canonicalizeQuestion('Who wrote "Hamlet"?'));
+    expect(canonicalizeQuestion('ﬁnd the well‑known value')).toBe('find the well-known value');
+    expect(canonicalizeQuestion('Ｑ１. Ｗhat​ is it?')).toBe('what is it');
+  });
+
+  it('should keep operators that change the meaning', () => {
+    expect(canonicalizeQuestion('What is 5 * 3?')).not.toBe(canonicalizeQuestion('What is 5 - 3?'));
+    expect(canonicalizeQuestion("What's x")).toBe("what's x");
+  });
+});
+
+describe('canonicalizeOption', () => {
+  it('should strip option labels and accept OptionElements', () => {
+    expect(canonicalizeOption('A) Paris')).toBe('paris');
+    expect(canonicalizeOption('(b) Paris.')).toBe('paris');
+    expect(canonicalizeOption({ element: null, text: ' 1. Paris ' })).toBe('paris');
+  });
+
+  it('should keep words that only look like labels', () => {
+    expect(canonicalizeOption('A priori')).toBe('a priori');
+  });
+});
+
+describe('buildCanonicalQuestion', () => {
+  it('should ignore option order', () => {
+    expect(buildCanonicalQuestion('Capital of France?', { options: ['Paris', 'London', 'Berlin'] }))
+      .toBe(buildCanonicalQuestion('Q1. capital of france', { options: ['C. berlin', 'A. Paris', 'B. London'] }));
+  });
+
+  it('should tell apart questions with different options', () => {
+    expect(buildCanonicalQuestion('Pick one', { options: ['Paris', 'London'] }))
+      .not.toBe(buildCanonicalQuestion('Pick one', { options: ['Paris', 'Rome'] }));
+  });
+
+  it('should include image data', () => {
+    expect(buildCanonicalQuestion('What is shown?', { images: [{ data: 'abc' }] }))
+      .toBe('what is shown\nimage: abc');
+  });
+});
+
+describe('validateHash', () => {
+  const hex = 'a'.repeat(64);
+
+  it('should accept plain and versioned keys', () => {
+    expect(validateHash(hex)).toBe(true);
+    expect(validateHash(`v${QUESTION_KEY_VERSION}:${hex}`)).toBe(true);
+  });
+
+  it('should reject malformed keys', () => {
+    expect(validateHash('v2:abc')).toBe(false);
+    expect(validateHash(`x:${hex}`)).toBe(false);
+    expect(validateHash(null)).toBe(false);
+  });
+});
+
+describe('fnv1a', () => {
+  it('should match the reference FNV-1a values', () => {
+    expect(fnv1a('')).toBe(0x811c9dc5);
+    expect(fnv1a('a')).toBe(0xe40c292c);
+  });
+
+  it('should return an unsigned 32-bit integer', () => {
+    const hash = fnv1a('a longer piece of text to hash');
+    expect(Number.isInteger(hash)).toBe(true);
+    expect(hash).toBeGreaterThanOrEqual(0);
+    expect(hash).toBeLessThan(2 ** 32);
+  });
+});
@@ -0,0 +1,56 @@
+import { MemoryCache, MEMORY_CACHE_CONFIG } from '../../src/caching/memory-cache.js';
+
+describe('MemoryCache', () => {
+  test('defaults to the configured size', () => {
+    expect(new MemoryCache().maxEntries).toBe(MEMORY_CACHE_CONFIG.maxEntries);
+  });
+
+  test('returns held entries', () => {
+    const memory = new MemoryCache(2);
+    memory.set('a', { answer: 'A' });
+
+    expect(memory.get('a')).toEqual({ answer: 'A' });
+    expect(memory.get('b')).toBeUndefined();
+  });
+
+  test('evicts the least recently used entry past maxEntries', () => {
+    const memory = new MemoryCache(2);
+    memory.set('a', { answer: 'A' });
+    memory.set('b', { answer: 'B' });
+    memory.get('a');
+    memory.set('c', { answer: 'C' });
+
+    expect(memory.get('b')).toBeUndefined();
+    expect(memory.get('a')).toBeDefined();
+    expect(memory.size).toBe(2);
+    expect(memory.evictions).toBe(1);
+  });
+
+  test('replaces an entry without growing', () => {
+    const memory = new MemoryCache(2);
+    memory.set('a', { answer: 'A' });
+    memory.set('a', { answer: 'B' });
+
+    expect(memory.size).toBe(1);
+    expect(memory.get('a')).toEqual({ answer: 'B' });
+  });
+
+  test('holds nothing when turned off', () => {
+    const memory = new MemoryCache(0);
+    memory.set('a', { answer: 'A' });
+
+    expect(memory.size).toBe(0);
+  });
+
+  test('deletes and clears entries', () => {
+    const memory = new MemoryCache(3);
+    memory.set('a', { answer: 'A' });
+    memory.set('b', { answer: 'B' });
+
+    memory.delete('a');
+    expect(memory.get('a')).toBeUndefined();
+
+    memory.clear();
+    expect(memory.size).toBe(0);
+  });
+});
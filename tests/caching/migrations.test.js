@@ -0,0 +1,199 @@
+/**
+ * Cache Migration Tests
+ * Upgrades fixture databases of every released version and compares them
+ * with a fresh database
+ */
+
+import {
+  CACHE_MIGRATIONS,
+  CACHE_DB_VERSION,
+  STORE_NAMES,
+  moveRecord,
+  runMigrations
+} from '../../src/caching/migrations.js';
+import { DB_VERSION } from '../../src/caching/cache-system.js';
+import { estimateEntrySize } from '../../src/caching/storage-budget.js';
+import { FakeDatabase } from './fixtures/fake-indexeddb.js';
+import { CACHE_DB_FIXTURES, CACHE_DB_V1, CACHE_DB_V2, CACHE_DB_V3 } from './fixtures/cache-db-fixtures.js';
+
+/**
+ * Opens a fixture database at the latest version, as onupgradeneeded would
+ */
+async function upgrade(fixture) {
+  const db = new FakeDatabase(fixture);
+  const transaction = db.upgradeTransaction();
+  const applied = runMigrations(db, transaction, db.version, CACHE_DB_VERSION);
+  await transaction.complete();
+  return { db, applied };
+}
+
+describe('cache migrations', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('should number migrations 1..n with the last as the database version', () => {
+    expect(CACHE_MIGRATIONS.map(migration => migration.version))
+      .toEqual(CACHE_MIGRATIONS.map((_, i) => i + 1));
+    expect(DB_VERSION).toBe(CACHE_DB_VERSION);
+  });
+
+  it('should cover every released version with a fixture', () => {
+    expect(CACHE_DB_FIXTURES.map(fixture => fixture.version))
+      .toEqual(Array.from({ length: CACHE_DB_VERSION - 1 }, (_, i) => i + 1));
+  });
+
+  it('should create every store on a new database', async () => {
+    const { db, applied } = await upgrade(undefined);
+
+    expect(applied).toEqual(CACHE_MIGRATIONS.map(migration => migration.version));
+    expect(Object.keys(db.schema())).toEqual(Object.values(STORE_NAMES).sort());
+    expect(db.schema().answers.indexes).toMatchObject({
+      similarityBands: { multiEntry: true },
+      quizType: { keyPath: 'quizType' },
+      normalizedQuestion: { keyPath: 'normalizedQuestion' }
+    });
+    expect(db.schema().feedback.autoIncrement).toBe(true);
+  });
+
+  describe.each(CACHE_DB_FIXTURES.map(fixture => [fixture.version, fixture]))('from version %i', (version, fixture) => {
+    it('should only run the newer migrations', async () => {
+      const { applied } = await upgrade(fixture);
+
+      expect(applied[0]).toBe(version + 1);
+      expect(applied[applied.length - 1]).toBe(CACHE_DB_VERSION);
+    });
+
+    it('should end with the schema of a new database', async () => {
+      const { db } = await upgrade(fixture);
+      const { db: fresh } = await upgrade(undefined);
+
+      expect(db.schema()).toEqual(fresh.schema());
+    });
+
+    it('should keep every record', async () => {
+      const { db } = await upgrade(fixture);
+      const keys = [...db.records('answers'), ...db.records('explanations')].map(record => record.questionHash);
+
+      const expected = [...fixture.stores.answers.records, ...(fixture.stores.explanations?.records || [])]
+        .map(record => record.questionHash);
+
+      expect(keys.sort()).toEqual(expected.sort());
+    });
+
+    it('should move explanations to their own store', async () => {
+      const { db } = await upgrade(fixture);
+
+      expect(db.records('answers').some(record => record.quizType === 'explanation')).toBe(false);
+      expect(db.records('explanations')).toEqual([
+        expect.objectContaining({ questionHash: 'b'.repeat(64), answer: '2 and 2 make 4.' })
+      ]);
+    });
+
+    it('should fill in quiz type and normalized question', async () => {
+      const { db } = await upgrade(fixture);
+      const answers = db.records('answers');
+
+      answers.forEach(record => {
+        expect(record.quizType).toBeTruthy();
+        expect(typeof record.normalizedQuestion).toBe('string');
+      });
+      expect(answers.find(record => record.questionHash === 'a'.repeat(64)).normalizedQuestion)
+        .toBe('what is the capital of france');
+      expect(answers.find(record => record.questionHash === 'c'.repeat(64)).quizType).toBe('unknown');
+    });
+
+    it('should record the size of every answer and explanation', async () => {
+      const { db } = await upgrade(fixture);
+
+      [...db.records('answers'), ...db.records('explanations')].forEach(record => {
+        expect(record.size).toBe(estimateEntrySize(record));
+      });
+    });
+  });
+
+  it('should leave answer fields other than the new ones untouched', async () => {
+    const { db } = await upgrade(CACHE_DB_V1);
+    const [original] = CACHE_DB_V1.stores.answers.records;
+
+    expect(db.records('answers')[0]).toEqual({
+      ...original,
+      normalizedQuestion: 'what is the capital of france',
+      size: expect.any(Number)
+    });
+  });
+
+  it('should size an explanation moved out of answers on the way from version 2', async () => {
+    const { db, applied } = await upgrade(CACHE_DB_V2);
+    const original = CACHE_DB_V2.stores.answers.records.find(record => record.quizType === 'explanation');
+
+    expect(applied).toEqual([3, 4]);
+    expect(db.records('explanations')).toEqual([
+      { ...original, size: estimateEntrySize(original) }
+    ]);
+  });
+
+  it('should keep feedback and patterns stored by version 3', async () => {
+    const { db } = await upgrade(CACHE_DB_V3);
+
+    expect(db.records('feedback')).toEqual(CACHE_DB_V3.stores.feedback.records);
+    expect(db.records('patterns')).toEqual(CACHE_DB_V3.stores.patterns.records);
+  });
+
+  describe('runMigrations', () => {
+    const migrations = [
+      { version: 1, description: 'one', upgrade: jest.fn() },
+      { version: 3, description: 'three', upgrade: jest.fn() }
+    ];
+
+    it('should refuse to skip a missing version', () => {
+      expect(() => runMigrations({}, {}, 1, 3, migrations)).toThrow('Missing cache migration to version 2');
+      expect(migrations[1].upgrade).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to downgrade', () => {
+      expect(() => runMigrations({}, {}, 3, 2)).toThrow('Cannot downgrade the cache from version 3 to 2');
+    });
+
+    it('should do nothing when already up to date', () => {
+      expect(runMigrations({}, {}, CACHE_DB_VERSION)).toEqual([]);
+    });
+
+    it('should run the target store\'s later transforms on a moved record', async () => {
+      const store = { keyPath: 'id', records: [{ id: 'stay' }, { id: 'move' }] };
+      const db = new FakeDatabase({ version: 1, stores: { source: store, target: { keyPath: 'id' } } });
+      const transaction = db.upgradeTransaction();
+      const steps = [
+        { version: 1, description: 'one', upgrade: jest.fn() },
+        {
+          version: 2,
+          description: 'move',
+          upgrade: jest.fn(),
+          upgradeRecords: [{
+            store: 'source',
+            transform: record => (record.id === 'move' ? moveRecord('target', record) : record)
+          }]
+        },
+        {
+          version: 3,
+          description: 'mark',
+          upgrade: jest.fn(),
+          upgradeRecords: [
+            { store: 'source', transform: record => ({ ...record, source: true }) },
+            { store: 'target', transform: record => ({ ...record, marks: (record.marks || 0) + 1 }) }
+          ]
+        }
+      ];
+
+      runMigrations(db, transaction, 1, 3, steps);
+      await transaction.complete();
+
+      expect(db.records('source')).toEqual([{ id: 'stay', source: true }]);
+      expect(db.records('target')).toEqual([{ id: 'move', marks: 1 }]);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Question Similarity Tests
+ * Tests shingling, MinHash/LSH bands and similarity scores
+ */
+
+import {
+  SIMILARITY_CONFIG,
+  shingleQuestion,
+  jaccardSimilarity,
+  minHashSignature,
+  lshBands,
+  buildSimilarityBands,
+  questionSimilarity
+} from '../../src/caching/similarity.js';
+
+const sharedBands = (a, b) => {
+  const bands = new Set(buildSimilarityBands(b));
+  return buildSimilarityBands(a).filter(band => bands.has(band)).length;
+};
+
+describe('shingleQuestion', () => {
+  it('should build words and word pairs of the canonical question', () => {
+    expect([...shingleQuestion('Q1. Who wrote Hamlet?')]).toEqual([
+      'who', 'wrote', 'hamlet', 'who wrote', 'wrote hamlet'
+    ]);
+  });
+
+  it('should return an empty set for a question without words', () => {
+    expect(shingleQuestion('?').size).toBe(0);
+  });
+});
+
+describe('jaccardSimilarity', () => {
+  it('should divide shared shingles by all shingles', () => {
+    expect(jaccardSimilarity(new Set(['a', 'b', 'c']), new Set(['b', 'c', 'd']))).toBe(0.5);
+    expect(jaccardSimilarity(new Set(['a']), new Set(['a']))).toBe(1);
+    expect(jaccardSimilarity(new Set(['a']), new Set(['b']))).toBe(0);
+  });
+});
+
+describe('minHashSignature', () => {
+  it('should be deterministic and the configured length', () => {
+    const shingles = shingleQuestion('What is the capital of France?');
+    const signature = minHashSignature(shingles);
+
+    expect(signature).toHaveLength(SIMILARITY_CONFIG.numHashes);
+    expect(minHashSignature(new Set(shingles))).toEqual(signature);
+  });
+
+  it('should estimate the Jaccard similarity', () => {
+    const a = shingleQuestion('Which of the following elements is a noble gas at room temperature?');
+    const b = shingleQuestion('Which of the following elements is a noble gas at standard room temperature?');
+    const sigA = minHashSignature(a);
+    const sigB = minHashSignature(b);
+    const estimate = sigA.filter((value, i) => value === sigB[i]).length / sigA.length;
+
+    expect(Math.abs(estimate - jaccardSimilarity(a, b))).toBeLessThan(0.15);
+  });
+});
+
+describe('lshBands', () => {
+  it('should split the signature into numbered bands', () => {
+    const bands = lshBands(minHashSignature(shingleQuestion('Who wrote Hamlet?')));
+
+    expect(bands).toHaveLength(SIMILARITY_CONFIG.numHashes / SIMILARITY_CONFIG.bandSize);
+    expect(bands[0]).toMatch(/^0:[0-9a-f]+$/);
+    expect(bands[31]).toMatch(/^31:/);
+  });
+});
+
+describe('buildSimilarityBands', () => {
+  it('should give reworded questions shared bands', () => {
+    expect(sharedBands('What is the capital of France?', 'What is the capital city of France?')).toBeGreaterThan(0);
+    expect(sharedBands('What is the capital of France?', 'Q2. what is the capital of France')).toBe(32);
+  });
+
+  it('should rarely give unrelated questions shared bands', () => {
+    expect(sharedBands('What is the capital of France?', 'Which ocean is the largest on Earth?')).toBeLessThan(3);
+  });
+
+  it('should not index questions without words', () => {
+    expect(buildSimilarityBands('')).toEqual([]);
+  });
+});
+
+describe('questionSimilarity', () => {
+  it('should score near-duplicates above the default threshold', () => {
+    expect(questionSimilarity(
+      'Which of the following is the largest planet in the solar system?',
+      'Which of the following is the largest planet in our solar system?'
+    )).toBeGreaterThanOrEqual(SIMILARITY_CONFIG.threshold);
+  });
+
+  it('should score different questions below the default threshold', () => {
+    expect(questionSimilarity('Who wrote Hamlet?', 'Who wrote Macbeth?')).toBeLessThan(SIMILARITY_CONFIG.threshold);
+    expect(questionSimilarity('What is the capital of France?', 'What is the largest ocean on Earth?')).toBeLessThan(0.3);
+  });
+});
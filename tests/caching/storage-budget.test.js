@@ -0,0 +1,59 @@
+import {
+  STORAGE_BUDGET_CONFIG,
+  estimateEntrySize,
+  computeByteBudget,
+  isQuotaExceededError
+} from '../../src/caching/storage-budget.js';
+
+describe('estimateEntrySize', () => {
+  test('grows with the entry', () => {
+    const small = estimateEntrySize({ question: 'Q', answer: 'A' });
+    const large = estimateEntrySize({ question: 'Q'.repeat(500), answer: 'A' });
+    expect(large - small).toBe(499);
+  });
+
+  test('ignores the recorded size', () => {
+    const entry = { question: 'Q', answer: 'A' };
+    expect(estimateEntrySize({ ...entry, size: 123456 })).toBe(estimateEntrySize(entry));
+  });
+});
+
+describe('computeByteBudget', () => {
+  const MB = 1024 * 1024;
+
+  test('uses the configured budget without a quota', () => {
+    expect(computeByteBudget({ totalBytes: 0, usage: 0, quota: 0 })).toBe(STORAGE_BUDGET_CONFIG.maxBytes);
+  });
+
+  test('caps the budget at maxBytes when quota is plentiful', () => {
+    expect(computeByteBudget({ totalBytes: MB, usage: 10 * MB, quota: 10000 * MB, maxBytes: 5 * MB })).toBe(5 * MB);
+  });
+
+  test('limits the cache to what it holds plus the headroom under quota pressure', () => {
+    // 90 MB may be used, 85 MB is: the cache may grow by 5 MB
+    expect(computeByteBudget({ totalBytes: 20 * MB, usage: 85 * MB, quota: 100 * MB, maxBytes: 50 * MB, quotaPressure: 0.9 }))
+      .toBe(25 * MB);
+  });
+
+  test('shrinks below the current size once the origin is past the pressure point', () => {
+    expect(computeByteBudget({ totalBytes: 20 * MB, usage: 95 * MB, quota: 100 * MB, maxBytes: 50 * MB, quotaPressure: 0.9 }))
+      .toBe(15 * MB);
+  });
+
+  test('never goes below zero', () => {
+    expect(computeByteBudget({ totalBytes: MB, usage: 100 * MB, quota: 100 * MB, maxBytes: 50 * MB })).toBe(0);
+  });
+});
+
+describe('isQuotaExceededError', () => {
+  test('recognises quota errors by name', () => {
+    const error = new Error('The quota has been exceeded.');
+    error.name = 'QuotaExceededError';
+    expect(isQuotaExceededError(error)).toBe(true);
+  });
+
+  test('rejects other errors', () => {
+    expect(isQuotaExceededError(new Error('boom'))).toBe(false);
+    expect(isQuotaExceededError(undefined)).toBe(false);
+  });
+});
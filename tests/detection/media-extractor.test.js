@@ -0,0 +1,130 @@
+/**
+ * Media Extractor Tests
+ * Tests collection and encoding of question images, SVGs and canvases
+ */
+
+import {
+  extractQuestionMedia,
+  encodeMedia,
+  encodeMediaParts,
+  dataUrlToPart,
+  getAltText,
+  MEDIA_LIMITS
+} from '../../src/detection/media-extractor.js';
+
+const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgo=';
+
+describe('extractQuestionMedia', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+  });
+
+  test('collects img, svg and canvas elements', () => {
+    container.innerHTML = `
+      <p>Which circuit is shown?</p>
+      <img src="${PNG_DATA_URL}" alt="Circuit diagram">
+      <svg><title>Graph</title><svg></svg></svg>
+      <canvas></canvas>
+    `;
+
+    const media = extractQuestionMedia(container);
+
+    expect(media.map(item => item.type)).toEqual(['img', 'svg', 'canvas']);
+    expect(media[0].alt).toBe('Circuit diagram');
+    expect(media[1].alt).toBe('Graph');
+  });
+
+  test('ignores non-media elements returned by mocks', () => {
+    const mockElement = { querySelectorAll: jest.fn(() => [{ value: 'A' }]) };
+
+    expect(extractQuestionMedia(mockElement)).toEqual([]);
+  });
+
+  test('skips tiny spacer images', () => {
+    container.innerHTML = '<img src="spacer.gif" width="1" height="1">';
+
+    expect(extractQuestionMedia(container)).toEqual([]);
+  });
+
+  test('limits number of media items', () => {
+    container.innerHTML = '<canvas></canvas>'.repeat(MEDIA_LIMITS.maxImages + 2);
+
+    expect(extractQuestionMedia(container)).toHaveLength(MEDIA_LIMITS.maxImages);
+  });
+
+  test('handles missing element', () => {
+    expect(extractQuestionMedia(null)).toEqual([]);
+  });
+});
+
+describe('getAltText', () => {
+  test('prefers alt then aria-label', () => {
+    const img = document.createElement('img');
+    img.setAttribute('aria-label', 'Label');
+    expect(getAltText(img)).toBe('Label');
+
+    img.setAttribute('alt', 'Alt');
+    expect(getAltText(img)).toBe('Alt');
+  });
+});
+
+describe('dataUrlToPart', () => {
+  test('splits base64 image data URLs', () => {
+    expect(dataUrlToPart(PNG_DATA_URL)).toEqual({ mimeType: 'image/png', data: 'iVBORw0KGgo=' });
+  });
+
+  test('rejects non-image URLs', () => {
+    expect(dataUrlToPart('https://example.com/a.png')).toBeNull();
+    expect(dataUrlToPart('data:text/plain;base64,aGk=')).toBeNull();
+  });
+});
+
+describe('encodeMedia', () => {
+  test('uses inline data URLs directly', async () => {
+    const img = document.createElement('img');
+    img.src = PNG_DATA_URL;
+
+    await expect(encodeMedia({ type: 'img', element: img })).resolves.toEqual({
+      mimeType: 'image/png',
+      data: 'iVBORw0KGgo='
+    });
+  });
+
+  test('encodes canvases', async () => {
+    const canvas = { toDataURL: jest.fn(() => PNG_DATA_URL) };
+
+    const part = await encodeMedia({ type: 'canvas', element: canvas });
+
+    expect(canvas.toDataURL).toHaveBeenCalledWith('image/png');
+    expect(part.mimeType).toBe('image/png');
+  });
+
+  test('returns null for tainted canvases', async () => {
+    const canvas = { toDataURL: jest.fn(() => { throw new Error('SecurityError'); }) };
+
+    await expect(encodeMedia({ type: 'canvas', element: canvas })).resolves.toBeNull();
+  });
+});
+
+describe('encodeMediaParts', () => {
+  test('skips unreadable media', async () => {
+    const good = { type: 'canvas', element: { toDataURL: () => PNG_DATA_URL } };
+    const bad = { type: 'canvas', element: { toDataURL: () => { throw new Error('tainted'); } } };
+
+    const parts = await encodeMediaParts([bad, good]);
+
+    expect(parts).toHaveLength(1);
+  });
+
+  test('stops at the total size budget', async () => {
+    const bigData = 'A'.repeat(Math.ceil(MEDIA_LIMITS.maxTotalBytes * 4 / 3) - 100);
+    const big = { type: 'canvas', element: { toDataURL: () => `data:image/png;base64,${bigData}` } };
+    const small = { type: 'canvas', element: { toDataURL: () => PNG_DATA_URL } };
+
+    const parts = await encodeMediaParts([big, big, small]);
+
+    expect(parts).toHaveLength(1);
+  });
+});
@@ -235,6 +235,21 @@ describe('extractQuestions', () => {
       expect(result.length).toBe(0);
     });
 
+    test('keeps image-only questions', () => {
+      const image = { tagName: 'IMG', getAttribute: jest.fn(name => (name === 'alt' ? 'Resistor network' : null)) };
+      const mockQuestion = {
+        innerText: '',
+        querySelectorAll: jest.fn(selector => (selector === 'img, svg, canvas' ? [image] : [{ value: 'A' }]))
+      };
+
+      mockDom.querySelectorAll.mockReturnValue([mockQuestion]);
+
+      const result = extractQuestions(mockDom);
+      expect(result.length).toBe(1);
+      expect(result[0].questionText).toBe('Resistor network');
+      expect(result[0].media[0]).toMatchObject({ type: 'img', element: image });
+    });
+
     test('assigns question numbers', () => {
       const mockQuestion1 = {
         innerText: 'Q1',
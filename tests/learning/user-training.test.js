@@ -170,6 +170,15 @@ describe('UserTrainingManager', () => {
       expect(manager.patterns).toContain(pattern);
     });
 
+    it('should persist pattern when the cache has a patterns store', async () => {
+      mockCache.savePattern = jest.fn().mockResolvedValue(undefined);
+      const pattern = manager.extractPattern(mockElement);
+
+      await manager.storePattern(pattern);
+
+      expect(mockCache.savePattern).toHaveBeenCalledWith(pattern);
+    });
+
     it('should throw error for invalid pattern', async () => {
       await expect(manager.storePattern(null)).rejects.toThrow('Pattern must be an object');
       await expect(manager.storePattern('invalid')).rejects.toThrow('Pattern must be an object');
@@ -241,6 +241,31 @@ describe('AdaptivePerformance', () => {
       expect(config.cacheFirst).toBe(false);
       expect(config.maxDetectionTime).toBe(200);
     });
+
+    it('should disable self-consistency in SPEED_MODE', () => {
+      adaptive.mode = PERFORMANCE_MODES.SPEED_MODE;
+      adaptive.setSelfConsistency(true, 5);
+
+      expect(adaptive.getConfig().selfConsistency).toEqual({ enabled: false, samples: 1 });
+    });
+
+    it('should include self-consistency settings in ACCURACY_MODE', () => {
+      adaptive.mode = PERFORMANCE_MODES.ACCURACY_MODE;
+      adaptive.setSelfConsistency(true, 7);
+
+      expect(adaptive.getConfig().selfConsistency).toEqual({ enabled: true, samples: 7 });
+    });
+  });
+
+  describe('setSelfConsistency', () => {
+    it('should be disabled by default', () => {
+      expect(adaptive.selfConsistency.enabled).toBe(false);
+    });
+
+    it('should reject invalid sample counts', () => {
+      expect(() => adaptive.setSelfConsistency(true, 1)).toThrow('Samples must be an integer between 2 and 10');
+      expect(() => adaptive.setSelfConsistency(true, 11)).toThrow('Samples must be an integer between 2 and 10');
+    });
   });
 
   describe('getStatus', () => {
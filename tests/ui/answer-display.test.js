@@ -124,6 +124,144 @@ describe('AnswerDisplay', () => {
     });
   });
 
+  describe('renderStream', () => {
+    let streamDisplay;
+
+    async function* answerStream(texts, signal = null) {
+      for (const text of texts) {
+        await Promise.resolve();
+        if (signal?.aborted) {
+          const abort = new Error('aborted');
+          abort.name = 'AbortError';
+          throw abort;
+        }
+        yield { text, done: false, result: null };
+      }
+      yield { text: '4', done: true, result: { answer: '4', confidence: 88 } };
+    }
+
+    beforeEach(() => {
+      streamDisplay = new AnswerDisplay({ theme: 'light' });
+    });
+
+    afterEach(() => {
+      streamDisplay.dismissAll();
+    });
+
+    it('should show a cancel button and disabled actions while streaming', () => {
+      const { tooltip } = streamDisplay.renderStream(mockQuestion, signal => answerStream(['4'], signal));
+
+      expect(tooltip.classList.contains('quiz-answer-streaming')).toBe(true);
+      expect(tooltip.querySelector('.quiz-btn-cancel')).not.toBeNull();
+      expect(tooltip.querySelector('.quiz-btn-explanation').disabled).toBe(true);
+    });
+
+    it('should fill in the final answer and confidence', async () => {
+      const { tooltip, completed } = streamDisplay.renderStream(mockQuestion, signal => answerStream(['4'], signal));
+
+      const result = await completed;
+
+      expect(result.answer).toBe('4');
+      expect(tooltip.querySelector('.quiz-answer-text').textContent).toBe('4');
+      expect(tooltip.querySelector('.confidence-level').textContent).toBe('88%');
+      expect(tooltip.getAttribute('data-confidence')).toBe('88');
+      expect(tooltip.querySelector('.quiz-btn-cancel')).toBeNull();
+      expect(tooltip.querySelector('.quiz-btn-explanation').disabled).toBe(false);
+    });
+
+    it('should abort the stream and remove the tooltip on cancel', async () => {
+      let streamSignal;
+      const { tooltip, completed } = streamDisplay.renderStream(mockQuestion, (signal) => {
+        streamSignal = signal;
+        return answerStream(['', '4', '4'], signal);
+      });
+
+      tooltip.querySelector('.quiz-btn-cancel').click();
+
+      expect(streamSignal.aborted).toBe(true);
+      expect(tooltip.parentElement).toBeNull();
+      await expect(completed).resolves.toBeNull();
+    });
+
+    it('should require a stream factory', () => {
+      expect(() => streamDisplay.renderStream(mockQuestion, null)).toThrow('createStream must be a function');
+    });
+  });
+
+  describe('similar question', () => {
+    const similar = { similarity: 0.82, matchedQuestion: 'What is <b>2+2</b> equal to?', matchKey: 'v2:abc' };
+    let similarDisplay;
+
+    beforeEach(() => {
+      similarDisplay = new AnswerDisplay({ theme: 'light' });
+      mockQuestion.options = [{ element: null, text: '4' }, { element: null, text: '5' }];
+      global.chrome = {
+        runtime: {
+          sendMessage: jest.fn((message, callback) => callback?.({
+            success: true,
+            answer: { answer: '5', confidence: 95 }
+          }))
+        }
+      };
+    });
+
+    afterEach(() => {
+      similarDisplay.dismissAll();
+      delete global.chrome;
+    });
+
+    it('should show the matched question and its similarity', () => {
+      const tooltip = similarDisplay.render(mockQuestion, '4', 90, { similar });
+      const box = tooltip.querySelector('.quiz-answer-similar');
+
+      expect(box.textContent).toContain('82% match');
+      expect(box.querySelector('.quiz-similar-question').textContent).toBe('What is <b>2+2</b> equal to?');
+      expect(box.querySelector('.quiz-btn-similar-confirm')).toBeTruthy();
+      expect(box.querySelector('.quiz-btn-similar-reject')).toBeTruthy();
+    });
+
+    it('should not show a match for a regular answer', () => {
+      const tooltip = similarDisplay.render(mockQuestion, '4', 90);
+
+      expect(tooltip.querySelector('.quiz-answer-similar')).toBeNull();
+    });
+
+    it('should confirm the match and remove the prompt', () => {
+      const tooltip = similarDisplay.render(mockQuestion, '4', 90, { similar });
+
+      tooltip.querySelector('.quiz-btn-similar-confirm').click();
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        type: 'CONFIRM_SIMILAR',
+        question: 'What is 2+2?',
+        matchKey: 'v2:abc',
+        questionData: { options: ['4', '5'] }
+      }, undefined);
+      expect(tooltip.querySelector('.quiz-answer-similar')).toBeNull();
+    });
+
+    it('should reject the match and show the new answer', () => {
+      const tooltip = similarDisplay.render(mockQuestion, '4', 90, { similar });
+
+      tooltip.querySelector('.quiz-btn-similar-reject').click();
+
+      expect(chrome.runtime.sendMessage.mock.calls[0][0].type).toBe('REJECT_SIMILAR');
+      expect(tooltip.querySelector('.quiz-answer-text').textContent).toBe('5');
+      expect(tooltip.querySelector('.confidence-level').textContent).toBe('95%');
+      expect(tooltip.querySelector('.quiz-answer-similar')).toBeNull();
+    });
+
+    it('should keep the old answer when asking the AI fails', () => {
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => callback({ success: false, error: 'Rate limited' }));
+      const tooltip = similarDisplay.render(mockQuestion, '4', 90, { similar });
+
+      tooltip.querySelector('.quiz-btn-similar-reject').click();
+
+      expect(tooltip.querySelector('.quiz-answer-text').textContent).toBe('4');
+      expect(tooltip.querySelector('.quiz-answer-similar').textContent).toContain('Rate limited');
+    });
+  });
+
   describe('buildTooltipHTML', () => {
     it('should build HTML with answer and confidence', () => {
       const html = display.buildTooltipHTML('Test Answer', 90);
@@ -4,6 +4,7 @@
  */
 
 import { ExplanationManager } from '../../src/ui/explanation-manager.js';
+import { PromptTemplateRegistry } from '../../src/api/prompt-templates.js';
 
 describe('ExplanationManager', () => {
   let manager;
@@ -45,6 +46,23 @@ describe('ExplanationManager', () => {
     });
   });
 
+  describe('cacheExplanation', () => {
+    it('should use the explanations store when the cache has one', async () => {
+      mockCache.setExplanation = jest.fn().mockResolvedValue(undefined);
+      mockCache.getExplanation = jest.fn().mockResolvedValue({ answer: 'Stored explanation' });
+
+      await manager.cacheExplanation('key', 'Question?', { explanation: 'Because', confidence: 80 });
+
+      expect(mockCache.setExplanation).toHaveBeenCalledWith('key', expect.objectContaining({
+        questionHash: 'key',
+        answer: 'Because',
+        quizType: 'explanation'
+      }));
+      expect(mockCache.set).not.toHaveBeenCalled();
+      await expect(manager.getCachedExplanation('key')).resolves.toEqual({ answer: 'Stored explanation' });
+    });
+  });
+
   describe('getExplanation', () => {
     it('should return cached explanation', async () => {
       mockCache.get.mockResolvedValue({
@@ -109,6 +127,24 @@ describe('ExplanationManager', () => {
     });
   });
 
+  describe('requestExplanation', () => {
+    it('should render the explanation template for clients without getExplanation', async () => {
+      const result = await manager.requestExplanation('What is 2+2?', '4');
+
+      expect(mockApiClient.getAnswer.mock.calls[0][0]).toContain('Question: What is 2+2?\nAnswer: 4');
+      expect(result.explanation).toBe('This is an explanation');
+    });
+
+    it('should use custom explanation templates', async () => {
+      const promptTemplates = new PromptTemplateRegistry({ explanation: 'Why is {{answer}} right? {{question}}' });
+      const customManager = new ExplanationManager(mockCache, mockApiClient, { promptTemplates });
+
+      await customManager.requestExplanation('What is 2+2?', '4');
+
+      expect(mockApiClient.getAnswer).toHaveBeenCalledWith('Why is 4 right? What is 2+2?');
+    });
+  });
+
   describe('displayExplanation', () => {
     it('should create and display explanation element', () => {
       const tooltip = document.createElement('div');
@@ -173,6 +209,93 @@ describe('ExplanationManager', () => {
     });
   });
 
+  describe('displayExplanation - streaming', () => {
+    let tooltip;
+
+    async function* explanationStream(texts, signal = null) {
+      for (const text of texts) {
+        await Promise.resolve();
+        if (signal?.aborted) {
+          const abort = new Error('aborted');
+          abort.name = 'AbortError';
+          throw abort;
+        }
+        yield { text, done: false, result: null };
+      }
+      const explanation = texts[texts.length - 1];
+      yield { text: explanation, done: true, result: { answer: '4', explanation, confidence: 80 } };
+    }
+
+    beforeEach(() => {
+      tooltip = document.createElement('div');
+      const answerText = document.createElement('div');
+      answerText.className = 'quiz-answer-text';
+      tooltip.appendChild(answerText);
+    });
+
+    it('should render streamed text progressively and remove the cancel button', async () => {
+      const result = await new Promise((resolve) => {
+        const div = manager.displayExplanation(tooltip, explanationStream(['Because', 'Because 2+2=4.']), {
+          onComplete: resolve
+        });
+
+        expect(div.querySelector('.quiz-btn-cancel')).not.toBeNull();
+        expect(div.getAttribute('aria-busy')).toBe('true');
+      });
+      const div = tooltip.querySelector('.quiz-answer-explanation');
+
+      expect(result.explanation).toBe('Because 2+2=4.');
+      expect(div.querySelector('.explanation-text').textContent).toBe('Because 2+2=4.');
+      expect(div.querySelector('.quiz-btn-cancel')).toBeNull();
+      expect(div.hasAttribute('aria-busy')).toBe(false);
+    });
+
+    it('should abort and keep partial text when cancelled', async () => {
+      const controller = new AbortController();
+      const onComplete = jest.fn();
+      const div = manager.displayExplanation(
+        tooltip,
+        explanationStream(['Because', 'Because 2+2', 'Because 2+2=4.'], controller.signal),
+        { controller, onComplete }
+      );
+
+      await Promise.resolve();
+      await Promise.resolve();
+      div.querySelector('.quiz-btn-cancel').click();
+
+      expect(controller.signal.aborted).toBe(true);
+      expect(onComplete).toHaveBeenCalledWith(null);
+      expect(div.classList.contains('quiz-explanation-cancelled')).toBe(true);
+      expect(div.querySelector('.quiz-btn-cancel')).toBeNull();
+    });
+
+    it('should show a fallback message when the stream fails', async () => {
+      async function* failingStream() {
+        yield { text: 'Because', done: false, result: null };
+        throw new Error('API Error: 500');
+      }
+
+      const result = await new Promise((resolve) => {
+        manager.displayExplanation(tooltip, failingStream(), { onComplete: resolve });
+      });
+
+      expect(result).toBeNull();
+      expect(tooltip.querySelector('.explanation-text').textContent).toBe('Unable to generate explanation at this time.');
+    });
+
+    it('should stream through showExplanation when the API client supports it', async () => {
+      mockApiClient.streamExplanation = jest.fn(() => explanationStream(['Because 2+2=4.']));
+
+      const explanation = await manager.showExplanation(tooltip, 'What is 2+2?', '4');
+
+      expect(explanation).toBe('Because 2+2=4.');
+      expect(mockApiClient.streamExplanation).toHaveBeenCalledWith('What is 2+2?', '4', {
+        signal: expect.any(AbortSignal)
+      });
+      expect(mockApiClient.getAnswer).not.toHaveBeenCalled();
+    });
+  });
+
   describe('reportWrongAnswer', () => {
     it('should create feedback object', async () => {
       const feedback = await manager.reportWrongAnswer('Question?', 'Wrong answer');